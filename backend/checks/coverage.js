@@ -0,0 +1,97 @@
+/** Coverage & Issues: coverage figures and validity checks of a mapping. */
+const { xsdKind } = require('../match/rules');
+const { parseTransform, transformFields, extraTargetPaths, rowInputs, rowTargetValues } = require('../transform/expressions');
+
+// Why a sample value would not validate against the target's XSD type and facets ("is not an integer"), or null.
+function xsdValueProblem(value, t) {
+  const v = String(value).trim();
+  if (!v) return null;
+  const kind = xsdKind(t.baseType || t.type);
+  if (t.enumeration && !String(t.enumeration).split('|').includes(v)) return `is not one of the enumeration values`;
+  if (kind === 'integer' && !/^[+-]?\d+$/.test(v)) return `is not an integer (${t.baseType || t.type})`;
+  if (kind === 'decimal' && !/^[+-]?(\d+(\.\d*)?|\.\d+)([eE][+-]?\d+)?$/.test(v)) return `is not a ${t.baseType || t.type}`;
+  if (kind === 'date' && !/^\d{4}-\d{2}-\d{2}(Z|[+-]\d{2}:\d{2})?$/.test(v)) return `is not an xs:date (YYYY-MM-DD)`;
+  if (kind === 'datetime' && !/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})?$/.test(v)) return `is not an xs:dateTime`;
+  if (kind === 'boolean' && !/^(true|false|1|0)$/.test(v)) return `is not an xs:boolean`;
+  if (t.length && v.length !== Number(t.length)) return `does not have length ${t.length}`;
+  if (t.maxLength && v.length > Number(t.maxLength)) return `is longer than maxLength ${t.maxLength}`;
+  if (t.minLength && v.length < Number(t.minLength)) return `is shorter than minLength ${t.minLength}`;
+  if (t.totalDigits && (kind === 'integer' || kind === 'decimal')) {
+    const digits = v.replace(/^[+-]/, '').replace('.', '').replace(/^0+(?=\d)/, '').length;
+    if (digits > Number(t.totalDigits)) return `has more than ${t.totalDigits} digits`;
+  }
+  if (t.fractionDigits && (v.split('.')[1] || '').length > Number(t.fractionDigits)) return `has more than ${t.fractionDigits} fraction digits`;
+  if (t.pattern) {
+    let re = null;
+    try { re = new RegExp(`^(?:${t.pattern})$`, 'u'); } catch { /* XSD-only regex syntax: skip */ }
+    if (re && !re.test(v)) return `does not match pattern ${t.pattern}`;
+  }
+  return null;
+}
+
+/** Coverage counts: mapped, valid and covered By Source rows, required targets under the roots in use and the unmapped ones. */
+function mappingCoverage(bySource, targetDict) {
+  const byPath = new Map(targetDict.map(r => [r.path, r]));
+  const mapped = bySource.filter(r => r.SuggestedTargetPath && r.ReviewStatus !== 'rejected');
+  const valid = mapped.filter(r => byPath.has(r.SuggestedTargetPath));
+  const inputs = new Set(valid.flatMap(rowInputs));
+  const covered = bySource.filter(r => valid.includes(r) || inputs.has(r.SourceField));
+  const roots = new Set(valid.map(r => r.SuggestedTargetPath.split('/')[0]));
+  const required = targetDict.filter(t => t.required === 'yes' && !t.fixed && (!roots.size || roots.has(t.path.split('/')[0])));
+  const targeted = new Set(valid.flatMap(r => [r.SuggestedTargetPath, ...extraTargetPaths(r.ExtraTargetPaths)]));
+  return { byPath, mapped, valid, covered, required, unmapped: required.filter(t => !targeted.has(t.path)) };
+}
+
+/** Checks a By Source mapping against the target dictionary; returns the "Coverage & Issues" rows, summary first. */
+function validateMapping(bySource, targetDict, samples, protect = v => v) {
+  const { byPath, mapped, valid, covered, required, unmapped } = mappingCoverage(bySource, targetDict);
+  const issues = [];
+  const add = (Severity, Check, SourceField, TargetPath, Detail) => issues.push({ Severity, Check, SourceField, TargetPath, Detail });
+
+  for (const r of mapped) {
+    for (const p of [r.SuggestedTargetPath, ...extraTargetPaths(r.ExtraTargetPaths)]) {
+      if (!byPath.has(p)) add('error', 'Unknown target path', r.SourceField, p, 'Path is not in the target dictionary (TargetSchema/TargetType are blank).');
+    }
+  }
+  const bySourcePath = new Map();
+  for (const r of valid) {
+    for (const p of [r.SuggestedTargetPath, ...extraTargetPaths(r.ExtraTargetPaths)]) (bySourcePath.get(p) || bySourcePath.set(p, []).get(p)).push(r.SourceField);
+  }
+  for (const [p, fields] of bySourcePath) {
+    if (fields.length > 1 && byPath.get(p)?.maxOccurs === '1') add('error', 'Duplicate target', fields.join(', '), p, `${fields.length} source fields map to an element that occurs at most once.`);
+  }
+  for (const t of unmapped) add('warning', 'Required target unmapped', '', t.path, `${t.type || 'value'} (minOccurs ${t.minOccurs}) has no source field.`);
+  const fields = new Set(bySource.map(r => r.SourceField));
+  for (const r of valid) {
+    if (!r.Transform) continue;
+    try {
+      const unknown = transformFields(parseTransform(r.Transform), r.SourceField).filter(f => !fields.has(f));
+      if (unknown.length) add('error', 'Unknown transform input', r.SourceField, r.SuggestedTargetPath, `${r.Transform} reads ${unknown.join(', ')}, which the source does not have.`);
+    } catch (err) {
+      add('error', 'Invalid transform', r.SourceField, r.SuggestedTargetPath, err.message);
+    }
+  }
+  for (const r of valid) {
+    const inputs = rowInputs(r);
+    if (inputs.length !== 1 || inputs[0] !== r.SourceField) continue;
+    const problems = new Map();
+    for (const v of samples[r.SourceField] || []) {
+      for (const { path, value } of rowTargetValues(r, { [r.SourceField]: v }, byPath)) {
+        const t = byPath.get(path);
+        const problem = t && xsdValueProblem(value, t), shown = problem && protect(value, r.SourceField);
+        if (problem) (problems.get(path) || problems.set(path, []).get(path)).push(`${shown ? `"${shown}"` : 'A sample value'} ${problem}`);
+      }
+    }
+    for (const [path, list] of problems) add('warning', 'Type conflict', r.SourceField, path, list.join('; '));
+  }
+
+  const pct = (n, d) => (d ? `${(100 * n / d).toFixed(1)}%` : 'n/a');
+  return [
+    { Severity: 'info', Check: 'Source coverage', SourceField: '', TargetPath: '', Detail: `${covered.length} of ${bySource.length} source fields map to a valid target path or feed a transform (${pct(covered.length, bySource.length)})` },
+    { Severity: 'info', Check: 'Required target coverage', SourceField: '', TargetPath: '', Detail: `${required.length - unmapped.length} of ${required.length} required targets are mapped (${pct(required.length - unmapped.length, required.length)})` },
+    { Severity: 'info', Check: 'Issues', SourceField: '', TargetPath: '', Detail: `${issues.filter(i => i.Severity === 'error').length} errors, ${issues.filter(i => i.Severity === 'warning').length} warnings` },
+    ...issues
+  ];
+}
+
+module.exports = { xsdValueProblem, mappingCoverage, validateMapping };
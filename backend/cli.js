@@ -0,0 +1,250 @@
+#!/usr/bin/env node
+/**
+ * aoai-map – headless mapping runs for scripts and pipelines, on the same pipeline as the server (mapping.js).
+ *
+ *   aoai-map --schema schemas/*.xsd --source data.csv --format both --out dir/
+ *   aoai-map --config mapping.yaml --min-coverage 90
+ *
+ * Exit codes: 0 ok, 1 a source could not be mapped, 2 bad arguments or config, 3 a threshold
+ * (--min-coverage, --min-required-coverage, --min-score) was not met, 4 model batches failed.
+ */
+require('dotenv').config({ quiet: true });
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const YAML = require('yaml');
+const {
+  log, parseFixedWidthLayout, readGlossary, resolveMapOptions, runMapping, mappingCoverage, mappingOutputs
+} = require('./mapping');
+
+const EXIT = { ok: 0, failed: 1, usage: 2, threshold: 3, batches: 4 };
+
+// CLI flag -> config file key -> form field of resolveMapOptions (null: handled by the CLI itself).
+const SETTINGS = [
+  ['format', 'format', 'output_format'],
+  ['project', 'project', 'project_name'],
+  ['match-mode', 'matchMode', 'match_mode'],
+  ['provider', 'provider', 'llm_provider'],
+  ['model', 'model', 'llm_model'],
+  ['temperature', 'temperature', 'llm_temperature'],
+  ['max-tokens', 'maxTokens', 'llm_max_tokens'],
+  ['sample-policy', 'samplePolicy', 'sample_policy'],
+  ['encoding', 'encoding', 'source_encoding'],
+  ['sheet', 'sheet', 'source_sheet'],
+  ['shortlist-tokens', 'shortlistTokens', 'shortlist_tokens'],
+  ['rule-threshold', 'ruleThreshold', 'rule_threshold'],
+  ['alternatives', 'alternatives', 'alternatives'],
+  ['no-cache', 'noCache', 'no_cache'],
+  ['layout', 'layout', null],
+  ['baseline', 'baseline', null],
+  ['glossary', 'glossary', null],
+  ['out', 'out', null],
+  ['min-coverage', 'minCoverage', null],
+  ['min-required-coverage', 'minRequiredCoverage', null],
+  ['min-score', 'minScore', null]
+];
+
+const USAGE = `Usage: aoai-map --schema <file>... --source <file>... [options]
+       aoai-map --config <mapping.yaml|json> [options]
+
+  -c, --config <file>            YAML or JSON file with the settings below (camelCase keys, "sources" list)
+      --schema <file>            target schema (.xsd, JSON Schema, OpenAPI .json/.yaml, Avro .avsc); repeat or use
+                                 wildcards (schemas/*.xsd, quoted for .json/.yaml); --xsd is an alias
+  -s, --source <file>            source to map; repeat for several (one output set per source)
+  -f, --format <fmt,...>         xlsx | html | both | spec | yaml | csv | md | xml | json, or several comma-separated
+                                 (default both)
+  -o, --out <dir>                output directory (default .)
+      --project <name>           output name (default: the source file name)
+      --match-mode <mode>        rules | ai | hybrid
+      --provider <name>          azure | openai | replay
+      --model <name>             model or deployment
+      --temperature <t>          --max-tokens <n>
+      --sample-policy <policy>   raw | masked | synthetic | none
+      --encoding <enc>           --sheet <name|number|*>   --layout <file>   --baseline <file>
+      --glossary <file>          team glossary (.csv or .json): term expansions and confirmed source -> target pairs
+      --shortlist-tokens <n>     --rule-threshold <0..1>   --no-cache
+      --alternatives <n>         ranked alternative target paths per field, 0 to 10 (default 3)
+      --min-coverage <pct>       fail (exit 3) below this share of source fields mapped
+      --min-required-coverage <pct>  fail (exit 3) below this share of required targets mapped
+      --min-score <0..1>         fail (exit 3) when a mapped field scores lower
+  -q, --quiet                    no progress output
+  -h, --help
+
+Exit codes: 0 ok, 1 a source failed, 2 usage or config error, 3 threshold not met, 4 model batches failed.`;
+
+function usageError(message) {
+  const err = new Error(message);
+  err.exitCode = EXIT.usage;
+  return err;
+}
+
+// Expands wildcards (* and ?) in the file-name part of a path; plain paths are returned as they are.
+function expandPaths(pattern, baseDir) {
+  const full = path.resolve(baseDir, pattern);
+  if (!/[*?]/.test(path.basename(full))) {
+    if (!fs.existsSync(full)) throw usageError(`file not found: ${pattern}`);
+    return [full];
+  }
+  if (/[*?]/.test(path.dirname(full))) throw usageError(`wildcards are only supported in file names: ${pattern}`);
+  const re = new RegExp(`^${path.basename(full).replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.')}$`);
+  const dir = path.dirname(full);
+  const found = fs.existsSync(dir) ? fs.readdirSync(dir).filter(f => re.test(f)).sort().map(f => path.join(dir, f)) : [];
+  if (!found.length) throw usageError(`no files match ${pattern}`);
+  return found;
+}
+
+function readConfig(file) {
+  const text = fs.readFileSync(file, 'utf-8');
+  let config;
+  try {
+    config = /\.json$/i.test(file) ? JSON.parse(text) : YAML.parse(text);
+  } catch (e) { throw usageError(`${file}: ${e.message}`); }
+  if (!config || typeof config !== 'object' || Array.isArray(config)) throw usageError(`${file}: expected a mapping of settings`);
+  return config;
+}
+
+function percent(value, name) {
+  if (value == null || value === '') return null;
+  const n = parseFloat(String(value).replace(/%$/, ''));
+  if (!(n >= 0 && n <= 100)) throw usageError(`${name} must be a percentage between 0 and 100`);
+  return n;
+}
+
+/** Command line and config file -> runs; flags win, and a config "sources" entry may be a path or { path, ...settings }. */
+function planRuns(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv, allowPositionals: true, strict: true,
+    options: {
+      config: { type: 'string', short: 'c' }, schema: { type: 'string', multiple: true }, xsd: { type: 'string', multiple: true }, source: { type: 'string', short: 's', multiple: true },
+      format: { type: 'string', short: 'f' }, out: { type: 'string', short: 'o' }, 'no-cache': { type: 'boolean' },
+      quiet: { type: 'boolean', short: 'q' }, help: { type: 'boolean', short: 'h' },
+      ...Object.fromEntries(SETTINGS.filter(([flag]) => !['format', 'out', 'no-cache'].includes(flag)).map(([flag]) => [flag, { type: 'string' }]))
+    }
+  });
+  if (values.help) return { help: true };
+
+  const config = values.config ? readConfig(values.config) : {};
+  const configDir = values.config ? path.dirname(path.resolve(values.config)) : process.cwd();
+  // A shell expands `--schema schemas/*.xsd` into one flag and more words; .xsd and .avsc words count as schemas, the
+  // rest as sources (JSON and YAML schemas need the flag, as sources and configs share those extensions).
+  const isSchema = p => /\.(xsd|avsc)$/i.test(p);
+  const schemaArgs = [...(values.schema || []), ...(values.xsd || []), ...positionals.filter(isSchema)];
+  const sourceArgs = [...(values.source || []), ...positionals.filter(p => !isSchema(p))];
+  const schemaPaths = schemaArgs.length
+    ? schemaArgs.flatMap(p => expandPaths(p, process.cwd()))
+    : [].concat(config.schemas || config.xsd || []).flatMap(p => expandPaths(p, configDir));
+  const sources = sourceArgs.length
+    ? sourceArgs.flatMap(p => expandPaths(p, process.cwd())).map(p => ({ path: p }))
+    : [].concat(config.sources || config.source || []).flatMap(s => {
+      const entry = typeof s === 'string' ? { path: s } : s;
+      if (!entry || !entry.path) throw usageError('each config source needs a path');
+      return expandPaths(entry.path, configDir).map(p => ({ ...entry, path: p, dir: configDir }));
+    });
+  if (!schemaPaths.length) throw usageError('at least one --schema is required');
+  if (!sources.length) throw usageError('at least one --source is required');
+  const schemaFiles = schemaPaths.map(p => ({ originalname: path.basename(p), buffer: fs.readFileSync(p) }));
+
+  return {
+    quiet: !!values.quiet,
+    runs: sources.map(src => {
+      // Per-source config entries override the file's top level; flags override both. Config paths are relative to the file.
+      const setting = (flag, key) => (values[flag] ?? src[key] ?? config[key]);
+      const filePath = (flag, key) => {
+        const v = values[flag] ?? src[key] ?? config[key];
+        return v ? path.resolve(values[flag] ? process.cwd() : configDir, v) : null;
+      };
+      const body = {};
+      for (const [flag, key, field] of SETTINGS) if (field && setting(flag, key) != null) body[field] = String(setting(flag, key));
+      const base = path.basename(src.path).replace(/\.[^.]+$/, '');
+      const project = src.project || (body.project_name ? (sources.length > 1 ? `${body.project_name}_${base}` : body.project_name) : base);
+      let opts;
+      try {
+        opts = resolveMapOptions({ ...body, project_name: project });
+      } catch (e) { throw usageError(`${path.basename(src.path)}: ${e.message}`); }
+      const layoutPath = filePath('layout', 'layout'), baselinePath = filePath('baseline', 'baseline'), glossaryPath = filePath('glossary', 'glossary');
+      const minScore = setting('min-score', 'minScore');
+      if (minScore != null && !(parseFloat(minScore) >= 0 && parseFloat(minScore) <= 1)) throw usageError('min-score must be between 0 and 1');
+      return {
+        source: src.path, opts, schemaFiles,
+        layout: layoutPath ? parseFixedWidthLayout(fs.readFileSync(layoutPath), layoutPath) : null,
+        baselineFile: baselinePath ? { originalname: path.basename(baselinePath), buffer: fs.readFileSync(baselinePath) } : null,
+        glossary: glossaryPath ? readGlossary(fs.readFileSync(glossaryPath), glossaryPath) : null,
+        out: filePath('out', 'out') || process.cwd(),
+        thresholds: {
+          minCoverage: percent(setting('min-coverage', 'minCoverage'), 'min-coverage'),
+          minRequiredCoverage: percent(setting('min-required-coverage', 'minRequiredCoverage'), 'min-required-coverage'),
+          minScore: minScore == null ? null : parseFloat(minScore)
+        }
+      };
+    })
+  };
+}
+
+// Writes the outputs for one run into its out directory (sheet pages into <project>_html/); resolves to the written paths.
+async function writeOutputs(result, { opts, out }) {
+  const { outputFormat, projectName } = opts;
+  const written = [];
+  for (const f of await mappingOutputs(result, outputFormat, projectName)) {
+    const p = f.name.endsWith('.html') && !f.name.includes('/') ? path.join(out, `${projectName}_html`, f.name) : path.join(out, f.name);
+    fs.mkdirSync(path.dirname(p), { recursive: true });
+    fs.writeFileSync(p, f.data);
+    written.push(p);
+  }
+  return written;
+}
+
+// Threshold check for one result: { coverage, requiredCoverage, lowest, failures: [messages] }.
+function checkThresholds(result, thresholds) {
+  const { valid, covered, required, unmapped } = mappingCoverage(result.bySource, result.targetDict);
+  const pct = (n, d) => (d ? (100 * n) / d : 100);
+  const coverage = pct(covered.length, result.bySource.length);
+  const requiredCoverage = pct(required.length - unmapped.length, required.length);
+  const low = thresholds.minScore == null ? [] : valid.filter(r => (Number(r.MatchScore) || 0) < thresholds.minScore);
+  const failures = [];
+  if (thresholds.minCoverage != null && coverage < thresholds.minCoverage) failures.push(`source coverage ${coverage.toFixed(1)}% < ${thresholds.minCoverage}%`);
+  if (thresholds.minRequiredCoverage != null && requiredCoverage < thresholds.minRequiredCoverage) failures.push(`required target coverage ${requiredCoverage.toFixed(1)}% < ${thresholds.minRequiredCoverage}%`);
+  if (low.length) failures.push(`${low.length} mapped field(s) score below ${thresholds.minScore}: ${low.slice(0, 5).map(r => r.SourceField).join(', ')}${low.length > 5 ? ', …' : ''}`);
+  return { valid: valid.length, coverage, requiredCoverage, failures };
+}
+
+async function main(argv) {
+  let plan;
+  try {
+    plan = planRuns(argv);
+  } catch (err) {
+    process.stderr.write(`aoai-map: ${err.message}\n\n${USAGE}\n`);
+    return err.exitCode || EXIT.usage;
+  }
+  if (plan.help) { process.stdout.write(`${USAGE}\n`); return EXIT.ok; }
+
+  let failed = false, belowThreshold = false, batchesFailed = false;
+  for (const run of plan.runs) {
+    const name = path.basename(run.source);
+    let lastPhase = '';
+    const onProgress = p => {
+      const line = p.batchesTotal ? `${p.phase} ${p.batchesDone}/${p.batchesTotal}` : p.phase;
+      if (!plan.quiet && line !== lastPhase) process.stderr.write(`[${name}] ${line}\n`);
+      lastPhase = line;
+    };
+    try {
+      const result = await runMapping({ schemaFiles: run.schemaFiles, srcFile: { path: run.source, originalname: name }, baselineFile: run.baselineFile, layout: run.layout, glossary: run.glossary }, run.opts, { onProgress });
+      const written = await writeOutputs(result, run);
+      const check = checkThresholds(result, run.thresholds);
+      const failedBatches = result.modelBatches.filter(b => b.Status === 'failed').length;
+      process.stdout.write(`${name}: ${check.valid}/${result.bySource.length} fields mapped (${check.coverage.toFixed(1)}%), ` +
+        `required targets ${check.requiredCoverage.toFixed(1)}%${failedBatches ? `, ${failedBatches} model batch(es) failed` : ''} -> ${written.length === 1 ? written[0] : `${written.length} files in ${run.out}`}\n`);
+      for (const f of check.failures) process.stdout.write(`  threshold not met: ${f}\n`);
+      if (check.failures.length) belowThreshold = true;
+      if (failedBatches) batchesFailed = true;
+    } catch (err) {
+      log.debug(err);
+      process.stderr.write(`${name}: mapping failed: ${err.message}\n`);
+      failed = true;
+    }
+  }
+  return failed ? EXIT.failed : batchesFailed ? EXIT.batches : belowThreshold ? EXIT.threshold : EXIT.ok;
+}
+
+if (require.main === module) main(process.argv.slice(2)).then(code => { process.exitCode = code; });
+
+module.exports = { main, EXIT };
@@ -0,0 +1,54 @@
+/** Mapping settings, read from the environment when the module is loaded (entry points load .env first). */
+const path = require('path');
+
+// An environment setting from a fixed list; anything else falls back with a warning (on the console: log.js loads this module).
+function listedSetting(name, allowed, fallback) {
+  const value = (process.env[name] || fallback).trim().toLowerCase();
+  if (allowed.includes(value)) return value;
+  console.warn(`[config] ${name} "${process.env[name]}" is not one of ${allowed.join('|')}; using ${fallback}`);
+  return fallback;
+}
+
+const AZURE_ENDPOINT   = process.env.AZURE_OPENAI_ENDPOINT || '';
+const AZURE_API_KEY    = process.env.AZURE_OPENAI_API_KEY || '';
+const AZURE_DEPLOYMENT = process.env.AZURE_OPENAI_DEPLOYMENT || 'gpt-4o';
+const AZURE_API_VER    = process.env.AZURE_OPENAI_API_VERSION || '2024-10-21';
+const OPENAI_BASE_URL  = process.env.OPENAI_BASE_URL || '';
+const OPENAI_API_KEY   = process.env.OPENAI_API_KEY || '';
+const OPENAI_MODEL     = process.env.OPENAI_MODEL || 'gpt-4o-mini';
+const LLM_PROVIDER     = (process.env.LLM_PROVIDER || 'azure').toLowerCase();
+const LLM_REPLAY_DIR   = process.env.LLM_REPLAY_DIR || '';
+const LLM_REPLAY_RECORD = (process.env.LLM_REPLAY_RECORD || '').toLowerCase();
+const LLM_RESPONSE_FORMAT = (process.env.LLM_RESPONSE_FORMAT || 'json_schema').toLowerCase();
+const LLM_MAX_RETRIES  = parseInt(process.env.LLM_MAX_RETRIES || '4', 10);
+const LLM_REPAIR_ROUNDS = parseInt(process.env.LLM_REPAIR_ROUNDS || '1', 10);
+const LLM_CACHE_DIR    = process.env.LLM_CACHE_DIR ?? path.join(__dirname, '.llm-cache');
+const SHORTLIST_TOKENS = parseInt(process.env.SHORTLIST_TOKENS || '800', 10);
+const MATCH_MODE       = (process.env.MATCH_MODE || 'hybrid').toLowerCase();
+const RULE_ACCEPT      = parseFloat(process.env.RULE_ACCEPT_SCORE || '0.85');
+// Ranked alternative target paths kept per source field, clamped to 0..10 (3 when not a number).
+const ALTERNATIVES     = (n => Math.max(0, Math.min(Number.isFinite(n) ? n : 3, 10)))(parseInt(process.env.ALTERNATIVES || '3', 10));
+// output_format parts, comma-separated; "both" is xlsx + html and "json" (the review grid's payload) stands alone.
+const OUTPUT_FORMATS   = ['xlsx', 'html', 'both', 'json', 'spec', 'yaml', 'csv', 'md', 'xml'];
+const SPEC_VERSION     = '1.3';
+const SPEC_KIND        = 'field-mapping';
+const SPEC_COLUMNS     = ['sourceField', 'targetPath', 'extraTargetPaths', 'namespace', 'targetType', 'occurs', 'score', 'method', 'rationale', 'status', 'transform'];
+const REVIEW_STATUSES  = ['pending', 'accepted', 'rejected', 'overridden'];
+const XML_SAMPLE_ROWS  = Math.min(parseInt(process.env.XML_SAMPLE_ROWS || '5', 10), 50);
+const SAMPLE_RESERVOIR = parseInt(process.env.SAMPLE_RESERVOIR || '500', 10);
+const PROFILE_DISTINCT_CAP = parseInt(process.env.PROFILE_DISTINCT_CAP || '2000', 10);
+// .json and .xml sources are parsed whole in memory, so their size is capped separately from MAX_UPLOAD_MB.
+const SOURCE_DOCUMENT_MAX_MB = parseFloat(process.env.SOURCE_DOCUMENT_MAX_MB || '100');
+const PREVIEW_ROWS     = 50;
+const SAMPLE_POLICIES  = ['raw', 'masked', 'synthetic', 'none'];
+const SAMPLE_POLICY    = listedSetting('SAMPLE_POLICY', SAMPLE_POLICIES, 'raw');
+const LOG_LEVELS       = ['error', 'warn', 'info', 'debug'];
+const LOG_LEVEL        = listedSetting('LOG_LEVEL', LOG_LEVELS, 'info');
+
+module.exports = {
+  AZURE_ENDPOINT, AZURE_API_KEY, AZURE_DEPLOYMENT, AZURE_API_VER, OPENAI_BASE_URL, OPENAI_API_KEY, OPENAI_MODEL,
+  LLM_PROVIDER, LLM_REPLAY_DIR, LLM_REPLAY_RECORD, LLM_RESPONSE_FORMAT, LLM_MAX_RETRIES, LLM_REPAIR_ROUNDS,
+  LLM_CACHE_DIR, SHORTLIST_TOKENS, MATCH_MODE, RULE_ACCEPT, ALTERNATIVES, OUTPUT_FORMATS, SPEC_VERSION, SPEC_KIND,
+  SPEC_COLUMNS, REVIEW_STATUSES, XML_SAMPLE_ROWS, SAMPLE_RESERVOIR, PROFILE_DISTINCT_CAP, SOURCE_DOCUMENT_MAX_MB, PREVIEW_ROWS,
+  SAMPLE_POLICIES, SAMPLE_POLICY, LOG_LEVELS, LOG_LEVEL
+};
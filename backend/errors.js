@@ -0,0 +1,8 @@
+/** Errors carrying the HTTP status the server answers with. */
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+module.exports = { httpError };
@@ -0,0 +1,294 @@
+/** Model calls: structured output, retries and tolerant parsing of mapping batches. */
+const { LLM_RESPONSE_FORMAT, LLM_MAX_RETRIES, LLM_REPAIR_ROUNDS, ALTERNATIVES } = require('../config');
+const { httpError } = require('../errors');
+const { log } = require('../log');
+const { maskValue } = require('../sources/protect');
+const { glossaryPrompt } = require('../match/glossary');
+const { targetEntry } = require('../match/shortlist');
+const { TRANSFORM_HELP, parseTransform } = require('../transform/expressions');
+const { LLM_PROVIDERS, resolveLlmOptions } = require('./providers');
+const { batchCacheKey, readBatchCache, writeBatchCache } = require('./cache');
+
+const MAPPING_RESPONSE_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['mappings'],
+  properties: {
+    mappings: {
+      type: 'array',
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['source', 'target_path', 'extra_target_paths', 'transform', 'score', 'rationale', 'alternatives'],
+        properties: {
+          source: { type: 'string' }, target_path: { type: 'string' }, extra_target_paths: { type: 'array', items: { type: 'string' } },
+          transform: { type: ['string', 'null'] }, score: { type: 'number' }, rationale: { type: 'string' },
+          alternatives: {
+            type: 'array',
+            items: {
+              type: 'object',
+              additionalProperties: false,
+              required: ['target_path', 'score', 'rationale'],
+              properties: { target_path: { type: 'string' }, score: { type: 'number' }, rationale: { type: 'string' } }
+            }
+          }
+        }
+      }
+    }
+  }
+};
+
+// LLM_RESPONSE_FORMAT: json_schema (strict structured output), json_object, or none for endpoints without either.
+function mappingResponseFormat() {
+  if (LLM_RESPONSE_FORMAT === 'json_schema') return { type: 'json_schema', json_schema: { name: 'field_mappings', strict: true, schema: MAPPING_RESPONSE_SCHEMA } };
+  if (LLM_RESPONSE_FORMAT === 'json_object') return { type: 'json_object' };
+  return undefined;
+}
+
+function llmErrorMessage(err) {
+  const status = err.response?.status;
+  const detail = err.response?.data?.error?.message;
+  return [status && `HTTP ${status}`, detail || err.message].filter(Boolean).join(': ');
+}
+
+function isRetryable(err) {
+  const status = err.response?.status;
+  return status === 408 || status === 429 || status >= 500 || ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN'].includes(err.code);
+}
+
+// retry-after-ms (Azure) or retry-after (seconds or HTTP date) when sent, else exponential backoff with jitter.
+function retryDelayMs(err, attempt) {
+  const headers = err.response?.headers || {};
+  const ms = parseFloat(headers['retry-after-ms']);
+  if (ms >= 0) return ms;
+  const after = headers['retry-after'];
+  if (after != null && after !== '') {
+    const secs = Number(after);
+    if (!Number.isNaN(secs)) return secs * 1000;
+    const at = Date.parse(after);
+    if (!Number.isNaN(at)) return Math.max(0, at - Date.now());
+  }
+  return Math.min(60000, 1000 * 2 ** attempt) * (0.75 + Math.random() * 0.5);
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(httpError(499, 'Mapping cancelled'));
+    const onAbort = () => { clearTimeout(timer); reject(httpError(499, 'Mapping cancelled')); };
+    const timer = setTimeout(() => { signal?.removeEventListener('abort', onAbort); resolve(); }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+// Calls the provider, retrying throttling, 5xx and network errors up to LLM_MAX_RETRIES times.
+async function completeWithRetry(llm, data, { signal, stats } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const reply = await LLM_PROVIDERS[llm.provider].complete(data, { signal });
+      if (stats) {
+        stats.calls++;
+        stats.promptTokens += reply.usage?.prompt_tokens || 0;
+        stats.completionTokens += reply.usage?.completion_tokens || 0;
+      }
+      return reply;
+    } catch (err) {
+      if (signal?.aborted || attempt >= LLM_MAX_RETRIES || !isRetryable(err)) throw err;
+      const wait = retryDelayMs(err, attempt);
+      log.warn(`[llm] ${llm.provider}: ${llmErrorMessage(err)}; retry ${attempt + 1}/${LLM_MAX_RETRIES} in ${Math.round(wait)} ms`);
+      if (stats) stats.retries++;
+      await sleep(wait, signal);
+    }
+  }
+}
+
+/** Parses a model reply into { mappings, complete }, salvaging the finished entries of a truncated one. */
+function parseMappingReply(content) {
+  const listOf = obj => (Array.isArray(obj) ? obj : Array.isArray(obj?.mappings) ? obj.mappings : []);
+  if (content && typeof content === 'object') return { mappings: listOf(content), complete: true };
+  const text = String(content || '');
+  const start = text.search(/[[{]/);
+  if (start < 0) return { mappings: [], complete: false };
+  const body = text.slice(start);
+  const end = Math.max(body.lastIndexOf('}'), body.lastIndexOf(']'));
+  for (const candidate of [body, body.slice(0, end + 1)]) {
+    try { return { mappings: listOf(JSON.parse(candidate)), complete: true }; } catch { /* try the next form */ }
+  }
+  const salvaged = [], opens = [];
+  let inString = false;
+  for (let i = 0; i < body.length; i++) {
+    const ch = body[i];
+    if (inString) { if (ch === '\\') i++; else if (ch === '"') inString = false; continue; }
+    if (ch === '"') inString = true;
+    else if (ch === '{') opens.push(i);
+    else if (ch === '}' && opens.length) {
+      const from = opens.pop();
+      try { const item = JSON.parse(body.slice(from, i + 1)); if (item && typeof item.source === 'string') salvaged.push(item); } catch { /* incomplete item */ }
+    }
+  }
+  return { mappings: salvaged, complete: false };
+}
+
+// Maps a near-miss path (wrong case, missing or different namespace prefixes) onto the one dictionary path it denotes.
+function pathResolver(targetRows) {
+  const known = new Set(targetRows.map(r => r.path));
+  const bare = p => String(p).split('/').map(seg => seg.replace(/^@?[\w.-]+:/, seg.startsWith('@') ? '@' : '')).join('/').toLowerCase();
+  const loose = new Map();
+  for (const r of targetRows) for (const key of new Set([r.path.toLowerCase(), bare(r.path)])) loose.set(key, loose.has(key) && loose.get(key) !== r.path ? null : r.path);
+  return p => (!p || known.has(p) ? p : loose.get(String(p).toLowerCase()) || loose.get(bare(p)) || null);
+}
+
+// Rows for fields the model left unresolved (no entry, or a path not in the dictionary); batches holding one are not cached.
+const unresolvedRows = new WeakSet();
+const unresolved = row => { unresolvedRows.add(row); return row; };
+
+/** Maps one batch of source fields with the model: split on truncation, repaired, cached when fully resolved. Throws when the provider keeps failing. */
+async function aoaiMapBatch(sourceCols, targetRows, sampleMap, { llm = resolveLlmOptions(), shortlists = null, profiles = null, alternatives = ALTERNATIVES, glossary = null, signal, stats = newBatchStats(), noCache = false } = {}) {
+  if (!sourceCols.length) return [];
+  const system = [
+    'You map source dataset fields to target schema paths (XSD elements and attributes, JSON Schema, OpenAPI or Avro fields).',
+    'Return strict JSON only: {"mappings": [...]}. Score 0..1 (float). Prefer exact semantics.',
+    'If unsure, pick the closest path but lower the score and add a short rationale.'
+  ].join('\n');
+  const hints = glossaryPrompt(glossary, sourceCols, targetRows);
+  const payload = {
+    instruction: 'Map each source field to the most appropriate target path. Return {mappings: [{source, target_path, extra_target_paths, transform, score, rationale, alternatives}]} with one entry per source field.' +
+      (alternatives ? ` alternatives lists up to ${alternatives} other plausible target paths for the field, best first, each as {target_path, score, rationale}.` : ' alternatives is [].') +
+      ' transform is null when the value is copied as-is, otherwise an expression in this DSL: ' + TRANSFORM_HELP +
+      ' Several fields can feed one target through one field\'s transform (e.g. concat($, " ", LastName)); give the other fields target_path "" unless they also map elsewhere.' +
+      ' extra_target_paths ([] when none) are further targets the field fills; a list from split() is spread over target_path and extra_target_paths in order.' +
+      (shortlists ? ' Choose each field\'s target_path from the target_dictionary entries whose id is listed for it in candidates.' : '') +
+      (hints ? ' glossary.terms expands the team\'s abbreviations in source field names; glossary.known_mappings are mappings reviewers confirmed before, follow their conventions.' : ''),
+    source_fields: sourceCols,
+    ...(hints ? { glossary: hints } : {}),
+    ...(sampleMap ? { sample_values: sampleMap } : {}),
+    target_dictionary: targetRows.map((r, i) => (shortlists ? { id: i, ...targetEntry(r) } : targetEntry(r)))
+  };
+  if (shortlists) payload.candidates = shortlists;
+  if (profiles) {
+    payload.source_profile = {};
+    for (const c of sourceCols) {
+      const p = profiles[c];
+      if (p) payload.source_profile[c] = { type: p.InferredType, format: p.Format || undefined, pii: p.PII || undefined, null_rate: p.NullRate, distinct: p.DistinctCount, length: `${p.MinLength}..${p.MaxLength}` };
+    }
+  }
+  const data = {
+    messages: [
+      { role: 'system', content: system },
+      { role: 'user',   content: JSON.stringify(payload) }
+    ],
+    model: llm.model,
+    max_tokens: llm.max_tokens,
+    temperature: llm.temperature,
+    response_format: mappingResponseFormat()
+  };
+  const cacheKey = batchCacheKey(llm, system, payload);
+  const cached = noCache ? null : readBatchCache(cacheKey);
+  if (cached) {
+    stats.cacheHits++;
+    return cached;
+  }
+  // Logged samples are masked whatever the policy; the log line is redacted on top of that.
+  log.debug(`[llm] ${llm.provider} request:`, JSON.stringify({ ...payload, sample_values: sampleMap && Object.fromEntries(Object.entries(sampleMap).map(([f, vs]) => [f, (vs || []).map(maskValue)])) }));
+  const rows = await mapBatchUncached(sourceCols, targetRows, sampleMap, data, { llm, shortlists, profiles, alternatives, glossary, signal, stats, noCache });
+  if (!rows.some(r => unresolvedRows.has(r))) writeBatchCache(cacheKey, rows);
+  return rows;
+}
+
+async function mapBatchUncached(sourceCols, targetRows, sampleMap, data, { llm, shortlists, profiles, alternatives, glossary, signal, stats, noCache }) {
+  const reply = await completeWithRetry(llm, data, { signal, stats });
+  log.debug(`[llm] ${llm.provider} reply (finish_reason ${reply.finishReason || 'unknown'}):`, reply.content);
+  const parsed = parseMappingReply(reply.content);
+
+  const wanted = new Set(sourceCols);
+  const byField = new Map();
+  for (const m of parsed.mappings) if (wanted.has(m?.source) && !byField.has(m.source)) byField.set(m.source, m);
+  const resolve = pathResolver(targetRows);
+  const unknownPath = m => m.target_path && !resolve(m.target_path);
+
+  // A cut-off reply that still covers every field goes through the repair pass below like any other.
+  if ((!parsed.complete || reply.finishReason === 'length') && byField.size < sourceCols.length) {
+    // Entries with an unknown path are asked for again along with the fields the reply did not reach.
+    const kept = sourceCols.filter(c => byField.has(c) && !unknownPath(byField.get(c)));
+    const rest = sourceCols.filter(c => !kept.includes(c));
+    const rows = kept.map(c => mappingRow(byField.get(c), resolve, alternatives));
+    if (sourceCols.length === 1) throw new Error(`${llm.provider} reply was truncated or not JSON (finish_reason ${reply.finishReason || 'unknown'})`);
+    log.warn(`[llm] reply for ${sourceCols.length} fields was ${reply.finishReason === 'length' ? 'truncated' : 'not valid JSON'}; kept ${kept.length}, re-asking for ${rest.length}`);
+    stats.splits++;
+    const half = Math.ceil(rest.length / 2);
+    for (const part of rest.length > 1 ? [rest.slice(0, half), rest.slice(half)] : [rest]) {
+      const pick = obj => (obj ? Object.fromEntries(part.map(c => [c, obj[c]])) : null);
+      rows.push(...await aoaiMapBatch(part, targetRows, pick(sampleMap), { llm, shortlists: pick(shortlists), profiles, alternatives, glossary, signal, stats, noCache }));
+    }
+    return rows;
+  }
+
+  const problems = () => ({
+    invalid: [...byField.values()].filter(unknownPath).map(m => ({ source: m.source, target_path: m.target_path })),
+    missing: sourceCols.filter(c => !byField.has(c))
+  });
+  let todo = problems();
+  let lastReply = reply;
+  for (let round = 0; round < LLM_REPAIR_ROUNDS && (todo.invalid.length || todo.missing.length); round++) {
+    stats.repairs++;
+    const followUp = {
+      ...data,
+      messages: [
+        ...data.messages,
+        { role: 'assistant', content: typeof lastReply.content === 'string' ? lastReply.content : JSON.stringify(lastReply.content) },
+        { role: 'user', content: JSON.stringify({
+          instruction: 'Some entries need fixing. Return {mappings} with one entry for each field below only. Copy target_path exactly from target_dictionary, or use "" if nothing fits.',
+          invalid_target_paths: todo.invalid,
+          missing_source_fields: todo.missing
+        }) }
+      ]
+    };
+    lastReply = await completeWithRetry(llm, followUp, { signal, stats });
+    for (const m of parseMappingReply(lastReply.content).mappings) if (wanted.has(m?.source)) byField.set(m.source, m);
+    todo = problems();
+  }
+  return sourceCols.map(c => (byField.has(c)
+    ? mappingRow(byField.get(c), resolve, alternatives)
+    : unresolved({ SourceField: c, SuggestedTargetPath: '', MatchScore: 0, Rationale: 'Model returned no mapping for this field.', MatchMethod: 'ai', Alternatives: [] })));
+}
+
+// One By Source row from a model entry; unknown paths and unparsable transforms are dropped with a note.
+function mappingRow(m, resolve, alternatives = 0) {
+  const path = resolve(m.target_path || '');
+  const alts = [];
+  for (const a of Array.isArray(m.alternatives) ? m.alternatives : []) {
+    const known = resolve(a?.target_path || '');
+    if (known && known !== path && !alts.some(x => x.path === known)) alts.push({ path: known, score: Number(a.score) || 0, rationale: a.rationale || '' });
+  }
+  const Alternatives = alts.sort((a, b) => b.score - a.score).slice(0, alternatives);
+  if (m.target_path && !path) {
+    return unresolved({ SourceField: m.source, SuggestedTargetPath: '', MatchScore: 0, Rationale: `Model suggested "${m.target_path}", which is not in the target dictionary. ${m.rationale || ''}`.trim(), MatchMethod: 'ai', Alternatives });
+  }
+  const notes = [], extras = [];
+  for (const p of path && Array.isArray(m.extra_target_paths) ? m.extra_target_paths : []) {
+    const known = resolve(p);
+    if (!known) notes.push(`Dropped extra target "${p}", which is not in the target dictionary.`);
+    else if (known !== path && !extras.includes(known)) extras.push(known);
+  }
+  let transform = '';
+  if (path && m.transform) {
+    try { parseTransform(m.transform); transform = String(m.transform).trim(); } catch (err) { notes.push(`Dropped transform: ${err.message}.`); }
+  }
+  return {
+    SourceField: m.source, SuggestedTargetPath: path || '', ExtraTargetPaths: extras.join('; '), Transform: transform,
+    MatchScore: Number(m.score) || 0, Rationale: [m.rationale, ...notes].filter(Boolean).join(' '), MatchMethod: 'ai', Alternatives
+  };
+}
+
+function newBatchStats() {
+  return { calls: 0, retries: 0, splits: 0, repairs: 0, cacheHits: 0, promptTokens: 0, completionTokens: 0 };
+}
+
+// Model Batches sheet columns for an aoaiMapBatch `stats` object.
+function statsColumns(stats) {
+  return {
+    Calls: stats.calls, Retries: stats.retries, Splits: stats.splits, Repairs: stats.repairs, CacheHits: stats.cacheHits,
+    PromptTokens: stats.promptTokens, CompletionTokens: stats.completionTokens
+  };
+}
+
+module.exports = { llmErrorMessage, retryDelayMs, parseMappingReply, pathResolver, aoaiMapBatch, newBatchStats, statsColumns };
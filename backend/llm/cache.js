@@ -0,0 +1,42 @@
+/** Disk cache of model batch results: one JSON file per finished batch in LLM_CACHE_DIR ("" disables it). */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { LLM_RESPONSE_FORMAT, LLM_CACHE_DIR } = require('../config');
+const { log } = require('../log');
+
+// Bump when the prompt or the reply handling changes so older cached answers are not reused.
+const PROMPT_VERSION = 'map-v9';
+
+// Content address of a batch: model settings, prompt version, the system message and instruction as sent
+// (the instruction carries the alternatives count), the batch payload and a hash of the dictionary sent.
+function batchCacheKey(llm, system, payload) {
+  const sha = v => crypto.createHash('sha256').update(JSON.stringify(v)).digest('hex');
+  return sha({
+    prompt: PROMPT_VERSION, system: sha(system), instruction: payload.instruction, responseFormat: LLM_RESPONSE_FORMAT,
+    provider: llm.provider, model: llm.model, temperature: llm.temperature, maxTokens: llm.max_tokens,
+    fields: payload.source_fields, samples: payload.sample_values, profile: payload.source_profile || null,
+    candidates: payload.candidates || null, glossary: payload.glossary || null, targets: sha(payload.target_dictionary)
+  }).slice(0, 40);
+}
+
+function readBatchCache(key) {
+  if (!LLM_CACHE_DIR) return null;
+  try {
+    return JSON.parse(fs.readFileSync(path.join(LLM_CACHE_DIR, `${key}.json`), 'utf-8')).rows;
+  } catch {
+    return null;
+  }
+}
+
+function writeBatchCache(key, rows) {
+  if (!LLM_CACHE_DIR) return;
+  try {
+    fs.mkdirSync(LLM_CACHE_DIR, { recursive: true });
+    fs.writeFileSync(path.join(LLM_CACHE_DIR, `${key}.json`), JSON.stringify({ prompt: PROMPT_VERSION, createdAt: new Date().toISOString(), rows }));
+  } catch (err) {
+    log.warn(`[cache] could not write ${key}: ${err.message}`);
+  }
+}
+
+module.exports = { batchCacheKey, readBatchCache, writeBatchCache };
@@ -0,0 +1,36 @@
+/** Model cost estimates (LLM_PRICES). */
+const { log } = require('../log');
+
+// USD per 1M tokens, matched on the longest model-name prefix; LLM_PRICES (JSON) adds or overrides entries.
+const DEFAULT_LLM_PRICES = {
+  'gpt-4o': { prompt: 2.5, completion: 10 },
+  'gpt-4o-mini': { prompt: 0.15, completion: 0.6 },
+  'gpt-4.1': { prompt: 2, completion: 8 },
+  'gpt-4.1-mini': { prompt: 0.4, completion: 1.6 },
+  'gpt-4.1-nano': { prompt: 0.1, completion: 0.4 }
+};
+const LLM_PRICES = llmPrices(process.env.LLM_PRICES);
+
+// A malformed LLM_PRICES is reported and ignored rather than stopping the server or CLI at startup.
+function llmPrices(json) {
+  if (!json) return DEFAULT_LLM_PRICES;
+  try {
+    const extra = JSON.parse(json);
+    if (!extra || typeof extra !== 'object' || Array.isArray(extra)) throw new Error('expected an object of { prompt, completion } entries');
+    return { ...DEFAULT_LLM_PRICES, ...extra };
+  } catch (err) {
+    log.warn(`[llm] LLM_PRICES ignored, using the built-in prices: ${err.message}`);
+    return DEFAULT_LLM_PRICES;
+  }
+}
+
+// Estimated USD cost from LLM_PRICES, or null when the model has no price entry.
+function estimateCost(model, promptTokens, completionTokens) {
+  const name = String(model || '').toLowerCase();
+  const match = Object.keys(LLM_PRICES).filter(k => name.startsWith(k.toLowerCase())).sort((a, b) => b.length - a.length)[0];
+  if (!match) return null;
+  const price = LLM_PRICES[match];
+  return (promptTokens * price.prompt + completionTokens * price.completion) / 1e6;
+}
+
+module.exports = { llmPrices, estimateCost };
@@ -0,0 +1,69 @@
+/** LLM providers: each takes { messages, model, temperature, max_tokens, response_format } and resolves to { content, usage, finishReason }. */
+const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { AZURE_ENDPOINT, AZURE_API_KEY, AZURE_DEPLOYMENT, AZURE_API_VER, OPENAI_BASE_URL, OPENAI_API_KEY, OPENAI_MODEL, LLM_PROVIDER, LLM_REPLAY_DIR, LLM_REPLAY_RECORD } = require('../config');
+
+function chatCompletionContent(body) {
+  const choice = body?.choices?.[0];
+  return { content: choice?.message?.content ?? '', usage: body?.usage || null, finishReason: choice?.finish_reason || null };
+}
+
+const LLM_PROVIDERS = {
+  azure: {
+    defaultModel: AZURE_DEPLOYMENT,
+    ready: () => !!(AZURE_ENDPOINT && AZURE_API_KEY),
+    async complete({ messages, model, temperature, max_tokens, response_format }, { signal } = {}) {
+      if (!AZURE_ENDPOINT || !AZURE_API_KEY || !model) throw new Error('Azure OpenAI env vars missing');
+      const url = `${AZURE_ENDPOINT.replace(/\/?$/, '/')}openai/deployments/${encodeURIComponent(model)}/chat/completions?api-version=${AZURE_API_VER}`;
+      const resp = await axios.post(url, { messages, max_tokens, temperature, response_format }, {
+        headers: { 'api-key': AZURE_API_KEY, 'Content-Type': 'application/json' },
+        timeout: 120000, signal
+      });
+      return chatCompletionContent(resp.data);
+    }
+  },
+  openai: {
+    defaultModel: OPENAI_MODEL,
+    ready: () => !!OPENAI_BASE_URL,
+    async complete({ messages, model, temperature, max_tokens, response_format }, { signal } = {}) {
+      if (!OPENAI_BASE_URL) throw new Error('OPENAI_BASE_URL missing');
+      const headers = { 'Content-Type': 'application/json' };
+      if (OPENAI_API_KEY) headers.Authorization = `Bearer ${OPENAI_API_KEY}`;
+      const resp = await axios.post(`${OPENAI_BASE_URL.replace(/\/+$/, '')}/chat/completions`, { model, messages, max_tokens, temperature, response_format }, { headers, timeout: 120000, signal });
+      return chatCompletionContent(resp.data);
+    }
+  },
+  // Recorded responses from LLM_REPLAY_DIR by message hash; LLM_REPLAY_RECORD fetches missing ones from another provider.
+  replay: {
+    defaultModel: 'replay',
+    ready: () => !!LLM_REPLAY_DIR,
+    async complete(req, opts = {}) {
+      if (!LLM_REPLAY_DIR) throw new Error('LLM_REPLAY_DIR missing');
+      const key = crypto.createHash('sha256').update(JSON.stringify(req.messages)).digest('hex').slice(0, 32);
+      const file = path.join(LLM_REPLAY_DIR, `${key}.json`);
+      if (fs.existsSync(file)) return JSON.parse(fs.readFileSync(file, 'utf-8')).response;
+      const upstream = LLM_PROVIDERS[LLM_REPLAY_RECORD];
+      if (!upstream || upstream === LLM_PROVIDERS.replay) throw new Error(`No replay fixture ${key}.json in ${LLM_REPLAY_DIR}`);
+      const response = await upstream.complete({ ...req, model: req.model === 'replay' ? upstream.defaultModel : req.model }, opts);
+      fs.mkdirSync(LLM_REPLAY_DIR, { recursive: true });
+      fs.writeFileSync(file, JSON.stringify({ request: { messages: req.messages }, response }, null, 2));
+      return response;
+    }
+  }
+};
+
+/** Per-request LLM settings (llm_provider, llm_model, llm_temperature, llm_max_tokens) over the env defaults. Throws on invalid values. */
+function resolveLlmOptions(body = {}) {
+  const provider = String(body.llm_provider || LLM_PROVIDER).toLowerCase();
+  if (!LLM_PROVIDERS[provider]) throw new Error(`llm_provider must be ${Object.keys(LLM_PROVIDERS).join('|')}`);
+  const model = String(body.llm_model || '').trim() || LLM_PROVIDERS[provider].defaultModel;
+  const temperature = body.llm_temperature != null && body.llm_temperature !== '' ? parseFloat(body.llm_temperature) : 0.2;
+  if (!(temperature >= 0 && temperature <= 2)) throw new Error('llm_temperature must be between 0 and 2');
+  const max_tokens = body.llm_max_tokens != null && body.llm_max_tokens !== '' ? parseInt(body.llm_max_tokens, 10) : 4000;
+  if (!(max_tokens > 0)) throw new Error('llm_max_tokens must be a positive integer');
+  return { provider, model, temperature, max_tokens };
+}
+
+module.exports = { LLM_PROVIDERS, resolveLlmOptions };
@@ -0,0 +1,11 @@
+/** Level-filtered console logging (LOG_LEVEL); every line goes through redactText so PII and credentials stay out of the logs. */
+const util = require('util');
+const { LOG_LEVELS, LOG_LEVEL } = require('./config');
+const { redactText } = require('./sources/patterns');
+
+const log = Object.fromEntries(LOG_LEVELS.map((level, i) => [level, (...args) => {
+  if (i > LOG_LEVELS.indexOf(LOG_LEVEL)) return;
+  console[level === 'debug' ? 'log' : level](redactText(util.format(...args)));
+}]));
+
+module.exports = { log };
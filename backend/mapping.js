@@ -0,0 +1,288 @@
+/** Mapping pipeline shared by server.js and cli.js, and the facade they import; its parts live in sources/, schema/, match/, llm/, transform/, checks/ and outputs/. */
+const iconv = require('iconv-lite');
+const { LLM_RESPONSE_FORMAT, SHORTLIST_TOKENS, MATCH_MODE, RULE_ACCEPT, ALTERNATIVES, OUTPUT_FORMATS, REVIEW_STATUSES, XML_SAMPLE_ROWS, SAMPLE_POLICIES, SAMPLE_POLICY } = require('./config');
+const { httpError } = require('./errors');
+const { redactText } = require('./sources/patterns');
+const { log } = require('./log');
+const { parseFixedWidthLayout, scanSource } = require('./sources/read');
+const { sampleProtector, protectSource } = require('./sources/protect');
+const { parseXsdPaths } = require('./schema/xsd');
+const { SCHEMA_LANGUAGES, readTargetSchema, parseTargetSchemas } = require('./schema/targets');
+const { glossaryKey, glossaryEntry, readGlossary, expandTerms, termList, glossaryMatch } = require('./match/glossary');
+const { buildRuleIndex, ruleMatch } = require('./match/rules');
+const { buildShortlistIndex, shortlistFor } = require('./match/shortlist');
+const { parseTransform, evalTransform, transformFields, extraTargetPaths, rowInputs, suggestTransform } = require('./transform/expressions');
+const { mappingCoverage, validateMapping } = require('./checks/coverage');
+const { LLM_PROVIDERS, resolveLlmOptions } = require('./llm/providers');
+const { estimateCost } = require('./llm/cost');
+const { llmErrorMessage, pathResolver, aoaiMapBatch, newBatchStats, statsColumns } = require('./llm/batch');
+const { buildExcelBuffer, dfToHtmlDoc, alternativeColumns } = require('./outputs/tables');
+const { readMappingSpec, readBaselineMapping, carryOverBaseline } = require('./sources/baseline');
+const { schemaTree } = require('./schema/tree');
+const { mappingSpec } = require('./outputs/spec');
+const { xmlTemplates, renderInstance, xmlOutputs } = require('./outputs/xml');
+const { normalizeOutputFormat, extraSheetsOf, mappingWorkbook, mappingHtmlPages, mappingJson, mappingOutputs } = require('./outputs');
+
+/** Validates the mapping form fields shared by /api/map, /api/jobs and the CLI. Throws 400 errors. */
+function resolveMapOptions(body = {}) {
+  const outputFormat = normalizeOutputFormat(body.output_format);
+  const projectName  = (body.project_name || 'mapping-output').trim() || 'mapping-output';
+  const matchMode    = (body.match_mode || MATCH_MODE).toLowerCase();
+  if (!['rules','ai','hybrid'].includes(matchMode)) throw httpError(400, 'match_mode must be rules|ai|hybrid');
+  const ruleThreshold = body.rule_threshold != null && body.rule_threshold !== '' ? parseFloat(body.rule_threshold) : RULE_ACCEPT;
+  if (!(ruleThreshold >= 0 && ruleThreshold <= 1)) throw httpError(400, 'rule_threshold must be between 0 and 1');
+  const shortlistTokens = body.shortlist_tokens ? parseInt(body.shortlist_tokens, 10) : SHORTLIST_TOKENS;
+  if (!(shortlistTokens > 0)) throw httpError(400, 'shortlist_tokens must be a positive integer');
+  const alternatives = body.alternatives != null && body.alternatives !== '' ? Number(body.alternatives) : ALTERNATIVES;
+  if (!(Number.isInteger(alternatives) && alternatives >= 0 && alternatives <= 10)) throw httpError(400, 'alternatives must be an integer from 0 to 10');
+  const sourceEncoding = (body.source_encoding || 'auto').trim().toLowerCase();
+  if (sourceEncoding !== 'auto' && !iconv.encodingExists(sourceEncoding)) throw httpError(400, `source_encoding "${sourceEncoding}" is not supported`);
+  const sourceSheet = (body.source_sheet || '').trim();
+  const noCache = ['1', 'true', 'yes', 'on'].includes(String(body.no_cache || '').toLowerCase());
+  const samplePolicy = (body.sample_policy || SAMPLE_POLICY).trim().toLowerCase();
+  if (!SAMPLE_POLICIES.includes(samplePolicy)) throw httpError(400, `sample_policy must be ${SAMPLE_POLICIES.join('|')}`);
+  let llm;
+  try { llm = resolveLlmOptions(body); } catch (e) { throw httpError(400, e.message); }
+  return { outputFormat, projectName, matchMode, ruleThreshold, shortlistTokens, alternatives, sourceEncoding, sourceSheet, noCache, samplePolicy, llm };
+}
+
+/** Reads the source, parses the target schemas, matches fields (glossary, rules, model batches) and assembles the output tables. */
+async function runMapping({ schemaFiles, srcFile, baselineFile, layout, glossary = null }, opts, { onProgress = () => {}, signal } = {}) {
+  const { matchMode, ruleThreshold, shortlistTokens, alternatives = ALTERNATIVES, sourceEncoding, sourceSheet, noCache, samplePolicy = SAMPLE_POLICY, llm } = opts;
+  const startedAt = Date.now();
+  const checkAborted = () => { if (signal?.aborted) throw httpError(499, 'Mapping cancelled'); };
+  onProgress({ phase: 'reading source', batchesDone: 0, batchesTotal: 0, fieldsDone: 0, fieldsTotal: 0 });
+  const source = await scanSource(srcFile.path, srcFile.originalname, { encoding: sourceEncoding, sheet: sourceSheet, layout });
+  const { samples } = source;
+  // `shown` is what may leave the server (prompts, sheets); the raw samples stay with rules and type checks.
+  const shown = protectSource(source, samplePolicy);
+  const { profile, preview } = shown;
+  const sourceFields = source.rowCount ? source.fields : [];
+  checkAborted();
+
+  onProgress({ phase: 'parsing schemas', batchesDone: 0, batchesTotal: 0, fieldsDone: 0, fieldsTotal: sourceFields.length });
+  const read = schemaFiles.map(f => readTargetSchema({ name: f.originalname, text: f.buffer.toString('utf-8') }));
+  const schemas = read.map(({ name, text, language }) => ({ name, text, language }));
+  // One parse serves the dictionary (leaves) and the schema tree (with its complex elements).
+  const schemaRows = parseTargetSchemas(read, { containers: true });
+  const targetDict = schemaRows.filter(r => r.container !== 'yes');
+
+  const profileByField = Object.fromEntries(profile.map(p => [p.Field, p]));
+
+  const baseline = baselineFile ? readBaselineMapping(baselineFile.buffer, baselineFile.originalname) : null;
+  const carried = baseline ? carryOverBaseline(baseline, sourceFields, targetDict) : { kept: [], status: {}, notes: {}, dropped: [] };
+  const keptFields = new Set(carried.kept.map(r => r.SourceField));
+  const resolve = pathResolver(targetDict);
+  const known = sourceFields.filter(c => !keptFields.has(c)).map(c => glossaryMatch(c, glossary, resolve, alternatives)).filter(Boolean);
+  const knownFields = new Set(known.map(r => r.SourceField));
+  const toMatch = sourceFields.filter(c => !keptFields.has(c) && !knownFields.has(c));
+
+  let results = [...carried.kept, ...known];
+  let pending = toMatch;
+  let ruledBy = new Map();
+  if (matchMode !== 'ai') {
+    onProgress({ phase: 'rule matching', batchesDone: 0, batchesTotal: 0, fieldsDone: results.length, fieldsTotal: sourceFields.length });
+    const index = buildRuleIndex(targetDict);
+    const ruled = toMatch.map(c => ruleMatch(c, samples[c], index, alternatives, glossary));
+    ruledBy = new Map(ruled.map(r => [r.SourceField, r]));
+    const llmReady = LLM_PROVIDERS[llm.provider].ready();
+    if (matchMode === 'hybrid' && !llmReady) log.warn(`[map] ${llm.provider} provider not configured; hybrid mode falls back to rule matches`);
+    const accept = r => matchMode === 'rules' || !llmReady || (r.SuggestedTargetPath && r.MatchScore >= ruleThreshold);
+    results = results.concat(ruled.filter(accept));
+    pending = ruled.filter(r => !accept(r)).map(r => r.SourceField);
+  }
+  const considered = {};
+  for (const c of sourceFields) considered[c] = matchMode === 'ai' || keptFields.has(c) || knownFields.has(c) ? 0 : targetDict.length;
+  const shortlistIndex = pending.length ? buildShortlistIndex(targetDict) : null;
+  const batchesTotal = Math.ceil(pending.length / 60);
+  const modelBatches = [];
+  for (let i=0; i<pending.length; i+=60) {
+    checkAborted();
+    onProgress({ phase: 'model batches', batchesDone: i / 60, batchesTotal, fieldsDone: results.length, fieldsTotal: sourceFields.length });
+    const batch = pending.slice(i, i+60);
+    const subset = {}; batch.forEach(k => subset[k] = shown.samples[k]);
+    const lists = {}; batch.forEach(k => { lists[k] = shortlistFor(expandTerms(k, glossary).name, samples[k], shortlistIndex, shortlistTokens); considered[k] = lists[k].length; });
+    const rowIdx = [...new Set(Object.values(lists).flat())].sort((a, b) => a - b);
+    const local = new Map(rowIdx.map((g, j) => [g, j]));
+    const localLists = {}; batch.forEach(k => localLists[k] = lists[k].map(g => local.get(g)));
+    const stats = newBatchStats();
+    const n = i / 60 + 1;
+    try {
+      const mapped = await aoaiMapBatch(batch, rowIdx.map(g => targetDict[g]), samplePolicy === 'none' ? null : subset, { llm, shortlists: localLists, profiles: profileByField, alternatives, glossary, signal, stats, noCache });
+      results = results.concat(mapped);
+      modelBatches.push({ Batch: n, Fields: batch.length, Status: 'ok', ...statsColumns(stats), Error: '' });
+    } catch (err) {
+      checkAborted();
+      const message = llmErrorMessage(err);
+      log.error(`[map] model batch ${n}/${batchesTotal} failed: ${message}`);
+      modelBatches.push({ Batch: n, Fields: batch.length, Status: 'failed', ...statsColumns(stats), Error: message });
+      // A failed batch keeps whatever the rules found (hybrid mode) instead of failing the whole mapping.
+      results = results.concat(batch.map(c => {
+        const ruled = ruledBy.get(c);
+        if (ruled && ruled.SuggestedTargetPath) return { ...ruled, Rationale: `Model batch ${n} failed; rule match kept. ${ruled.Rationale}` };
+        return { SourceField: c, SuggestedTargetPath: '', MatchScore: 0, Rationale: `Model batch ${n} failed: ${message}`, MatchMethod: '' };
+      }));
+    }
+  }
+  checkAborted();
+  onProgress({ phase: 'assembling output', batchesDone: batchesTotal, batchesTotal, fieldsDone: sourceFields.length, fieldsTotal: sourceFields.length });
+  const have = new Set(results.map(r => r.SourceField));
+  for (const c of sourceFields) if (!have.has(c)) results.push({ SourceField: c, SuggestedTargetPath: '', MatchScore: 0.0, Rationale: '', MatchMethod: '' });
+  const order = new Map(sourceFields.map((c, i) => [c, i]));
+  results.sort((a, b) => (order.get(a.SourceField) ?? Infinity) - (order.get(b.SourceField) ?? Infinity));
+
+  const extraByPath = new Map(targetDict.map(r => [r.path, r]));
+  const fieldSet = new Set(sourceFields);
+  for (const r of results) {
+    const { applied } = r.MatchMethod === 'ai' ? expandTerms(r.SourceField, glossary) : { applied: [] };
+    if (applied.length) r.Rationale = `${r.Rationale || ''} Glossary ${termList(applied)} sent to the model.`.trim();
+    if (r.Transform) {
+      const unknown = rowInputs(r).filter(f => !fieldSet.has(f));
+      if (unknown.length) Object.assign(r, { Transform: '', Rationale: `${r.Rationale || ''} Dropped transform ${r.Transform}: it reads ${unknown.join(', ')}, which the source does not have.`.trim() });
+    }
+    const target = extraByPath.get(r.SuggestedTargetPath);
+    const suggested = !r.Transform && r.MatchMethod !== 'baseline' && target ? suggestTransform(samples[r.SourceField], profileByField[r.SourceField], target) : '';
+    if (suggested) Object.assign(r, { Transform: suggested, Rationale: `${r.Rationale || ''} Transform ${suggested} suggested from the sample values.`.trim() });
+  }
+  const consumers = new Map();
+  for (const r of results) {
+    if (r.SuggestedTargetPath) for (const f of rowInputs(r)) if (f !== r.SourceField) consumers.set(f, [...(consumers.get(f) || []), r.SourceField]);
+  }
+  const bySource = results.map((r, idx) => {
+    const extra = extraByPath.get(r.SuggestedTargetPath) || {};
+    const usedBy = !r.SuggestedTargetPath && consumers.get(r.SourceField);
+    return {
+      SourceOrder: idx + 1,
+      SourceField: r.SourceField,
+      SuggestedTargetPath: r.SuggestedTargetPath,
+      TargetSchema: extra.schema || '',
+      TargetType: extra.type || '',
+      Occurs: `${extra.minOccurs || ''}..${extra.maxOccurs || ''}`,
+      Transform: r.Transform || '',
+      ExtraTargetPaths: r.ExtraTargetPaths || '',
+      MatchScore: r.MatchScore,
+      MatchMethod: r.MatchMethod || '',
+      PathsConsidered: considered[r.SourceField] ?? 0,
+      SampleValue: shown.samples[r.SourceField]?.[0] || '',
+      Rationale: [carried.notes[r.SourceField], usedBy && `Used by the transform of ${usedBy.join(', ')}.`, r.Rationale].filter(Boolean).join(' '),
+      Approved: r.MatchMethod === 'baseline' ? 'yes' : '',
+      ...(baseline ? { BaselineStatus: carried.status[r.SourceField] || 'new field' } : {}),
+      ...alternativeColumns(r.Alternatives, alternatives)
+    };
+  });
+  const byScore = [...bySource].sort((a,b) => (b.MatchScore||0) - (a.MatchScore||0));
+  const usedLlm = modelBatches.length > 0;
+  const total = col => modelBatches.reduce((sum, b) => sum + b[col], 0);
+  const promptTokens = total('PromptTokens'), completionTokens = total('CompletionTokens');
+  const cost = estimateCost(llm.model, promptTokens, completionTokens);
+  const runInfo = [
+    { Item: 'Generated', Value: new Date().toISOString() },
+    { Item: 'Match mode', Value: matchMode },
+    { Item: 'LLM provider', Value: usedLlm ? llm.provider : `${llm.provider} (not called)` },
+    { Item: 'LLM model', Value: llm.model },
+    { Item: 'Temperature', Value: llm.temperature },
+    { Item: 'Max tokens', Value: llm.max_tokens },
+    { Item: 'Shortlist token budget (per field)', Value: shortlistTokens },
+    { Item: 'Alternatives per field', Value: alternatives },
+    { Item: 'Response format', Value: LLM_RESPONSE_FORMAT },
+    { Item: 'Sample policy', Value: samplePolicy },
+    { Item: 'PII columns', Value: profile.filter(p => p.PII).map(p => `${p.Field} (${p.PII})`).join(', ') || 'none detected' },
+    { Item: 'Model batches (failed)', Value: `${modelBatches.length} (${modelBatches.filter(b => b.Status === 'failed').length})` },
+    { Item: 'Model calls', Value: total('Calls') },
+    { Item: 'Cache hits (batches)', Value: noCache ? 'cache bypassed (no_cache)' : total('CacheHits') },
+    { Item: 'Prompt tokens', Value: promptTokens },
+    { Item: 'Completion tokens', Value: completionTokens },
+    { Item: 'Estimated cost (USD)', Value: cost == null ? (usedLlm ? `no price for ${llm.model} in LLM_PRICES` : 0) : Number(cost.toFixed(6)) },
+    { Item: 'Source file', Value: srcFile.originalname },
+    { Item: 'Source rows', Value: source.rowCount },
+    { Item: 'Source fields', Value: sourceFields.length },
+    { Item: 'Target schemas', Value: schemas.map(f => `${f.name} (${SCHEMA_LANGUAGES[f.language]})`).join(', ') },
+    { Item: 'Target paths', Value: targetDict.length },
+    ...(glossary ? [
+      { Item: 'Glossary', Value: `${glossary.terms?.length || 0} terms, ${glossary.pairs?.length || 0} pairs` },
+      { Item: 'Fields matched by glossary pairs', Value: known.length }
+    ] : []),
+    ...(baseline ? [
+      { Item: 'Baseline mapping', Value: baselineFile.originalname },
+      { Item: 'Baseline rows kept', Value: carried.kept.length },
+      { Item: 'Baseline targets removed from schemas', Value: Object.values(carried.status).filter(s => s === 'target removed').length },
+      { Item: 'Baseline fields missing from source', Value: carried.dropped.join(', ') }
+    ] : [])
+  ];
+  runInfo.push({ Item: 'Duration (s)', Value: Number(((Date.now() - startedAt) / 1000).toFixed(1)) });
+  const issues = validateMapping(bySource, targetDict, samples, sampleProtector(samplePolicy, profile));
+  // Raw rows and the schema texts stay in memory (like `samples`) for the xml output's instances and validation.
+  const sampleRows = source.preview.slice(0, XML_SAMPLE_ROWS);
+  return { preview, targetDict, schemaRows, samples, samplePolicy, profile, bySource, byScore, issues, modelBatches, runInfo, sampleRows, schemas };
+}
+
+/** Applies reviewer decisions, matched by SourceOrder (else SourceField); a changed path, transform or extra targets is an override. */
+function applyReview(result, reviewRows) {
+  if (!Array.isArray(reviewRows)) throw httpError(400, 'rows must be an array');
+  const byPath = new Map(result.targetDict.map(r => [r.path, r]));
+  const review = new Map(reviewRows.map(r => [r.SourceOrder != null ? `#${r.SourceOrder}` : String(r.SourceField), r]));
+  const unknown = reviewRows.flatMap(r => [r.SuggestedTargetPath, ...extraTargetPaths(r.ExtraTargetPaths)]).filter(p => p && !byPath.has(p));
+  if (unknown.length) throw httpError(400, `Unknown target path(s): ${unknown.slice(0, 5).join(', ')}`);
+  const badStatus = reviewRows.map(r => r.ReviewStatus).filter(s => s && !REVIEW_STATUSES.includes(s));
+  if (badStatus.length) throw httpError(400, `ReviewStatus must be ${REVIEW_STATUSES.join('|')}`);
+  const fields = new Set(result.bySource.map(r => r.SourceField));
+  for (const r of reviewRows.filter(rv => rv.Transform)) {
+    let inputs;
+    try { inputs = transformFields(parseTransform(r.Transform), String(r.SourceField)); } catch (err) { throw httpError(400, `Invalid transform for ${r.SourceField}: ${err.message}`); }
+    const missing = inputs.filter(f => !fields.has(f));
+    if (missing.length) throw httpError(400, `Transform for ${r.SourceField} reads unknown source field(s): ${missing.join(', ')}`);
+  }
+  const bySource = result.bySource.map(row => {
+    const rv = review.get(`#${row.SourceOrder}`) || review.get(row.SourceField);
+    if (!rv) return { ...row, ReviewStatus: 'pending' };
+    const path = rv.SuggestedTargetPath == null ? row.SuggestedTargetPath : String(rv.SuggestedTargetPath);
+    const transform = rv.Transform == null ? row.Transform || '' : String(rv.Transform).trim();
+    const extras = rv.ExtraTargetPaths == null ? row.ExtraTargetPaths || '' : extraTargetPaths(rv.ExtraTargetPaths).join('; ');
+    const approved = ['accepted', 'overridden'].includes(rv.ReviewStatus) ? 'yes' : '';
+    if (path === row.SuggestedTargetPath && transform === (row.Transform || '') && extras === (row.ExtraTargetPaths || '')) {
+      return { ...row, Approved: approved, ReviewStatus: rv.ReviewStatus || 'pending' };
+    }
+    const extra = byPath.get(path) || {};
+    const suggested = [row.SuggestedTargetPath || 'none', row.Transform && `with ${row.Transform}`].filter(Boolean).join(' ');
+    return {
+      ...row,
+      SuggestedTargetPath: path,
+      Transform: transform,
+      ExtraTargetPaths: extras,
+      TargetSchema: extra.schema || '',
+      TargetType: extra.type || '',
+      Occurs: `${extra.minOccurs || ''}..${extra.maxOccurs || ''}`,
+      Rationale: `Reviewer override (suggested: ${suggested}). ${row.Rationale || ''}`.trim(),
+      Approved: rv.ReviewStatus === 'rejected' ? '' : 'yes',
+      ReviewStatus: rv.ReviewStatus === 'rejected' ? 'rejected' : 'overridden'
+    };
+  });
+  const counts = {};
+  for (const r of bySource) counts[r.ReviewStatus] = (counts[r.ReviewStatus] || 0) + 1;
+  return {
+    ...result,
+    bySource,
+    byScore: [...bySource].sort((a,b) => (b.MatchScore||0) - (a.MatchScore||0)),
+    issues: validateMapping(bySource, result.targetDict, result.samples, sampleProtector(result.samplePolicy, result.profile)),
+    runInfo: [...result.runInfo, { Item: 'Reviewed', Value: new Date().toISOString() },
+      ...REVIEW_STATUSES.map(s => ({ Item: `Review: ${s}`, Value: counts[s] || 0 }))]
+  };
+}
+
+// The reviewer-confirmed mappings of a reviewed result (accepted or overridden, with a path) as glossary pairs.
+function confirmedPairs(result) {
+  return result.bySource
+    .filter(r => ['accepted', 'overridden'].includes(r.ReviewStatus) && r.SuggestedTargetPath)
+    .map(r => ({ source: r.SourceField, targetPath: r.SuggestedTargetPath }));
+}
+
+module.exports = {
+  OUTPUT_FORMATS, REVIEW_STATUSES, SAMPLE_POLICIES, LLM_PROVIDERS,
+  log, redactText, httpError,
+  scanSource, parseFixedWidthLayout, parseXsdPaths, readTargetSchema, parseTargetSchemas, schemaTree, readBaselineMapping, readMappingSpec,
+  readGlossary, glossaryEntry, glossaryKey, confirmedPairs,
+  resolveMapOptions, resolveLlmOptions, normalizeOutputFormat, aoaiMapBatch, runMapping, applyReview,
+  validateMapping, mappingCoverage, extraSheetsOf,
+  buildExcelBuffer, dfToHtmlDoc, mappingWorkbook, mappingHtmlPages, mappingJson, mappingSpec, mappingOutputs,
+  xmlTemplates, renderInstance, xmlOutputs, parseTransform, evalTransform
+};
@@ -0,0 +1,102 @@
+/** Team glossary: { terms: [{ term, expansion }], pairs: [{ source, targetPath, confirmations, updatedAt }] }. */
+const xlsx = require('xlsx');
+const { httpError } = require('../errors');
+const { decodeSource } = require('../sources/read');
+const { splitName } = require('./names');
+
+// Known reviewed pairs sent to the model per batch, as examples of the team's conventions.
+const GLOSSARY_EXAMPLES = 40;
+
+// How glossary pairs compare source names: case, spaces and punctuation ignored.
+function glossaryKey(name) {
+  return String(name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/** One glossary entry checked and trimmed: { term, expansion } for "terms", { source, targetPath } for "pairs". Throws 400 errors. */
+function glossaryEntry(kind, e, where = 'glossary entry') {
+  const k = Object.fromEntries(Object.entries(e || {}).map(([key, v]) => [key.trim().toLowerCase().replace(/[^a-z]/g, ''), v]));
+  if (kind === 'terms') {
+    const term = String(k.term ?? k.abbreviation ?? '').trim(), expansion = String(k.expansion ?? k.meaning ?? '').trim();
+    if (!splitName(term).length || !splitName(expansion).length) throw httpError(400, `${where} needs a term and an expansion`);
+    return { term, expansion };
+  }
+  if (kind === 'pairs') {
+    const source = String(k.source ?? k.sourcefield ?? '').trim(), targetPath = String(k.targetpath ?? k.target ?? '').trim();
+    if (!glossaryKey(source) || !targetPath) throw httpError(400, `${where} needs a source and a targetPath`);
+    return { source, targetPath };
+  }
+  throw httpError(400, 'glossary kind must be terms|pairs');
+}
+
+/** Reads an uploaded glossary: JSON { terms, pairs }, or JSON/CSV rows that are each a term or a pair. */
+function readGlossary(buf, filename) {
+  const text = decodeSource(buf);
+  let rows;
+  if ((filename || '').toLowerCase().endsWith('.json')) {
+    let data;
+    try { data = JSON.parse(text); } catch (e) { throw httpError(400, `glossary is not valid JSON: ${e.message}`); }
+    if (data && !Array.isArray(data) && typeof data === 'object') {
+      return {
+        terms: (data.terms || []).map((e, i) => glossaryEntry('terms', e, `glossary term ${i + 1}`)),
+        pairs: (data.pairs || []).map((e, i) => glossaryEntry('pairs', e, `glossary pair ${i + 1}`))
+      };
+    }
+    rows = data;
+  } else {
+    rows = xlsx.utils.sheet_to_json(xlsx.read(text, { type: 'string' }).Sheets.Sheet1, { defval: '' });
+  }
+  const out = { terms: [], pairs: [] };
+  rows.forEach((row, i) => {
+    const isTerm = Object.keys(row || {}).some(key => /^(term|abbreviation)$/i.test(key.trim()) && String(row[key]).trim());
+    const kind = isTerm ? 'terms' : 'pairs';
+    out[kind].push(glossaryEntry(kind, row, `glossary row ${i + 1}`));
+  });
+  if (!out.terms.length && !out.pairs.length) throw httpError(400, 'glossary has no entries');
+  return out;
+}
+
+// A field name with its glossary terms expanded ("LE_ID" -> "legal entity identifier"), longest terms first; `applied` lists them.
+function expandTerms(field, glossary) {
+  const words = splitName(field);
+  const terms = (glossary?.terms || []).map(t => ({ ...t, words: splitName(t.term) })).sort((a, b) => b.words.length - a.words.length);
+  if (!terms.length) return { name: field, applied: [] };
+  const out = [], applied = [];
+  for (let i = 0; i < words.length;) {
+    const t = terms.find(t => t.words.every((w, j) => words[i + j] === w));
+    if (t) { out.push(...splitName(t.expansion)); if (!applied.includes(t)) applied.push(t); i += t.words.length; }
+    else out.push(words[i++]);
+  }
+  return applied.length ? { name: out.join(' '), applied } : { name: field, applied };
+}
+
+const termList = terms => terms.map(t => `${t.term} = ${t.expansion}`).join(', ');
+
+// A By Source row from the latest confirmed pair for `field` whose path is in the dictionary, the others as alternatives; or null.
+function glossaryMatch(field, glossary, resolve, alternatives = 0) {
+  const key = glossaryKey(field);
+  const known = (glossary?.pairs || [])
+    .filter(p => glossaryKey(p.source) === key)
+    .map(p => ({ ...p, path: resolve(p.targetPath) }))
+    .filter(p => p.path)
+    .sort((a, b) => String(b.updatedAt || '').localeCompare(String(a.updatedAt || '')));
+  if (!known.length) return null;
+  const [best, ...rest] = known.filter((p, i) => known.findIndex(q => q.path === p.path) === i);
+  const confirmed = p => (p.confirmations ? `confirmed ${p.confirmations} time(s) in review` : 'a known pair');
+  return {
+    SourceField: field, SuggestedTargetPath: best.path, MatchScore: 1, MatchMethod: 'glossary',
+    Rationale: `Glossary decided this match: "${best.source}" -> ${best.targetPath}, ${confirmed(best)}.`,
+    Alternatives: rest.slice(0, alternatives).map(p => ({ path: p.path, score: 0.9, rationale: `Glossary pair, ${confirmed(p)}.` }))
+  };
+}
+
+// The prompt's glossary part: the batch's terms and up to GLOSSARY_EXAMPLES confirmed pairs among its candidates; or null.
+function glossaryPrompt(glossary, sourceCols, targetRows) {
+  const terms = {};
+  for (const c of sourceCols) for (const t of expandTerms(c, glossary).applied) terms[t.term] = t.expansion;
+  const paths = new Set(targetRows.map(r => r.path));
+  const known = (glossary?.pairs || []).filter(p => paths.has(p.targetPath)).slice(0, GLOSSARY_EXAMPLES)
+    .map(p => ({ source: p.source, target_path: p.targetPath }));
+  return Object.keys(terms).length || known.length ? { terms, known_mappings: known } : null;
+}
+
+module.exports = { glossaryKey, glossaryEntry, readGlossary, expandTerms, termList, glossaryMatch, glossaryPrompt };
@@ -0,0 +1,29 @@
+/** Field and element names split into comparable words. */
+
+const NAME_ABBREVIATIONS = {
+  acct: 'account', acc: 'account', addr: 'address', amt: 'amount', bal: 'balance', cd: 'code', ccy: 'currency',
+  cur: 'currency', curr: 'currency', cntry: 'country', ctry: 'country', cust: 'customer', desc: 'description',
+  descr: 'description', dob: 'birth date', dt: 'date', dttm: 'date time', ts: 'timestamp', email: 'email',
+  fname: 'first name', lname: 'last name', id: 'identifier', ident: 'identifier', inv: 'invoice', msg: 'message',
+  nbr: 'number', num: 'number', no: 'number', nm: 'name', org: 'organisation', organization: 'organisation',
+  pct: 'percent', ph: 'phone', tel: 'phone', telephone: 'phone', qty: 'quantity', ref: 'reference',
+  seq: 'sequence', txn: 'transaction', trx: 'transaction', tx: 'transaction', vat: 'tax', zip: 'postal code',
+  postcode: 'postal code', st: 'street', tot: 'total', uom: 'unit measure', val: 'value', ver: 'version'
+};
+
+// A name's lower-case words: prefix and @ dropped, camelCase, digits and punctuation split.
+function splitName(name) {
+  return String(name || '')
+    .replace(/^@/, '').replace(/^[^:]*:/, '')
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2').replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+    .replace(/([a-zA-Z])(\d)/g, '$1 $2').replace(/(\d)([a-zA-Z])/g, '$1 $2')
+    .toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+}
+
+function nameTokens(name) {
+  return splitName(name)
+    .flatMap(t => (NAME_ABBREVIATIONS[t] || t).split(' '))
+    .map(t => (t.length > 3 && t.endsWith('s') && !t.endsWith('ss') ? t.slice(0, -1) : t));
+}
+
+module.exports = { splitName, nameTokens };
@@ -0,0 +1,98 @@
+/** Rule-based matcher (offline). */
+const { nameTokens } = require('./names');
+const { expandTerms, termList } = require('./glossary');
+
+function editSimilarity(a, b) {
+  if (!a.length && !b.length) return 1;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    for (let j = 1; j <= b.length; j++) cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    prev = cur;
+  }
+  return 1 - prev[b.length] / Math.max(a.length, b.length);
+}
+
+// Coarse value kinds shared by sample inference and XSD built-in types.
+const XSD_KINDS = {
+  integer: ['int', 'integer', 'long', 'short', 'byte', 'nonNegativeInteger', 'positiveInteger', 'negativeInteger', 'nonPositiveInteger', 'unsignedInt', 'unsignedLong', 'unsignedShort', 'unsignedByte', 'gYear'],
+  decimal: ['decimal', 'float', 'double'],
+  date: ['date'],
+  datetime: ['dateTime', 'dateTimeStamp'],
+  boolean: ['boolean']
+};
+function xsdKind(baseType) {
+  for (const [kind, names] of Object.entries(XSD_KINDS)) if (names.includes(baseType)) return kind;
+  return baseType ? 'string' : '';
+}
+function sampleKind(values) {
+  const vals = (values || []).map(v => String(v).trim()).filter(Boolean);
+  if (!vals.length) return '';
+  const all = re => vals.every(v => re.test(v));
+  if (all(/^[+-]?\d+$/)) return 'integer';
+  if (all(/^[+-]?(\d{1,3}([,.]\d{3})*|\d+)([.,]\d+)?$/)) return 'decimal';
+  if (all(/^(true|false|yes|no|y|n)$/i)) return 'boolean';
+  if (all(/^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}/)) return 'datetime';
+  if (all(/^(\d{4}[-/.]\d{1,2}[-/.]\d{1,2}|\d{1,2}[-/.]\d{1,2}[-/.]\d{2,4})$/)) return 'date';
+  return 'string';
+}
+function typeCompatibility(values, target) {
+  const enums = target.enumeration ? String(target.enumeration).split('|') : null;
+  const vals = (values || []).map(v => String(v).trim()).filter(Boolean);
+  if (enums && vals.length) return vals.every(v => enums.includes(v)) ? 1 : (vals.some(v => enums.includes(v)) ? 0.6 : 0.2);
+  const s = sampleKind(vals), t = xsdKind(target.baseType || target.type);
+  if (!s || !t) return 0.5;
+  if (s === t) return 1;
+  if (t === 'string') return 0.8;
+  if (s === 'integer' && (t === 'decimal' || (t === 'boolean' && vals.every(v => v === '0' || v === '1')))) return t === 'decimal' ? 1 : 0.6;
+  if (s === 'date' && t === 'datetime') return 0.6;
+  return 0;
+}
+
+function buildRuleIndex(targetRows) {
+  return targetRows.map(r => {
+    const segs = String(r.path || '').split('/');
+    const leaf = nameTokens(segs[segs.length - 1]);
+    const parents = new Set(segs.slice(0, -1).flatMap(nameTokens));
+    return { row: r, leaf, leafSet: new Set(leaf), parents, leafKey: leaf.join('') };
+  });
+}
+
+// The `limit` best target paths for a source column: 0.6 token similarity + 0.25 edit similarity + 0.15 type fit.
+function ruleCandidates(field, values, index, limit = 5) {
+  const src = nameTokens(field);
+  const srcKey = src.join('');
+  const out = [];
+  for (const t of index) {
+    if (!src.length || !t.leaf.length) continue;
+    let covered = 0;
+    for (const tok of src) covered += t.leafSet.has(tok) ? 1 : (t.parents.has(tok) ? 0.7 : 0);
+    const recall = covered / src.length;
+    const precision = t.leaf.filter(tok => src.includes(tok)).length / t.leaf.length;
+    const tokenSim = recall + precision ? (2 * recall * precision) / (recall + precision) : 0;
+    const edit = editSimilarity(srcKey, t.leafKey);
+    if (tokenSim === 0 && edit < 0.6) continue;
+    const type = typeCompatibility(values, t.row);
+    let score = 0.6 * tokenSim + 0.25 * edit + 0.15 * type;
+    if (srcKey === t.leafKey && type >= 0.5) score = Math.max(score, 0.9 + 0.1 * type);
+    out.push({ path: t.row.path, score: Math.round(score * 1000) / 1000, tokenSim, edit, type });
+  }
+  out.sort((a, b) => b.score - a.score || a.path.length - b.path.length);
+  return out.slice(0, limit);
+}
+
+// The best rule candidate as a By Source row, the next `alternatives` as Alternatives; glossary terms are expanded first.
+function ruleMatch(field, values, index, alternatives = 0, glossary = null) {
+  const { name, applied } = expandTerms(field, glossary);
+  const [best, ...rest] = ruleCandidates(name, values, index, 1 + alternatives).filter(c => c.score >= 0.2);
+  if (!best) return { SourceField: field, SuggestedTargetPath: '', MatchScore: 0, Rationale: 'Rule match: no candidate path', MatchMethod: 'rules', Alternatives: [] };
+  const rationale = c => `Rule match: tokens ${c.tokenSim.toFixed(2)}, edit ${c.edit.toFixed(2)}, ${c.type >= 0.8 ? 'type ok' : (c.type >= 0.5 ? 'type unverified' : 'type mismatch')}`;
+  const [plain] = applied.length ? ruleCandidates(field, values, index, 1).filter(c => c.score >= 0.2) : [best];
+  const decided = plain?.path !== best.path ? `. Glossary ${termList(applied)} decided this match.` : '';
+  return {
+    SourceField: field, SuggestedTargetPath: best.path, MatchScore: best.score, MatchMethod: 'rules', Rationale: rationale(best) + decided,
+    Alternatives: rest.map(c => ({ path: c.path, score: c.score, rationale: rationale(c) }))
+  };
+}
+
+module.exports = { xsdKind, buildRuleIndex, ruleCandidates, ruleMatch };
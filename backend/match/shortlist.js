@@ -0,0 +1,76 @@
+/** Candidate shortlisting: the BM25-ranked target paths sent with each field to the model. */
+const { XSD_FACETS } = require('../schema/xsd');
+const { nameTokens } = require('./names');
+const { buildRuleIndex, ruleCandidates } = require('./rules');
+
+// Compact dictionary entry as sent to the model.
+function targetEntry(r) {
+  const t = { path: r.path, type: r.type || '', occurs: `${r.minOccurs || ''}..${r.maxOccurs || ''}`, schema: r.schema || '' };
+  const facets = {};
+  for (const k of XSD_FACETS) if (r[k]) facets[k] = r[k];
+  if (Object.keys(facets).length) t.facets = facets;
+  if (r.fixed) t.fixed = r.fixed;
+  if (r.recursive) t.recursive = true;
+  if (r.documentation) t.doc = String(r.documentation).slice(0, 200);
+  return t;
+}
+const estimateTokens = (obj) => Math.ceil(JSON.stringify(obj).length / 4);
+
+// BM25 index over the target dictionary: leaf (x3), parents, types and documentation, normalized like the rule matcher.
+function buildShortlistIndex(targetRows) {
+  const postings = new Map();
+  const lengths = [];
+  targetRows.forEach((r, i) => {
+    const segs = String(r.path || '').split('/');
+    const tf = new Map();
+    const add = (toks, w) => { for (const t of toks) tf.set(t, (tf.get(t) || 0) + w); };
+    add(nameTokens(segs[segs.length - 1]), 3);
+    add(segs.slice(0, -1).flatMap(nameTokens), 1);
+    add([...nameTokens(r.type), ...nameTokens(r.baseType)], 1);
+    add(nameTokens(r.documentation), 0.5);
+    let len = 0;
+    for (const [t, n] of tf) { len += n; if (!postings.has(t)) postings.set(t, []); postings.get(t).push([i, n]); }
+    lengths.push(len);
+  });
+  const entryTokens = targetRows.map(r => estimateTokens(targetEntry(r)));
+  return {
+    rows: targetRows, postings, lengths, entryTokens,
+    avgLen: lengths.reduce((a, b) => a + b, 0) / (lengths.length || 1),
+    totalTokens: entryTokens.reduce((a, b) => a + b, 0),
+    byPath: new Map(targetRows.map((r, i) => [r.path, i]).reverse()),
+    rules: buildRuleIndex(targetRows)
+  };
+}
+
+function bm25Rank(index, query, k1 = 1.2, b = 0.75) {
+  const N = index.rows.length;
+  const scores = new Map();
+  for (const t of new Set(query)) {
+    const list = index.postings.get(t);
+    if (!list) continue;
+    const idf = Math.log(1 + (N - list.length + 0.5) / (list.length + 0.5));
+    for (const [i, tf] of list) {
+      const s = idf * (tf * (k1 + 1)) / (tf + k1 * (1 - b + b * index.lengths[i] / index.avgLen));
+      scores.set(i, (scores.get(i) || 0) + s);
+    }
+  }
+  return [...scores].sort((x, y) => y[1] - x[1]).map(([i]) => i);
+}
+
+// Row indices of a field's likely target paths, top rule candidates first, until `budget` estimated prompt tokens are spent.
+function shortlistFor(field, values, index, budget) {
+  if (index.totalTokens <= budget) return index.rows.map((_, i) => i);
+  const ranked = [
+    ...ruleCandidates(field, values, index.rules, 5).map(c => index.byPath.get(c.path)),
+    ...bm25Rank(index, nameTokens(field))
+  ];
+  const picked = []; const seen = new Set(); let used = 0;
+  for (const i of ranked) {
+    if (i == null || seen.has(i)) continue;
+    if (picked.length && used + index.entryTokens[i] > budget) break;
+    seen.add(i); picked.push(i); used += index.entryTokens[i];
+  }
+  return picked;
+}
+
+module.exports = { targetEntry, buildShortlistIndex, shortlistFor };
@@ -0,0 +1,133 @@
+/** Output formats of a mapping result. */
+const YAML = require('yaml');
+const { OUTPUT_FORMATS } = require('../config');
+const { httpError } = require('../errors');
+const { sampleProtector } = require('../sources/protect');
+const { rowInputs, rowTargetValues } = require('../transform/expressions');
+const { xsdValueProblem, mappingCoverage } = require('../checks/coverage');
+const { buildExcelBuffer, dfToHtmlDoc } = require('./tables');
+const { rowFeeds, schemaTree, schemaTreeRows } = require('../schema/tree');
+const { mappingSpec, mappingSpecCsv, mappingSpecMarkdown } = require('./spec');
+const { xmlOutputs } = require('./xml');
+
+// Expands an output_format value into its parts, de-duplicated and in OUTPUT_FORMATS order. Throws 400 errors.
+function outputFormatParts(value) {
+  const parts = String(value || 'both').toLowerCase().split(',').map(s => s.trim()).filter(Boolean);
+  if (!parts.length || parts.some(p => !OUTPUT_FORMATS.includes(p))) {
+    throw httpError(400, `output_format must be one or more of ${OUTPUT_FORMATS.join('|')}, comma-separated`);
+  }
+  if (parts.includes('json') && parts.length > 1) throw httpError(400, 'output_format json cannot be combined with other formats');
+  const wanted = new Set(parts.flatMap(p => (p === 'both' ? ['xlsx', 'html'] : [p])));
+  return OUTPUT_FORMATS.filter(f => wanted.has(f));
+}
+
+/** Canonical form of an output_format value: "both" for xlsx + html, otherwise the sorted parts joined by commas. */
+function normalizeOutputFormat(value) {
+  const parts = outputFormatParts(value).join(',');
+  return parts === 'xlsx,html' ? 'both' : parts;
+}
+
+// Transform Preview rows: each transform or extra target evaluated on the first XML_SAMPLE_ROWS source rows, under the sample policy.
+function transformPreview(result) {
+  const byPath = new Map(result.targetDict.map(r => [r.path, r]));
+  const protect = sampleProtector(result.samplePolicy, result.profile);
+  const show = (v, f) => (v == null || String(v) === '' ? '' : result.samplePolicy === 'none' ? '[value]' : protect(v, f));
+  const rows = [];
+  for (const r of result.bySource) {
+    if (!r.SuggestedTargetPath || r.ReviewStatus === 'rejected' || !(r.Transform || r.ExtraTargetPaths)) continue;
+    const inputs = rowInputs(r);
+    (result.sampleRows || []).forEach((row, i) => {
+      for (const { path, value } of rowTargetValues(r, row, byPath)) {
+        const t = byPath.get(path);
+        rows.push({
+          SourceField: r.SourceField, Transform: r.Transform || '(copy)', SourceRow: i + 1,
+          Inputs: inputs.map(f => `${f}=${show(row[f], f)}`).join('; '), TargetPath: path, Output: show(value, r.SourceField),
+          Check: t ? xsdValueProblem(value, t) || 'ok' : 'unknown target path'
+        });
+      }
+    });
+  }
+  return rows;
+}
+
+// By Target rows: per target path the source fields feeding it, their transforms, the best score and a status.
+function byTargetRows(result) {
+  const { valid, unmapped } = mappingCoverage(result.bySource, result.targetDict);
+  const missing = new Set(unmapped.map(t => t.path));
+  const feeding = new Map();
+  for (const r of valid) {
+    for (const path of rowFeeds(r).paths) feeding.set(path, [...(feeding.get(path) || []), r]);
+  }
+  return result.targetDict.map(t => {
+    const rows = feeding.get(t.path) || [];
+    return {
+      TargetPath: t.path,
+      TargetSchema: t.schema || '',
+      TargetType: t.type || '',
+      Occurs: `${t.minOccurs || ''}..${t.maxOccurs || ''}`,
+      Required: t.required || '',
+      SourceFields: [...new Set(rows.flatMap(r => rowFeeds(r).inputs))].join('; '),
+      Transform: rows.filter(r => r.Transform).map(r => `${r.SourceField}: ${r.Transform}`).join('; '),
+      MatchScore: rows.length ? Math.max(...rows.map(r => Number(r.MatchScore) || 0)) : '',
+      Status: rows.length ? 'mapped' : t.fixed ? 'fixed value' : missing.has(t.path) ? 'required, unmapped' : 'unmapped'
+    };
+  });
+}
+
+// Sheets beyond the fixed four, in workbook order; each also becomes one HTML page.
+function extraSheetsOf(result) {
+  const preview = transformPreview(result);
+  return [
+    { name: 'Suggested Mapping (By Target)', file: 'Suggested_Mapping_By_Target.html', rows: byTargetRows(result) },
+    { name: 'Source Profile', file: 'Source_Profile.html', rows: result.profile },
+    { name: 'Coverage & Issues', file: 'Coverage_and_Issues.html', rows: result.issues },
+    ...(preview.length ? [{ name: 'Transform Preview', file: 'Transform_Preview.html', rows: preview }] : []),
+    ...(result.modelBatches?.length ? [{ name: 'Model Batches', file: 'Model_Batches.html', rows: result.modelBatches }] : []),
+    { name: 'Run Info', file: 'Run_Info.html', rows: result.runInfo }
+  ];
+}
+
+/** The workbook for a mapping result (resolves to a Buffer): the four fixed sheets, then extraSheetsOf(). */
+function mappingWorkbook(result) {
+  return buildExcelBuffer(result.bySource, result.byScore, result.targetDict, result.preview, extraSheetsOf(result));
+}
+
+/** One HTML page per workbook sheet, as [{ name, data }]. */
+function mappingHtmlPages(result) {
+  return [
+    { name: 'Suggested_Mapping_By_Source.html', data: Buffer.from(dfToHtmlDoc('Suggested Mapping (By Source)', result.bySource)) },
+    { name: 'Suggested_Mapping_By_Score.html',  data: Buffer.from(dfToHtmlDoc('Suggested Mapping (By Score)', result.byScore)) },
+    { name: 'Target_Dictionary.html',           data: Buffer.from(dfToHtmlDoc('Target Dictionary', result.targetDict)) },
+    { name: 'Source_Preview_first_50.html',     data: Buffer.from(dfToHtmlDoc('Source Preview (first 50)', result.preview)) },
+    ...extraSheetsOf(result).map(s => ({ name: s.file, data: Buffer.from(dfToHtmlDoc(s.name, s.rows)) }))
+  ];
+}
+
+/** The review grid's JSON: By Source rows, target paths, the annotated target tree, coverage issues and model batch outcomes. */
+function mappingJson(result, projectName) {
+  return Buffer.from(JSON.stringify({
+    projectName, bySource: result.bySource, issues: result.issues, modelBatches: result.modelBatches,
+    targetPaths: result.targetDict.map(r => ({ path: r.path, type: r.type || '', occurs: `${r.minOccurs || ''}..${r.maxOccurs || ''}` })),
+    targetTree: schemaTree(schemaTreeRows(result), result.bySource)
+  }));
+}
+
+/** Renders a mapping result in the requested output_format; resolves to [{ name, data }]. */
+async function mappingOutputs(result, outputFormat, projectName) {
+  const parts = outputFormatParts(outputFormat);
+  if (parts[0] === 'json') return [{ name: `${projectName}.json`, data: mappingJson(result, projectName) }];
+  const spec = parts.some(p => ['spec', 'yaml', 'csv', 'md'].includes(p)) ? mappingSpec(result, projectName) : null;
+  const files = [];
+  for (const part of parts) {
+    if (part === 'xlsx') files.push({ name: `${projectName}.xlsx`, data: await mappingWorkbook(result) });
+    if (part === 'html') files.push(...mappingHtmlPages(result));
+    if (part === 'spec') files.push({ name: `${projectName}.mapping.json`, data: Buffer.from(JSON.stringify(spec, null, 2)) });
+    if (part === 'yaml') files.push({ name: `${projectName}.mapping.yaml`, data: Buffer.from(YAML.stringify(spec)) });
+    if (part === 'csv') files.push({ name: `${projectName}.mapping.csv`, data: Buffer.from(mappingSpecCsv(spec)) });
+    if (part === 'md') files.push({ name: `${projectName}.mapping.md`, data: Buffer.from(mappingSpecMarkdown(spec)) });
+    if (part === 'xml') files.push(...(await xmlOutputs(result, projectName)).files);
+  }
+  return files;
+}
+
+module.exports = { normalizeOutputFormat, extraSheetsOf, mappingWorkbook, mappingHtmlPages, mappingJson, mappingOutputs };
@@ -0,0 +1,74 @@
+/** The versioned mapping spec (JSON, YAML, CSV, Markdown). */
+const { SPEC_VERSION, SPEC_KIND, SPEC_COLUMNS } = require('../config');
+const { extraTargetPaths } = require('../transform/expressions');
+const { rowAlternatives } = require('./tables');
+
+/** The versioned mapping spec: one entry per source field, with a null targetPath when unmapped. */
+function mappingSpec(result, projectName) {
+  const info = Object.fromEntries(result.runInfo.map(r => [r.Item, r.Value]));
+  const byPath = new Map(result.targetDict.map(r => [r.path, r]));
+  const languages = new Map((result.schemas || []).map(s => [s.name, s.language]));
+  const targets = new Map();
+  for (const t of result.targetDict) {
+    if (!targets.has(t.schema)) targets.set(t.schema, { schema: t.schema, language: languages.get(t.schema) || 'xsd', namespace: t.namespace || null });
+  }
+  const approved = r => /^(y|yes|true|x|1|approved)$/i.test(String(r.Approved ?? '').trim());
+  return {
+    specVersion: SPEC_VERSION,
+    kind: SPEC_KIND,
+    project: projectName,
+    generatedAt: info.Generated || new Date().toISOString(),
+    matchMode: info['Match mode'] || null,
+    source: { file: info['Source file'] || null, rows: info['Source rows'] ?? null, fields: result.bySource.length },
+    targets: [...targets.values()],
+    mappings: result.bySource.map(r => {
+      const target = byPath.get(r.SuggestedTargetPath);
+      const extras = extraTargetPaths(r.ExtraTargetPaths);
+      return {
+        sourceField: r.SourceField,
+        targetPath: r.SuggestedTargetPath || null,
+        extraTargetPaths: extras.length ? extras : null,
+        namespace: target ? target.namespace || null : null,
+        targetType: r.TargetType || null,
+        occurs: r.Occurs && r.Occurs !== '..' ? r.Occurs : null,
+        score: Number(r.MatchScore) || 0,
+        method: r.MatchMethod || null,
+        rationale: r.Rationale || '',
+        status: r.ReviewStatus || (approved(r) ? 'accepted' : 'pending'),
+        transform: r.Transform || null,
+        alternatives: rowAlternatives(r).map(a => ({ targetPath: a.path, score: a.score, rationale: a.rationale }))
+      };
+    })
+  };
+}
+
+function csvCell(value) {
+  const s = value == null ? '' : typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/** The spec's mappings as a flat CSV (SPEC_COLUMNS, one row per source field); extra target paths are JSON cells. */
+function mappingSpecCsv(spec) {
+  return [SPEC_COLUMNS, ...spec.mappings.map(m => SPEC_COLUMNS.map(c => m[c]))].map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+/** The spec as a Markdown document: a short header and one table row per source field. */
+function mappingSpecMarkdown(spec) {
+  const cell = v => (v == null ? '' : typeof v === 'object' ? `\`${JSON.stringify(v)}\`` : String(v)).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+  const code = v => (v ? `\`${v}\`` : '');
+  const targets = m => [m.targetPath, ...(m.extraTargetPaths || [])].filter(Boolean).map(code).join(', ');
+  return [
+    `# Field mapping: ${spec.project}`,
+    '',
+    `Spec version ${spec.specVersion} · source \`${spec.source.file || 'unknown'}\` (${spec.source.fields} fields) · ` +
+      `targets ${spec.targets.map(t => `\`${t.schema}\``).join(', ') || 'none'} · generated ${spec.generatedAt}`,
+    '',
+    '| Source field | Target path | Type | Occurs | Score | Status | Transform | Rationale |',
+    '|---|---|---|---|---:|---|---|---|',
+    ...spec.mappings.map(m => `| ${cell(m.sourceField)} | ${cell(targets(m))} | ${cell(m.targetType)} | ${cell(m.occurs)} | ` +
+      `${(m.score * 100).toFixed(1)}% | ${m.status} | ${cell(code(m.transform))} | ${cell(m.rationale)} |`),
+    ''
+  ].join('\n');
+}
+
+module.exports = { mappingSpec, mappingSpecCsv, mappingSpecMarkdown };
@@ -0,0 +1,125 @@
+/** Excel workbook and HTML table renderings of the mapping sheets. */
+const ExcelJS = require('exceljs');
+
+function colorForScore(v) {
+  const clamp = x => Math.max(0, Math.min(1, x || 0));
+  v = clamp(v);
+  function hexToRgb(h){ const s=h.replace('#',''); return [parseInt(s.slice(0,2),16),parseInt(s.slice(2,4),16),parseInt(s.slice(4,6),16)]; }
+  function rgbToHex(r,g,b){ return '#' + [r,g,b].map(n=>n.toString(16).padStart(2,'0')).join(''); }
+  function blend(a,b,t){ return [Math.round(a[0]+(b[0]-a[0])*t),Math.round(a[1]+(b[1]-a[1])*t),Math.round(a[2]+(b[2]-a[2])*t)]; }
+  const RED = hexToRgb('#F8696B'), YEL = hexToRgb('#FFEB84'), GRN = hexToRgb('#63BE7B');
+  const rgb = v <= 0.5 ? blend(RED, YEL, v/0.5) : blend(YEL, GRN, (v-0.5)/0.5);
+  return rgbToHex(...rgb);
+}
+
+// Score columns shown as coloured percentages in the workbook and the HTML pages.
+const SCORE_COLUMN = /^(MatchScore|Alternative\d+Score)$/;
+// Last entry of each SuggestedTargetPath dropdown; picking it leaves the cell for any path to be typed in.
+const FREE_CHOICE = '(other: type any target path)';
+
+/** Builds the workbook (resolves to a Buffer); By Source target cells get a dropdown of the row's candidates. */
+async function buildExcelBuffer(dfBySource, dfByScore, targetDict, srcPreview, extraSheets = []) {
+  const wb = new ExcelJS.Workbook();
+  function addSheet(name, df, styleMatch=true) {
+    const headers = df.length ? Object.keys(df[0]) : [];
+    const ws = wb.addWorksheet(name.slice(0,31));
+    ws.columns = headers.map(h => ({ header: h, width: Math.max(12, Math.min(60, String(h).length + 2)) }));
+    for (const row of df) ws.addRow(headers.map(h => row[h] ?? null));
+    headers.forEach((h, c) => {
+      if (!styleMatch || !SCORE_COLUMN.test(h)) return;
+      df.forEach((row, r) => {
+        const raw = row[h];
+        if (raw === '' || raw == null) return;
+        const v = typeof raw === 'number' ? raw : (String(raw).endsWith('%') ? parseFloat(String(raw))/100 : parseFloat(String(raw)) || 0);
+        const cell = ws.getCell(r + 2, c + 1);
+        cell.value = isFinite(v) ? `${(v*100).toFixed(1)}%` : '';
+        let bg = '#FFFFFF';
+        if (isFinite(v)) bg = v < 0.60 ? '#FCE4E4' : colorForScore(v);
+        cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: `FF${bg.replace('#','').toUpperCase()}` } };
+        cell.alignment = { horizontal: 'center' };
+      });
+    });
+    return ws;
+  }
+  const bySourceSheet = addSheet('Suggested Mapping (By Source)', dfBySource);
+  addSheet('Suggested Mapping (By Score)', dfByScore);
+  addSheet('Target Dictionary', targetDict, false);
+  addSheet('Source Preview (first 50)', srcPreview, false);
+  for (const s of extraSheets) addSheet(s.name, s.rows, false);
+
+  const pathCol = dfBySource.length ? Object.keys(dfBySource[0]).indexOf('SuggestedTargetPath') + 1 : 0;
+  if (pathCol) {
+    const candidates = wb.addWorksheet('Target Candidates', { state: 'hidden' });
+    candidates.addRow(['SourceField', 'Candidates']);
+    dfBySource.forEach((row, i) => {
+      const list = [...new Set([row.SuggestedTargetPath, ...rowAlternatives(row).map(a => a.path)].filter(Boolean)), FREE_CHOICE];
+      candidates.addRow([row.SourceField, ...list]);
+      const r = i + 2;
+      bySourceSheet.getCell(r, pathCol).dataValidation = {
+        type: 'list', allowBlank: true, formulae: [`'Target Candidates'!$B$${r}:$${candidates.getColumn(list.length + 1).letter}$${r}`],
+        showErrorMessage: false, showInputMessage: true, promptTitle: 'Target path', prompt: 'Pick a candidate, or type any path from the Target Dictionary.'
+      };
+    });
+  }
+  return Buffer.from(await wb.xlsx.writeBuffer());
+}
+
+function dfToHtmlDoc(title, rows) {
+  const headers = rows.length ? Object.keys(rows[0]) : [];
+  const esc = (s) => String(s ?? '').replace(/[&<>]/g, c => ({'&':'&amp;','<':'&lt;','>':'&gt;'}[c]));
+  let thead = '<tr>' + headers.map(h => `<th>${esc(h)}</th>`).join('') + '</tr>';
+  function msNum(x){ if (typeof x === 'number') return x; const s=String(x); return s.endsWith('%')? parseFloat(s)/100 : parseFloat(s); }
+  let tbody = rows.map(row => {
+    return '<tr>' + headers.map(h => {
+      if (SCORE_COLUMN.test(h) && row[h] !== '') {
+        const v = msNum(row[h]);
+        const txt = isFinite(v) ? `${(v*100).toFixed(1)}%` : '';
+        const low = isFinite(v) && v < 0.60;
+        const bg = low ? '#FCE4E4' : (isFinite(v) ? colorForScore(v) : 'transparent');
+        const cls = 'ms-cell' + (low ? ' ms-low' : '');
+        return `<td class="${cls}" style="background:${bg};">${esc(txt)}</td>`;
+      }
+      return `<td>${esc(row[h])}</td>`;
+    }).join('') + '</tr>';
+  }).join('');
+  const BRAND_CSS = `
+  <style>
+  :root{ --cbre-green:#006A4D; --cbre-green-600:#0B6049; --cbre-green-50:#E6F2EE; --cbre-border:#D6E3DE; --text:#102A2C; --muted:#415B5E; --low-red:#FCE4E4; }
+  body{font-family:"Segoe UI", Arial, Helvetica, sans-serif; line-height:1.45; color:var(--text); background:#fff; padding:20px;}
+  .header{display:flex; align-items:center; gap:12px; margin-bottom:14px;}
+  .logo{width:18px; height:18px; background:var(--cbre-green); border-radius:3px; display:inline-block;}
+  h1{font-size:20px; margin:0; color:var(--cbre-green);} h2{font-size:16px; color:var(--muted); margin:6px 0 18px;}
+  .table-wrap{border:1px solid var(--cbre-border); border-radius:8px; overflow:hidden; box-shadow:0 1px 2px rgba(0,0,0,0.04);} table{border-collapse:collapse; width:100%;}
+  thead th{background:var(--cbre-green-50); color:#0E2D25; text-align:left; padding:10px; border-bottom:1px solid var(--cbre-border); font-weight:600; font-size:13px;}
+  tbody td{padding:8px 10px; border-bottom:1px solid #eef3f2; font-size:13px; vertical-align:top;} tbody tr:nth-child(even) td{background:#FAFCFB;}
+  .ms-cell{white-space:nowrap; font-variant-numeric:tabular-nums;} .ms-low{background:var(--low-red) !important;}
+  .footer{margin-top:16px; font-size:12px; color:#6a7f81;} small.mono{font-family:Consolas, "Courier New", monospace;}
+  </style>`;
+  return `<!DOCTYPE html><html lang="en"><head><meta charset="utf-8"/><title>${esc(title)}</title>${BRAND_CSS}</head><body>
+  <div class="header"><span class="logo"></span><h1>Field Mapping</h1></div>
+  <h2>${esc(title)}</h2>
+  <div class="table-wrap"><table><thead>${thead}</thead><tbody>${tbody}</tbody></table></div>
+  <div class="footer">Generated by Azure OpenAI assisted mapper</div>
+  </body></html>`;
+}
+
+// Alternative1Path/Score/Rationale ... AlternativeNPath/Score/Rationale columns, blank past the last alternative.
+function alternativeColumns(list = [], count) {
+  const cols = {};
+  for (let i = 0; i < count; i++) {
+    const a = list[i];
+    Object.assign(cols, { [`Alternative${i + 1}Path`]: a ? a.path : '', [`Alternative${i + 1}Score`]: a ? a.score : '', [`Alternative${i + 1}Rationale`]: a ? a.rationale : '' });
+  }
+  return cols;
+}
+
+// A By Source row's alternatives back from its columns: [{ path, score, rationale }].
+function rowAlternatives(r) {
+  const out = [];
+  for (let i = 1; `Alternative${i}Path` in r; i++) {
+    if (r[`Alternative${i}Path`]) out.push({ path: r[`Alternative${i}Path`], score: Number(r[`Alternative${i}Score`]) || 0, rationale: r[`Alternative${i}Rationale`] || '' });
+  }
+  return out;
+}
+
+module.exports = { FREE_CHOICE, buildExcelBuffer, dfToHtmlDoc, alternativeColumns, rowAlternatives };
@@ -0,0 +1,218 @@
+/** XML transform, sample instances and their validation. */
+const { validateXML } = require('xmllint-wasm');
+const { XML_SAMPLE_ROWS } = require('../config');
+const { sampleProtector } = require('../sources/protect');
+const { SCHEMA_LANGUAGES } = require('../schema/targets');
+const { parseTransform, evalTransform, extraTargetPaths, rowTargetValues } = require('../transform/expressions');
+const { dfToHtmlDoc } = require('./tables');
+
+/** One element template per target root element the mapping uses; when several fields map to one target the first wins, the rest are notes. */
+function xmlTemplates(bySource, targetDict) {
+  const byPath = new Map(targetDict.map(r => [r.path, r]));
+  const fieldOf = new Map(); const notes = [];
+  for (const r of bySource) {
+    if (!r.SuggestedTargetPath || r.ReviewStatus === 'rejected' || !byPath.has(r.SuggestedTargetPath)) continue;
+    let transform = null;
+    try { transform = parseTransform(r.Transform); } catch { notes.push(`${r.SourceField} is copied as-is: its transform does not parse.`); }
+    const paths = [r.SuggestedTargetPath, ...extraTargetPaths(r.ExtraTargetPaths)];
+    paths.forEach((p, part) => {
+      if (!byPath.has(p)) return;
+      if (fieldOf.has(p)) notes.push(`${r.SourceField} is not used for ${p}: ${fieldOf.get(p).field} already maps to it.`);
+      else fieldOf.set(p, { field: r.SourceField, transform, part: paths.length > 1 ? part : null });
+    });
+  }
+  const roots = [...new Set([...fieldOf.keys()].map(p => p.split('/')[0]))];
+  const repeating = new Set(targetDict.map(r => r.repeatGroup).filter(Boolean));
+  const templates = roots.map(rootName => {
+    const rows = targetDict.filter(r => r.path.split('/')[0] === rootName && (fieldOf.has(r.path) || (r.fixed && r.minOccurs !== '0')));
+    const namespaces = {};
+    const nodes = new Map();
+    const nodeAt = (path) => {
+      if (nodes.has(path)) return nodes.get(path);
+      const segs = path.split('/');
+      const node = { name: segs[segs.length - 1], required: true, repeat: repeating.has(path), attrs: [], children: [] };
+      nodes.set(path, node);
+      if (segs.length > 1) nodeAt(segs.slice(0, -1).join('/')).children.push(node);
+      return node;
+    };
+    for (const r of targetDict) {
+      const prefix = r.path.split('/').pop().replace(/^@/, '').split(':');
+      if (prefix.length === 2 && r.namespace) namespaces[prefix[0]] = r.namespace;
+    }
+    for (const r of rows) {
+      const segs = r.path.split('/');
+      const mapped = fieldOf.get(r.path);
+      const item = { field: mapped ? mapped.field : null, fixed: r.fixed || '', default: r.default || '', required: r.minOccurs !== '0' };
+      if (mapped?.transform) Object.assign(item, { transform: mapped.transform, part: mapped.part, enumeration: r.enumeration ? String(r.enumeration).split('|') : [] });
+      if (segs[segs.length - 1].startsWith('@')) {
+        nodeAt(segs.slice(0, -1).join('/')).attrs.push({ name: segs[segs.length - 1].slice(1), ...item });
+      } else {
+        Object.assign(nodeAt(r.path), item);
+      }
+    }
+    const used = new Set(rows.flatMap(r => r.path.split('/')).map(seg => seg.replace(/^@/, '').split(':')).filter(q => q.length === 2).map(q => q[0]));
+    return {
+      root: rootName, schema: rows[0].schema, split: '; ',
+      namespaces: Object.fromEntries(Object.entries(namespaces).filter(([prefix]) => used.has(prefix))),
+      node: nodeAt(rootName)
+    };
+  });
+  return { templates, notes };
+}
+
+/** Renders one source row as an XML document from an xmlTemplates() template. Copied into transform.js, so it must use nothing outside its body. */
+function renderInstance(template, row, mapValue = v => v) {
+  const esc = s => String(s).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+  // An item's whole value: its transform's result (its part of a list, or the list joined) or the raw field.
+  const valueOf = item => {
+    const v = item.transform ? evalTransform(item.transform, row, { field: item.field, enumeration: item.enumeration }) : row[item.field];
+    if (Array.isArray(v)) return item.part != null ? v[item.part] ?? '' : v.join(template.split);
+    return v == null ? '' : String(v);
+  };
+  const itemsOf = n => [n, ...n.attrs, ...n.children.flatMap(itemsOf)].filter(i => i.field);
+  // An item's value in an occurrence (field -> part index); active when it comes from the source row.
+  const pick = (item, occ) => {
+    let v = item.field ? valueOf(item) : '';
+    if (item.field && occ[item.field] != null) v = v.split(template.split)[occ[item.field]] ?? '';
+    return v.trim() === '' ? { value: item.fixed || item.default || '', active: false } : { value: mapValue(v, item.field), active: true };
+  };
+  const occurrences = (node, occ) => {
+    if (!node.repeat) return [occ];
+    const own = itemsOf(node).filter(i => occ[i.field] == null);
+    const count = Math.max(1, ...own.map(i => valueOf(i).split(template.split).length));
+    return Array.from({ length: count }, (_, i) => ({ ...occ, ...Object.fromEntries(own.map(item => [item.field, i])) }));
+  };
+  // Returns the node's XML (assuming its parent is written) and whether it holds any source value.
+  const render = (node, occ, indent, isRoot) => {
+    let xml = '', active = false;
+    for (const o of occurrences(node, occ)) {
+      let on = false, body = '';
+      let attrs = isRoot ? Object.entries(template.namespaces).map(([p, uri]) => ` xmlns:${p}="${esc(uri)}"`).join('') : '';
+      for (const a of node.attrs) {
+        const v = pick(a, o);
+        if (v.active || a.required) attrs += ` ${a.name}="${esc(v.value)}"`;
+        on = on || v.active;
+      }
+      if (node.children.length) {
+        for (const c of node.children) {
+          const r = render(c, o, `${indent}  `, false);
+          body += r.xml; on = on || r.active;
+        }
+        if (body) body = `\n${body}${indent}`;
+        if (!on && !isRoot) continue;
+      } else {
+        const v = pick(node, o);
+        body = esc(v.value); on = on || v.active;
+        // Required leaves are written even when empty, so validation points at them.
+        if (!on && !node.required) continue;
+      }
+      xml += body ? `${indent}<${node.name}${attrs}>${body}</${node.name}>\n` : `${indent}<${node.name}${attrs}/>\n`;
+      active = active || on;
+    }
+    return { xml, active };
+  };
+  return `<?xml version="1.0" encoding="UTF-8"?>\n${render(template.node, {}, '', true).xml}`;
+}
+
+/** Source of a CommonJS module exporting transform(row, root) for the mapping, built on renderInstance(). */
+function transformModuleSource(templates, projectName) {
+  const firstField = n => n.field || n.attrs.map(a => a.field).find(Boolean) || n.children.map(firstField).find(Boolean);
+  const example = (templates[0] && firstField(templates[0].node)) || 'Field';
+  // Uploaded names and paths reach the code only as JSON literals or in this comment, escaped so they cannot close it.
+  const inComment = v => String(v).replace(/\*\//g, '*\\/');
+  return `/**
+ * Generated transform for "${inComment(projectName)}" (${new Date().toISOString()}); regenerate it rather than editing.
+ * transform(row, root) turns one source row – an object keyed by source field name, e.g. a parsed CSV
+ * record – into an XML instance. Root elements: ${inComment(templates.map(t => t.root).join(', ') || 'none')} (the first is the default).
+ * Values with a transform expression go through evalTransform(); values of fields inside a repeating
+ * element are then split on "; " into one occurrence per part.
+ *
+ *   const { transform } = require('./transform.js');
+ *   const xml = transform({ ${inComment(JSON.stringify(example))}: 'value' });
+ */
+'use strict';
+
+const TEMPLATES = ${JSON.stringify(templates, null, 2)};
+
+${evalTransform.toString()}
+
+${renderInstance.toString()}
+
+function transform(row, root = TEMPLATES[0] && TEMPLATES[0].root) {
+  const template = TEMPLATES.find(t => t.root === root);
+  if (!template) throw new Error(\`No template for root element \${root}\`);
+  return renderInstance(template, row);
+}
+
+module.exports = { TEMPLATES, transform };
+`;
+}
+
+// Validates [{ fileName, contents }] against the schema set; resolves to Map(fileName -> [{ line, message }]), throws when it does not compile.
+async function validateInstances(docs, schemas, mainSchema) {
+  const files = schemas.map(s => ({
+    fileName: s.name.split(/[\\/]/).pop(),
+    contents: s.text.replace(/^\uFEFF/, '').replace(/(schemaLocation\s*=\s*)(["'])([^"']*)\2/g, (m, attr, q, loc) => `${attr}${q}${loc.split(/[\\/]/).pop()}${q}`)
+  }));
+  const main = files.find(f => f.fileName === mainSchema) || files[0];
+  const out = new Map(docs.map(d => [d.fileName, []]));
+  if (!docs.length) return out;
+  const { errors } = await validateXML({ xml: docs, schema: [main], preload: files.filter(f => f !== main) });
+  for (const e of errors) {
+    if (e.loc && out.has(e.loc.fileName)) out.get(e.loc.fileName).push({ line: e.loc.lineNumber, message: e.message.replace(/^Schemas validity error : /, '') });
+  }
+  return out;
+}
+
+/** The xml output under <project>_xml/: transform module, sample instances and their validation report (XSD targets only). */
+async function xmlOutputs(result, projectName) {
+  const dir = `${projectName}_xml`;
+  const isXsd = s => (s.language || 'xsd') === 'xsd';
+  const xsds = (result.schemas || []).filter(isXsd);
+  const others = (result.schemas || []).filter(s => !isXsd(s));
+  const xsdNames = new Set(xsds.map(s => s.name));
+  const { templates, notes } = xmlTemplates(result.bySource, others.length ? result.targetDict.filter(r => xsdNames.has(r.schema)) : result.targetDict);
+  const byPath = new Map(result.targetDict.map(r => [r.path, r]));
+  const code = transformModuleSource(templates, projectName);
+  const protect = sampleProtector(result.samplePolicy, result.profile);
+  const shown = (v, f) => (result.samplePolicy === 'none' ? '[value]' : protect(v, f));
+  const files = [{ name: `${dir}/transform.js`, data: Buffer.from(code) }];
+  const report = notes.map(n => ({ Instance: '(transform)', SourceRow: '', Root: '', Valid: '', Line: '', Message: n }));
+  if (others.length) {
+    report.push({ Instance: '(transform)', SourceRow: '', Root: '', Valid: '', Line: '',
+      Message: `${others.map(s => `${s.name} (${SCHEMA_LANGUAGES[s.language]})`).join(', ')} ${others.length > 1 ? 'are not XML schemas; their targets are' : 'is not an XML schema; its targets are'} left out.` });
+  }
+  if (!templates.length) report.push({ Instance: '(transform)', SourceRow: '', Root: '', Valid: '', Line: '', Message: 'No source field maps to a known target path; there is nothing to generate.' });
+  const rows = (result.sampleRows || []).slice(0, XML_SAMPLE_ROWS);
+  for (const t of templates) {
+    const local = t.root.split(':').pop();
+    const docs = rows.map((row, i) => ({ fileName: `${local}_row${i + 1}.xml`, contents: renderInstance(t, row), row }));
+    let problems;
+    try {
+      problems = await validateInstances(docs.map(({ fileName, contents }) => ({ fileName, contents })), xsds, t.schema);
+    } catch (err) {
+      report.push({ Instance: '(schema set)', SourceRow: '', Root: t.root, Valid: 'no', Line: '', Message: `The schemas could not be compiled: ${String(err.message).split('\n').slice(0, 3).join(' ')}` });
+      problems = null;
+    }
+    docs.forEach((d, i) => {
+      // Validator messages quote offending values; show them the way the samples do.
+      const outputs = result.bySource.filter(r => r.Transform && r.SuggestedTargetPath)
+        .flatMap(r => rowTargetValues(r, d.row, byPath).map(o => [r.SourceField, o.value]));
+      const values = [...Object.entries(d.row), ...outputs].filter(([, v]) => String(v ?? '').trim())
+        .flatMap(([f, v]) => [String(v), ...String(v).split(t.split)].map(part => [part, f]));
+      const hide = msg => values.reduce((m, [part, f]) => m.split(`'${part}'`).join(`'${shown(part, f)}'`), msg);
+      const found = problems ? problems.get(d.fileName) : null;
+      if (!found) report.push({ Instance: d.fileName, SourceRow: i + 1, Root: t.root, Valid: 'not checked', Line: '', Message: '' });
+      else if (!found.length) report.push({ Instance: d.fileName, SourceRow: i + 1, Root: t.root, Valid: 'yes', Line: '', Message: '' });
+      else for (const p of found) report.push({ Instance: d.fileName, SourceRow: i + 1, Root: t.root, Valid: 'no', Line: p.line, Message: result.samplePolicy === 'raw' ? p.message : hide(p.message) });
+      if (result.samplePolicy !== 'none') {
+        const data = result.samplePolicy === 'raw' ? d.contents : renderInstance(t, d.row, protect);
+        files.push({ name: `${dir}/samples/${d.fileName}`, data: Buffer.from(data) });
+      }
+    });
+  }
+  files.push({ name: `${dir}/validation.html`, data: Buffer.from(dfToHtmlDoc('XML Validation', report)) });
+  return { files, report };
+}
+
+module.exports = { xmlTemplates, renderInstance, xmlOutputs };
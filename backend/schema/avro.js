@@ -0,0 +1,81 @@
+/** Avro adapter for the target dictionary. */
+const { log } = require('../log');
+
+function isAvroSchema(doc) {
+  if (Array.isArray(doc)) return doc.length > 0 && doc.every(isAvroSchema);
+  return !!doc && typeof doc === 'object' && ((['record', 'error', 'enum', 'fixed'].includes(doc.type) && typeof doc.name === 'string') ||
+    (typeof doc.protocol === 'string' && Array.isArray(doc.types)));
+}
+
+// Avro primitive and logical types -> XSD built-in types.
+const AVRO_BASE_TYPES = { boolean: 'boolean', int: 'int', long: 'long', float: 'float', double: 'double', bytes: 'base64Binary', string: 'string' };
+const AVRO_LOGICAL_TYPES = { date: 'date', 'time-millis': 'time', 'time-micros': 'time', 'timestamp-millis': 'dateTime', 'timestamp-micros': 'dateTime',
+  'local-timestamp-millis': 'dateTime', 'local-timestamp-micros': 'dateTime', decimal: 'decimal', uuid: 'string' };
+
+/** Avro adapter for flattenTargets(), with named types shared across the uploaded .avsc files. Returns { describe, roots }. */
+function avroAdapter(files) {
+  const named = new Map(); const roots = [];
+  const fullName = (s, ns) => (s.name.includes('.') || !(s.namespace ?? ns) ? s.name : `${s.namespace ?? ns}.${s.name}`);
+  function register(s, ns, top, f) {
+    if (Array.isArray(s)) { s.forEach(x => register(x, ns, top, f)); return; }
+    if (!s || typeof s !== 'object') return;
+    if (typeof s.protocol === 'string') { (s.types || []).forEach(x => register(x, s.namespace || ns, true, f)); return; }
+    if (typeof s.type === 'object') { register(s.type, ns, false, f); return; }
+    if (['record', 'error', 'enum', 'fixed'].includes(s.type) && typeof s.name === 'string') {
+      const full = fullName(s, ns);
+      const space = full.includes('.') ? full.slice(0, full.lastIndexOf('.')) : '';
+      if (!named.has(full)) named.set(full, { s, ns: space });
+      const short = full.split('.').pop();
+      if (!named.has(short)) named.set(short, { s, ns: space });
+      if (top && s.type !== 'enum' && s.type !== 'fixed') roots.push({ name: short, schema: full, file: space, namespace: space, source: f.name });
+      for (const field of s.fields || []) register(field.type, space, false, f);
+    }
+    if (s.type === 'array') register(s.items, ns, false, f);
+    if (s.type === 'map') register(s.values, ns, false, f);
+  }
+  for (const f of files) register(f.doc, '', true, f);
+
+  function describe(s, ns) {
+    let key = '';
+    if (typeof s === 'string' && !AVRO_BASE_TYPES[s] && s !== 'null') {
+      const hit = named.get(s.includes('.') || !ns ? s : `${ns}.${s}`) || named.get(s);
+      if (!hit) { log.warn(`[schema] Avro type "${s}" was not found`); return { kind: 'scalar', type: 'unresolved', documentation: `Avro type ${s} was not found` }; }
+      key = fullName(hit.s, hit.ns); s = hit.s; ns = hit.ns;
+    }
+    if (Array.isArray(s)) {
+      const real = s.filter(b => b !== 'null' && b?.type !== 'null');
+      const nullable = real.length < s.length;
+      if (real.length === 1) return { ...describe(real[0], ns), nullable };
+      const shapes = real.map(b => describe(b, ns));
+      if (shapes.some(d => d.kind === 'object')) {
+        const fields = new Map();
+        for (const d of shapes) for (const f of d.fields || []) if (!fields.has(f.name)) fields.set(f.name, { ...f, optional: true });
+        return { kind: 'object', type: shapes.map(d => d.type).join('|'), fields: [...fields.values()], nullable };
+      }
+      const baseTypes = [...new Set(shapes.map(d => d.baseType || ''))];
+      return { kind: 'scalar', type: shapes.map(d => d.type).join('|'), baseType: baseTypes.length === 1 ? baseTypes[0] : '', nullable };
+    }
+    if (typeof s === 'string') return { kind: 'scalar', type: s, baseType: AVRO_BASE_TYPES[s] || '' };
+    if (!s || typeof s !== 'object') return { kind: 'scalar', type: 'any' };
+    if (typeof s.type === 'object' || (typeof s.type === 'string' && !s.name && !['array', 'map'].includes(s.type))) {
+      const inner = typeof s.type === 'object' ? describe(s.type, ns) : { kind: 'scalar', type: s.type, baseType: AVRO_BASE_TYPES[s.type] || '' };
+      if (!s.logicalType) return inner;
+      const facets = s.logicalType === 'decimal' ? { totalDigits: s.precision != null ? String(s.precision) : '', fractionDigits: s.scale != null ? String(s.scale) : '' } : {};
+      return { ...inner, type: `${inner.type} (${s.logicalType})`, baseType: AVRO_LOGICAL_TYPES[s.logicalType] || inner.baseType, facets };
+    }
+    const space = s.name ? fullName(s, ns).split('.').slice(0, -1).join('.') : ns;
+    if (s.type === 'array') return { kind: 'array', items: s.items, file: ns, documentation: s.doc || '' };
+    if (s.type === 'map') {
+      return { kind: 'array', itemShape: { kind: 'object', type: 'map', fields: [{ name: 'key', schema: 'string', file: ns, namespace: ns }, { name: 'value', schema: s.values, file: ns, namespace: ns }] }, documentation: s.doc || '' };
+    }
+    if (s.type === 'enum') return { kind: 'scalar', type: s.name, baseType: 'string', namespace: space, facets: { enumeration: s.symbols || [] }, default: s.default, documentation: s.doc || '' };
+    if (s.type === 'fixed') return { kind: 'scalar', type: s.logicalType ? `${s.name} (${s.logicalType})` : s.name, baseType: AVRO_LOGICAL_TYPES[s.logicalType] || 'hexBinary', namespace: space, facets: s.logicalType ? {} : { length: String(s.size) }, documentation: s.doc || '' };
+    return {
+      kind: 'object', type: s.name, namespace: space, key: key || fullName(s, ns), documentation: s.doc || '',
+      fields: (s.fields || []).map(f => ({ name: f.name, schema: f.type, file: space, namespace: space, documentation: f.doc || '', default: f.default ?? undefined }))
+    };
+  }
+  return { describe, roots };
+}
+
+module.exports = { isAvroSchema, avroAdapter };
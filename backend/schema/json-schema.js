@@ -0,0 +1,129 @@
+/** JSON Schema and OpenAPI adapter for the target dictionary. */
+const { log } = require('../log');
+const { schemaValue } = require('./rows');
+
+// JSON Schema patterns match anywhere; dictionary patterns (like XSD ones) must match the whole value.
+function anchoredPattern(p) {
+  const s = String(p);
+  return /^\^/.test(s) && /(^|[^\\])\$$/.test(s) ? s.slice(1, -1) : `.*(?:${s}).*`;
+}
+
+// JSON Schema type/format -> XSD built-in type, for the type checks and rule matching shared with XSD rows.
+const JSON_SCHEMA_BASE_TYPES = { integer: 'integer', number: 'decimal', boolean: 'boolean', string: 'string' };
+const JSON_SCHEMA_FORMATS = { date: 'date', 'date-time': 'dateTime', time: 'time', int32: 'int', int64: 'long', float: 'float', double: 'double', byte: 'base64Binary', uri: 'anyURI' };
+
+/** JSON Schema and OpenAPI adapter for flattenTargets(); `$ref`s may point into another uploaded file by base name. */
+function jsonSchemaDescriber(files) {
+  const byName = new Map(files.map(f => [f.name.split(/[\\/]/).pop().toLowerCase(), f]));
+  const pointer = (doc, frag) => decodeURIComponent(frag).split('/').filter(Boolean)
+    .reduce((node, seg) => (node == null ? undefined : node[seg.replace(/~1/g, '/').replace(/~0/g, '~')]), doc);
+  // Follows a chain of $refs; sibling keywords of a $ref (description, nullable) are kept over the target's.
+  function deref(s, file) {
+    let key = '';
+    const seen = new Set();
+    while (s && typeof s === 'object' && typeof s.$ref === 'string') {
+      const [loc, frag = ''] = s.$ref.split('#');
+      const target = loc ? byName.get(loc.split(/[\\/]/).pop().toLowerCase()) : file;
+      const next = target && !seen.has(`${target.name}#${frag}`) ? pointer(target.doc, frag) : undefined;
+      if (next === undefined) {
+        log.warn(`[schema] ${file.name}: $ref "${s.$ref}" ${target ? 'not found' : 'points to a file that was not uploaded'}`);
+        return { missing: s.$ref };
+      }
+      key = `${target.name}#${frag}`; seen.add(key);
+      const { $ref, ...siblings } = s;
+      s = Object.keys(siblings).length && next && typeof next === 'object' ? { ...next, ...siblings } : next;
+      file = target;
+    }
+    return { schema: s, file, key };
+  }
+  const describing = new Set();
+  const typesOf = s => [].concat(s.type || []);
+  const isNull = s => s && typeof s === 'object' && (s.type === 'null' || (Array.isArray(s.enum) && s.enum.every(v => v === null)));
+  function describe(schema, file) {
+    const r = deref(schema, file);
+    if (r.missing) return { kind: 'scalar', type: 'unresolved', documentation: `$ref ${r.missing} was not found` };
+    if (!r.schema || typeof r.schema !== 'object') return { kind: 'scalar', type: 'any' };
+    // allOf members and a single non-null oneOf/anyOf branch merge into `parts`; other branches are `variants`.
+    const parts = [], variants = [];
+    let nullable = false;
+    (function gather(s, f) {
+      if (parts.some(p => p.s === s)) return;
+      parts.push({ s, f });
+      for (const sub of s.allOf || []) {
+        const m = deref(sub, f);
+        if (m.schema && typeof m.schema === 'object') gather(m.schema, m.file);
+      }
+      const branches = (s.oneOf || s.anyOf || []).map(b => ({ ...deref(b, f), raw: b, from: f })).filter(b => b.schema && typeof b.schema === 'object');
+      const real = branches.filter(b => !isNull(b.schema));
+      if (real.length < branches.length) nullable = true;
+      if (real.length === 1) gather(real[0].schema, real[0].file);
+      else variants.push(...real);
+    })(r.schema, r.file);
+    const first = k => parts.map(p => p.s[k]).find(v => v !== undefined);
+    const types = [...new Set(parts.flatMap(p => typesOf(p.s)))];
+    nullable = nullable || types.includes('null') || parts.some(p => p.s.nullable === true);
+    const type = types.find(t => t !== 'null');
+    const documentation = first('description') || first('title') || '';
+    const named = r.key.includes('#/') ? r.key.split('/').pop() : '';
+    const props = parts.flatMap(p => Object.entries(p.s.properties || {}).map(([name, s]) => ({ name, s, f: p.f })));
+    if (type === 'array' || (!type && first('items'))) {
+      const items = first('items');
+      const owner = parts.find(p => p.s.items !== undefined);
+      return { kind: 'array', items: Array.isArray(items) ? items[0] : (items ?? true), file: owner ? owner.f : r.file, nullable, documentation };
+    }
+    // Branches are described for their fields only; a branch that leads back to this type adds none.
+    if (r.key) describing.add(r.key);
+    const variantShapes = variants.filter(v => !describing.has(v.key)).map(v => ({ v, d: describe(v.raw, v.from) }));
+    if (r.key) describing.delete(r.key);
+    if (type === 'object' || props.length || variantShapes.some(x => x.d.kind === 'object')) {
+      const required = new Set(parts.flatMap(p => p.s.required || []));
+      const fields = new Map();
+      for (const p of props) {
+        if (!fields.has(p.name)) fields.set(p.name, { name: p.name, schema: p.s, file: p.f, optional: !required.has(p.name) });
+      }
+      // Branch properties are optional, as a value only has to match one branch; the first declaration wins.
+      for (const { d } of variantShapes) {
+        if (d.kind !== 'object') continue;
+        for (const f of d.fields) if (!fields.has(f.name)) fields.set(f.name, { ...f, optional: true });
+      }
+      return { kind: 'object', type: first('title') && /^[\w.-]+$/.test(first('title')) ? first('title') : named || 'object',
+        fields: [...fields.values()], key: r.key, nullable, documentation };
+    }
+    if (variantShapes.length) {
+      const baseTypes = [...new Set(variantShapes.map(x => x.d.baseType || ''))];
+      return { kind: 'scalar', type: variantShapes.map(x => x.d.type).join('|'), baseType: baseTypes.length === 1 ? baseTypes[0] : '', nullable, documentation };
+    }
+    const format = first('format');
+    const facets = {};
+    const enumeration = first('enum');
+    if (Array.isArray(enumeration)) facets.enumeration = enumeration.filter(v => v !== null).map(schemaValue);
+    if (first('pattern') != null) facets.pattern = anchoredPattern(first('pattern'));
+    for (const k of ['minLength', 'maxLength']) if (first(k) != null) facets[k] = String(first(k));
+    if (first('minimum') != null) facets[first('exclusiveMinimum') === true ? 'minExclusive' : 'minInclusive'] = String(first('minimum'));
+    if (first('maximum') != null) facets[first('exclusiveMaximum') === true ? 'maxExclusive' : 'maxInclusive'] = String(first('maximum'));
+    if (typeof first('exclusiveMinimum') === 'number') facets.minExclusive = String(first('exclusiveMinimum'));
+    if (typeof first('exclusiveMaximum') === 'number') facets.maxExclusive = String(first('exclusiveMaximum'));
+    const constant = first('const');
+    const scalar = type || (constant != null ? (Number.isInteger(constant) ? 'integer' : { number: 'number', boolean: 'boolean' }[typeof constant] || 'string') : facets.enumeration ? 'string' : '');
+    return {
+      kind: 'scalar', type: named || (scalar ? (format ? `${scalar} (${format})` : scalar) : 'any'),
+      baseType: JSON_SCHEMA_FORMATS[format] || JSON_SCHEMA_BASE_TYPES[scalar] || '', facets,
+      fixed: constant, default: first('default'), nullable, documentation
+    };
+  }
+  return describe;
+}
+
+// Root shapes of a document: OpenAPI component schemas, the document itself when it describes a value, else its $defs.
+function jsonSchemaRoots(f) {
+  const pointerTo = (base, name) => ({ name, schema: { $ref: `#/${base}/${name.replace(/~/g, '~0').replace(/\//g, '~1')}` }, file: f });
+  const defs = base => Object.keys(base.split('/').reduce((node, seg) => node?.[seg], f.doc) || {}).map(name => pointerTo(base, name));
+  if (f.language === 'openapi') return f.doc.swagger ? defs('definitions') : defs('components/schemas');
+  if (['type', 'properties', 'allOf', 'oneOf', 'anyOf', '$ref', 'items'].some(k => f.doc[k] !== undefined)) {
+    const title = /^[\w.-]+$/.test(f.doc.title || '') ? f.doc.title : f.name.split(/[\\/]/).pop().replace(/\.(schema\.)?(json|ya?ml)$/i, '');
+    return [{ name: title, schema: { $ref: '#' }, file: f }];
+  }
+  return [...defs('$defs'), ...defs('definitions')];
+}
+
+module.exports = { jsonSchemaDescriber, jsonSchemaRoots };
@@ -0,0 +1,42 @@
+/** Target dictionary rows shared by the schema languages. */
+const { XSD_FACETS, facetCell } = require('./xsd');
+
+// A dictionary row with parseXsdPaths()'s columns, in the same order.
+function targetRow({ facets = {}, documentation = '', ...cols }) {
+  const row = { schema: '', path: '', name: '', namespace: '', type: '', baseType: '', minOccurs: '1', maxOccurs: '1', repeatGroup: '', recursive: '', required: '', use: '', default: '', fixed: '', ...cols };
+  for (const k of XSD_FACETS) row[k] = facetCell(k, facets[k]);
+  row.documentation = documentation;
+  return row;
+}
+
+const schemaValue = v => (v == null ? '' : typeof v === 'object' ? JSON.stringify(v) : String(v));
+
+/** Walks the roots of a non-XSD schema into dictionary rows; `describe(schema, file)` gives an object, array or scalar shape. */
+function flattenTargets(schemaName, roots, describe, containers) {
+  const rows = [];
+  function walk(node, ctx) {
+    const outer = describe(node.schema, node.file);
+    let d = outer, repeat = false;
+    while (d.kind === 'array') { repeat = true; d = d.itemShape || describe(d.items, d.file); }
+    const pathStr = ctx.prefix ? `${ctx.prefix}/${node.name}` : node.name;
+    const minOccurs = node.optional || outer.nullable ? '0' : '1';
+    const required = ctx.required !== false && minOccurs === '1';
+    const repeatGroup = repeat ? pathStr : (ctx.repeatGroup || '');
+    const row = targetRow({
+      schema: schemaName, path: pathStr, name: node.name, namespace: node.namespace ?? d.namespace ?? '', type: d.type, baseType: d.baseType || '',
+      minOccurs, maxOccurs: repeat ? 'unbounded' : '1', repeatGroup, required: required ? 'yes' : 'no',
+      default: schemaValue(node.default ?? d.default), fixed: schemaValue(d.fixed), facets: d.facets,
+      documentation: node.documentation || outer.documentation || d.documentation || ''
+    });
+    if (d.kind !== 'object' || !d.fields.length) { rows.push(row); return; }
+    if (d.key && ctx.guard.has(d.key)) { rows.push({ ...row, recursive: 'yes' }); return; }
+    if (containers) rows.push({ ...row, container: 'yes' });
+    if (d.key) ctx.guard.add(d.key);
+    for (const f of d.fields) walk(f, { ...ctx, prefix: pathStr, required, repeatGroup });
+    if (d.key) ctx.guard.delete(d.key);
+  }
+  for (const root of roots) walk(root, { prefix: '', guard: new Set() });
+  return rows;
+}
+
+module.exports = { schemaValue, flattenTargets };
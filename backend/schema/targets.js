@@ -0,0 +1,55 @@
+/** Target schema uploads: language detection and parsing into one target dictionary. */
+const YAML = require('yaml');
+const { httpError } = require('../errors');
+const { XSD_NS, parseXsdPaths } = require('./xsd');
+const { flattenTargets } = require('./rows');
+const { jsonSchemaDescriber, jsonSchemaRoots } = require('./json-schema');
+const { isAvroSchema, avroAdapter } = require('./avro');
+
+// Target schema languages by the `language` readTargetSchema() detects, with their display names.
+const SCHEMA_LANGUAGES = { xsd: 'XSD', 'json-schema': 'JSON Schema', openapi: 'OpenAPI', avro: 'Avro' };
+
+// Prefix, local name and attributes of an XML document's root element.
+const XML_ROOT = /^(?:\s|<\?[\s\S]*?\?>|<!--[\s\S]*?-->|<!DOCTYPE[^>]*>)*<(?:([\w.-]+):)?([\w.-]+)([^>]*)>/;
+
+/** Reads one target schema and detects its language from the content; returns { name, text, language, doc }. Throws 400 errors. */
+function readTargetSchema({ name, text }) {
+  const body = String(text).replace(/^\uFEFF/, '');
+  if (body.trimStart().startsWith('<')) {
+    const root = XML_ROOT.exec(body);
+    const ns = root && new RegExp(`\\sxmlns${root[1] ? `:${root[1]}` : ''}\\s*=\\s*["']([^"']*)["']`).exec(root[3]);
+    if (!root || root[2] !== 'schema' || !ns || ns[1] !== XSD_NS) {
+      throw httpError(400, `${name}: unsupported target schema (root element ${root ? `<${root[1] ? `${root[1]}:` : ''}${root[2]}>` : 'not found'}, expected xs:schema)`);
+    }
+    return { name, text: body, language: 'xsd' };
+  }
+  let doc;
+  try { doc = /^[{[]/.test(body.trimStart()) ? JSON.parse(body) : YAML.parse(body); } catch (err) {
+    throw httpError(400, `${name} is not an XSD, JSON or YAML schema: ${err.message}`);
+  }
+  if (!doc || typeof doc !== 'object') throw httpError(400, `${name}: unsupported target schema (not an XSD, JSON or YAML schema document)`);
+  const language = isAvroSchema(doc) ? 'avro' : (doc.openapi || doc.swagger) ? 'openapi' : 'json-schema';
+  return { name, text: body, language, doc };
+}
+
+/** Parses target schemas of any supported language into one dictionary, in upload order; read files are not read again. */
+function parseTargetSchemas(files, { containers = false } = {}) {
+  const read = files.map(f => (f.doc || f.language === 'xsd' ? f : readTargetSchema(f)));
+  const of = (...languages) => read.filter(f => languages.includes(f.language));
+  const rows = of('xsd').length ? parseXsdPaths(of('xsd').map(f => ({ name: f.name, xml: f.text })), { containers }) : [];
+  const json = of('json-schema', 'openapi');
+  if (json.length) {
+    const describe = jsonSchemaDescriber(json);
+    for (const f of json) rows.push(...flattenTargets(f.name, jsonSchemaRoots(f), describe, containers));
+  }
+  if (of('avro').length) {
+    const { describe, roots } = avroAdapter(of('avro'));
+    for (const f of of('avro')) rows.push(...flattenTargets(f.name, roots.filter(r => r.source === f.name), describe, containers));
+  }
+  const order = new Map(read.map((f, i) => [f.name, i]));
+  const seen = new Set();
+  return rows.filter(r => { const key = r.schema + '|' + r.path; if (seen.has(key)) return false; seen.add(key); return true; })
+    .sort((a, b) => (order.get(a.schema) ?? 0) - (order.get(b.schema) ?? 0));
+}
+
+module.exports = { SCHEMA_LANGUAGES, readTargetSchema, parseTargetSchemas };
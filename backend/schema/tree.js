@@ -0,0 +1,60 @@
+/** The target schema tree (schema explorer, Target Coverage). */
+const { extraTargetPaths, rowInputs } = require('../transform/expressions');
+const { mappingCoverage } = require('../checks/coverage');
+
+// The target paths a By Source row feeds, with the fields it reads (its own for a broken transform).
+function rowFeeds(r) {
+  const inputs = rowInputs(r);
+  return { paths: [r.SuggestedTargetPath, ...extraTargetPaths(r.ExtraTargetPaths)], inputs: inputs.length ? inputs : [r.SourceField] };
+}
+
+/** The target schema as nested nodes; with a By Source mapping each node also gets its `sources` and `mapped`/`uncovered` counts. */
+function schemaTree(rows, bySource = null) {
+  // Nodes are keyed by schema file and path, so schemas declaring the same path keep separate trees.
+  const nodes = new Map();
+  const byPath = new Map();
+  const roots = [];
+  function nodeOf(schema, path, row = {}) {
+    const key = `${schema}\n${path}`;
+    let node = nodes.get(key);
+    if (node) return node;
+    const name = path.split('/').pop();
+    node = {
+      path, name, kind: name.startsWith('@') ? 'attribute' : 'element', schema, type: row.type || '',
+      minOccurs: row.minOccurs || '', maxOccurs: row.maxOccurs || '', required: row.required || '', recursive: row.recursive || '', fixed: row.fixed || '',
+      default: row.default || '', enumeration: row.enumeration || '', documentation: row.documentation || '', children: []
+    };
+    nodes.set(key, node);
+    byPath.set(path, [...(byPath.get(path) || []), node]);
+    const cut = path.lastIndexOf('/');
+    if (cut < 0) { roots.push(node); return node; }
+    nodeOf(schema, path.slice(0, cut)).children.push(node);
+    return node;
+  }
+  for (const r of rows) nodeOf(r.schema || '', r.path, r);
+  if (!bySource) return roots;
+
+  const { valid, unmapped } = mappingCoverage(bySource, rows.filter(r => r.container !== 'yes'));
+  const missing = new Set(unmapped.map(t => t.path));
+  for (const r of valid) {
+    const { paths, inputs } = rowFeeds(r);
+    // A mapped path names no schema, so it feeds that path in every schema declaring it.
+    for (const node of paths.flatMap(p => byPath.get(p) || [])) node.sources = [...new Set([...(node.sources || []), ...inputs])];
+  }
+  (function count(list) {
+    for (const node of list) {
+      node.sources = node.sources || [];
+      count(node.children);
+      node.mapped = (node.sources.length ? 1 : 0) + node.children.reduce((a, c) => a + c.mapped, 0);
+      node.uncovered = (missing.has(node.path) ? 1 : 0) + node.children.reduce((a, c) => a + c.uncovered, 0);
+    }
+  })(roots);
+  return roots;
+}
+
+// The dictionary plus its complex elements as parsed by the run (the dictionary alone without them).
+function schemaTreeRows(result) {
+  return result.schemaRows || result.targetDict;
+}
+
+module.exports = { rowFeeds, schemaTree, schemaTreeRows };
@@ -0,0 +1,278 @@
+/** XSD schema sets flattened into target dictionary rows. */
+const { XMLParser } = require('fast-xml-parser');
+const { log } = require('../log');
+
+const XSD_NS = 'http://www.w3.org/2001/XMLSchema';
+const XSD_FACETS = ['enumeration', 'pattern', 'length', 'minLength', 'maxLength', 'totalDigits', 'fractionDigits', 'minInclusive', 'maxInclusive', 'minExclusive', 'maxExclusive'];
+
+// A facet's dictionary cell: lists join with '|', and several patterns (any of which may match) become "(p)|(q)".
+function facetCell(k, v) {
+  if (!Array.isArray(v)) return v ?? '';
+  return k === 'pattern' && v.length > 1 ? v.map(p => `(${p})`).join('|') : v.join('|');
+}
+
+// fast-xml-parser's preserveOrder output as { tag, uri, attrs, ns, children, text } nodes with their prefix bindings.
+function xsdNodes(ordered, scope) {
+  const out = [];
+  for (const item of ordered || []) {
+    const tag = Object.keys(item).find(k => k !== ':@');
+    if (!tag || tag.startsWith('?') || tag.startsWith('#')) continue;
+    const attrs = item[':@'] || {};
+    const ns = { ...scope };
+    for (const [k, v] of Object.entries(attrs)) {
+      if (k === 'xmlns') ns[''] = v;
+      else if (k.startsWith('xmlns:')) ns[k.slice(6)] = v;
+    }
+    const i = tag.indexOf(':');
+    const children = xsdNodes(item[tag], ns);
+    const text = (item[tag] || []).filter(c => c['#text'] != null).map(c => String(c['#text'])).join(' ').trim();
+    out.push({ tag: tag.slice(i + 1), uri: ns[i >= 0 ? tag.slice(0, i) : ''] || '', attrs, ns, children, text });
+  }
+  return out;
+}
+
+function xsdKids(node, ...tags) {
+  return node ? node.children.filter(c => c.uri === node.uri && tags.includes(c.tag)) : [];
+}
+
+/** Parses the uploaded XSDs as one schema set into dictionary rows; `containers` adds the complex elements for schemaTree(). */
+function parseXsdPaths(files, { containers = false } = {}) {
+  const parser = new XMLParser({ ignoreAttributes: false, attributeNamePrefix: '', preserveOrder: true });
+  const docs = [];
+  for (const f of files) {
+    const root = xsdNodes(parser.parse(String(f.xml).replace(/^\uFEFF/, ''))).find(n => n.tag === 'schema');
+    if (!root) { log.warn(`[xsd] ${f.name}: no xs:schema root, skipped`); continue; }
+    docs.push({ name: f.name, root, tns: root.attrs.targetNamespace || '', chameleon: false,
+      efd: root.attrs.elementFormDefault === 'qualified', afd: root.attrs.attributeFormDefault === 'qualified' });
+  }
+  const byLocation = new Map(docs.map(d => [d.name.split(/[\\/]/).pop().toLowerCase(), d]));
+  const locate = (loc) => byLocation.get(String(loc || '').split(/[\\/]/).pop().toLowerCase());
+
+  // Chameleon includes: a no-namespace schema included into a namespaced one takes the includer's namespace.
+  for (let changed = true; changed;) {
+    changed = false;
+    for (const d of docs) {
+      for (const inc of xsdKids(d.root, 'include', 'import')) {
+        const target = locate(inc.attrs.schemaLocation);
+        if (!target) {
+          if (inc.attrs.schemaLocation && !d.warned?.has(inc.attrs.schemaLocation)) {
+            (d.warned = d.warned || new Set()).add(inc.attrs.schemaLocation);
+            log.warn(`[xsd] ${d.name}: ${inc.tag} "${inc.attrs.schemaLocation}" was not uploaded`);
+          }
+          continue;
+        }
+        if (inc.tag === 'include' && d.tns && !target.tns) { target.tns = d.tns; target.chameleon = true; changed = true; }
+      }
+    }
+  }
+
+  const comps = { element: new Map(), complexType: new Map(), simpleType: new Map(), group: new Map(), attributeGroup: new Map(), attribute: new Map() };
+  for (const d of docs) {
+    for (const kind of Object.keys(comps)) {
+      for (const n of xsdKids(d.root, kind)) {
+        const key = `${d.tns}|${n.attrs.name}`;
+        if (n.attrs.name && !comps[kind].has(key)) comps[kind].set(key, { node: n, doc: d });
+      }
+    }
+  }
+  function qkey(node, doc, qname) {
+    const s = String(qname || ''); const i = s.indexOf(':');
+    let uri = node.ns[i >= 0 ? s.slice(0, i) : ''] || '';
+    if (!uri && doc.chameleon) uri = doc.tns;
+    return { key: `${uri}|${s.slice(i + 1)}`, uri, local: s.slice(i + 1) };
+  }
+
+  const prefixes = new Map(); const used = new Set();
+  for (const d of docs) {
+    for (const [p, uri] of Object.entries(d.root.ns)) {
+      if (p && uri !== XSD_NS && !prefixes.has(uri) && !used.has(p)) { prefixes.set(uri, p); used.add(p); }
+    }
+  }
+  let nsCounter = 0;
+  for (const d of docs) {
+    if (!d.tns || prefixes.has(d.tns)) continue;
+    let p; do { p = `ns${++nsCounter}`; } while (used.has(p));
+    prefixes.set(d.tns, p); used.add(p);
+  }
+  const qualify = (uri, local) => (uri ? `${prefixes.get(uri)}:${local}` : local);
+
+  // Element particles of a content model in document order; `opt`/`rep` say whether an enclosing compositor makes them optional or repeat.
+  function particles(node, doc, opt, rep, out, guard) {
+    for (const c of node.children) {
+      if (c.uri !== node.uri) continue;
+      const o = opt || c.attrs.minOccurs === '0';
+      const r = rep || (c.attrs.maxOccurs != null && c.attrs.maxOccurs !== '1' && c.attrs.maxOccurs !== '0');
+      if (c.tag === 'element') out.push({ node: c, doc, opt, rep });
+      else if (c.tag === 'sequence' || c.tag === 'all') particles(c, doc, o, r, out, guard);
+      else if (c.tag === 'choice') particles(c, doc, true, r, out, guard);
+      else if (c.tag === 'group' && c.attrs.ref) {
+        const g = comps.group.get(qkey(c, doc, c.attrs.ref).key);
+        if (!g) { log.warn(`[xsd] ${doc.name}: group "${c.attrs.ref}" not found`); continue; }
+        if (guard.has(g.node)) continue;
+        guard.add(g.node); particles(g.node, g.doc, o, r, out, guard); guard.delete(g.node);
+      } else if (c.tag === 'complexContent') {
+        for (const der of xsdKids(c, 'extension', 'restriction')) {
+          const base = der.attrs.base && comps.complexType.get(qkey(der, doc, der.attrs.base).key);
+          if (der.tag === 'extension' && base && !guard.has(base.node)) {
+            guard.add(base.node); particles(base.node, base.doc, opt, rep, out, guard); guard.delete(base.node);
+          }
+          particles(der, doc, opt, rep, out, guard);
+        }
+      }
+    }
+    return out;
+  }
+
+  // Facets merged down a simpleType restriction chain (the derived type wins) and the built-in baseType it ends at.
+  function simpleInfo(stNode, doc, guard = new Set()) {
+    if (!stNode || guard.has(stNode)) return { baseType: '', facets: {} };
+    guard.add(stNode);
+    const res = xsdKids(stNode, 'restriction')[0];
+    if (!res) return { baseType: xsdKids(stNode, 'list').length ? 'list' : (xsdKids(stNode, 'union').length ? 'union' : ''), facets: {} };
+    const inner = res.attrs.base ? typeInfo(res, doc, res.attrs.base, guard) : simpleInfo(xsdKids(res, 'simpleType')[0], doc, guard);
+    return { baseType: inner.baseType, facets: { ...inner.facets, ...facetsOf(res) } };
+  }
+  function facetsOf(res) {
+    const own = {};
+    for (const f of res.children) {
+      if (f.uri !== res.uri || !XSD_FACETS.includes(f.tag) || f.attrs.value == null) continue;
+      if (f.tag === 'enumeration' || f.tag === 'pattern') (own[f.tag] = own[f.tag] || []).push(String(f.attrs.value));
+      else own[f.tag] = String(f.attrs.value);
+    }
+    return own;
+  }
+  function typeInfo(node, doc, qname, guard = new Set()) {
+    const q = qkey(node, doc, qname);
+    if (q.uri === XSD_NS) return { baseType: q.local, facets: {} };
+    const st = comps.simpleType.get(q.key);
+    if (st) return simpleInfo(st.node, st.doc, guard);
+    const ct = comps.complexType.get(q.key);
+    return ct ? contentInfo(ct.node, ct.doc, guard) : { baseType: '', facets: {} };
+  }
+  // Simple content of a complexType (simpleContent extension/restriction), if any.
+  function contentInfo(ctNode, doc, guard = new Set()) {
+    const sc = xsdKids(ctNode, 'simpleContent')[0];
+    const der = sc && xsdKids(sc, 'extension', 'restriction')[0];
+    if (!der || guard.has(ctNode)) return { baseType: '', facets: {} };
+    guard.add(ctNode);
+    const inner = der.attrs.base ? typeInfo(der, doc, der.attrs.base, guard) : { baseType: '', facets: {} };
+    return der.tag === 'extension' ? inner : { baseType: inner.baseType, facets: { ...inner.facets, ...facetsOf(der) } };
+  }
+
+  // Attribute uses of a complexType, inherited and attributeGroup ones included; later declarations win, prohibited ones drop.
+  function attributesOf(node, doc, out, guard) {
+    for (const c of node.children) {
+      if (c.uri !== node.uri) continue;
+      if (c.tag === 'attribute') {
+        let decl = c, ddoc = doc, uri = '';
+        if (c.attrs.ref) {
+          const g = comps.attribute.get(qkey(c, doc, c.attrs.ref).key);
+          if (!g) { log.warn(`[xsd] ${doc.name}: attribute "${c.attrs.ref}" not found`); continue; }
+          decl = g.node; ddoc = g.doc; uri = g.doc.tns;
+        } else if (c.attrs.form === 'qualified' || (c.attrs.form == null && doc.afd)) uri = doc.tns;
+        const key = `${uri}|${decl.attrs.name}`;
+        out.delete(key);
+        if (c.attrs.use !== 'prohibited') out.set(key, { use: c, useDoc: doc, decl, doc: ddoc, uri });
+      } else if (c.tag === 'attributeGroup' && c.attrs.ref) {
+        const g = comps.attributeGroup.get(qkey(c, doc, c.attrs.ref).key);
+        if (!g) { log.warn(`[xsd] ${doc.name}: attributeGroup "${c.attrs.ref}" not found`); continue; }
+        if (guard.has(g.node)) continue;
+        guard.add(g.node); attributesOf(g.node, g.doc, out, guard); guard.delete(g.node);
+      } else if (c.tag === 'complexContent' || c.tag === 'simpleContent') {
+        for (const der of xsdKids(c, 'extension', 'restriction')) {
+          const base = der.attrs.base && comps.complexType.get(qkey(der, doc, der.attrs.base).key);
+          if (base && !guard.has(base.node)) { guard.add(base.node); attributesOf(base.node, base.doc, out, guard); guard.delete(base.node); }
+          attributesOf(der, doc, out, guard);
+        }
+      }
+    }
+    return out;
+  }
+
+  function makeRow(ctx, path, name, uri, type, info, extra, documentation = '') {
+    const f = info.facets || {};
+    const row = { schema: ctx.schema, path, name, namespace: uri, type, baseType: info.baseType || '', minOccurs: '1', maxOccurs: '1', repeatGroup: ctx.repeatGroup || '', recursive: '', required: '', use: '', default: '', fixed: '', ...extra };
+    for (const k of XSD_FACETS) row[k] = facetCell(k, f[k]);
+    row.documentation = documentation;
+    return row;
+  }
+  // xs:annotation/xs:documentation of a declaration, falling back to that of its (named or anonymous) type.
+  function docOf(node, doc) {
+    const own = node ? xsdKids(node, 'annotation').flatMap(a => xsdKids(a, 'documentation')).map(d => d.text).filter(Boolean).join(' ') : '';
+    if (own || !node || !['element', 'attribute'].includes(node.tag)) return own;
+    if (node.attrs.type) {
+      const key = qkey(node, doc, node.attrs.type).key;
+      const t = comps.complexType.get(key) || comps.simpleType.get(key);
+      return t ? docOf(t.node, t.doc) : '';
+    }
+    return docOf(xsdKids(node, 'complexType', 'simpleType')[0], doc);
+  }
+
+  const rows = [];
+  function walk(decl, ctx) {
+    let { node, doc } = decl;
+    const occ = node;
+    let uri = '';
+    if (node.attrs.ref) {
+      const q = qkey(node, doc, node.attrs.ref);
+      const g = comps.element.get(q.key);
+      if (!g) {
+        const p = qualify(q.uri, q.local);
+        rows.push(makeRow(ctx, ctx.prefix ? `${ctx.prefix}/${p}` : p, q.local, q.uri, 'unresolved', {}, { minOccurs: String(occ.attrs.minOccurs ?? '1'), maxOccurs: String(occ.attrs.maxOccurs ?? '1') }));
+        return;
+      }
+      ({ node, doc } = g); uri = doc.tns;
+    } else if (decl.global || node.attrs.form === 'qualified' || (node.attrs.form == null && doc.efd)) {
+      uri = doc.tns;
+    }
+    const elName = node.attrs.name || '(anon)';
+    const pathStr = ctx.prefix ? `${ctx.prefix}/${qualify(uri, elName)}` : qualify(uri, elName);
+    const mino = decl.opt ? '0' : (occ.attrs.minOccurs ?? '1');
+    const maxo = decl.rep && (occ.attrs.maxOccurs ?? '1') === '1' ? 'unbounded' : (occ.attrs.maxOccurs ?? '1');
+    const required = ctx.required !== false && Number(mino) >= 1;
+    // The innermost element (this one or an ancestor) that may occur more than once.
+    const repeatGroup = maxo !== '1' ? pathStr : (ctx.repeatGroup || '');
+    let tname = null, ct = null, info = { baseType: '', facets: {} };
+    if (node.attrs.type) {
+      const q = qkey(node, doc, node.attrs.type);
+      tname = q.local;
+      ct = comps.complexType.get(q.key) || null;
+      info = typeInfo(node, doc, node.attrs.type);
+    } else {
+      const anon = xsdKids(node, 'complexType')[0];
+      if (anon) { ct = { node: anon, doc }; info = contentInfo(anon, doc); }
+      else info = simpleInfo(xsdKids(node, 'simpleType')[0], doc);
+    }
+    const row = makeRow(ctx, pathStr, elName, uri, tname || (ct ? 'complexType' : 'simpleType'), info,
+      { minOccurs: String(mino), maxOccurs: String(maxo), repeatGroup, required: required ? 'yes' : 'no', default: node.attrs.default ?? '', fixed: node.attrs.fixed ?? '' },
+      docOf(occ, decl.doc) || docOf(node, doc));
+    const guardKey = ct && ct.node;
+    if (guardKey && ctx.guard.has(guardKey)) { rows.push({ ...row, recursive: 'yes' }); return; }
+    const kids = ct ? particles(ct.node, ct.doc, false, false, [], new Set()) : [];
+    const attrs = ct ? [...attributesOf(ct.node, ct.doc, new Map(), new Set()).values()] : [];
+    const hasText = ct && (xsdKids(ct.node, 'simpleContent').length > 0 || ct.node.attrs.mixed === 'true');
+    if (!kids.length && (!attrs.length || hasText)) rows.push(row);
+    else if (containers) rows.push({ ...row, container: 'yes' });
+    for (const a of attrs) {
+      const aName = a.decl.attrs.name;
+      const aInfo = a.decl.attrs.type ? typeInfo(a.decl, a.doc, a.decl.attrs.type) : simpleInfo(xsdKids(a.decl, 'simpleType')[0], a.doc);
+      const aType = a.decl.attrs.type ? qkey(a.decl, a.doc, a.decl.attrs.type).local : (xsdKids(a.decl, 'simpleType').length ? 'simpleType' : 'anySimpleType');
+      const use = a.use.attrs.use || 'optional';
+      rows.push(makeRow(ctx, `${pathStr}/@${qualify(a.uri, aName)}`, aName, a.uri, aType, aInfo, {
+        minOccurs: use === 'required' ? '1' : '0', maxOccurs: '1', repeatGroup, required: required && use === 'required' ? 'yes' : 'no', use,
+        default: a.use.attrs.default ?? a.decl.attrs.default ?? '', fixed: a.use.attrs.fixed ?? a.decl.attrs.fixed ?? ''
+      }, docOf(a.use, a.useDoc) || docOf(a.decl, a.doc)));
+    }
+    if (!kids.length) return;
+    ctx.guard.add(guardKey);
+    for (const kid of kids) walk(kid, { ...ctx, prefix: pathStr, required, repeatGroup });
+    ctx.guard.delete(guardKey);
+  }
+  for (const d of docs) {
+    for (const gel of xsdKids(d.root, 'element')) walk({ node: gel, doc: d, global: true }, { schema: d.name, prefix: '', guard: new Set() });
+  }
+  const seen = new Set();
+  return rows.filter(r => { const key = r.schema + '|' + r.path; if (seen.has(key)) return false; seen.add(key); return true; });
+}
+
+module.exports = { XSD_NS, XSD_FACETS, facetCell, parseXsdPaths };
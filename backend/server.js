@@ -1,317 +1,651 @@
 /** 
- * Azure OpenAI Mapping – Node/Express backend (single file)
- * API: POST /api/map (multipart/form-data)
+ * Azure OpenAI Mapping – Node/Express backend. The mapping pipeline itself lives in mapping.js.
+ * API: POST /api/map (multipart/form-data), POST /api/jobs + GET/DELETE /api/jobs/:id (async mapping jobs),
+ *      POST /api/schema (target schema tree), /api/glossary (team glossary CRUD), GET /api/admin/audit (audit log); all behind the API key / JWT authentication below
  */
 require('dotenv').config();
 const express = require('express');
 const multer = require('multer');
 const axios = require('axios');
-const { XMLParser } = require('fast-xml-parser');
-const xlsx = require('xlsx');
 const archiver = require('archiver');
-const { parse: parseCsv } = require('csv-parse');
-const iconv = require('iconv-lite');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+const {
+  log, httpError, parseFixedWidthLayout, parseTargetSchemas, schemaTree, readGlossary, glossaryEntry, glossaryKey, confirmedPairs,
+  resolveMapOptions, normalizeOutputFormat, runMapping, applyReview, mappingOutputs
+} = require('./mapping');
 
 const PORT = process.env.PORT || 8000;
-const AZURE_ENDPOINT   = process.env.AZURE_OPENAI_ENDPOINT || '';
-const AZURE_API_KEY    = process.env.AZURE_OPENAI_API_KEY || '';
-const AZURE_DEPLOYMENT = process.env.AZURE_OPENAI_DEPLOYMENT || 'gpt-4o';
-const AZURE_API_VER    = process.env.AZURE_OPENAI_API_VERSION || '2024-10-21';
+const MAX_UPLOAD_MB    = parseInt(process.env.MAX_UPLOAD_MB || '2048', 10);
+const UPLOAD_DIR       = process.env.UPLOAD_DIR || path.join(os.tmpdir(), 'aoai-mapping-uploads');
+const list = v => String(v || '').split(',').map(s => s.trim()).filter(Boolean);
+const CORS_ORIGINS     = list(process.env.CORS_ORIGINS ?? 'http://localhost:5173,http://127.0.0.1:5173');
+const AUTH_API_KEYS    = process.env.AUTH_API_KEYS || '';
+const AUTH_API_KEYS_FILE = process.env.AUTH_API_KEYS_FILE || '';
+const AUTH_JWKS_FILE   = process.env.AUTH_JWKS_FILE || '';
+const AUTH_JWKS_URI    = process.env.AUTH_JWKS_URI || '';
+const AUTH_JWT_ISSUER  = process.env.AUTH_JWT_ISSUER || '';
+const AUTH_JWT_AUDIENCE = process.env.AUTH_JWT_AUDIENCE || '';
+const AUTH_JWT_USER_CLAIM = process.env.AUTH_JWT_USER_CLAIM || 'sub';
+const AUTH_ADMINS      = list(process.env.AUTH_ADMINS);
+const RATE_LIMIT_PER_MINUTE = parseInt(process.env.RATE_LIMIT_PER_MINUTE || '120', 10);
+const QUOTA_RUNS_PER_DAY = parseInt(process.env.QUOTA_RUNS_PER_DAY || '0', 10);
+const QUOTA_TOKENS_PER_DAY = parseInt(process.env.QUOTA_TOKENS_PER_DAY || '0', 10);
+const AUDIT_LOG        = process.env.AUDIT_LOG ?? path.join(__dirname, 'audit.jsonl');
+const GLOSSARY_FILE    = process.env.GLOSSARY_FILE ?? path.join(__dirname, 'glossary.json');
 
 const app = express();
-app.use(express.json());
+app.use(express.json({ limit: '10mb' }));
+// CORS for the origins in CORS_ORIGINS ("*" allows any); preflights are answered before authentication.
 app.use((req,res,next)=>{
-  res.header("Access-Control-Allow-Origin", "*");
-  res.header("Access-Control-Allow-Headers", "Origin, X-Requested-With, Content-Type, Accept");
+  const origin = req.headers.origin;
+  res.header("Vary", "Origin");
+  if (origin && (CORS_ORIGINS.includes('*') || CORS_ORIGINS.includes(origin))) {
+    res.header("Access-Control-Allow-Origin", origin);
+    res.header("Access-Control-Allow-Headers", "Origin, X-Requested-With, Content-Type, Accept, Authorization, X-API-Key");
+    res.header("Access-Control-Allow-Methods", "GET, POST, DELETE, OPTIONS");
+    res.header("Access-Control-Expose-Headers", "Content-Disposition, Retry-After");
+  }
+  if (req.method === 'OPTIONS') return res.sendStatus(204);
   next();
 })
 
-const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 50 * 1024 * 1024 } });
+// Uploads go to disk so large sources are never buffered; see uploadedMapFiles / discardUploads.
+const upload = multer({ storage: multer.diskStorage({ destination: UPLOAD_DIR }), limits: { fileSize: MAX_UPLOAD_MB * 1024 * 1024 } });
 
-function sniffDelimiter(firstLine) {
-  const candidates = [',',';','\t','|'];
-  let best=',', bestCount=-1;
-  for (const c of candidates) {
-    const cnt = (firstLine.match(new RegExp('\\' + c, 'g')) || []).length;
-    if (cnt > bestCount) { best = c; bestCount = cnt; }
-  }
-  return best;
+// Target schemas come as schema_files; xsd_files is the older name for the same field.
+function schemaUploads(req) {
+  return [...((req.files && req.files['schema_files']) || []), ...((req.files && req.files['xsd_files']) || [])];
 }
 
-async function readSourceBufferToRows(buf, filename) {
-  const lower = (filename || '').toLowerCase();
-  if (lower.endsWith('.xlsx') || lower.endsWith('.xls')) {
-    const wb = xlsx.read(buf, { type: 'buffer' });
-    const sheet = wb.Sheets[wb.SheetNames[0]];
-    return xlsx.utils.sheet_to_json(sheet, { defval: '' });
+function uploadedMapFiles(req) {
+  const schemaFiles = schemaUploads(req);
+  const srcFile  = (req.files && req.files['source_file'] && req.files['source_file'][0]);
+  const baselineFile = (req.files && req.files['baseline_mapping'] && req.files['baseline_mapping'][0]) || null;
+  const layoutFile = (req.files && req.files['source_layout'] && req.files['source_layout'][0]) || null;
+  if (!schemaFiles.length) throw httpError(400, 'At least one schema_files required');
+  if (!srcFile) throw httpError(400, 'source_file required');
+  // Schemas, baselines and layouts are small and read whole; the source stays on disk for scanSource.
+  for (const f of [...schemaFiles, baselineFile, layoutFile]) if (f) f.buffer = fs.readFileSync(f.path);
+  const layout = layoutFile ? parseFixedWidthLayout(layoutFile.buffer, layoutFile.originalname) : null;
+  // The run sees the glossary as it is now, whatever changes while it runs.
+  return { schemaFiles, srcFile, baselineFile, layoutFile, layout, glossary: structuredClone(glossary) };
+}
+
+// Removes the temp files behind req.files or an uploadedMapFiles() result.
+function discardUploads(files) {
+  for (const f of Object.values(files || {}).flat()) if (f && f.path) fs.unlink(f.path, () => {});
+}
+
+/** Streams a result in its output_format (one file as-is, several as a zip); resolves to { file, bytes, sha256 } for the audit log. */
+async function sendMappingOutput(res, result, outputFormat, projectName) {
+  const files = await mappingOutputs(result, outputFormat, projectName);
+  if (files.length === 1 && outputFormat !== 'html') {
+    const [{ name, data }] = files;
+    if (outputFormat === 'json') res.type('application/json');
+    else res.attachment(name);
+    res.end(data);
+    return { file: name, bytes: data.length, sha256: sha256Hex(data) };
   }
-  const head = iconv.decode(buf.slice(0, 10000), 'utf-8');
-  const delim = sniffDelimiter((head.split(/\r?\n/)[0] || ','));
-  return new Promise((resolve, reject) => {
-    parseCsv(iconv.decode(buf, 'utf-8'), { delimiter: delim, columns: true, relax_column_count: true, trim: true }, (err, records) => {
-      if (err) return reject(err);
-      resolve(records.map(r => { for (const k in r) if (r[k] == null) r[k]=''; return r; }));
-    });
+
+  const file = outputFormat === 'html' ? `${projectName}_html.zip` : `${projectName}.zip`;
+  res.setHeader('Content-Type', 'application/zip');
+  res.setHeader('Content-Disposition', `attachment; filename="${file}"`);
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  const hash = crypto.createHash('sha256');
+  let bytes = 0;
+  archive.on('data', chunk => { hash.update(chunk); bytes += chunk.length; });
+  const done = new Promise((resolve, reject) => { archive.on('end', resolve); archive.on('error', reject); });
+  archive.pipe(res);
+  for (const f of files) archive.append(f.data, { name: f.name });
+  archive.finalize();
+  await done;
+  return { file, bytes, sha256: hash.digest('hex') };
+}
+
+// ---- Authentication, limits and audit ----
+// Every /api request is authenticated by a static API key (AUTH_API_KEYS / AUTH_API_KEYS_FILE) or an
+// OIDC/JWT bearer token checked against a JWKS (AUTH_JWKS_FILE for a local key set, AUTH_JWKS_URI, or
+// discovered from AUTH_JWT_ISSUER). With neither configured the API stays open and callers are anonymous.
+
+function sha256Hex(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+/** API key entries: [{ user, key | sha256 (hex digest of the key), role, ratePerMinute, runsPerDay, tokensPerDay }]. */
+function loadApiKeys() {
+  const text = AUTH_API_KEYS_FILE ? fs.readFileSync(AUTH_API_KEYS_FILE, 'utf-8') : AUTH_API_KEYS;
+  if (!text.trim()) return [];
+  const entries = JSON.parse(text);
+  if (!Array.isArray(entries)) throw new Error('AUTH_API_KEYS must be a JSON array');
+  return entries.map((e, i) => {
+    if (!e.user || !(e.key || e.sha256)) throw new Error(`AUTH_API_KEYS entry ${i + 1} needs user and key or sha256`);
+    const digest = Buffer.from(e.sha256 || sha256Hex(e.key), 'hex');
+    if (digest.length !== 32) throw new Error(`AUTH_API_KEYS entry ${i + 1}: sha256 must be 64 hex digits`);
+    return { ...e, digest };
   });
 }
 
-function parseXsdPaths(name, xmlString) {
-  const parser = new XMLParser({ ignoreAttributes: false, attributeNamePrefix: '' });
-  const j = parser.parse(xmlString);
-  let schema = j['xs:schema'] || j.schema || Object.values(j).find(v => v && typeof v === 'object' && v['xs:element']);
-  if (!schema) return [];
-  const complexTypes = {};
-  const cts = schema['xs:complexType'] ? (Array.isArray(schema['xs:complexType'])? schema['xs:complexType'] : [schema['xs:complexType']]) : [];
-  for (const ct of cts) if (ct.name) complexTypes[ct.name] = ct;
-  const elements = schema['xs:element'] ? (Array.isArray(schema['xs:element']) ? schema['xs:element'] : [schema['xs:element']]) : [];
-  const rows = [];
-  function childElements(node) {
-    if (!node) return [];
-    const seqs = [];
-    for (const tag of ['xs:sequence','xs:choice','xs:all']) {
-      const n = node[tag]; if (!n) continue;
-      const arr = Array.isArray(n) ? n : [n];
-      for (const s of arr) {
-        const kids = s && s['xs:element'];
-        if (kids) seqs.push(...(Array.isArray(kids)? kids : [kids]));
-      }
-    }
-    return seqs;
+const apiKeys = loadApiKeys();
+const jwtEnabled = !!(AUTH_JWKS_FILE || AUTH_JWKS_URI || AUTH_JWT_ISSUER);
+const authEnabled = apiKeys.length > 0 || jwtEnabled;
+
+// Every entry is compared, so the time taken does not depend on which key (if any) matched.
+function apiKeyUser(key) {
+  const digest = Buffer.from(sha256Hex(key), 'hex');
+  let entry = null;
+  for (const e of apiKeys) if (crypto.timingSafeEqual(e.digest, digest) && !entry) entry = e;
+  return entry && { id: entry.user, role: entry.role || 'user', method: 'api-key', limits: entry };
+}
+
+const JWT_ALGORITHMS = {
+  RS256: { hash: 'sha256' }, RS384: { hash: 'sha384' }, RS512: { hash: 'sha512' },
+  PS256: { hash: 'sha256', padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: 32 },
+  PS384: { hash: 'sha384', padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: 48 },
+  PS512: { hash: 'sha512', padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: 64 },
+  ES256: { hash: 'sha256', dsaEncoding: 'ieee-p1363' }, ES384: { hash: 'sha384', dsaEncoding: 'ieee-p1363' },
+  ES512: { hash: 'sha512', dsaEncoding: 'ieee-p1363' }, EdDSA: { hash: null }
+};
+const JWKS_TTL_MS = 10 * 60 * 1000;
+const jwks = { keys: null, loadedAt: 0 };
+
+async function loadJwks() {
+  if (AUTH_JWKS_FILE) return JSON.parse(fs.readFileSync(AUTH_JWKS_FILE, 'utf-8')).keys || [];
+  let uri = AUTH_JWKS_URI;
+  if (!uri) uri = (await axios.get(`${AUTH_JWT_ISSUER.replace(/\/$/, '')}/.well-known/openid-configuration`, { timeout: 10000 })).data.jwks_uri;
+  return (await axios.get(uri, { timeout: 10000 })).data.keys || [];
+}
+
+// Signing key for a token header; the key set is reloaded after JWKS_TTL_MS, or (at most once a minute) for an unknown kid.
+async function jwtSigningKey(kid, alg) {
+  const find = () => (jwks.keys || []).find(k => (!kid || k.kid === kid) && (!k.alg || k.alg === alg) && (!k.use || k.use === 'sig'));
+  const age = Date.now() - jwks.loadedAt;
+  if (!jwks.keys || age > JWKS_TTL_MS || (!find() && age > 60 * 1000)) {
+    jwks.keys = await loadJwks();
+    jwks.loadedAt = Date.now();
   }
-  function walk(el, prefix) {
-    const elName = el.name || (el.ref ? String(el.ref).split(':').pop() : '(anon)');
-    const pathStr = prefix ? `${prefix}/${elName}` : elName;
-    const mino = el.minOccurs ?? '1';
-    const maxo = el.maxOccurs ?? '1';
-    const tname = el.type ? String(el.type).split(':').pop() : null;
-    let ct = null;
-    if (tname && complexTypes[tname]) ct = complexTypes[tname];
-    else if (el['xs:complexType']) ct = el['xs:complexType'];
-    const kids = childElements(ct);
-    if (!ct || !kids.length) {
-      rows.push({ schema: name, path: pathStr, name: elName, type: tname || (ct ? 'complexType' : 'simpleType'), minOccurs: String(mino), maxOccurs: String(maxo) });
-      return;
+  return find();
+}
+
+/** Verifies a compact JWS (asymmetric algorithms only) and its exp/nbf/iss/aud claims. Throws 401 errors. */
+async function verifyJwt(token) {
+  const [h, p, sig] = token.split('.');
+  let header, claims;
+  try {
+    header = JSON.parse(Buffer.from(h, 'base64url').toString('utf-8'));
+    claims = JSON.parse(Buffer.from(p, 'base64url').toString('utf-8'));
+  } catch { throw httpError(401, 'Malformed bearer token'); }
+  const alg = JWT_ALGORITHMS[header.alg];
+  if (!alg) throw httpError(401, `Unsupported token algorithm ${header.alg}`);
+  const jwk = await jwtSigningKey(header.kid, header.alg);
+  if (!jwk) throw httpError(401, 'Unknown token signing key');
+  const key = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+  const { hash, ...opts } = alg;
+  if (!crypto.verify(hash, Buffer.from(`${h}.${p}`), { key, ...opts }, Buffer.from(sig || '', 'base64url'))) throw httpError(401, 'Invalid token signature');
+  const now = Date.now() / 1000, leeway = 60;
+  if (claims.exp != null && now > claims.exp + leeway) throw httpError(401, 'Token expired');
+  if (claims.nbf != null && now < claims.nbf - leeway) throw httpError(401, 'Token not yet valid');
+  if (AUTH_JWT_ISSUER && claims.iss !== AUTH_JWT_ISSUER) throw httpError(401, 'Token issuer not accepted');
+  if (AUTH_JWT_AUDIENCE && ![].concat(claims.aud || []).includes(AUTH_JWT_AUDIENCE)) throw httpError(401, 'Token audience not accepted');
+  const id = claims[AUTH_JWT_USER_CLAIM];
+  if (!id) throw httpError(401, `Token has no ${AUTH_JWT_USER_CLAIM} claim`);
+  const roles = [].concat(claims.roles || [], claims.groups || []);
+  return { id: String(id), role: roles.includes('admin') ? 'admin' : 'user', method: 'jwt', limits: {} };
+}
+
+// Bearer token (JWT or API key), X-API-Key header, or ?access_token= on GET (EventSource cannot send headers).
+function presentedCredential(req) {
+  const bearer = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+  return (bearer && bearer[1].trim()) || req.headers['x-api-key'] || (req.method === 'GET' && req.query.access_token) || '';
+}
+
+async function authenticate(req, res, next) {
+  try {
+    if (!authEnabled) {
+      req.user = { id: `anonymous@${req.ip}`, role: 'user', method: 'none', limits: {} };
+      return next();
     }
-    for (const kid of kids) walk(kid, pathStr);
+    const credential = String(presentedCredential(req));
+    if (!credential) throw httpError(401, 'Authentication required: send a bearer token or an X-API-Key header');
+    const user = apiKeyUser(credential) || (jwtEnabled && credential.split('.').length === 3 ? await verifyJwt(credential) : null);
+    if (!user) throw httpError(401, 'Invalid API key or token');
+    if (AUTH_ADMINS.includes(user.id)) user.role = 'admin';
+    req.user = user;
+    return next();
+  } catch (err) {
+    if (!err.status) log.error('[auth]', err);
+    log.warn(`[auth] ${req.method} ${req.baseUrl}${req.path} from ${req.ip} rejected: ${err.status ? err.message : 'key set unavailable'}`);
+    res.setHeader('WWW-Authenticate', 'Bearer');
+    return res.status(err.status || 503).send(err.status ? err.message : 'Token verification is unavailable');
   }
-  for (const gel of elements) walk(gel, '');
-  const seen = new Set();
-  return rows.filter(r => { const key = r.schema + '|' + r.path; if (seen.has(key)) return false; seen.add(key); return true; });
 }
 
-async function aoaiMapBatch(sourceCols, targetRows, sampleMap) {
-  if (!AZURE_ENDPOINT || !AZURE_API_KEY || !AZURE_DEPLOYMENT) throw new Error('Azure OpenAI env vars missing');
-  const url = `${AZURE_ENDPOINT}openai/deployments/${AZURE_DEPLOYMENT}/chat/completions?api-version=${AZURE_API_VER}`;
-  const system = [
-    'You map source dataset fields to XSD target element paths.',
-    'Return strict JSON only. Score 0..1 (float). Prefer exact semantics.',
-    'If unsure, pick the closest path but lower the score and add a short rationale.'
-  ].join('\\n');
-  const payload = {
-    instruction: 'Map each source field to the most appropriate target path. Return an array of {source, target_path, score, rationale}.',
-    source_fields: sourceCols,
-    sample_values: sampleMap,
-    target_dictionary: targetRows.slice(0, 3000).map(r => ({ path: r.path, type: r.type || '', occurs: `${r.minOccurs || ''}..${r.maxOccurs || ''}`, schema: r.schema || '' }))
-  };
-  const data = {
-    messages: [
-      { role: 'system', content: system },
-      { role: 'user',   content: JSON.stringify(payload) }
-    ],
-    max_tokens: 4000,
-    temperature: 0.2
-  };
-  console.log('Request payload:', JSON.stringify(data, null, 2));
-  const resp = await axios.post(url, data, { 
-    headers: { 
-      'api-key': AZURE_API_KEY, 
-      'Content-Type': 'application/json'
-    }, 
-    timeout: 120000 
-  });
-  const body = resp.data;
-  console.log('Azure OpenAI Response:', JSON.stringify(body, null, 2));
-  const text = body.choices[0].message.content;
-  console.log('Content to parse:', text);
-  let obj;
+// Per-user request rate (fixed one-minute windows) and daily run/token quotas. Counters live in memory.
+const usage = new Map();
+
+function usageOf(user) {
+  const day = new Date().toISOString().slice(0, 10);
+  let u = usage.get(user.id);
+  if (!u || u.day !== day) usage.set(user.id, u = { day, runs: 0, tokens: 0, windowStart: u?.windowStart || 0, requests: u?.requests || 0 });
+  return u;
+}
+
+function limitOf(user, name, fallback) {
+  return user.limits[name] != null ? Number(user.limits[name]) : fallback;
+}
+
+function rateLimit(req, res, next) {
+  const limit = limitOf(req.user, 'ratePerMinute', RATE_LIMIT_PER_MINUTE);
+  if (!limit) return next();
+  const u = usageOf(req.user);
+  if (Date.now() - u.windowStart >= 60 * 1000) { u.windowStart = Date.now(); u.requests = 0; }
+  if (++u.requests > limit) {
+    res.setHeader('Retry-After', Math.ceil((u.windowStart + 60 * 1000 - Date.now()) / 1000));
+    return res.status(429).send(`Rate limit of ${limit} requests per minute exceeded`);
+  }
+  return next();
+}
+
+// Rejects a mapping request before its upload when the caller's daily run or token quota is used up.
+// A run that starts under the token quota may finish over it; the next one is refused.
+function withinQuota(req, res, next) {
+  const u = usageOf(req.user);
+  const runs = limitOf(req.user, 'runsPerDay', QUOTA_RUNS_PER_DAY), tokens = limitOf(req.user, 'tokensPerDay', QUOTA_TOKENS_PER_DAY);
+  const exceeded = runs && u.runs >= runs ? `Daily quota of ${runs} mapping runs used up`
+    : tokens && u.tokens >= tokens ? `Daily quota of ${tokens} model tokens used up` : null;
+  if (!exceeded) return next();
+  audit(req, { action: req.path === '/api/map' ? 'map' : 'job', status: 'rejected', error: exceeded });
+  return res.status(429).send(exceeded);
+}
+
+function runTokens(result) {
+  return (result?.modelBatches || []).reduce((sum, b) => sum + b.PromptTokens + b.CompletionTokens, 0);
+}
+
+// Digests of the uploaded files behind req.files or an uploadedMapFiles() result.
+async function uploadDigests(files) {
+  const list = Object.values(files || {}).flat().filter(f => f && f.path);
+  return Promise.all(list.map(f => new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(f.path).on('data', c => hash.update(c)).on('error', reject)
+      .on('end', () => resolve({ field: f.fieldname, name: f.originalname, bytes: f.size, sha256: hash.digest('hex') }));
+  })));
+}
+
+/** Appends one JSON line to AUDIT_LOG: when, who (`actor` is a request or a job), what. The file is only ever appended to. */
+function audit(actor, entry) {
+  if (!AUDIT_LOG) return;
+  const line = { time: new Date().toISOString(), user: actor.user?.id, auth: actor.user?.method, ip: actor.ip, ...entry };
   try {
-    obj = typeof text === 'string' ? JSON.parse(text) : text;
-  } catch (e) {
-    console.error('JSON Parse Error:', e.message);
-    console.error('Received text:', text);
-    throw new Error('AOAI returned non-JSON');
+    fs.appendFileSync(AUDIT_LOG, `${JSON.stringify(line)}\n`);
+  } catch (err) {
+    log.error(`[audit] could not write ${AUDIT_LOG}: ${err.message}`);
   }
-  const mappings = Array.isArray(obj) ? obj : (obj.mappings || []);
-  return mappings.map(m => ({ SourceField: m.source || '', SuggestedTargetPath: m.target_path || '', MatchScore: Number(m.score) || 0, Rationale: m.rationale || '' }));
 }
 
-function colorForScore(v) {
-  const clamp = x => Math.max(0, Math.min(1, x || 0));
-  v = clamp(v);
-  function hexToRgb(h){ const s=h.replace('#',''); return [parseInt(s.slice(0,2),16),parseInt(s.slice(2,4),16),parseInt(s.slice(4,6),16)]; }
-  function rgbToHex(r,g,b){ return '#' + [r,g,b].map(n=>n.toString(16).padStart(2,'0')).join(''); }
-  function blend(a,b,t){ return [Math.round(a[0]+(b[0]-a[0])*t),Math.round(a[1]+(b[1]-a[1])*t),Math.round(a[2]+(b[2]-a[2])*t)]; }
-  const RED = hexToRgb('#F8696B'), YEL = hexToRgb('#FFEB84'), GRN = hexToRgb('#63BE7B');
-  const rgb = v <= 0.5 ? blend(RED, YEL, v/0.5) : blend(YEL, GRN, (v-0.5)/0.5);
-  return rgbToHex(...rgb);
+// The audit fields describing a mapping request.
+function auditRun(opts) {
+  return { provider: opts.llm.provider, model: opts.llm.model, matchMode: opts.matchMode, samplePolicy: opts.samplePolicy, project: opts.projectName };
 }
 
-function buildExcelBuffer(dfBySource, dfByScore, targetDict, srcPreview) {
-  function aoaFromDf(df) { if (!df.length) return [[]]; const headers = Object.keys(df[0]); return [headers, ...df.map(r => headers.map(h => r[h]))]; }
-  const wb = xlsx.utils.book_new();
-  function addSheet(name, df, styleMatch=true) {
-    const aoa = aoaFromDf(df);
-    const ws = xlsx.utils.aoa_to_sheet(aoa);
-    const headers = aoa[0] || [];
-    ws['!cols'] = headers.map(h => ({ wch: Math.max(12, Math.min(60, String(h).length + 2)) }));
-    const msIdx = headers.indexOf('MatchScore');
-    if (styleMatch && msIdx >= 0) {
-      for (let r = 1; r < aoa.length; r++) {
-        const cellRef = xlsx.utils.encode_cell({ c: msIdx, r });
-        const raw = df[r-1]['MatchScore'];
-        const v = typeof raw === 'number' ? raw : (String(raw).endsWith('%') ? parseFloat(String(raw))/100 : parseFloat(String(raw)) || 0);
-        const pctText = isFinite(v) ? `${(v*100).toFixed(1)}%` : '';
-        ws[cellRef] = { t: 's', v: pctText };
-        let bg = '#FFFFFF';
-        if (isFinite(v)) bg = v < 0.60 ? '#FCE4E4' : colorForScore(v);
-        ws[cellRef].s = { fill: { patternType: 'solid', fgColor: { rgb: bg.replace('#','').toUpperCase() } }, alignment: { horizontal: 'center' } };
-      }
-    }
-    xlsx.utils.book_append_sheet(wb, ws, name.slice(0,31));
+if (!authEnabled) log.warn('[auth] no API keys or JWT key set configured; the API is open to anyone who can reach it');
+app.use('/api', authenticate, rateLimit);
+
+const mapUpload = upload.fields([{ name: 'schema_files' }, { name: 'xsd_files' }, { name: 'source_file', maxCount: 1 }, { name: 'baseline_mapping', maxCount: 1 }, { name: 'source_layout', maxCount: 1 }]);
+
+app.post('/api/map', withinQuota, mapUpload, async (req, res) => {
+  const startedAt = Date.now();
+  let opts = null, inputs = [];
+  try {
+    opts = resolveMapOptions(req.body);
+    const files = uploadedMapFiles(req);
+    usageOf(req.user).runs++;
+    inputs = await uploadDigests(req.files);
+    const result = await runMapping(files, opts);
+    usageOf(req.user).tokens += runTokens(result);
+    const output = await sendMappingOutput(res, result, opts.outputFormat, opts.projectName);
+    audit(req, { action: 'map', status: 'succeeded', ...auditRun(opts), inputs, tokens: runTokens(result), output, durationMs: Date.now() - startedAt });
+  } catch (err) {
+    if (!err.status) log.error(err);
+    audit(req, { action: 'map', status: 'failed', ...(opts ? auditRun(opts) : {}), inputs, error: String(err?.message || err), durationMs: Date.now() - startedAt });
+    if (res.headersSent) return res.end();
+    return res.status(err.status || 500).send(typeof err?.message === 'string' ? err.message : 'Internal error');
+  } finally {
+    discardUploads(req.files);
   }
-  addSheet('Suggested Mapping (By Source)', dfBySource);
-  addSheet('Suggested Mapping (By Score)', dfByScore);
-  addSheet('Target Dictionary', targetDict, false);
-  addSheet('Source Preview (first 50)', srcPreview, false);
-  return xlsx.write(wb, { bookType: 'xlsx', type: 'buffer' });
+});
+
+// Parses the uploaded target schemas (schema_files) without mapping anything: { files, paths, tree } for the schema explorer.
+app.post('/api/schema', upload.fields([{ name: 'schema_files' }, { name: 'xsd_files' }]), async (req, res) => {
+  let inputs = [];
+  try {
+    const schemaFiles = schemaUploads(req);
+    if (!schemaFiles.length) throw httpError(400, 'At least one schema_files required');
+    inputs = await uploadDigests(req.files);
+    const rows = parseTargetSchemas(schemaFiles.map(f => ({ name: f.originalname, text: fs.readFileSync(f.path, 'utf-8') })), { containers: true });
+    if (!rows.length) throw httpError(400, 'No target elements or fields found in the uploaded schemas');
+    audit(req, { action: 'schema', status: 'succeeded', inputs });
+    return res.json({ files: schemaFiles.map(f => f.originalname), paths: rows.filter(r => r.container !== 'yes').length, tree: schemaTree(rows) });
+  } catch (err) {
+    if (!err.status) log.error(err);
+    audit(req, { action: 'schema', status: 'failed', inputs, error: String(err?.message || err) });
+    return res.status(err.status || 500).send(typeof err?.message === 'string' ? err.message : 'Internal error');
+  } finally {
+    discardUploads(req.files);
+  }
+});
+
+// ---- Mapping jobs ----
+// In-memory job registry: POST /api/jobs starts a mapping in the background, clients poll
+// GET /api/jobs/:id or follow GET /api/jobs/:id/events (SSE) and download GET /api/jobs/:id/result.
+
+const jobs = new Map();
+const JOB_TTL_MS = parseInt(process.env.JOB_TTL_MINUTES || '60', 10) * 60 * 1000;
+
+function jobView(job) {
+  const p = job.progress;
+  let percent = { queued: 0, succeeded: 100 }[job.status] ?? 5;
+  if (p.batchesTotal && job.status !== 'succeeded') percent = 5 + Math.round(90 * p.batchesDone / p.batchesTotal);
+  if (job.status === 'running' && p.phase === 'assembling output') percent = 95;
+  let etaSeconds = null;
+  if (job.status === 'running' && p.batchesDone && job.batchStartedAt) {
+    const perBatch = (Date.now() - job.batchStartedAt) / p.batchesDone;
+    etaSeconds = Math.round(perBatch * (p.batchesTotal - p.batchesDone) / 1000);
+  }
+  return {
+    id: job.id, status: job.status, projectName: job.opts.projectName, outputFormat: job.opts.outputFormat,
+    phase: p.phase, batchesDone: p.batchesDone, batchesTotal: p.batchesTotal, fieldsDone: p.fieldsDone, fieldsTotal: p.fieldsTotal,
+    percent, etaSeconds, error: job.error, createdAt: job.createdAt, finishedAt: job.finishedAt
+  };
 }
 
-function dfToHtmlDoc(title, rows) {
-  const headers = rows.length ? Object.keys(rows[0]) : [];
-  const esc = (s) => String(s ?? '').replace(/[&<>]/g, c => ({'&':'&amp;','<':'&lt;','>':'&gt;'}[c]));
-  let thead = '<tr>' + headers.map(h => `<th>${esc(h)}</th>`).join('') + '</tr>';
-  function msNum(x){ if (typeof x === 'number') return x; const s=String(x); return s.endsWith('%')? parseFloat(s)/100 : parseFloat(s); }
-  let tbody = rows.map(row => {
-    return '<tr>' + headers.map(h => {
-      if (h === 'MatchScore') {
-        const v = msNum(row[h]);
-        const txt = isFinite(v) ? `${(v*100).toFixed(1)}%` : '';
-        const low = isFinite(v) && v < 0.60;
-        const bg = low ? '#FCE4E4' : (isFinite(v) ? colorForScore(v) : 'transparent');
-        const cls = 'ms-cell' + (low ? ' ms-low' : '');
-        return `<td class="${cls}" style="background:${bg};">${esc(txt)}</td>`;
-      }
-      return `<td>${esc(row[h])}</td>`;
-    }).join('') + '</tr>';
-  }).join('');
-  const BRAND_CSS = `
-  <style>
-  :root{ --cbre-green:#006A4D; --cbre-green-600:#0B6049; --cbre-green-50:#E6F2EE; --cbre-border:#D6E3DE; --text:#102A2C; --muted:#415B5E; --low-red:#FCE4E4; }
-  body{font-family:"Segoe UI", Arial, Helvetica, sans-serif; line-height:1.45; color:var(--text); background:#fff; padding:20px;}
-  .header{display:flex; align-items:center; gap:12px; margin-bottom:14px;}
-  .logo{width:18px; height:18px; background:var(--cbre-green); border-radius:3px; display:inline-block;}
-  h1{font-size:20px; margin:0; color:var(--cbre-green);} h2{font-size:16px; color:var(--muted); margin:6px 0 18px;}
-  .table-wrap{border:1px solid var(--cbre-border); border-radius:8px; overflow:hidden; box-shadow:0 1px 2px rgba(0,0,0,0.04);} table{border-collapse:collapse; width:100%;}
-  thead th{background:var(--cbre-green-50); color:#0E2D25; text-align:left; padding:10px; border-bottom:1px solid var(--cbre-border); font-weight:600; font-size:13px;}
-  tbody td{padding:8px 10px; border-bottom:1px solid #eef3f2; font-size:13px; vertical-align:top;} tbody tr:nth-child(even) td{background:#FAFCFB;}
-  .ms-cell{white-space:nowrap; font-variant-numeric:tabular-nums;} .ms-low{background:var(--low-red) !important;}
-  .footer{margin-top:16px; font-size:12px; color:#6a7f81;} small.mono{font-family:Consolas, "Courier New", monospace;}
-  </style>`;
-  return `<!DOCTYPE html><html lang="en"><head><meta charset="utf-8"/><title>${esc(title)}</title>${BRAND_CSS}</head><body>
-  <div class="header"><span class="logo"></span><h1>Field Mapping</h1></div>
-  <h2>${esc(title)}</h2>
-  <div class="table-wrap"><table><thead>${thead}</thead><tbody>${tbody}</tbody></table></div>
-  <div class="footer">Generated by Azure OpenAI assisted mapper</div>
-  </body></html>`;
+function emitJob(job, event = 'progress') {
+  const data = `event: ${event}\ndata: ${JSON.stringify(jobView(job))}\n\n`;
+  for (const res of job.listeners) {
+    res.write(data);
+    if (event !== 'progress') res.end();
+  }
+  if (event !== 'progress') job.listeners.clear();
 }
 
-app.post('/api/map', upload.fields([{ name: 'xsd_files' }, { name: 'source_file', maxCount: 1 }]), async (req, res) => {
+// Settles a job once; later calls (a cancelled queued job whose run still fires) are ignored.
+function finishJob(job, status, error = null) {
+  if (job.finishedAt) return;
+  job.status = status; job.error = error; job.finishedAt = new Date().toISOString();
+  job.progress = { ...job.progress, phase: status };
+  const tokens = runTokens(job.result);
+  usageOf(job.user).tokens += tokens;
+  audit(job, { action: 'job', jobId: job.id, status, ...auditRun(job.opts), inputs: job.inputs, tokens, error, durationMs: Date.parse(job.finishedAt) - Date.parse(job.createdAt) });
+  discardUploads(job.files);
+  job.files = null;
+  emitJob(job, status);
+}
+
+async function runJob(job) {
+  if (job.status !== 'queued' || job.abort.signal.aborted) return;
+  job.status = 'running';
   try {
-    const outputFormat = (req.body.output_format || 'both').toLowerCase();
-    const projectName  = (req.body.project_name || 'mapping-output').trim() || 'mapping-output';
-    if (!['xlsx','html','both'].includes(outputFormat)) return res.status(400).send('output_format must be xlsx|html|both');
-
-    const xsdFiles = (req.files['xsd_files'] || []);
-    const srcFile  = (req.files['source_file'] && req.files['source_file'][0]);
-    if (!xsdFiles.length) return res.status(400).send('At least one xsd_files required');
-    if (!srcFile) return res.status(400).send('source_file required');
-
-    const sourceRows = await readSourceBufferToRows(srcFile.buffer, srcFile.originalname);
-    const sourceFields = sourceRows.length ? Object.keys(sourceRows[0]) : [];
-
-    let targetDict = [];
-    for (const f of xsdFiles) targetDict = targetDict.concat(parseXsdPaths(f.originalname, f.buffer.toString('utf-8')));
-    const seen = new Set();
-    targetDict = targetDict.filter(r => { const k = r.schema + '|' + r.path; if (seen.has(k)) return false; seen.add(k); return true; });
-
-    const samples = {}; for (const col of sourceFields) samples[col] = [...new Set(sourceRows.map(r => (r[col] ?? '').toString()))].filter(Boolean).slice(0,3);
-
-    let results = [];
-    for (let i=0; i<sourceFields.length; i+=60) {
-      const batch = sourceFields.slice(i, i+60);
-      const subset = {}; batch.forEach(k => subset[k] = samples[k]);
-      const mapped = await aoaiMapBatch(batch, targetDict, subset);
-      results = results.concat(mapped);
-    }
-    const have = new Set(results.map(r => r.SourceField));
-    for (const c of sourceFields) if (!have.has(c)) results.push({ SourceField: c, SuggestedTargetPath: '', MatchScore: 0.0, Rationale: '' });
-
-    const extraByPath = new Map(targetDict.map(r => [r.path, r]));
-    const bySource = results.map((r, idx) => {
-      const extra = extraByPath.get(r.SuggestedTargetPath) || {};
-      return {
-        SourceOrder: idx + 1,
-        SourceField: r.SourceField,
-        SuggestedTargetPath: r.SuggestedTargetPath,
-        TargetSchema: extra.schema || '',
-        TargetType: extra.type || '',
-        Occurs: `${extra.minOccurs || ''}..${extra.maxOccurs || ''}`,
-        MatchScore: r.MatchScore,
-        SampleValue: samples[r.SourceField]?.[0] || '',
-        Rationale: r.Rationale || ''
-      };
+    job.inputs = await uploadDigests(job.files);
+    job.result = await runMapping(job.files, job.opts, {
+      signal: job.abort.signal,
+      onProgress: (p) => {
+        if (p.phase === 'model batches' && !job.batchStartedAt) job.batchStartedAt = Date.now();
+        job.progress = p;
+        emitJob(job);
+      }
     });
-    const byScore = [...bySource].sort((a,b) => (b.MatchScore||0) - (a.MatchScore||0));
-
-    if (outputFormat === 'xlsx') {
-      const srcPreview = sourceRows.slice(0, 50);
-      const xbuf = buildExcelBuffer(bySource, byScore, targetDict, srcPreview);
-      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
-      res.setHeader('Content-Disposition', `attachment; filename="${projectName}.xlsx"`);
-      return res.end(xbuf);
-    }
+    finishJob(job, 'succeeded');
+  } catch (err) {
+    if (job.abort.signal.aborted) return finishJob(job, 'cancelled', 'Mapping cancelled');
+    log.error(`[job ${job.id}]`, err);
+    finishJob(job, 'failed', typeof err?.message === 'string' ? err.message : 'Internal error');
+  }
+}
 
-    const htmlFiles = [
-      { name: 'Suggested_Mapping_By_Source.html', data: Buffer.from(dfToHtmlDoc('Suggested Mapping (By Source)', bySource)) },
-      { name: 'Suggested_Mapping_By_Score.html',  data: Buffer.from(dfToHtmlDoc('Suggested Mapping (By Score)', byScore)) },
-      { name: 'Target_Dictionary.html',           data: Buffer.from(dfToHtmlDoc('Target Dictionary', targetDict)) },
-      { name: 'Source_Preview_first_50.html',     data: Buffer.from(dfToHtmlDoc('Source Preview (first 50)', sourceRows.slice(0,50))) },
-    ];
-
-    if (outputFormat === 'html') {
-      res.setHeader('Content-Type', 'application/zip');
-      res.setHeader('Content-Disposition', `attachment; filename="${projectName}_html.zip"`);
-      const archive = archiver('zip', { zlib: { level: 9 } });
-      archive.on('error', err => { throw err; });
-      archive.pipe(res);
-      for (const f of htmlFiles) archive.append(f.data, { name: f.name });
-      return archive.finalize();
-    }
+// Jobs are visible to the user who started them and to admins; anyone else gets the same 404 as for a missing job.
+function findJob(req, res) {
+  let job = jobs.get(req.params.id);
+  if (job && job.user.id !== req.user.id && req.user.role !== 'admin') job = null;
+  if (!job) res.status(404).send('job not found');
+  return job;
+}
+
+app.post('/api/jobs', withinQuota, mapUpload, (req, res) => {
+  try {
+    const opts = resolveMapOptions(req.body);
+    const files = uploadedMapFiles(req);
+    usageOf(req.user).runs++;
+    const job = {
+      id: crypto.randomUUID(), status: 'queued', opts, files, result: null, error: null, user: req.user, ip: req.ip, inputs: [],
+      progress: { phase: 'queued', batchesDone: 0, batchesTotal: 0, fieldsDone: 0, fieldsTotal: 0 },
+      createdAt: new Date().toISOString(), finishedAt: null, batchStartedAt: null,
+      abort: new AbortController(), listeners: new Set()
+    };
+    jobs.set(job.id, job);
+    setImmediate(() => runJob(job));
+    return res.status(202).json(jobView(job));
+  } catch (err) {
+    discardUploads(req.files);
+    if (!err.status) log.error(err);
+    audit(req, { action: 'job', status: 'failed', error: String(err?.message || err) });
+    return res.status(err.status || 500).send(typeof err?.message === 'string' ? err.message : 'Internal error');
+  }
+});
+
+app.get('/api/jobs/:id', (req, res) => {
+  const job = findJob(req, res);
+  if (job) res.json(jobView(job));
+});
+
+app.get('/api/jobs/:id/events', (req, res) => {
+  const job = findJob(req, res);
+  if (!job) return;
+  res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+  const done = ['succeeded', 'failed', 'cancelled'].includes(job.status);
+  res.write(`event: ${done ? job.status : 'progress'}\ndata: ${JSON.stringify(jobView(job))}\n\n`);
+  if (done) return res.end();
+  job.listeners.add(res);
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+  req.on('close', () => { clearInterval(heartbeat); job.listeners.delete(res); });
+});
 
-    const srcPreview = sourceRows.slice(0, 50);
-    const xbuf = buildExcelBuffer(bySource, byScore, targetDict, srcPreview);
-    res.setHeader('Content-Type', 'application/zip');
-    res.setHeader('Content-Disposition', `attachment; filename="${projectName}.zip"`);
-    const archive = archiver('zip', { zlib: { level: 9 } });
-    archive.on('error', err => { throw err; });
-    archive.pipe(res);
-    archive.append(xbuf, { name: `${projectName}.xlsx` });
-    for (const f of htmlFiles) archive.append(f.data, { name: f.name });
-    return archive.finalize();
+app.get('/api/jobs/:id/result', async (req, res) => {
+  const job = findJob(req, res);
+  if (!job) return;
+  if (job.status !== 'succeeded') return res.status(409).send(`job is ${job.status}`);
+  let format;
+  try { format = normalizeOutputFormat(req.query.format || job.opts.outputFormat); } catch (err) { return res.status(400).send(err.message); }
+  try {
+    const output = await sendMappingOutput(res, job.result, format, job.opts.projectName);
+    audit(req, { action: 'job.download', jobId: job.id, output });
   } catch (err) {
-    console.error(err);
+    log.error(err);
+    if (res.headersSent) return res.end();
     return res.status(500).send(typeof err?.message === 'string' ? err.message : 'Internal error');
   }
 });
 
-app.listen(PORT, () => console.log(`[server] http://localhost:${PORT}`));
+// Exports a finished job with reviewer decisions applied. Body: { rows: [...], format }.
+app.post('/api/jobs/:id/review', async (req, res) => {
+  const job = findJob(req, res);
+  if (!job) return;
+  if (job.status !== 'succeeded') return res.status(409).send(`job is ${job.status}`);
+  let format;
+  try { format = normalizeOutputFormat(req.body?.format || job.opts.outputFormat); } catch (err) { return res.status(400).send(err.message); }
+  try {
+    const reviewed = applyReview(job.result, req.body?.rows);
+    const output = await sendMappingOutput(res, reviewed, format, `${job.opts.projectName}_reviewed`);
+    const learned = addGlossaryEntries('pairs', confirmedPairs(reviewed), req.user, 'review');
+    audit(req, { action: 'job.review', jobId: job.id, output, glossary: learned });
+  } catch (err) {
+    if (!err.status) log.error(err);
+    if (res.headersSent) return res.end();
+    return res.status(err.status || 500).send(typeof err?.message === 'string' ? err.message : 'Internal error');
+  }
+});
+
+app.delete('/api/jobs/:id', (req, res) => {
+  const job = findJob(req, res);
+  if (!job) return;
+  if (!['queued', 'running'].includes(job.status)) return res.status(409).send(`job is ${job.status}`);
+  job.abort.abort();
+  audit(req, { action: 'job.cancel', jobId: job.id });
+  if (job.status === 'queued') finishJob(job, 'cancelled', 'Mapping cancelled');
+  return res.json(jobView(job));
+});
+
+// ---- Team glossary ----
+// Terms ({ term, expansion }) and confirmed pairs ({ source, targetPath }) that every mapping run uses
+// (see runMapping), kept in GLOSSARY_FILE ("" keeps them in memory only). Reviewed exports add the
+// accepted and overridden rows as pairs, counting confirmations.
+
+const glossary = loadGlossary();
+
+function loadGlossary() {
+  if (!GLOSSARY_FILE || !fs.existsSync(GLOSSARY_FILE)) return { terms: [], pairs: [] };
+  let data;
+  try { data = JSON.parse(fs.readFileSync(GLOSSARY_FILE, 'utf-8')); } catch (err) { throw new Error(`GLOSSARY_FILE ${GLOSSARY_FILE} is not readable JSON: ${err.message}`); }
+  return { terms: data.terms || [], pairs: data.pairs || [] };
+}
+
+// Written to a temp file first so a crash never leaves half a glossary behind.
+function saveGlossary() {
+  if (!GLOSSARY_FILE) return;
+  fs.writeFileSync(`${GLOSSARY_FILE}.tmp`, JSON.stringify(glossary, null, 2));
+  fs.renameSync(`${GLOSSARY_FILE}.tmp`, GLOSSARY_FILE);
+}
+
+// Terms are unique by name, pairs by source name and target path (names compared as in glossaryKey).
+function glossaryId(kind, e) {
+  return kind === 'terms' ? glossaryKey(e.term) : `${glossaryKey(e.source)}|${e.targetPath}`;
+}
+
+/** Adds or updates glossary entries of one kind (origin "review" counts a confirmation); saves and returns { added, updated }. */
+function addGlossaryEntries(kind, entries, user, origin) {
+  const now = new Date().toISOString();
+  let added = 0, updated = 0;
+  for (const e of entries) {
+    const same = glossary[kind].find(x => glossaryId(kind, x) === glossaryId(kind, e));
+    const confirmations = (same?.confirmations || 0) + (origin === 'review' ? 1 : 0);
+    const stamp = { ...(kind === 'pairs' ? { origin: same?.origin || origin, confirmations } : {}), updatedAt: now, updatedBy: user.id };
+    if (same) { Object.assign(same, e, stamp); updated++; }
+    else { glossary[kind].push({ id: crypto.randomUUID(), ...e, ...stamp }); added++; }
+  }
+  if (entries.length) saveGlossary();
+  return { added, updated };
+}
+
+function glossaryKind(req, res) {
+  if (['terms', 'pairs'].includes(req.params.kind)) return req.params.kind;
+  res.status(404).send('glossary kind must be terms|pairs');
+  return null;
+}
+
+// Adding, changing or removing entries steers every later run, so it needs the admin role, as replacing the glossary does.
+function glossaryAdmin(req, res, next) {
+  if (req.user.role !== 'admin') return res.status(403).send('admin role required to change glossary entries');
+  return next();
+}
+
+app.get('/api/glossary', (req, res) => res.json(glossary));
+
+// Imports a CSV or JSON glossary (glossary_file). mode=replace (admins only) drops the current entries first.
+app.post('/api/glossary/import', upload.fields([{ name: 'glossary_file', maxCount: 1 }]), (req, res) => {
+  try {
+    const file = req.files?.['glossary_file']?.[0];
+    if (!file) throw httpError(400, 'glossary_file required');
+    const mode = (req.body?.mode || 'merge').toLowerCase();
+    if (!['merge', 'replace'].includes(mode)) throw httpError(400, 'mode must be merge|replace');
+    if (mode === 'replace' && req.user.role !== 'admin') throw httpError(403, 'admin role required to replace the glossary');
+    const incoming = readGlossary(fs.readFileSync(file.path), file.originalname);
+    if (mode === 'replace') { glossary.terms = []; glossary.pairs = []; }
+    const counts = { terms: addGlossaryEntries('terms', incoming.terms, req.user, 'import'), pairs: addGlossaryEntries('pairs', incoming.pairs, req.user, 'import') };
+    audit(req, { action: 'glossary.import', file: file.originalname, mode, counts });
+    return res.json({ mode, ...counts });
+  } catch (err) {
+    if (!err.status) log.error(err);
+    return res.status(err.status || 500).send(typeof err?.message === 'string' ? err.message : 'Internal error');
+  } finally {
+    discardUploads(req.files);
+  }
+});
+
+app.post('/api/glossary/:kind', glossaryAdmin, (req, res) => {
+  const kind = glossaryKind(req, res);
+  if (!kind) return;
+  try {
+    const entry = glossaryEntry(kind, req.body);
+    addGlossaryEntries(kind, [entry], req.user, 'api');
+    const saved = glossary[kind].find(x => glossaryId(kind, x) === glossaryId(kind, entry));
+    audit(req, { action: 'glossary.add', kind, entry: saved });
+    return res.status(201).json(saved);
+  } catch (err) {
+    return res.status(err.status || 500).send(err.message);
+  }
+});
+
+app.put('/api/glossary/:kind/:id', glossaryAdmin, (req, res) => {
+  const kind = glossaryKind(req, res);
+  if (!kind) return;
+  const current = glossary[kind].find(x => x.id === req.params.id);
+  if (!current) return res.status(404).send('glossary entry not found');
+  try {
+    const entry = glossaryEntry(kind, req.body);
+    if (glossary[kind].some(x => x !== current && glossaryId(kind, x) === glossaryId(kind, entry))) return res.status(409).send('an equal glossary entry exists');
+    Object.assign(current, entry, { updatedAt: new Date().toISOString(), updatedBy: req.user.id });
+    saveGlossary();
+    audit(req, { action: 'glossary.update', kind, entry: current });
+    return res.json(current);
+  } catch (err) {
+    return res.status(err.status || 500).send(err.message);
+  }
+});
+
+app.delete('/api/glossary/:kind/:id', glossaryAdmin, (req, res) => {
+  const kind = glossaryKind(req, res);
+  if (!kind) return;
+  const i = glossary[kind].findIndex(x => x.id === req.params.id);
+  if (i < 0) return res.status(404).send('glossary entry not found');
+  const [entry] = glossary[kind].splice(i, 1);
+  saveGlossary();
+  audit(req, { action: 'glossary.delete', kind, entry });
+  return res.sendStatus(204);
+});
+
+/** Admin audit log query, newest first; filters user, action, since/until, file (name or SHA-256) and limit (at most 1000). */
+app.get('/api/admin/audit', async (req, res) => {
+  if (req.user.role !== 'admin') return res.status(403).send('admin role required');
+  const { user, action, since, until, file } = req.query;
+  const limit = Math.min(parseInt(req.query.limit || '100', 10) || 100, 1000);
+  const entries = [];
+  if (AUDIT_LOG && fs.existsSync(AUDIT_LOG)) {
+    for await (const line of readline.createInterface({ input: fs.createReadStream(AUDIT_LOG, 'utf-8'), crlfDelay: Infinity })) {
+      let e;
+      try { e = JSON.parse(line); } catch { continue; }
+      if ((user && e.user !== user) || (action && e.action !== action) || (since && e.time < since) || (until && e.time.slice(0, until.length) > until)) continue;
+      if (file && ![...(e.inputs || []), e.output].some(f => f && [f.name, f.file, f.sha256].includes(file))) continue;
+      entries.push(e);
+      if (entries.length > limit) entries.shift();
+    }
+  }
+  return res.json({ entries: entries.reverse() });
+});
+
+setInterval(() => {
+  const cutoff = Date.now() - JOB_TTL_MS;
+  for (const [id, job] of jobs) if (job.finishedAt && Date.parse(job.finishedAt) < cutoff) jobs.delete(id);
+}, 60 * 1000).unref();
+
+// Multer rejects uploads before the route runs; answer those with a status instead of the default 500 page.
+app.use((err, req, res, next) => {
+  if (!(err instanceof multer.MulterError)) return next(err);
+  if (err.code === 'LIMIT_FILE_SIZE') return res.status(413).send(`${err.field} exceeds the ${MAX_UPLOAD_MB} MB upload limit`);
+  return res.status(400).send(`${err.message}${err.field ? ` (${err.field})` : ''}`);
+});
+
+if (require.main === module) app.listen(PORT, () => log.info(`[server] http://localhost:${PORT}`));
+
+module.exports = { app, apiKeyUser, verifyJwt };
@@ -0,0 +1,104 @@
+/** Baseline mappings: a previous export or mapping spec read back, and its approved rows carried over. */
+const xlsx = require('xlsx');
+const iconv = require('iconv-lite');
+const YAML = require('yaml');
+const { SPEC_VERSION, SPEC_KIND } = require('../config');
+const { httpError } = require('../errors');
+const { parseTransform, extraTargetPaths } = require('../transform/expressions');
+const { FREE_CHOICE } = require('../outputs/tables');
+
+const BASELINE_SHEET = 'Suggested Mapping (By Source)';
+
+function parseScore(raw) {
+  if (typeof raw === 'number') return raw;
+  const s = String(raw ?? '').trim();
+  const v = s.endsWith('%') ? parseFloat(s) / 100 : parseFloat(s);
+  return isFinite(v) ? v : 0;
+}
+
+/** Parses a JSON or YAML mapping spec and checks its kind and major version. Throws 400 errors. */
+function readMappingSpec(buf, filename) {
+  let spec;
+  try {
+    spec = /\.json$/i.test(filename || '') ? JSON.parse(buf.toString('utf-8')) : YAML.parse(buf.toString('utf-8'));
+  } catch (e) { throw httpError(400, `${filename}: ${e.message}`); }
+  if (!spec || spec.kind !== SPEC_KIND || !Array.isArray(spec.mappings)) throw httpError(400, `${filename} is not a mapping spec (kind: ${SPEC_KIND})`);
+  if (String(spec.specVersion).split('.')[0] !== SPEC_VERSION.split('.')[0]) throw httpError(400, `${filename}: mapping spec version ${spec.specVersion} is not supported (expected ${SPEC_VERSION})`);
+  return spec;
+}
+
+// Mapping spec entries (or flat spec CSV rows, whose extraTargetPaths cell is JSON) as By Source baseline rows.
+function specBaselineRows(mappings) {
+  const extras = v => {
+    try { return typeof v === 'string' && v.trim().startsWith('[') ? JSON.parse(v) : v; } catch { return v; }
+  };
+  return mappings.map(m => ({
+    SourceField: m.sourceField, SuggestedTargetPath: m.targetPath || '', MatchScore: m.score, Rationale: m.rationale || '', ReviewStatus: m.status || '',
+    Transform: m.transform || '', ExtraTargetPaths: extraTargetPaths(extras(m.extraTargetPaths)).join('; ')
+  }));
+}
+
+/** Reads a previous export's By Source rows (workbook, CSV or spec) as Map(SourceField -> { path, extras, transform, score, rationale, approved }). */
+function readBaselineMapping(buf, filename) {
+  const lower = (filename || '').toLowerCase();
+  let rows;
+  if (lower.endsWith('.xlsx') || lower.endsWith('.xls')) {
+    const wb = xlsx.read(buf, { type: 'buffer' });
+    const sheet = wb.Sheets[BASELINE_SHEET] || wb.Sheets[wb.SheetNames[0]];
+    rows = xlsx.utils.sheet_to_json(sheet, { defval: '' });
+  } else if (lower.endsWith('.csv')) {
+    rows = xlsx.utils.sheet_to_json(xlsx.read(iconv.decode(buf, 'utf-8'), { type: 'string' }).Sheets.Sheet1, { defval: '' });
+    if (rows.length && 'sourceField' in rows[0] && 'targetPath' in rows[0]) rows = specBaselineRows(rows);
+  } else if (/\.(json|ya?ml)$/.test(lower)) {
+    rows = specBaselineRows(readMappingSpec(buf, filename).mappings);
+  } else {
+    throw httpError(400, 'baseline_mapping must be .xlsx, .xls, .csv or a mapping spec (.json, .yaml)');
+  }
+  if (rows.length && !('SourceField' in rows[0] && 'SuggestedTargetPath' in rows[0])) {
+    throw httpError(400, `baseline_mapping needs SourceField and SuggestedTargetPath columns (sheet "${BASELINE_SHEET}")`);
+  }
+  const out = new Map();
+  for (const r of rows) {
+    const field = String(r.SourceField ?? '').trim();
+    if (!field) continue;
+    const approved = /^(y|yes|true|x|1|approved)$/i.test(String(r.Approved ?? '').trim()) ||
+      ['accepted', 'overridden'].includes(String(r.ReviewStatus ?? '').trim().toLowerCase());
+    const path = String(r.SuggestedTargetPath ?? '').trim();
+    out.set(field, {
+      path: path === FREE_CHOICE ? '' : path, extras: extraTargetPaths(r.ExtraTargetPaths), transform: String(r.Transform ?? '').trim(),
+      score: parseScore(r.MatchScore), rationale: String(r.Rationale ?? ''), approved
+    });
+  }
+  return out;
+}
+
+// Keeps approved baseline rows whose field and target path still exist; the other fields are matched again.
+function carryOverBaseline(baseline, sourceFields, targetDict) {
+  const paths = new Set(targetDict.map(r => r.path));
+  const fields = new Set(sourceFields);
+  const kept = []; const status = {}; const notes = {};
+  for (const field of sourceFields) {
+    const b = baseline.get(field);
+    if (!b) continue;
+    if (b.path && !paths.has(b.path)) {
+      status[field] = 'target removed';
+      notes[field] = `Previous target path ${b.path} no longer exists in the target schemas.`;
+    } else if (b.approved && b.path) {
+      status[field] = 'kept (approved)';
+      const gone = (b.extras || []).filter(p => !paths.has(p));
+      let transform = b.transform || '';
+      try { parseTransform(transform); } catch (err) { notes[field] = `Previous transform dropped: ${err.message}.`; transform = ''; }
+      if (gone.length) notes[field] = [notes[field], `Previous extra target path(s) ${gone.join(', ')} no longer exist in the target schemas.`].filter(Boolean).join(' ');
+      kept.push({
+        SourceField: field, SuggestedTargetPath: b.path, ExtraTargetPaths: (b.extras || []).filter(p => paths.has(p)).join('; '), Transform: transform,
+        MatchScore: b.score, Rationale: b.rationale, MatchMethod: 'baseline'
+      });
+    } else {
+      status[field] = b.approved ? 'approved without target' : 'unapproved';
+    }
+  }
+  const dropped = [...baseline.keys()].filter(f => !fields.has(f));
+  return { kept, status, notes, dropped };
+}
+
+module.exports = { readMappingSpec, readBaselineMapping, carryOverBaseline };
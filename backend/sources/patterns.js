@@ -0,0 +1,58 @@
+/** Value patterns: the kinds the profile counts and the personal data (email, IBAN, card, phone) redacted from samples and logs. */
+
+const PROFILE_PATTERNS = {
+  integer: /^[+-]?\d+$/,
+  decimal: /^[+-]?(\d{1,3}(,\d{3})+|\d+)(\.\d+)?$/,
+  decimalComma: /^[+-]?(\d{1,3}(\.\d{3})+|\d+)(,\d+)?$/,
+  email: /^[^@\s]+@[^@\s]+\.[^@\s]+$/,
+  code: /^[A-Za-z0-9][A-Za-z0-9_\-./:]*$/
+};
+
+const DATE_LIKE = /^\d{1,4}([-./])\d{1,2}\1\d{1,4}$/;
+
+function luhnValid(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let d = Number(digits[digits.length - 1 - i]);
+    if (i % 2) { d *= 2; if (d > 9) d -= 9; }
+    sum += d;
+  }
+  return sum % 10 === 0;
+}
+
+// ISO 7064 mod 97 over an IBAN-style string (letters count as 10..35).
+function mod97(str) {
+  let r = 0;
+  for (const ch of str) for (const d of /\d/.test(ch) ? ch : String(ch.charCodeAt(0) - 55)) r = (r * 10 + Number(d)) % 97;
+  return r;
+}
+
+function ibanValid(value) {
+  const s = value.replace(/\s/g, '').toUpperCase();
+  return /^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/.test(s) && mod97(s.slice(4) + s.slice(0, 4)) === 1;
+}
+
+/** 'email', 'iban', 'card' (Luhn-valid, 13–19 digits) or 'phone' when a value looks like one, else null. */
+function piiKind(value) {
+  const v = String(value).trim();
+  if (PROFILE_PATTERNS.email.test(v)) return 'email';
+  if (/^[A-Za-z]{2}\d{2}[A-Za-z0-9 ]{11,40}$/.test(v) && ibanValid(v)) return 'iban';
+  const digits = v.replace(/\D/g, '');
+  if (/^\d[\d -]*\d$/.test(v) && digits.length >= 13 && digits.length <= 19 && luhnValid(digits)) return 'card';
+  if (/^\+?[\d\s().-]+$/.test(v) && /[+\s().-]/.test(v) && digits.length >= 7 && digits.length <= 15 && !DATE_LIKE.test(v)) return 'phone';
+  return null;
+}
+
+// Applied to every log line: credentials first, then anything piiKind recognises inside free text.
+const REDACTIONS = [
+  [/\b(api[-_]?key|authorization)(["']?\s*[:=]\s*["']?)(Bearer\s+)?[^\s"',}]+/gi, (m, key, sep) => `${key}${sep}[secret]`],
+  [/[^\s@"'<>()[\],;:]+@[^\s@"'<>()[\],;:]+\.[A-Za-z]{2,}/g, '[email]'],
+  [/\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]){11,30}\b/g, m => (ibanValid(m) ? '[iban]' : m)],
+  [/(?<![\w.])\+?\(?\d[\d\s().-]{5,22}\d(?![\w.])/g, m => { const k = piiKind(m); return k === 'card' || k === 'phone' ? `[${k}]` : m; }]
+];
+
+function redactText(text) {
+  return REDACTIONS.reduce((out, [re, by]) => out.replace(re, by), String(text));
+}
+
+module.exports = { PROFILE_PATTERNS, luhnValid, mod97, piiKind, redactText };
@@ -0,0 +1,129 @@
+/** Source profiling: per-field types, formats, patterns and top values from a scan's reservoir sample. */
+const { SAMPLE_RESERVOIR, PROFILE_DISTINCT_CAP, PREVIEW_ROWS } = require('../config');
+const { PROFILE_PATTERNS, piiKind } = require('./patterns');
+
+const MONTHS = 'jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec';
+// Date layouts recognised by the profiler. `dmy` marks layouts whose day/month order is decided from the data.
+const DATE_FORMATS = [
+  { format: "yyyy-MM-dd'T'HH:mm:ss", type: 'datetime', re: /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/ },
+  { format: 'yyyy-MM-dd HH:mm:ss', type: 'datetime', re: /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}(:\d{2})?$/ },
+  { format: 'yyyy-MM-dd', type: 'date', re: /^\d{4}-\d{2}-\d{2}$/ },
+  { format: 'yyyy/MM/dd', type: 'date', re: /^\d{4}\/\d{1,2}\/\d{1,2}$/ },
+  { format: 'yyyyMMdd', type: 'date', re: /^(19|20)\d{2}(0[1-9]|1[0-2])(0[1-9]|[12]\d|3[01])$/ },
+  { format: '?/?/yyyy', type: 'date', re: /^\d{1,2}\/\d{1,2}\/\d{4}$/, dmy: '/' },
+  { format: '?.?.yyyy', type: 'date', re: /^\d{1,2}\.\d{1,2}\.\d{4}$/, dmy: '.' },
+  { format: '?-?-yyyy', type: 'date', re: /^\d{1,2}-\d{1,2}-\d{4}$/, dmy: '-' },
+  { format: 'dd-MMM-yyyy', type: 'date', re: new RegExp(`^\\d{1,2}[- ](${MONTHS})[a-z]*[- ]\\d{2,4}$`, 'i') }
+];
+
+function detectDateFormat(vals) {
+  for (const f of DATE_FORMATS) {
+    if (!vals.every(v => f.re.test(v))) continue;
+    if (!f.dmy) return f;
+    const parts = vals.map(v => v.split(f.dmy).map(Number));
+    const dayFirst = parts.some(p => p[0] > 12), monthFirst = parts.some(p => p[1] > 12);
+    if (dayFirst && monthFirst) continue;
+    const layout = monthFirst ? ['MM', 'dd'] : ['dd', 'MM'];
+    return { ...f, format: `${layout[0]}${f.dmy}${layout[1]}${f.dmy}yyyy${dayFirst || monthFirst ? '' : ' (day/month order ambiguous)'}` };
+  }
+  return null;
+}
+
+// Small seeded PRNG (mulberry32) so reservoir samples, and with them model payloads, are repeatable.
+function seededRandom(seed) {
+  return () => {
+    seed = (seed + 0x6D2B79F5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/** Single-pass, bounded-memory summary of the source: `add(row, index)`, then `finish()` for { fields, rowCount, preview, samples, profile, topValues }. */
+function createSourceScan() {
+  const columns = new Map();
+  const preview = [];
+  const random = seededRandom(0x5eed);
+  let rowCount = 0;
+
+  function addValue(col, raw) {
+    const v = String(raw ?? '').trim();
+    if (!v) return;
+    col.nonNull++;
+    col.minLen = Math.min(col.minLen, v.length); col.maxLen = Math.max(col.maxLen, v.length);
+    let entry = col.counts.get(v);
+    if (!entry) {
+      entry = { n: 0, kinds: Object.keys(PROFILE_PATTERNS).filter(k => PROFILE_PATTERNS[k].test(v)), pii: piiKind(v) };
+      if (col.counts.size < PROFILE_DISTINCT_CAP) col.counts.set(v, entry); else col.capped = true;
+    }
+    entry.n++;
+    for (const k of entry.kinds) col.kinds[k] = (col.kinds[k] || 0) + 1;
+    if (entry.pii) col.pii[entry.pii] = (col.pii[entry.pii] || 0) + 1;
+    if (col.reservoir.length < SAMPLE_RESERVOIR) col.reservoir.push(v);
+    else {
+      const j = Math.floor(random() * col.nonNull);
+      if (j < SAMPLE_RESERVOIR) col.reservoir[j] = v;
+    }
+  }
+
+  return {
+    add(row, index = rowCount) {
+      rowCount = Math.max(rowCount, index + 1);
+      if (index < PREVIEW_ROWS) preview[index] = { ...preview[index], ...row };
+      for (const [k, v] of Object.entries(row)) {
+        let col = columns.get(k);
+        if (!col) columns.set(k, col = { nonNull: 0, minLen: Infinity, maxLen: 0, counts: new Map(), capped: false, kinds: {}, pii: {}, reservoir: [] });
+        addValue(col, v);
+      }
+    },
+    finish() {
+      const fields = [...columns.keys()];
+      const samples = {};
+      for (const [field, col] of columns) samples[field] = [...new Set(col.reservoir)].slice(0, 3);
+      return {
+        fields, rowCount, samples,
+        preview: Array.from(preview, r => Object.fromEntries(fields.map(f => [f, r?.[f] ?? '']))),
+        profile: fields.map(f => profileColumn(f, columns.get(f), rowCount)),
+        topValues: Object.fromEntries(fields.map(f => [f, topValues(columns.get(f))]))
+      };
+    }
+  };
+}
+
+// The five most frequent values of a scanned column as [value, count] pairs.
+function topValues(col) {
+  return [...col.counts].sort((a, b) => b[1].n - a[1].n).slice(0, 5).map(([v, e]) => [v, e.n]);
+}
+
+function formatTopValues(top, show = v => v) {
+  return top.map(([v, n]) => `${show(v)} (${n})`).join('; ');
+}
+
+// Source Profile row for one column: inferred type and format, PII kind, null rate, distinct count, lengths and top values.
+function profileColumn(field, col, rowCount) {
+  const values = [...col.counts.keys()];
+  const share = k => (col.nonNull ? (col.kinds[k] || 0) / col.nonNull : 0);
+  let type = 'empty', format = '';
+  if (col.nonNull) {
+    const date = detectDateFormat([...new Set(col.reservoir)]);
+    if (!col.capped && (values.every(v => /^(true|false|yes|no|y|n)$/i.test(v)) || (values.every(v => v === '0' || v === '1') && values.length === 2))) type = 'boolean';
+    else if (date && date.format === 'yyyyMMdd') { type = date.type; format = date.format; }
+    else if (share('integer') >= 0.95) type = 'integer';
+    else if (share('decimal') >= 0.95) { type = 'decimal'; format = values.some(v => v.includes(',')) ? 'thousands separator' : ''; }
+    else if (share('decimalComma') >= 0.95) { type = 'decimal'; format = 'decimal comma'; }
+    else if (date) { type = date.type; format = date.format; }
+    else if (share('email') >= 0.95) type = 'email';
+    else if (share('code') >= 0.95 && col.maxLen <= 20 && ((!col.capped && values.length <= 100) || col.minLen === col.maxLen)) { type = 'code'; format = col.minLen === col.maxLen ? `fixed length ${col.maxLen}` : ''; }
+    else type = 'text';
+  }
+  const pii = Object.keys(col.pii).find(k => col.pii[k] / col.nonNull >= 0.8) || '';
+  return {
+    Field: field, InferredType: type, Format: format, PII: pii,
+    NullRate: rowCount ? `${(100 * (rowCount - col.nonNull) / rowCount).toFixed(1)}%` : '',
+    DistinctCount: col.capped ? `${PROFILE_DISTINCT_CAP}+` : values.length,
+    MinLength: col.nonNull ? col.minLen : '', MaxLength: col.nonNull ? col.maxLen : '',
+    TopValues: formatTopValues(topValues(col))
+  };
+}
+
+module.exports = { MONTHS, seededRandom, createSourceScan, formatTopValues };
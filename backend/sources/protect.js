@@ -0,0 +1,80 @@
+/** Sample protection: what sample values look like in prompts, sheets and logs under each sample_policy. Rules and type checks see raw values. */
+const crypto = require('crypto');
+const { luhnValid, mod97, piiKind } = require('./patterns');
+const { MONTHS, seededRandom, formatTopValues } = require('./profile');
+
+/** Shape-preserving mask: upper-case letters become A, other letters a, digits 9; everything else stays. */
+function maskValue(value) {
+  return String(value).replace(/\p{L}|\p{Nd}/gu, c => (/\p{Nd}/u.test(c) ? '9' : /\p{Lu}/u.test(c) ? 'A' : 'a'));
+}
+
+function formatDate(d, format) {
+  const pad = n => String(n).padStart(2, '0');
+  const month = MONTHS.split('|')[d.getUTCMonth()];
+  const parts = {
+    yyyy: d.getUTCFullYear(), MMM: month[0].toUpperCase() + month.slice(1), MM: pad(d.getUTCMonth() + 1),
+    dd: pad(d.getUTCDate()), HH: pad(d.getUTCHours()), mm: pad(d.getUTCMinutes()), ss: pad(d.getUTCSeconds())
+  };
+  return format.replace(/ \(.*\)$/, '').replace("'T'", 'T').replace(/yyyy|MMM|MM|dd|HH|mm|ss/g, t => parts[t]);
+}
+
+// A look-alike of the same kind as `value`, seeded from it so a value always gets the same stand-in.
+function syntheticValue(value, { InferredType: type, Format: format } = {}) {
+  const v = String(value).trim();
+  const random = seededRandom(crypto.createHash('sha256').update(v).digest().readUInt32LE(0));
+  const pick = chars => chars[Math.floor(random() * chars.length)];
+  const reshape = s => s.replace(/\p{L}|\p{Nd}/gu, c => pick(/\p{Nd}/u.test(c) ? '0123456789' : /\p{Lu}/u.test(c) ? 'ABCDEFGHIJKLMNOPQRSTUVWXYZ' : 'abcdefghijklmnopqrstuvwxyz'));
+  switch (piiKind(v) || type) {
+    case 'email':
+      return `user${reshape('9999')}@example.com`;
+    case 'iban': {
+      const country = v.slice(0, 2).toUpperCase();
+      const bban = reshape(v.replace(/\s/g, '').slice(4).toUpperCase());
+      return `${country}${String(98 - mod97(`${bban}${country}00`)).padStart(2, '0')}${bban}`;
+    }
+    case 'card': {
+      const body = `4${reshape(v.replace(/\D/g, '').slice(1, -1))}`;
+      const digits = body + [...'0123456789'].find(c => luhnValid(body + c));
+      let i = 0;
+      return v.replace(/\d/g, () => digits[i++]);
+    }
+    case 'boolean': {
+      const pair = [['true', 'false'], ['yes', 'no'], ['y', 'n'], ['1', '0']].find(p => p.includes(v.toLowerCase())) || ['true', 'false'];
+      const out = pick(pair);
+      return v === v.toUpperCase() ? out.toUpperCase() : v[0] === v[0].toUpperCase() ? out[0].toUpperCase() + out.slice(1) : out;
+    }
+    case 'date':
+    case 'datetime':
+      if (format) return formatDate(new Date(Date.UTC(1990, 0, 1) + Math.floor(random() * 30 * 365 * 86400) * 1000), format);
+      return reshape(v);
+    case 'integer':
+    case 'decimal': {
+      const first = v.search(/\d/);
+      return v.replace(/\d/g, (c, i) => (i !== first ? pick('0123456789') : c === '0' ? '0' : pick('123456789')));
+    }
+    default:
+      return reshape(v);
+  }
+}
+
+/** Returns (value, field) => what may be shown of a sample value under `policy`. */
+function sampleProtector(policy, profile = []) {
+  const byField = new Map(profile.map(p => [p.Field, p]));
+  if (policy === 'none') return () => '';
+  if (policy === 'masked') return value => maskValue(value);
+  if (policy === 'synthetic') return (value, field) => (String(value).trim() ? syntheticValue(value, byField.get(field)) : String(value));
+  return value => String(value ?? '');
+}
+
+/** The shareable view of a scanSource() result: preview, samples and TopValues under the sample policy. */
+function protectSource(source, policy) {
+  const protect = sampleProtector(policy, source.profile);
+  const show = (v, f) => (v === '' || v == null ? '' : protect(v, f));
+  return {
+    preview: source.preview.map(r => Object.fromEntries(Object.entries(r).map(([f, v]) => [f, show(v, f)]))),
+    samples: Object.fromEntries(Object.entries(source.samples).map(([f, vs]) => [f, policy === 'none' ? [] : vs.map(v => show(v, f))])),
+    profile: source.profile.map(p => ({ ...p, TopValues: policy === 'none' ? '' : formatTopValues(source.topValues[p.Field] || [], v => show(v, p.Field)) }))
+  };
+}
+
+module.exports = { maskValue, syntheticValue, sampleProtector, protectSource };
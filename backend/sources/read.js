@@ -0,0 +1,266 @@
+/** Source reading: CSV, workbooks, JSON/NDJSON, XML and fixed-width files, streamed into a source scan. */
+const { XMLParser } = require('fast-xml-parser');
+const xlsx = require('xlsx');
+const { parse: parseCsv, CsvError } = require('csv-parse');
+const iconv = require('iconv-lite');
+const ExcelJS = require('exceljs');
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { SOURCE_DOCUMENT_MAX_MB } = require('../config');
+const { httpError } = require('../errors');
+const { log } = require('../log');
+const { createSourceScan } = require('./profile');
+
+function sniffDelimiter(firstLine) {
+  const candidates = [',',';','\t','|'];
+  let best=',', bestCount=-1;
+  for (const c of candidates) {
+    const cnt = (firstLine.match(new RegExp('\\' + c, 'g')) || []).length;
+    if (cnt > bestCount) { best = c; bestCount = cnt; }
+  }
+  return best;
+}
+
+const WORKBOOK_EXTS = ['.xlsx', '.xls', '.xlsm', '.ods'];
+const JSON_EXTS = ['.json', '.ndjson', '.jsonl'];
+
+/** BOM first, then NUL-byte layout for BOM-less UTF-16, then UTF-8 validity of the first 64 KB (a full 64 KB head may end inside a character); anything else is treated as windows-1252. */
+function detectEncoding(buf) {
+  if (buf[0] === 0xEF && buf[1] === 0xBB && buf[2] === 0xBF) return 'utf-8';
+  if (buf[0] === 0xFF && buf[1] === 0xFE) return 'utf-16le';
+  if (buf[0] === 0xFE && buf[1] === 0xFF) return 'utf-16be';
+  const head = buf.subarray(0, 65536);
+  let evenNul = 0, oddNul = 0;
+  for (let i = 0; i < head.length; i++) if (head[i] === 0) { if (i % 2) oddNul++; else evenNul++; }
+  if (oddNul > head.length / 4) return 'utf-16le';
+  if (evenNul > head.length / 4) return 'utf-16be';
+  try { new TextDecoder('utf-8', { fatal: true }).decode(head, { stream: head.length === 65536 }); return 'utf-8'; } catch { return 'windows-1252'; }
+}
+
+function decodeSource(buf, encoding = 'auto') {
+  return iconv.decode(buf, encoding === 'auto' ? detectEncoding(buf) : encoding);
+}
+
+function readHead(filePath, size = 65536) {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const buf = Buffer.alloc(size);
+    return buf.subarray(0, fs.readSync(fd, buf, 0, size, 0));
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// Union of keys over all rows (first-seen order), so every row has every column.
+function normalizeRows(rows) {
+  const keys = [...new Set(rows.flatMap(r => Object.keys(r)))];
+  return rows.map(r => Object.fromEntries(keys.map(k => [k, r[k] ?? ''])));
+}
+
+// Flattens a JSON/XML record into { path: value }; array values are joined with "; ".
+function flattenRecord(value, prefix, sep, out = {}) {
+  if (Array.isArray(value) && value.some(v => v && typeof v === 'object')) {
+    for (const v of value) flattenRecord(v, prefix, sep, out);
+  } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+    for (const [k, v] of Object.entries(value)) {
+      if (/^@xmlns(:|$)/.test(k)) continue;
+      flattenRecord(v, k === '#text' ? prefix : prefix ? `${prefix}${sep}${k}` : k, sep, out);
+    }
+  } else {
+    const key = prefix || 'value';
+    const text = Array.isArray(value) ? value.filter(v => v != null).join('; ') : String(value ?? '');
+    out[key] = out[key] ? (text ? `${out[key]}; ${text}` : out[key]) : text;
+  }
+  return out;
+}
+
+// Records of a JSON array (or an object holding one array of objects), else of NDJSON lines.
+function jsonRecords(text) {
+  try {
+    const data = JSON.parse(text);
+    if (Array.isArray(data)) return data;
+    const arrays = data && typeof data === 'object' ? Object.values(data).filter(v => Array.isArray(v) && v.some(x => x && typeof x === 'object')) : [];
+    return arrays.length === 1 ? arrays[0] : [data];
+  } catch (e) {
+    if (text.trim().split(/\r?\n/).filter(l => l.trim()).length < 2) throw httpError(400, `source_file is not valid JSON: ${e.message}`);
+  }
+  return text.split(/\r?\n/).flatMap((line, i) => (line.trim() ? [ndjsonRecord(line, i + 1)] : []));
+}
+
+function ndjsonRecord(line, lineNo) {
+  try { return JSON.parse(line); } catch (e) { throw httpError(400, `source_file line ${lineNo} is not valid JSON: ${e.message}`); }
+}
+
+// Records of an XML instance: the repeated child of the root element (e.g. Orders/Order), or the root itself.
+function xmlRecords(text) {
+  const parser = new XMLParser({ ignoreAttributes: false, attributeNamePrefix: '@', parseTagValue: false, ignoreDeclaration: true, ignorePiTags: true });
+  let doc;
+  try { doc = parser.parse(text, true); } catch (e) { throw httpError(400, `source_file is not well-formed XML: ${e.message}`); }
+  const [rootName, root] = Object.entries(doc)[0] || [];
+  if (!rootName) throw httpError(400, 'source_file has no XML root element');
+  const kids = root && typeof root === 'object' ? Object.entries(root).filter(([k]) => !k.startsWith('@')) : [];
+  if (kids.length === 1 && Array.isArray(kids[0][1])) return kids[0][1].map(value => ({ name: kids[0][0], value }));
+  return [{ name: rootName, value: root }];
+}
+
+/** Reads a fixed-width layout (CSV or JSON) of `name`, `length` and optional 1-based `start`. */
+function parseFixedWidthLayout(buf, filename) {
+  const text = decodeSource(buf);
+  let specs;
+  if ((filename || '').toLowerCase().endsWith('.json')) {
+    try { specs = JSON.parse(text); } catch (e) { throw httpError(400, `source_layout is not valid JSON: ${e.message}`); }
+    if (!Array.isArray(specs)) throw httpError(400, 'source_layout JSON must be an array of { name, start, length }');
+  } else {
+    specs = xlsx.utils.sheet_to_json(xlsx.read(text, { type: 'string' }).Sheets.Sheet1, { defval: '' });
+  }
+  let next = 1;
+  const layout = specs.map((spec, i) => {
+    const k = Object.fromEntries(Object.entries(spec).map(([key, v]) => [key.trim().toLowerCase(), v]));
+    const name = String(k.name ?? k.field ?? '').trim();
+    const length = parseInt(k.length ?? k.width, 10);
+    const start = k.start != null && k.start !== '' ? parseInt(k.start, 10) : next;
+    if (!name || !(length > 0) || !(start > 0)) throw httpError(400, `source_layout row ${i + 1} needs a name, a positive length and an optional 1-based start`);
+    next = start + length;
+    return { name, start: start - 1, length };
+  });
+  if (!layout.length) throw httpError(400, 'source_layout defines no fields');
+  return layout;
+}
+
+// `sheet` is a name, a 1-based number or "*" for every sheet (fields prefixed "<sheet>."); empty is the first sheet.
+function workbookRows(wb, sheet) {
+  const rowsOf = name => xlsx.utils.sheet_to_json(wb.Sheets[name], { defval: '' });
+  const { sel, all } = sheetSelector(sheet);
+  if (!sel) return rowsOf(wb.SheetNames[0]);
+  if (all) {
+    const merged = [];
+    for (const name of wb.SheetNames) {
+      rowsOf(name).forEach((r, i) => {
+        const row = merged[i] || (merged[i] = {});
+        for (const [k, v] of Object.entries(r)) row[`${name}.${k}`] = v;
+      });
+    }
+    return normalizeRows(merged);
+  }
+  const name = wb.SheetNames.includes(sel) ? sel : /^\d+$/.test(sel) ? wb.SheetNames[parseInt(sel, 10) - 1] : undefined;
+  if (!name) throw httpError(400, `source_sheet "${sel}" not found (sheets: ${wb.SheetNames.join(', ')})`);
+  return rowsOf(name);
+}
+
+function sheetSelector(sheet) {
+  const sel = String(sheet || '').trim();
+  return { sel, all: sel === '*' || sel.toLowerCase() === 'all' };
+}
+
+function cellText(v) {
+  if (v == null) return '';
+  if (v instanceof Date) return v.toISOString().replace(/T00:00:00\.000Z$/, '');
+  if (typeof v === 'object') return v.richText ? v.richText.map(t => t.text).join('') : cellText(v.result ?? v.text ?? v.error);
+  return v;
+}
+
+// Streams .xlsx/.xlsm rows (first row = headers) without loading the workbook; `sheet` as in workbookRows.
+async function streamWorkbook(filePath, sheet, scan) {
+  const { sel, all } = sheetSelector(sheet);
+  const reader = new ExcelJS.stream.xlsx.WorkbookReader(filePath, { sharedStrings: 'cache', styles: 'cache', hyperlinks: 'ignore', worksheets: 'emit' });
+  const names = [];
+  let found = false;
+  for await (const ws of reader) {
+    const name = ws.name || `Sheet${ws.id}`;
+    names.push(name);
+    if (!(all || (sel ? sel === name || sel === String(names.length) : names.length === 1))) {
+      for await (const row of ws) void row; // skipped sheets still have to be read off the zip stream
+      continue;
+    }
+    found = true;
+    let header = null, index = 0;
+    for await (const row of ws) {
+      const cells = row.values;
+      if (!header) { header = Array.from(cells, v => String(cellText(v)).trim()); continue; }
+      const record = {};
+      header.forEach((h, i) => { if (h) record[all ? `${name}.${h}` : h] = cellText(cells[i]); });
+      scan.add(record, index++);
+    }
+    if (!all) break;
+  }
+  if (!found) throw httpError(400, `source_sheet "${sel}" not found (sheets: ${names.join(', ')})`);
+}
+
+// Streams a file decoded from `enc` through `stages` into `consume`. Read, decode and parse errors reject, and so does
+// an error thrown by `consume` (which the pipeline would otherwise report as the abort of the stream it was reading).
+async function streamText(filePath, enc, stages, consume) {
+  let failure = null;
+  try {
+    await pipeline(fs.createReadStream(filePath), iconv.decodeStream(enc), ...stages, async source => {
+      try { await consume(source); } catch (err) { failure = err; throw err; }
+    });
+  } catch (err) {
+    throw failure || err;
+  }
+}
+
+// Splits decoded text chunks into lines (LF or CRLF).
+async function* textLines(chunks) {
+  let rest = '';
+  for await (const chunk of chunks) {
+    const lines = (rest + chunk).split('\n');
+    rest = lines.pop();
+    for (const line of lines) yield line.replace(/\r$/, '');
+  }
+  if (rest) yield rest.replace(/\r$/, '');
+}
+
+/** Reads the uploaded source in one pass into a source scan (see createSourceScan), streaming where the format allows. */
+async function scanSource(filePath, filename, { encoding = 'auto', sheet = '', layout = null } = {}) {
+  const ext = path.extname((filename || '').toLowerCase());
+  const scan = createSourceScan();
+  if (ext === '.xlsx' || ext === '.xlsm') {
+    try {
+      await streamWorkbook(filePath, sheet, scan);
+      return scan.finish();
+    } catch (err) {
+      // Some writers put the sheets before xl/workbook.xml, which the streaming reader cannot follow.
+      if (err.status) throw err;
+      log.warn(`[source] streaming ${filename} failed (${err.message}); reading it in memory`);
+    }
+  }
+  if (WORKBOOK_EXTS.includes(ext)) {
+    const whole = createSourceScan();
+    for (const r of workbookRows(xlsx.readFile(filePath), sheet)) whole.add(r);
+    return whole.finish();
+  }
+  const enc = encoding === 'auto' ? detectEncoding(readHead(filePath)) : encoding;
+  if (!layout && (ext === '.json' || ext === '.xml')) {
+    if (fs.statSync(filePath).size > SOURCE_DOCUMENT_MAX_MB * 1024 * 1024) {
+      throw httpError(413, `${ext} sources are read whole and are limited to ${SOURCE_DOCUMENT_MAX_MB} MB (SOURCE_DOCUMENT_MAX_MB); use NDJSON or CSV for larger extracts`);
+    }
+    const text = iconv.decode(fs.readFileSync(filePath), enc);
+    const records = ext === '.xml' ? xmlRecords(text).map(r => flattenRecord(r.value, r.name, '/')) : jsonRecords(text).map(r => flattenRecord(r, '', '.'));
+    for (const r of records) scan.add(r);
+  } else if (layout || JSON_EXTS.includes(ext)) {
+    let lineNo = 0;
+    await streamText(filePath, enc, [], async text => {
+      for await (const line of textLines(text)) {
+        lineNo++;
+        if (!line.trim()) continue;
+        scan.add(layout
+          ? Object.fromEntries(layout.map(f => [f.name, line.substr(f.start, f.length).trim()]))
+          : flattenRecord(ndjsonRecord(line, lineNo), '', '.'));
+      }
+    });
+  } else {
+    const delimiter = sniffDelimiter(iconv.decode(readHead(filePath), enc).split(/\r?\n/)[0] || ',');
+    try {
+      await streamText(filePath, enc, [parseCsv({ delimiter, columns: true, relax_column_count: true, trim: true })], async records => {
+        for await (const r of records) scan.add(r);
+      });
+    } catch (err) {
+      if (err instanceof CsvError) throw httpError(400, `source_file is not valid delimited text: ${err.message}`);
+      throw err;
+    }
+  }
+  return scan.finish();
+}
+
+module.exports = { detectEncoding, decodeSource, parseFixedWidthLayout, scanSource };
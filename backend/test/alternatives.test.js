@@ -0,0 +1,84 @@
+'use strict';
+// Ranked alternative target paths: rule runner-ups, the Alternative columns and the workbook dropdowns.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const ExcelJS = require('exceljs');
+
+Object.assign(process.env, { AZURE_OPENAI_ENDPOINT: '', AZURE_OPENAI_API_KEY: '', MATCH_MODE: 'rules' });
+const { app } = require('../server');
+const { parseXsdPaths } = require('../schema/xsd');
+const { buildRuleIndex, ruleMatch } = require('../match/rules');
+const { FREE_CHOICE, alternativeColumns, rowAlternatives } = require('../outputs/tables');
+const { readBaselineMapping } = require('../sources/baseline');
+
+const PERSON = fs.readFileSync(path.join(__dirname, 'fixtures', 'person.xsd'), 'utf-8');
+
+test('the rule matcher keeps its next-best candidates as alternatives, best first', () => {
+  const index = buildRuleIndex(parseXsdPaths([{ name: 'person.xsd', xml: PERSON }]));
+  const row = ruleMatch('StreetAddress', ['1 Main St'], index, 2);
+  assert.equal(row.SuggestedTargetPath, 'Person/Street');
+  assert.deepEqual(row.Alternatives.map(a => a.path), ['Person/AddressLine']);
+  assert.ok(row.Alternatives[0].score < row.MatchScore);
+  assert.match(row.Alternatives[0].rationale, /^Rule match: tokens /);
+  assert.deepEqual(ruleMatch('StreetAddress', ['1 Main St'], index).Alternatives, []);
+});
+
+test('the ALTERNATIVES setting is clamped to 0..10', () => {
+  const setting = value => execFileSync(process.execPath, ['-p', 'require("./config").ALTERNATIVES'], {
+    cwd: path.join(__dirname, '..'), env: { ...process.env, ALTERNATIVES: value }, encoding: 'utf-8'
+  }).trim();
+  assert.deepEqual(['-2', '50', 'many', '4'].map(setting), ['0', '10', '3', '4']);
+});
+
+test('alternatives become numbered columns and read back from them', () => {
+  const list = [{ path: 'P/A', score: 0.5, rationale: 'a' }];
+  const cols = alternativeColumns(list, 2);
+  assert.deepEqual(cols, {
+    Alternative1Path: 'P/A', Alternative1Score: 0.5, Alternative1Rationale: 'a',
+    Alternative2Path: '', Alternative2Score: '', Alternative2Rationale: ''
+  });
+  assert.deepEqual(rowAlternatives({ SourceField: 'x', ...cols }), list);
+  assert.deepEqual(alternativeColumns(list, 0), {});
+});
+
+test('a baseline cell left at the free choice counts as unmapped', () => {
+  const csv = `SourceField,SuggestedTargetPath,Approved\nAddress,${FREE_CHOICE},yes\n`;
+  assert.equal(readBaselineMapping(Buffer.from(csv), 'prev.csv').get('Address').path, '');
+});
+
+test('each By Source target cell offers its candidates from the hidden Target Candidates sheet', async () => {
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  try {
+    const map = async alternatives => {
+      const form = new FormData();
+      form.append('schema_files', new Blob([PERSON]), 'person.xsd');
+      form.append('source_file', new Blob(['Country,StreetAddress\nGB,1 Main St\n']), 'people.csv');
+      form.append('output_format', 'xlsx');
+      form.append('alternatives', alternatives);
+      return fetch(`http://127.0.0.1:${server.address().port}/api/map`, { method: 'POST', body: form });
+    };
+    const res = await map('2');
+    assert.equal(res.status, 200);
+    const wb = new ExcelJS.Workbook();
+    await wb.xlsx.load(Buffer.from(await res.arrayBuffer()));
+    const bySource = wb.getWorksheet('Suggested Mapping (By Source)');
+    const headers = bySource.getRow(1).values.slice(1);
+    assert.deepEqual(headers.filter(h => h.startsWith('Alternative')), [
+      'Alternative1Path', 'Alternative1Score', 'Alternative1Rationale', 'Alternative2Path', 'Alternative2Score', 'Alternative2Rationale'
+    ]);
+    const candidates = wb.getWorksheet('Target Candidates');
+    assert.equal(candidates.state, 'hidden');
+    assert.deepEqual(candidates.getRow(2).values.slice(1), ['Country', 'Person/Country', FREE_CHOICE]);
+    assert.deepEqual(candidates.getRow(3).values.slice(1), ['StreetAddress', 'Person/Street', 'Person/AddressLine', FREE_CHOICE]);
+    const validation = bySource.getCell(3, headers.indexOf('SuggestedTargetPath') + 1).dataValidation;
+    assert.equal(validation.type, 'list');
+    assert.deepEqual(validation.formulae, ["'Target Candidates'!$B$3:$D$3"]);
+    assert.equal((await map('11')).status, 400);
+  } finally {
+    server.close();
+  }
+});
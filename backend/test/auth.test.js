@@ -0,0 +1,200 @@
+'use strict';
+// Authentication (API keys, JWTs against a local JWKS file), rate limits, daily quotas and the audit log, through the HTTP API.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+const TMP = fs.mkdtempSync(path.join(os.tmpdir(), 'aoai-auth-test-'));
+const JWKS_FILE = path.join(TMP, 'jwks.json');
+const AUDIT_FILE = path.join(TMP, 'audit.jsonl');
+const ISSUER = 'https://login.example.test', AUDIENCE = 'aoai-mapping';
+
+const rsa = { kid: 'rsa-1', alg: 'RS256', ...crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }) };
+const ec = { kid: 'ec-1', alg: 'ES256', ...crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' }) };
+const rotated = { kid: 'rsa-2', alg: 'RS256', ...crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }) };
+const writeJwks = (...keys) => fs.writeFileSync(JWKS_FILE, JSON.stringify({ keys: keys.map(k => ({ ...k.publicKey.export({ format: 'jwk' }), kid: k.kid, use: 'sig' })) }));
+writeJwks(rsa, ec);
+
+const API_KEYS = [
+  { user: 'ci-bot', key: 'key-ci' },
+  { user: 'hashed', sha256: crypto.createHash('sha256').update('key-hashed').digest('hex') },
+  { user: 'limited', key: 'key-rate', ratePerMinute: 2 },
+  { user: 'one-run', key: 'key-runs', runsPerDay: 1 },
+  { user: 'few-tokens', key: 'key-tokens', tokensPerDay: 1000 }
+];
+
+// A local OpenAI-compatible endpoint that reports 600 tokens per call.
+const upstream = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', c => { body += c; });
+  req.on('end', () => {
+    const fields = JSON.parse(JSON.parse(body).messages[1].content).source_fields;
+    const content = JSON.stringify({ mappings: fields.map(f => ({ source: f, target_path: 'Person/FullName', score: 0.5, rationale: 'r' })) });
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({ choices: [{ message: { content }, finish_reason: 'stop' }], usage: { prompt_tokens: 500, completion_tokens: 100 } }));
+  });
+});
+
+let server, base, app, apiKeyUser;
+test.before(async () => {
+  upstream.listen(0, '127.0.0.1');
+  await new Promise(resolve => upstream.once('listening', resolve));
+  Object.assign(process.env, {
+    AUTH_API_KEYS: JSON.stringify(API_KEYS), AUTH_API_KEYS_FILE: '', AUTH_JWKS_FILE: JWKS_FILE, AUTH_JWKS_URI: '',
+    AUTH_JWT_ISSUER: ISSUER, AUTH_JWT_AUDIENCE: AUDIENCE, AUTH_JWT_USER_CLAIM: 'sub', AUTH_ADMINS: 'ci-bot,hashed,limited,ann@example.test',
+    RATE_LIMIT_PER_MINUTE: '0', QUOTA_RUNS_PER_DAY: '0', QUOTA_TOKENS_PER_DAY: '0', AUDIT_LOG: AUDIT_FILE, UPLOAD_DIR: TMP,
+    LLM_PROVIDER: 'openai', OPENAI_BASE_URL: `http://127.0.0.1:${upstream.address().port}`, LLM_CACHE_DIR: '', LLM_MAX_RETRIES: '0', LOG_LEVEL: 'error'
+  });
+  ({ app, apiKeyUser } = require('../server'));
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+test.after(() => {
+  server.close();
+  upstream.close();
+  fs.rmSync(TMP, { recursive: true, force: true });
+});
+
+function jwt(key, claims = {}, header = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  const encode = obj => Buffer.from(JSON.stringify(obj)).toString('base64url');
+  const h = encode({ alg: key.alg, typ: 'JWT', kid: key.kid, ...header });
+  const p = encode({ sub: 'ann@example.test', iss: ISSUER, aud: AUDIENCE, iat: now, exp: now + 3600, ...claims });
+  const sig = crypto.sign('sha256', Buffer.from(`${h}.${p}`), key.alg === 'ES256' ? { key: key.privateKey, dsaEncoding: 'ieee-p1363' } : key.privateKey);
+  return `${h}.${p}.${sig.toString('base64url')}`;
+}
+
+const get = (credential, url = '/api/admin/audit') => fetch(base + url, { headers: credential ? { Authorization: `Bearer ${credential}` } : {} });
+
+function mapRequest(key, matchMode) {
+  const form = new FormData();
+  form.append('schema_files', new Blob([fs.readFileSync(path.join(FIXTURES, 'person.xsd'))]), 'person.xsd');
+  form.append('source_file', new Blob([fs.readFileSync(path.join(FIXTURES, 'person.csv'))]), 'person.csv');
+  form.append('match_mode', matchMode);
+  form.append('output_format', 'json');
+  return fetch(`${base}/api/map`, { method: 'POST', headers: { 'X-API-Key': key }, body: form });
+}
+
+test('requests without a credential or with an unknown API key are rejected', async () => {
+  const none = await get('');
+  assert.equal(none.status, 401);
+  assert.equal(none.headers.get('www-authenticate'), 'Bearer');
+  assert.equal((await get('key-unknown')).status, 401);
+});
+
+test('API keys are accepted as a bearer token, as X-API-Key, and by their sha256 digest', async () => {
+  assert.equal((await get('key-ci')).status, 200);
+  assert.equal((await fetch(`${base}/api/admin/audit`, { headers: { 'X-API-Key': 'key-hashed' } })).status, 200);
+});
+
+test('API key lookup compares against every entry in constant time', t => {
+  const compare = t.mock.method(crypto, 'timingSafeEqual');
+  assert.equal(apiKeyUser('key-ci').id, 'ci-bot');
+  assert.equal(compare.mock.callCount(), API_KEYS.length);
+  assert.equal(apiKeyUser('key-unknown'), null);
+  assert.equal(compare.mock.callCount(), 2 * API_KEYS.length);
+});
+
+test('a sha256 entry that is not 64 hex digits stops the server from starting', () => {
+  const start = () => execFileSync(process.execPath, ['-e', 'require("./server")'], {
+    cwd: path.join(__dirname, '..'), env: { ...process.env, AUTH_API_KEYS: JSON.stringify([{ user: 'short', sha256: 'abc123' }]) }, stdio: 'pipe', encoding: 'utf-8'
+  });
+  assert.throws(start, { stderr: /AUTH_API_KEYS entry 1: sha256 must be 64 hex digits/ });
+});
+
+test('valid RS256 and ES256 tokens are accepted', async () => {
+  assert.equal((await get(jwt(rsa))).status, 200);
+  assert.equal((await get(jwt(ec))).status, 200);
+});
+
+test('expired and not-yet-valid tokens are rejected', async () => {
+  const now = Math.floor(Date.now() / 1000);
+  const expired = await get(jwt(rsa, { exp: now - 3600 }));
+  assert.equal(expired.status, 401);
+  assert.equal(await expired.text(), 'Token expired');
+  assert.equal((await get(jwt(rsa, { nbf: now + 3600 }))).status, 401);
+});
+
+test('tokens for another issuer or audience are rejected', async () => {
+  const issuer = await get(jwt(rsa, { iss: 'https://evil.example.test' }));
+  assert.equal(issuer.status, 401);
+  assert.equal(await issuer.text(), 'Token issuer not accepted');
+  const audience = await get(jwt(ec, { aud: ['other-app'] }));
+  assert.equal(audience.status, 401);
+  assert.equal(await audience.text(), 'Token audience not accepted');
+});
+
+test('alg none, HS256 and tampered tokens are rejected', async () => {
+  const [h, p] = jwt(rsa).split('.');
+  const none = `${Buffer.from(JSON.stringify({ alg: 'none', typ: 'JWT' })).toString('base64url')}.${p}.`;
+  assert.equal(await (await get(none)).text(), 'Unsupported token algorithm none');
+  // HS256 signed with the public key as the HMAC secret: the classic algorithm confusion attack.
+  const hsHeader = Buffer.from(JSON.stringify({ alg: 'HS256', typ: 'JWT', kid: rsa.kid })).toString('base64url');
+  const secret = rsa.publicKey.export({ format: 'pem', type: 'spki' });
+  const hs = `${hsHeader}.${p}.${crypto.createHmac('sha256', secret).update(`${hsHeader}.${p}`).digest('base64url')}`;
+  const hsRes = await get(hs);
+  assert.equal(hsRes.status, 401);
+  assert.equal(await hsRes.text(), 'Unsupported token algorithm HS256');
+  const other = Buffer.from(JSON.stringify({ sub: 'admin', iss: ISSUER, aud: AUDIENCE })).toString('base64url');
+  const tampered = await get(`${h}.${other}.${jwt(rsa).split('.')[2]}`);
+  assert.equal(tampered.status, 401);
+  assert.equal(await tampered.text(), 'Invalid token signature');
+});
+
+test('an unknown kid reloads the key set, at most once a minute', async t => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.now() });
+  assert.equal((await get(jwt(rsa))).status, 200);
+  writeJwks(rsa, ec, rotated);
+  const early = await get(jwt(rotated));
+  assert.equal(early.status, 401);
+  assert.equal(await early.text(), 'Unknown token signing key');
+  t.mock.timers.tick(61 * 1000);
+  assert.equal((await get(jwt(rotated))).status, 200);
+});
+
+test('requests over the per-minute rate limit get 429 with Retry-After', async () => {
+  assert.equal((await get('key-rate')).status, 200);
+  assert.equal((await get('key-rate')).status, 200);
+  const limited = await get('key-rate');
+  assert.equal(limited.status, 429);
+  assert.ok(Number(limited.headers.get('retry-after')) > 0);
+  assert.equal((await get('key-ci')).status, 200);
+});
+
+test('mapping runs over the daily run quota get 429', async () => {
+  const first = await mapRequest('key-runs', 'rules');
+  assert.equal(first.status, 200);
+  assert.equal((await first.json()).bySource.length, 5);
+  const second = await mapRequest('key-runs', 'rules');
+  assert.equal(second.status, 429);
+  assert.equal(await second.text(), 'Daily quota of 1 mapping runs used up');
+});
+
+test('mapping runs over the daily token quota get 429', async () => {
+  const first = await mapRequest('key-tokens', 'ai');
+  assert.equal(first.status, 200);
+  assert.deepEqual((await first.json()).modelBatches.map(b => b.Status), ['ok']);
+  assert.equal((await mapRequest('key-tokens', 'ai')).status, 200);
+  const third = await mapRequest('key-tokens', 'ai');
+  assert.equal(third.status, 429);
+  assert.equal(await third.text(), 'Daily quota of 1000 model tokens used up');
+});
+
+test('the audit log records each run and is queryable by admins only', async () => {
+  assert.equal((await get('key-runs')).status, 403);
+  const res = await get('key-ci', '/api/admin/audit?action=map&user=few-tokens');
+  assert.equal(res.status, 200);
+  const { entries } = await res.json();
+  assert.deepEqual(entries.map(e => [e.status, e.tokens ?? null]), [['rejected', null], ['succeeded', 600], ['succeeded', 600]]);
+  assert.deepEqual(entries[1].inputs.map(f => [f.field, f.name]), [['schema_files', 'person.xsd'], ['source_file', 'person.csv']]);
+  assert.match(entries[1].inputs[0].sha256, /^[0-9a-f]{64}$/);
+  const lines = fs.readFileSync(AUDIT_FILE, 'utf-8').trim().split('\n').map(JSON.parse);
+  assert.ok(lines.length > entries.length);
+});
@@ -0,0 +1,70 @@
+'use strict';
+// Re-mapping from a previous export: approved rows carry over, the rest is matched again.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const xlsx = require('xlsx');
+
+Object.assign(process.env, { AZURE_OPENAI_ENDPOINT: '', AZURE_OPENAI_API_KEY: '', MATCH_MODE: 'rules' });
+const { app } = require('../server');
+const { readBaselineMapping, carryOverBaseline } = require('../sources/baseline');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+const BASELINE = [
+  'SourceField,SuggestedTargetPath,MatchScore,Rationale,Approved,ReviewStatus',
+  'FirstName,Person/City,50.0%,analyst pick,yes,',
+  'LastName,Person/Surname,90.0%,,yes,',
+  'BirthDate,Person/BirthDate,95.0%,,,pending',
+  'Country,Person/Country,92.0%,,,overridden',
+  'Gone,Person/Street,80.0%,,x,'
+].join('\n');
+
+test('approval comes from the Approved column or an accepted/overridden ReviewStatus', () => {
+  const baseline = readBaselineMapping(Buffer.from(BASELINE), 'previous.csv');
+  assert.deepEqual(baseline.get('FirstName'), { path: 'Person/City', extras: [], transform: '', score: 0.5, rationale: 'analyst pick', approved: true });
+  assert.equal(baseline.get('BirthDate').approved, false);
+  assert.equal(baseline.get('Country').approved, true);
+  assert.equal(baseline.get('Gone').approved, true);
+});
+
+test('unsupported files and sheets without the mapping columns are rejected', () => {
+  assert.throws(() => readBaselineMapping(Buffer.from(BASELINE), 'previous.txt'), { status: 400 });
+  assert.throws(() => readBaselineMapping(Buffer.from('Field,Path\nA,B\n'), 'previous.csv'), { status: 400, message: /needs SourceField and SuggestedTargetPath/ });
+});
+
+test('only approved rows whose field and target path still exist are kept', () => {
+  const baseline = readBaselineMapping(Buffer.from(BASELINE), 'previous.csv');
+  const dict = ['Person/City', 'Person/BirthDate', 'Person/Country'].map(p => ({ path: p }));
+  const { kept, status, notes, dropped } = carryOverBaseline(baseline, ['FirstName', 'LastName', 'BirthDate', 'Country', 'Address'], dict);
+  assert.deepEqual(kept.map(r => [r.SourceField, r.SuggestedTargetPath, r.MatchMethod]), [
+    ['FirstName', 'Person/City', 'baseline'], ['Country', 'Person/Country', 'baseline']
+  ]);
+  assert.deepEqual(status, { FirstName: 'kept (approved)', LastName: 'target removed', BirthDate: 'unapproved', Country: 'kept (approved)' });
+  assert.match(notes.LastName, /Person\/Surname no longer exists/);
+  assert.deepEqual(dropped, ['Gone']);
+});
+
+test('/api/map keeps approved baseline rows and marks every row with its baseline status', async () => {
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  try {
+    const form = new FormData();
+    form.append('schema_files', new Blob([fs.readFileSync(path.join(FIXTURES, 'person.xsd'))]), 'person.xsd');
+    form.append('source_file', new Blob([fs.readFileSync(path.join(FIXTURES, 'person.csv'))]), 'person.csv');
+    form.append('baseline_mapping', new Blob([BASELINE]), 'previous.csv');
+    form.append('output_format', 'xlsx');
+    const res = await fetch(`http://127.0.0.1:${server.address().port}/api/map`, { method: 'POST', body: form });
+    assert.equal(res.status, 200);
+    const wb = xlsx.read(Buffer.from(await res.arrayBuffer()));
+    const rows = Object.fromEntries(xlsx.utils.sheet_to_json(wb.Sheets['Suggested Mapping (By Source)']).map(r => [r.SourceField, r]));
+    assert.deepEqual([rows.FirstName.SuggestedTargetPath, rows.FirstName.MatchMethod, rows.FirstName.Approved], ['Person/City', 'baseline', 'yes']);
+    assert.deepEqual(Object.values(rows).map(r => r.BaselineStatus), ['kept (approved)', 'target removed', 'unapproved', 'kept (approved)', 'new field']);
+    assert.equal(rows.LastName.MatchMethod, 'rules');
+    assert.match(rows.LastName.Rationale, /^Previous target path Person\/Surname no longer exists in the target schemas\./);
+    const info = Object.fromEntries(xlsx.utils.sheet_to_json(wb.Sheets['Run Info']).map(r => [r.Item, r.Value]));
+    assert.deepEqual([info['Baseline rows kept'], info['Baseline targets removed from schemas'], info['Baseline fields missing from source']], [2, 1, 'Gone']);
+  } finally {
+    server.close();
+  }
+});
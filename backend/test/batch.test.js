@@ -0,0 +1,162 @@
+'use strict';
+// Model batches: structured output, tolerant parsing, retries, splitting of truncated replies and path repair.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const xlsx = require('xlsx');
+
+// A local OpenAI-compatible endpoint answering each call with the next queued reply.
+const replies = [];
+const requests = [];
+const upstream = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', c => { body += c; });
+  req.on('end', () => {
+    const request = JSON.parse(body);
+    requests.push(request);
+    const { status = 200, headers = {}, content = '', finish = 'stop' } = replies.shift()?.(request) || { status: 500 };
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(status === 200 ? { choices: [{ message: { content }, finish_reason: finish }] } : { error: { message: `upstream ${status}` } }));
+  });
+});
+const reply = (mappings, extra) => () => ({ content: JSON.stringify({ mappings }), ...extra });
+const m = (source, target_path, score = 0.9) => ({ source, target_path, score, rationale: 'r' });
+
+let server, base;
+let aoaiMapBatch, parseMappingReply, pathResolver, retryDelayMs;
+test.before(async () => {
+  upstream.listen(0, '127.0.0.1');
+  await new Promise(resolve => upstream.once('listening', resolve));
+  Object.assign(process.env, { LLM_PROVIDER: 'openai', OPENAI_BASE_URL: `http://127.0.0.1:${upstream.address().port}`, LLM_MAX_RETRIES: '2', LLM_CACHE_DIR: '' });
+  let app;
+  ({ app } = require('../server'));
+  ({ aoaiMapBatch, parseMappingReply, pathResolver, retryDelayMs } = require('../llm/batch'));
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+test.after(() => {
+  server.close();
+  upstream.close();
+});
+test.beforeEach(() => { replies.length = 0; requests.length = 0; });
+
+const DICT = [{ path: 'p:Order/p:Id' }, { path: 'p:Order/p:Total' }, { path: 'p:Order/@p:currency' }, { path: 'p:Order/Note' }];
+const llm = { provider: 'openai', model: 'm', temperature: 0, max_tokens: 100 };
+const mapBatch = (fields, stats) => aoaiMapBatch(fields, DICT, {}, { llm, stats });
+const newStats = () => ({ calls: 0, retries: 0, splits: 0, repairs: 0, cacheHits: 0, promptTokens: 0, completionTokens: 0 });
+
+test('replies are parsed through fences and prose, and truncated arrays keep their finished entries', () => {
+  assert.deepEqual(parseMappingReply('```json\n{"mappings":[{"source":"a"}]}\n```'), { mappings: [{ source: 'a' }], complete: true });
+  assert.deepEqual(parseMappingReply('Here you go: [{"source":"a"}] Done.'), { mappings: [{ source: 'a' }], complete: true });
+  assert.deepEqual(parseMappingReply('{"mappings":[{"source":"a","rationale":"x}"},{"source":"b","ta'), { mappings: [{ source: 'a', rationale: 'x}' }], complete: false });
+  assert.deepEqual(parseMappingReply('sorry'), { mappings: [], complete: false });
+});
+
+test('near-miss paths snap to the one dictionary path they denote', () => {
+  const resolve = pathResolver(DICT);
+  assert.equal(resolve('p:Order/p:Id'), 'p:Order/p:Id');
+  assert.equal(resolve('P:ORDER/P:TOTAL'), 'p:Order/p:Total');
+  assert.equal(resolve('Order/@currency'), 'p:Order/@p:currency');
+  assert.equal(resolve('x:Order/x:Note'), 'p:Order/Note');
+  assert.equal(resolve('Order/Missing'), null);
+  assert.equal(pathResolver([{ path: 'a:X' }, { path: 'b:X' }])('X'), null);
+});
+
+test('retry delays follow retry-after-ms, retry-after seconds or dates, else back off', () => {
+  assert.equal(retryDelayMs({ response: { headers: { 'retry-after-ms': '250' } } }, 0), 250);
+  assert.equal(retryDelayMs({ response: { headers: { 'retry-after': '3' } } }, 0), 3000);
+  const dated = retryDelayMs({ response: { headers: { 'retry-after': new Date(Date.now() + 5000).toUTCString() } } }, 0);
+  assert.ok(dated > 3000 && dated <= 5000);
+  const backoff = retryDelayMs({}, 2);
+  assert.ok(backoff >= 3000 && backoff <= 5000);
+});
+
+test('throttled calls are retried and the request asks for the strict mapping schema, one system rule per line', async () => {
+  replies.push(() => ({ status: 429, headers: { 'retry-after-ms': '0' } }), reply([m('Id', 'p:Order/p:Id')]));
+  const stats = newStats();
+  const rows = await mapBatch(['Id'], stats);
+  assert.deepEqual(rows.map(r => [r.SourceField, r.SuggestedTargetPath, r.MatchScore]), [['Id', 'p:Order/p:Id', 0.9]]);
+  assert.deepEqual([stats.calls, stats.retries, stats.splits, stats.repairs], [1, 1, 0, 0]);
+  assert.equal(requests[1].response_format.type, 'json_schema');
+  assert.equal(requests[1].response_format.json_schema.strict, true);
+  assert.equal(requests[1].messages[0].content.split('\n').length, 3);
+  assert.doesNotMatch(requests[1].messages[0].content, /\\n/);
+});
+
+test('client errors are not retried and retries stop at LLM_MAX_RETRIES', async () => {
+  replies.push(() => ({ status: 400 }));
+  await assert.rejects(mapBatch(['Id'], newStats()), err => err.response.status === 400);
+  assert.equal(requests.length, 1);
+  replies.push(...Array(3).fill(() => ({ status: 503, headers: { 'retry-after-ms': '0' } })));
+  await assert.rejects(mapBatch(['Id'], newStats()), err => err.response.status === 503);
+  assert.equal(requests.length, 4);
+});
+
+test('a truncated reply keeps what arrived and asks for the remaining fields in two halves', async () => {
+  replies.push(
+    () => ({ content: '{"mappings":[{"source":"Id","target_path":"p:Order/p:Id","score":0.9,"rationale":"r"},{"source":"To', finish: 'length' }),
+    reply([m('Total', 'p:Order/p:Total'), m('Currency', 'p:Order/@p:currency')]),
+    reply([m('Note', 'p:Order/Note')])
+  );
+  const stats = newStats();
+  const rows = await mapBatch(['Id', 'Total', 'Currency', 'Note'], stats);
+  assert.deepEqual(rows.map(r => r.SuggestedTargetPath), ['p:Order/p:Id', 'p:Order/p:Total', 'p:Order/@p:currency', 'p:Order/Note']);
+  assert.deepEqual(requests.slice(1).map(r => JSON.parse(r.messages[1].content).source_fields), [['Total', 'Currency'], ['Note']]);
+  assert.equal(stats.splits, 1);
+});
+
+test('a cut-off reply that covers every field is not split, and an empty batch asks nothing', async () => {
+  replies.push(reply([m('Id', 'p:Order/p:Id'), m('Total', 'p:Order/p:Sum')], { finish: 'length' }), reply([m('Total', 'p:Order/p:Total')]));
+  const stats = newStats();
+  const rows = await mapBatch(['Id', 'Total'], stats);
+  assert.deepEqual(rows.map(r => r.SuggestedTargetPath), ['p:Order/p:Id', 'p:Order/p:Total']);
+  assert.deepEqual(JSON.parse(requests[1].messages[3].content).invalid_target_paths, [{ source: 'Total', target_path: 'p:Order/p:Sum' }]);
+  assert.deepEqual([stats.calls, stats.splits, stats.repairs], [2, 0, 1]);
+  assert.deepEqual(await mapBatch([], stats), []);
+  assert.equal(requests.length, 2);
+});
+
+test('kept entries of a truncated reply with an unknown path are asked for again', async () => {
+  replies.push(
+    () => ({ content: '{"mappings":[{"source":"Id","target_path":"p:Order/p:Key","score":0.9,"rationale":"r"},{"source":"To', finish: 'length' }),
+    reply([m('Id', 'p:Order/p:Id')]),
+    reply([m('Total', 'p:Order/p:Total')])
+  );
+  const rows = await mapBatch(['Id', 'Total'], newStats());
+  assert.deepEqual(requests.slice(1).map(r => JSON.parse(r.messages[1].content).source_fields), [['Id'], ['Total']]);
+  assert.deepEqual(rows.map(r => [r.SourceField, r.SuggestedTargetPath]), [['Id', 'p:Order/p:Id'], ['Total', 'p:Order/p:Total']]);
+});
+
+test('unknown paths and skipped fields go back to the model once; what stays unknown is dropped', async () => {
+  replies.push(
+    reply([m('Id', 'order/id'), m('Total', 'p:Order/p:Amount'), m('Note', 'p:Order/p:Remark')]),
+    reply([m('Total', 'p:Order/p:Total'), m('Note', 'p:Order/p:Memo')])
+  );
+  const stats = newStats();
+  const rows = await mapBatch(['Id', 'Total', 'Currency', 'Note'], stats);
+  const followUp = JSON.parse(requests[1].messages[3].content);
+  assert.deepEqual(followUp.invalid_target_paths, [{ source: 'Total', target_path: 'p:Order/p:Amount' }, { source: 'Note', target_path: 'p:Order/p:Remark' }]);
+  assert.deepEqual(followUp.missing_source_fields, ['Currency']);
+  assert.deepEqual(rows.map(r => [r.SourceField, r.SuggestedTargetPath]), [['Id', 'p:Order/p:Id'], ['Total', 'p:Order/p:Total'], ['Currency', ''], ['Note', '']]);
+  assert.equal(rows[2].Rationale, 'Model returned no mapping for this field.');
+  assert.match(rows[3].Rationale, /^Model suggested "p:Order\/p:Memo", which is not in the target dictionary/);
+  assert.deepEqual([stats.calls, stats.retries, stats.splits, stats.repairs], [2, 0, 0, 1]);
+});
+
+test('a batch that keeps failing is reported in Model Batches and does not fail the mapping', async () => {
+  replies.push(() => ({ status: 400 }));
+  const form = new FormData();
+  form.append('schema_files', new Blob(['<xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema"><xs:element name="Id" type="xs:string"/></xs:schema>']), 'id.xsd');
+  form.append('source_file', new Blob(['Id,Colour\n1,red\n']), 'in.csv');
+  form.append('output_format', 'xlsx');
+  form.append('match_mode', 'hybrid');
+  const res = await fetch(`${base}/api/map`, { method: 'POST', body: form });
+  assert.equal(res.status, 200);
+  const wb = xlsx.read(Buffer.from(await res.arrayBuffer()));
+  const [batch] = xlsx.utils.sheet_to_json(wb.Sheets['Model Batches']);
+  assert.deepEqual([batch.Status, batch.Fields, batch.Error], ['failed', 1, 'HTTP 400: upstream 400']);
+  const rows = xlsx.utils.sheet_to_json(wb.Sheets['Suggested Mapping (By Source)']);
+  assert.deepEqual(rows.map(r => [r.SourceField, r.SuggestedTargetPath || '']), [['Id', 'Id'], ['Colour', '']]);
+  assert.match(rows[1].Rationale, /^Model batch 1 failed: HTTP 400/);
+});
@@ -0,0 +1,128 @@
+'use strict';
+// The on-disk batch cache, token usage per batch and the estimated cost in Run Info.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const xlsx = require('xlsx');
+
+const CACHE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'aoai-cache-test-'));
+let calls = 0;
+const upstream = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', c => { body += c; });
+  req.on('end', () => {
+    calls++;
+    const fields = JSON.parse(JSON.parse(body).messages[1].content).source_fields;
+    const content = JSON.stringify({ mappings: fields.map(f => ({ source: f, target_path: f === 'Ghost' ? 'Person/Ghost' : 'Person/Country', score: 0.8, rationale: 'local model' })) });
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({ choices: [{ message: { content }, finish_reason: 'stop' }], usage: { prompt_tokens: 1000, completion_tokens: 200 } }));
+  });
+});
+
+let server, base, batchCacheKey, estimateCost, llmPrices, log;
+test.before(async () => {
+  upstream.listen(0, '127.0.0.1');
+  await new Promise(resolve => upstream.once('listening', resolve));
+  Object.assign(process.env, {
+    LLM_PROVIDER: 'openai', OPENAI_BASE_URL: `http://127.0.0.1:${upstream.address().port}`, OPENAI_MODEL: 'local-model',
+    LLM_CACHE_DIR: CACHE_DIR, LLM_PRICES: JSON.stringify({ 'local-model': { prompt: 1, completion: 5 }, 'gpt-4o': { prompt: 3, completion: 12 } })
+  });
+  let app;
+  ({ app } = require('../server'));
+  ({ batchCacheKey } = require('../llm/cache'));
+  ({ estimateCost, llmPrices } = require('../llm/cost'));
+  ({ log } = require('../log'));
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+test.after(() => {
+  server.close();
+  upstream.close();
+  fs.rmSync(CACHE_DIR, { recursive: true, force: true });
+});
+
+test('costs use the longest matching model-name prefix, with LLM_PRICES overriding the built-in table', () => {
+  assert.equal(estimateCost('gpt-4o-mini-2024-07-18', 1e6, 1e6), 0.75);
+  assert.equal(estimateCost('GPT-4o', 1e6, 0), 3);
+  assert.equal(estimateCost('local-model', 1000, 200), 0.002);
+  assert.equal(estimateCost('llama3', 1000, 200), null);
+});
+
+test('a malformed LLM_PRICES is ignored with a warning', t => {
+  const warn = t.mock.method(log, 'warn', () => {});
+  for (const json of ['{"gpt-4o":', '[]', 'null']) assert.deepEqual(Object.keys(llmPrices(json)), ['gpt-4o', 'gpt-4o-mini', 'gpt-4.1', 'gpt-4.1-mini', 'gpt-4.1-nano']);
+  assert.equal(warn.mock.callCount(), 3);
+  assert.match(warn.mock.calls[1].arguments[0], /^\[llm\] LLM_PRICES ignored, using the built-in prices: expected an object/);
+});
+
+test('the cache key covers the model settings, the prompt and the batch content', () => {
+  const llm = { provider: 'openai', model: 'm', temperature: 0, max_tokens: 100 };
+  const payload = { instruction: 'Map. alternatives is [].', source_fields: ['A'], sample_values: { A: ['1'] }, target_dictionary: [{ path: 'X' }] };
+  const key = batchCacheKey(llm, 'system', payload);
+  assert.match(key, /^[0-9a-f]{40}$/);
+  assert.equal(batchCacheKey({ ...llm }, 'system', { ...payload }), key);
+  assert.notEqual(batchCacheKey({ ...llm, model: 'n' }, 'system', payload), key);
+  assert.notEqual(batchCacheKey({ ...llm, temperature: 0.5 }, 'system', payload), key);
+  assert.notEqual(batchCacheKey(llm, 'other system', payload), key);
+  assert.notEqual(batchCacheKey(llm, 'system', { ...payload, instruction: 'Map. alternatives lists up to 3 other plausible target paths.' }), key);
+  assert.notEqual(batchCacheKey(llm, 'system', { ...payload, sample_values: { A: ['2'] } }), key);
+  assert.notEqual(batchCacheKey(llm, 'system', { ...payload, target_dictionary: [{ path: 'Y' }] }), key);
+});
+
+async function mapCountry(fields = {}, csv = 'Land\ngb\n') {
+  const form = new FormData();
+  form.append('schema_files', new Blob([fs.readFileSync(path.join(__dirname, 'fixtures', 'person.xsd'))]), 'person.xsd');
+  form.append('source_file', new Blob([csv]), 'in.csv');
+  form.append('output_format', 'xlsx');
+  form.append('match_mode', 'ai');
+  for (const [k, v] of Object.entries(fields)) form.append(k, v);
+  const res = await fetch(`${base}/api/map`, { method: 'POST', body: form });
+  assert.equal(res.status, 200);
+  const wb = xlsx.read(Buffer.from(await res.arrayBuffer()));
+  return {
+    batch: xlsx.utils.sheet_to_json(wb.Sheets['Model Batches'])[0],
+    info: Object.fromEntries(xlsx.utils.sheet_to_json(wb.Sheets['Run Info']).map(r => [r.Item, r.Value])),
+    path: xlsx.utils.sheet_to_json(wb.Sheets['Suggested Mapping (By Source)'])[0].SuggestedTargetPath
+  };
+}
+
+test('a repeated run is answered from the cache; no_cache asks the model again', async () => {
+  calls = 0;
+  const first = await mapCountry();
+  assert.equal(calls, 1);
+  assert.deepEqual([first.batch.Calls, first.batch.CacheHits, first.batch.PromptTokens, first.batch.CompletionTokens], [1, 0, 1000, 200]);
+  assert.deepEqual([first.info['Model calls'], first.info['Prompt tokens'], first.info['Completion tokens'], first.info['Estimated cost (USD)']], [1, 1000, 200, 0.002]);
+  assert.equal(fs.readdirSync(CACHE_DIR).length, 1);
+
+  const again = await mapCountry();
+  assert.equal(calls, 1);
+  assert.equal(again.path, first.path);
+  assert.deepEqual([again.batch.CacheHits, again.info['Model calls'], again.info['Cache hits (batches)'], again.info['Estimated cost (USD)']], [1, 0, 1, 0]);
+
+  const fresh = await mapCountry({ no_cache: 'true' });
+  assert.equal(calls, 2);
+  assert.equal(fresh.info['Cache hits (batches)'], 'cache bypassed (no_cache)');
+  assert.equal(fs.readdirSync(CACHE_DIR).length, 1);
+
+  await mapCountry({ llm_temperature: '0.5' });
+  assert.equal(calls, 3);
+  assert.equal(fs.readdirSync(CACHE_DIR).length, 2);
+
+  await mapCountry({ alternatives: '0' });
+  assert.equal(calls, 4);
+  assert.equal(fs.readdirSync(CACHE_DIR).length, 3);
+});
+
+test('batches with a field the model left unresolved are not cached', async () => {
+  calls = 0;
+  const before = fs.readdirSync(CACHE_DIR).length;
+  const first = await mapCountry({}, 'Land,Ghost\ngb,x\n');
+  assert.deepEqual([first.batch.Calls, first.batch.Repairs], [2, 1]);
+  assert.equal(fs.readdirSync(CACHE_DIR).length, before);
+  const again = await mapCountry({}, 'Land,Ghost\ngb,x\n');
+  assert.deepEqual([again.batch.Calls, again.batch.CacheHits, calls], [2, 0, 4]);
+});
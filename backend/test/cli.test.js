@@ -0,0 +1,121 @@
+'use strict';
+// The aoai-map CLI: exit codes, wildcard schema arguments and config files.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { execFile } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+const CLI = path.join(__dirname, '..', 'cli.js');
+const TMP = fs.mkdtempSync(path.join(os.tmpdir(), 'aoai-cli-test-'));
+const PERSON_XSD = path.join(FIXTURES, 'person.xsd');
+const PERSON_CSV = path.join(FIXTURES, 'person.csv');
+
+test.after(() => fs.rmSync(TMP, { recursive: true, force: true }));
+
+// Runs the CLI in its own process (settings are read from the environment once per process).
+function aoaiMap(args, env = {}) {
+  return new Promise(resolve => {
+    execFile(process.execPath, [CLI, ...args], {
+      cwd: TMP,
+      env: { ...process.env, MATCH_MODE: 'rules', LLM_PROVIDER: 'replay', LLM_CACHE_DIR: '', LLM_MAX_RETRIES: '0', LOG_LEVEL: 'error', ...env }
+    }, (err, stdout, stderr) => resolve({ code: err ? err.code : 0, stdout, stderr }));
+  });
+}
+
+const readJson = file => JSON.parse(fs.readFileSync(path.join(TMP, file), 'utf-8'));
+
+test('a successful run writes its outputs and exits 0', async () => {
+  const { code, stdout } = await aoaiMap(['--schema', PERSON_XSD, '--source', PERSON_CSV, '-f', 'json', '-o', 'ok', '-q']);
+  assert.equal(code, 0);
+  assert.match(stdout, /^person\.csv: \d+\/5 fields mapped \([\d.]+%\), required targets [\d.]+% -> .*ok\/person\.json\n$/);
+  assert.equal(readJson('ok/person.json').bySource.length, 5);
+});
+
+test('a source that cannot be read exits 1 and the other sources are still mapped', async () => {
+  fs.writeFileSync(path.join(TMP, 'broken.json'), '{"a":');
+  const { code, stdout, stderr } = await aoaiMap(['--schema', PERSON_XSD, '-s', 'broken.json', '-s', PERSON_CSV, '-f', 'json', '-o', 'partial', '-q']);
+  assert.equal(code, 1);
+  assert.match(stderr, /^broken\.json: mapping failed: source_file is not valid JSON/m);
+  assert.match(stdout, /^person\.csv: /);
+  assert.ok(fs.existsSync(path.join(TMP, 'partial', 'person.json')));
+});
+
+test('bad arguments and settings exit 2 with the usage text', async () => {
+  const noXsd = await aoaiMap(['--source', PERSON_CSV]);
+  assert.equal(noXsd.code, 2);
+  assert.match(noXsd.stderr, /^aoai-map: at least one --schema is required\n\nUsage: aoai-map/);
+  assert.equal((await aoaiMap(['--schema', PERSON_XSD, '--source', PERSON_CSV, '--bogus'])).code, 2);
+  const format = await aoaiMap(['--schema', PERSON_XSD, '--source', PERSON_CSV, '-f', 'pdf']);
+  assert.equal(format.code, 2);
+  assert.match(format.stderr, /^aoai-map: person\.csv: output_format must be /);
+  assert.equal((await aoaiMap(['--schema', PERSON_XSD, '--source', PERSON_CSV, '--min-coverage', '120'])).code, 2);
+  assert.equal((await aoaiMap(['--schema', PERSON_XSD, '--source', 'missing.csv'])).code, 2);
+});
+
+test('a threshold that is not met exits 3', async () => {
+  fs.writeFileSync(path.join(TMP, 'extra.csv'), 'FullName,Colour\nAnn,red\n');
+  const { code, stdout } = await aoaiMap(['--schema', PERSON_XSD, '--source', 'extra.csv', '-f', 'json', '-o', 'low', '-q', '--min-coverage', '90', '--min-required-coverage', '50']);
+  assert.equal(code, 3);
+  assert.match(stdout, /^extra\.csv: 1\/2 fields mapped \(50\.0%\)/);
+  assert.match(stdout, /threshold not met: source coverage 50\.0% < 90%\n/);
+  assert.match(stdout, /threshold not met: required target coverage 25\.0% < 50%\n/);
+  const scores = await aoaiMap(['--schema', PERSON_XSD, '--source', PERSON_CSV, '-f', 'json', '-o', 'low', '-q', '--min-score', '1']);
+  assert.equal(scores.code, 3);
+  assert.match(scores.stdout, /threshold not met: 4 mapped field\(s\) score below 1: FirstName, LastName, Country, Address\n/);
+});
+
+test('failed model batches exit 4', async () => {
+  const { code, stdout } = await aoaiMap(['--schema', PERSON_XSD, '--source', PERSON_CSV, '-f', 'json', '-o', 'batches', '-q', '--match-mode', 'ai', '--provider', 'openai'],
+    { OPENAI_BASE_URL: 'http://127.0.0.1:9', OPENAI_API_KEY: '' });
+  assert.equal(code, 4);
+  assert.match(stdout, /1 model batch\(es\) failed/);
+});
+
+test('--schema wildcards expand to every matching schema; --xsd is an alias', async () => {
+  const dir = path.join(TMP, 'schemas');
+  fs.mkdirSync(dir);
+  fs.copyFileSync(PERSON_XSD, path.join(dir, 'a-person.xsd'));
+  fs.writeFileSync(path.join(dir, 'b-order.xsd'), '<xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema"><xs:element name="OrderId" type="xs:string"/></xs:schema>');
+  fs.writeFileSync(path.join(dir, 'notes.txt'), '');
+  const { code } = await aoaiMap(['--schema', 'schemas/*.xsd', '--source', PERSON_CSV, '-f', 'json', '-o', 'wild', '-q']);
+  assert.equal(code, 0);
+  const paths = readJson('wild/person.json').targetPaths.map(t => t.path);
+  assert.ok(paths.includes('Person/FullName') && paths.includes('OrderId'));
+  const alias = await aoaiMap(['--xsd', 'schemas/a-person.xsd', 'schemas/b-order.xsd', '--source', PERSON_CSV, '-f', 'json', '-o', 'alias', '-q']);
+  assert.equal(alias.code, 0);
+  assert.deepEqual(readJson('alias/person.json').targetPaths.map(t => t.path), paths);
+  const none = await aoaiMap(['--schema', 'schemas/*.xsdx', '--source', PERSON_CSV]);
+  assert.equal(none.code, 2);
+  assert.match(none.stderr, /no files match schemas\/\*\.xsdx/);
+});
+
+test('a config file supplies the settings, relative to its own folder, and flags override it', async () => {
+  const dir = path.join(TMP, 'project');
+  fs.mkdirSync(dir);
+  fs.copyFileSync(PERSON_XSD, path.join(dir, 'person.xsd'));
+  fs.copyFileSync(PERSON_CSV, path.join(dir, 'people.csv'));
+  fs.copyFileSync(PERSON_CSV, path.join(dir, 'staff.csv'));
+  fs.writeFileSync(path.join(dir, 'mapping.yaml'), [
+    'schemas: person.xsd',
+    'format: xlsx',
+    'out: results',
+    'project: hr',
+    'sources:',
+    '  - people.csv',
+    '  - path: staff.csv',
+    '    project: staff-export'
+  ].join('\n'));
+  const { code } = await aoaiMap(['--config', 'project/mapping.yaml', '-f', 'json', '-q']);
+  assert.equal(code, 0);
+  assert.deepEqual(fs.readdirSync(path.join(dir, 'results')).sort(), ['hr_people.json', 'staff-export.json']);
+
+  fs.writeFileSync(path.join(dir, 'bad.yaml'), '- just\n- a list\n');
+  const bad = await aoaiMap(['--config', 'project/bad.yaml']);
+  assert.equal(bad.code, 2);
+  assert.match(bad.stderr, /bad\.yaml: expected a mapping of settings/);
+  fs.writeFileSync(path.join(dir, 'nosource.json'), JSON.stringify({ xsd: 'person.xsd', sources: [{ project: 'x' }] }));
+  assert.match((await aoaiMap(['--config', 'project/nosource.json'])).stderr, /each config source needs a path/);
+});
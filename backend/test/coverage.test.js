@@ -0,0 +1,81 @@
+'use strict';
+// The Coverage & Issues checks: unknown and duplicate targets, unmapped required targets and type conflicts.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const xlsx = require('xlsx');
+
+Object.assign(process.env, { AZURE_OPENAI_ENDPOINT: '', AZURE_OPENAI_API_KEY: '', MATCH_MODE: 'rules' });
+const { app } = require('../server');
+const { parseXsdPaths } = require('../schema/xsd');
+const { xsdValueProblem, validateMapping } = require('../checks/coverage');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+const PERSON = fs.readFileSync(path.join(FIXTURES, 'person.xsd'), 'utf-8');
+const ORDER = `<xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema"><xs:element name="Order"><xs:complexType><xs:sequence>
+  <xs:element name="Id" type="xs:string"/>
+  <xs:element name="Note" minOccurs="0"><xs:complexType><xs:sequence><xs:element name="Text" type="xs:string"/></xs:sequence></xs:complexType></xs:element>
+  <xs:element name="Version" type="xs:string" fixed="2"/>
+  <xs:element name="Qty"><xs:simpleType><xs:restriction base="xs:decimal"><xs:totalDigits value="4"/><xs:fractionDigits value="1"/></xs:restriction></xs:simpleType></xs:element>
+</xs:sequence><xs:attribute name="kind" type="xs:string" use="required"/></xs:complexType></xs:element></xs:schema>`;
+const dict = parseXsdPaths([{ name: 'person.xsd', xml: PERSON }, { name: 'order.xsd', xml: ORDER }]);
+const row = (SourceField, SuggestedTargetPath) => ({ SourceField, SuggestedTargetPath });
+
+test('required is yes only when the element and all of its ancestors are mandatory', () => {
+  const required = Object.fromEntries(dict.map(r => [r.path, r.required]));
+  assert.equal(required['Order/Id'], 'yes');
+  assert.equal(required['Order/@kind'], 'yes');
+  assert.equal(required['Order/Note/Text'], 'no');
+  assert.equal(required['Person/Street'], 'no');
+});
+
+test('sample values are checked against the target type and facets', () => {
+  const t = Object.fromEntries(dict.map(r => [r.path, r]));
+  assert.equal(xsdValueProblem('1990-01-31', t['Person/BirthDate']), null);
+  assert.equal(xsdValueProblem('31/01/1990', t['Person/BirthDate']), 'is not an xs:date (YYYY-MM-DD)');
+  assert.equal(xsdValueProblem('gb', t['Person/Country']), 'is not one of the enumeration values');
+  assert.equal(xsdValueProblem('12.5', t['Order/Qty']), null);
+  assert.equal(xsdValueProblem('12345', t['Order/Qty']), 'has more than 4 digits');
+  assert.equal(xsdValueProblem('1.25', t['Order/Qty']), 'has more than 1 fraction digits');
+  assert.equal(xsdValueProblem('', t['Order/Qty']), null);
+});
+
+test('the issues list unknown paths, duplicate single targets, unmapped required targets and type conflicts', () => {
+  const bySource = [
+    row('First', 'Person/FullName'), row('Last', 'Person/FullName'), row('Born', 'Person/BirthDate'),
+    row('Lines', 'Person/AddressLine'), row('Lines2', 'Person/AddressLine'), row('Made', 'Person/Invented'),
+    { ...row('Dropped', 'Person/Country'), ReviewStatus: 'rejected' }, row('Unmapped', '')
+  ];
+  const issues = validateMapping(bySource, dict, { Born: ['31/01/1990', '1990-01-31'] });
+  assert.deepEqual(issues.slice(0, 3).map(i => i.Detail), [
+    '5 of 8 source fields map to a valid target path or feed a transform (62.5%)',
+    '3 of 4 required targets are mapped (75.0%)',
+    '2 errors, 2 warnings'
+  ]);
+  assert.deepEqual(issues.slice(3).map(i => [i.Severity, i.Check, i.SourceField, i.TargetPath]), [
+    ['error', 'Unknown target path', 'Made', 'Person/Invented'],
+    ['error', 'Duplicate target', 'First, Last', 'Person/FullName'],
+    ['warning', 'Required target unmapped', '', 'Person/Country'],
+    ['warning', 'Type conflict', 'Born', 'Person/BirthDate']
+  ]);
+});
+
+test('every output carries a Coverage & Issues sheet before Run Info', async () => {
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  try {
+    const form = new FormData();
+    form.append('schema_files', new Blob([PERSON]), 'person.xsd');
+    form.append('source_file', new Blob(['Country,BirthDate\nfr,someday\n']), 'person.csv');
+    form.append('output_format', 'xlsx');
+    const res = await fetch(`http://127.0.0.1:${server.address().port}/api/map`, { method: 'POST', body: form });
+    assert.equal(res.status, 200);
+    const wb = xlsx.read(Buffer.from(await res.arrayBuffer()));
+    assert.deepEqual(wb.SheetNames.slice(-3), ['Coverage & Issues', 'Run Info', 'Target Candidates']);
+    const checks = xlsx.utils.sheet_to_json(wb.Sheets['Coverage & Issues']).map(i => [i.Check, i.SourceField || '']);
+    assert.deepEqual(checks.filter(([check]) => check === 'Type conflict'), [['Type conflict', 'Country'], ['Type conflict', 'BirthDate']]);
+  } finally {
+    server.close();
+  }
+});
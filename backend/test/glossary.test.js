@@ -0,0 +1,151 @@
+'use strict';
+// The team glossary: entries and files, term expansion, confirmed pairs in mapping runs and the /api/glossary endpoints.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const xlsx = require('xlsx');
+
+const TMP = fs.mkdtempSync(path.join(os.tmpdir(), 'aoai-glossary-test-'));
+const GLOSSARY_FILE = path.join(TMP, 'glossary.json');
+const PERSON = fs.readFileSync(path.join(__dirname, 'fixtures', 'person.xsd'), 'utf-8');
+
+Object.assign(process.env, {
+  AZURE_OPENAI_ENDPOINT: '', AZURE_OPENAI_API_KEY: '', MATCH_MODE: 'rules', GLOSSARY_FILE, AUDIT_LOG: '', UPLOAD_DIR: TMP,
+  AUTH_API_KEYS: JSON.stringify([{ user: 'lead', key: 'key-lead', role: 'admin' }, { user: 'analyst', key: 'key-analyst' }])
+});
+const { app } = require('../server');
+const { glossaryEntry, readGlossary, expandTerms, glossaryMatch, glossaryPrompt } = require('../match/glossary');
+const { buildRuleIndex, ruleMatch } = require('../match/rules');
+const { parseXsdPaths } = require('../schema/xsd');
+
+let server, base;
+test.before(async () => {
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+test.after(() => {
+  server.close();
+  fs.rmSync(TMP, { recursive: true, force: true });
+});
+
+const call = (method, url, key, body) => fetch(`${base}${url}`, {
+  method, headers: { 'X-API-Key': key, ...(body ? { 'Content-Type': 'application/json' } : {}) }, body: body && JSON.stringify(body)
+});
+
+test('entries are checked and read from JSON objects, JSON rows or CSV', () => {
+  assert.deepEqual(glossaryEntry('terms', { Abbreviation: ' CCY ', Meaning: 'currency' }), { term: 'CCY', expansion: 'currency' });
+  assert.deepEqual(glossaryEntry('pairs', { 'Source Field': 'LE_ID', target: 'Trade/@id' }), { source: 'LE_ID', targetPath: 'Trade/@id' });
+  assert.throws(() => glossaryEntry('terms', { term: 'X' }), { status: 400, message: 'glossary entry needs a term and an expansion' });
+  assert.throws(() => glossaryEntry('notes', {}), { status: 400, message: 'glossary kind must be terms|pairs' });
+  const expected = { terms: [{ term: 'BU', expansion: 'business unit' }], pairs: [{ source: 'Cty', targetPath: 'Person/Country' }] };
+  assert.deepEqual(readGlossary(Buffer.from(JSON.stringify(expected)), 'g.json'), expected);
+  assert.deepEqual(readGlossary(Buffer.from('[{"term":"BU","expansion":"business unit"},{"source":"Cty","targetPath":"Person/Country"}]'), 'g.json'), expected);
+  assert.deepEqual(readGlossary(Buffer.from('term,expansion,source,targetPath\nBU,business unit,,\n,,Cty,Person/Country\n'), 'g.csv'), expected);
+  assert.throws(() => readGlossary(Buffer.from('source,targetPath\nCty,\n'), 'g.csv'), { message: 'glossary row 1 needs a source and a targetPath' });
+  assert.throws(() => readGlossary(Buffer.from('{'), 'g.json'), { status: 400, message: /^glossary is not valid JSON/ });
+});
+
+test('terms expand whole words of a field name, longest first', () => {
+  const glossary = { terms: [{ term: 'LE', expansion: 'legal entity' }, { term: 'LE ID', expansion: 'lender identifier' }, { term: 'CCY', expansion: 'currency' }] };
+  assert.equal(expandTerms('LE_ID_CCY', glossary).name, 'lender identifier currency');
+  assert.equal(expandTerms('LEVEL', glossary).name, 'LEVEL');
+  assert.deepEqual(expandTerms('PayCcy', glossary).applied.map(t => t.term), ['CCY']);
+});
+
+test('terms steer the rule matcher and the model prompt', () => {
+  const dict = parseXsdPaths([{ name: 'person.xsd', xml: PERSON }]);
+  const glossary = { terms: [{ term: 'NAT', expansion: 'country' }], pairs: [{ source: 'Cty', targetPath: 'Person/Country' }, { source: 'x', targetPath: 'Other/Path' }] };
+  const index = buildRuleIndex(dict);
+  assert.equal(ruleMatch('NAT', [], index).SuggestedTargetPath, '');
+  const row = ruleMatch('NAT', [], index, 0, glossary);
+  assert.equal(row.SuggestedTargetPath, 'Person/Country');
+  assert.match(row.Rationale, /\. Glossary NAT = country decided this match\.$/);
+  assert.deepEqual(glossaryPrompt(glossary, ['NAT', 'Name'], dict), { terms: { NAT: 'country' }, known_mappings: [{ source: 'Cty', target_path: 'Person/Country' }] });
+  assert.equal(glossaryPrompt({ terms: [], pairs: [] }, ['Name'], dict), null);
+});
+
+test('the most recently confirmed pair in the dictionary decides a field, the others become alternatives', () => {
+  const resolve = p => (['Person/Country', 'Person/City'].includes(p) ? p : null);
+  const glossary = { pairs: [
+    { source: 'cty', targetPath: 'Person/City', confirmations: 1, updatedAt: '2026-01-01' },
+    { source: 'CTY', targetPath: 'Person/Country', confirmations: 3, updatedAt: '2026-02-01' },
+    { source: 'Cty', targetPath: 'Gone/Path', updatedAt: '2026-03-01' }
+  ] };
+  const row = glossaryMatch('C.T.Y.', glossary, resolve, 2);
+  assert.deepEqual([row.SuggestedTargetPath, row.MatchScore, row.MatchMethod], ['Person/Country', 1, 'glossary']);
+  assert.equal(row.Rationale, 'Glossary decided this match: "CTY" -> Person/Country, confirmed 3 time(s) in review.');
+  assert.deepEqual(row.Alternatives.map(a => a.path), ['Person/City']);
+  assert.equal(glossaryMatch('Town', glossary, resolve), null);
+});
+
+test('entries are added, updated and removed through the API and saved to GLOSSARY_FILE', async () => {
+  const added = await call('POST', '/api/glossary/terms', 'key-lead', { term: 'DOB', expansion: 'date of birth' });
+  assert.equal(added.status, 201);
+  const term = await added.json();
+  assert.deepEqual([term.term, term.expansion, term.updatedBy], ['DOB', 'date of birth', 'lead']);
+  const again = await (await call('POST', '/api/glossary/terms', 'key-lead', { term: 'dob', expansion: 'birth date' })).json();
+  assert.deepEqual([again.id, again.term, again.expansion], [term.id, 'dob', 'birth date']);
+  const other = await (await call('POST', '/api/glossary/terms', 'key-lead', { term: 'BU', expansion: 'business unit' })).json();
+  assert.equal((await call('PUT', `/api/glossary/terms/${other.id}`, 'key-lead', { term: 'DOB', expansion: 'x' })).status, 409);
+  assert.equal((await call('PUT', '/api/glossary/terms/nope', 'key-lead', { term: 'BU', expansion: 'x' })).status, 404);
+  assert.equal((await call('POST', '/api/glossary/notes', 'key-lead', {})).status, 404);
+  assert.equal((await call('POST', '/api/glossary/pairs', 'key-lead', { source: 'Cty' })).status, 400);
+  assert.equal((await call('DELETE', `/api/glossary/terms/${other.id}`, 'key-lead')).status, 204);
+  assert.deepEqual(JSON.parse(fs.readFileSync(GLOSSARY_FILE, 'utf-8')).terms.map(t => t.term), ['dob']);
+  assert.deepEqual((await (await call('GET', '/api/glossary', 'key-analyst')).json()).terms.map(t => t.id), [term.id]);
+});
+
+test('adding, changing and deleting entries needs the admin role', async () => {
+  const refused = await call('POST', '/api/glossary/terms', 'key-analyst', { term: 'LE', expansion: 'legal entity' });
+  assert.deepEqual([refused.status, await refused.text()], [403, 'admin role required to change glossary entries']);
+  const term = await (await call('POST', '/api/glossary/terms', 'key-lead', { term: 'LE', expansion: 'legal entity' })).json();
+  assert.equal((await call('PUT', `/api/glossary/terms/${term.id}`, 'key-analyst', { term: 'LE', expansion: 'x' })).status, 403);
+  assert.equal((await call('DELETE', `/api/glossary/terms/${term.id}`, 'key-analyst')).status, 403);
+  assert.equal((await call('PUT', `/api/glossary/terms/${term.id}`, 'key-lead', { term: 'LE', expansion: 'legal entity id' })).status, 200);
+  assert.equal((await call('DELETE', `/api/glossary/terms/${term.id}`, 'key-lead')).status, 204);
+  assert.deepEqual((await (await call('GET', '/api/glossary', 'key-analyst')).json()).terms.map(t => t.term), ['dob']);
+});
+
+test('imports merge; replacing the glossary needs the admin role', async () => {
+  const importFile = (key, mode) => {
+    const form = new FormData();
+    form.append('glossary_file', new Blob(['source,targetPath\nCty,Person/Country\n']), 'pairs.csv');
+    if (mode) form.append('mode', mode);
+    return fetch(`${base}/api/glossary/import`, { method: 'POST', headers: { 'X-API-Key': key }, body: form });
+  };
+  assert.deepEqual(await (await importFile('key-analyst')).json(), { mode: 'merge', terms: { added: 0, updated: 0 }, pairs: { added: 1, updated: 0 } });
+  const refused = await importFile('key-analyst', 'replace');
+  assert.deepEqual([refused.status, await refused.text()], [403, 'admin role required to replace the glossary']);
+  assert.equal((await importFile('key-lead', 'replace')).status, 200);
+  const { terms, pairs } = await (await call('GET', '/api/glossary', 'key-lead')).json();
+  assert.deepEqual([terms, pairs.map(p => [p.source, p.origin, p.confirmations])], [[], [['Cty', 'import', 0]]]);
+});
+
+test('mapping runs use the glossary and reviewed exports confirm pairs', async () => {
+  const form = new FormData();
+  form.append('schema_files', new Blob([PERSON]), 'person.xsd');
+  form.append('source_file', new Blob(['Cty,FullName\nGB,Ann Lee\n']), 'people.csv');
+  form.append('output_format', 'json');
+  const start = await fetch(`${base}/api/jobs`, { method: 'POST', headers: { 'X-API-Key': 'key-analyst' }, body: form });
+  assert.equal(start.status, 202);
+  const { id } = await start.json();
+  for (let job = {}; job.status !== 'succeeded'; job = await (await call('GET', `/api/jobs/${id}`, 'key-analyst')).json()) {
+    assert.ok(!['failed', 'cancelled'].includes(job.status));
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  const result = await (await call('GET', `/api/jobs/${id}/result?format=json`, 'key-analyst')).json();
+  assert.deepEqual(result.bySource.map(r => [r.SourceField, r.SuggestedTargetPath, r.MatchMethod]), [
+    ['Cty', 'Person/Country', 'glossary'], ['FullName', 'Person/FullName', 'rules']
+  ]);
+  const review = await call('POST', `/api/jobs/${id}/review`, 'key-analyst', {
+    format: 'xlsx', rows: [{ SourceField: 'Cty', ReviewStatus: 'accepted' }, { SourceField: 'FullName', ReviewStatus: 'accepted' }]
+  });
+  assert.equal(review.status, 200);
+  const info = Object.fromEntries(xlsx.utils.sheet_to_json(xlsx.read(Buffer.from(await review.arrayBuffer())).Sheets['Run Info']).map(r => [r.Item, r.Value]));
+  assert.equal(info['Fields matched by glossary pairs'], 1);
+  const { pairs } = await (await call('GET', '/api/glossary', 'key-analyst')).json();
+  assert.deepEqual(pairs.map(p => [p.source, p.targetPath, p.confirmations]), [['Cty', 'Person/Country', 1], ['FullName', 'Person/FullName', 1]]);
+});
@@ -0,0 +1,153 @@
+'use strict';
+// Background mapping jobs: status, Server-Sent Events, result download and cancellation.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const xlsx = require('xlsx');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+// An OpenAI-compatible endpoint that never answers, so a job using it stays in its model batch until cancelled.
+let stalled;
+const seen = new Promise(resolve => { stalled = resolve; });
+const upstream = http.createServer(() => stalled());
+
+let server, base;
+test.before(async () => {
+  upstream.listen(0, '127.0.0.1');
+  await new Promise(resolve => upstream.once('listening', resolve));
+  Object.assign(process.env, {
+    LLM_PROVIDER: 'replay', LLM_REPLAY_DIR: path.join(FIXTURES, 'replay'), OPENAI_BASE_URL: `http://127.0.0.1:${upstream.address().port}`,
+    LLM_CACHE_DIR: '', GLOSSARY_FILE: ''
+  });
+  const { app } = require('../server');
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+test.after(() => {
+  server.close();
+  upstream.closeAllConnections();
+  upstream.close();
+});
+
+async function startJob(fields = {}) {
+  const form = new FormData();
+  form.append('schema_files', new Blob([fs.readFileSync(path.join(FIXTURES, 'person.xsd'))]), 'person.xsd');
+  form.append('source_file', new Blob([fs.readFileSync(path.join(FIXTURES, 'person.csv'))]), 'person.csv');
+  form.append('output_format', 'xlsx');
+  form.append('match_mode', 'ai');
+  for (const [k, v] of Object.entries(fields)) form.append(k, v);
+  const res = await fetch(`${base}/api/jobs`, { method: 'POST', body: form });
+  assert.equal(res.status, 202);
+  return res.json();
+}
+
+// Reads a job's event stream until the server ends it after the final event.
+async function jobEvents(id) {
+  const res = await fetch(`${base}/api/jobs/${id}/events`);
+  assert.equal(res.headers.get('content-type'), 'text/event-stream');
+  return (await res.text()).split('\n\n').filter(Boolean).map(block => {
+    const [, event] = block.match(/^event: (.*)$/m);
+    return { event, data: JSON.parse(block.match(/^data: (.*)$/m)[1]) };
+  });
+}
+
+test('a job reports its progress over SSE and its result downloads once it succeeded', async () => {
+  const job = await startJob();
+  assert.equal(job.status, 'queued');
+  assert.equal(job.percent, 0);
+  const events = await jobEvents(job.id);
+  const last = events[events.length - 1];
+  assert.equal(last.event, 'succeeded');
+  assert.equal(last.data.percent, 100);
+  assert.ok(events.slice(0, -1).every(e => e.event === 'progress'));
+  const status = await (await fetch(`${base}/api/jobs/${job.id}`)).json();
+  assert.deepEqual([status.status, status.batchesDone, status.batchesTotal], ['succeeded', 1, 1]);
+  const result = await fetch(`${base}/api/jobs/${job.id}/result`);
+  assert.equal(result.status, 200);
+  const rows = xlsx.utils.sheet_to_json(xlsx.read(Buffer.from(await result.arrayBuffer())).Sheets['Suggested Mapping (By Source)']);
+  assert.deepEqual(rows.map(r => r.SuggestedTargetPath), ['Person/FullName', '', 'Person/BirthDate', 'Person/Country', 'Person/AddressLine']);
+  assert.equal((await fetch(`${base}/api/jobs/${job.id}/result?format=pdf`)).status, 400);
+  assert.equal((await fetch(`${base}/api/jobs/${job.id}`, { method: 'DELETE' })).status, 409);
+});
+
+test('cancelling a running job aborts its model call', async () => {
+  const job = await startJob({ llm_provider: 'openai' });
+  const events = jobEvents(job.id);
+  await seen;
+  const cancel = await fetch(`${base}/api/jobs/${job.id}`, { method: 'DELETE' });
+  assert.equal(cancel.status, 200);
+  const last = (await events).pop();
+  assert.equal(last.event, 'cancelled');
+  assert.equal(last.data.error, 'Mapping cancelled');
+  const result = await fetch(`${base}/api/jobs/${job.id}/result`);
+  assert.equal(result.status, 409);
+  assert.equal(await result.text(), 'job is cancelled');
+});
+
+test('a job cancelled while still queued never runs and stays cancelled', async t => {
+  const deferred = [];
+  t.mock.method(global, 'setImmediate', fn => { deferred.push(fn); });
+  const job = await startJob();
+  const cancel = await fetch(`${base}/api/jobs/${job.id}`, { method: 'DELETE' });
+  const cancelled = await cancel.json();
+  assert.deepEqual([cancel.status, cancelled.status], [200, 'cancelled']);
+  t.mock.restoreAll();
+  await new Promise(resolve => setTimeout(resolve, 5));
+  await Promise.all(deferred.map(fn => fn()));
+  const status = await (await fetch(`${base}/api/jobs/${job.id}`)).json();
+  assert.deepEqual([status.status, status.error, status.phase, status.finishedAt], ['cancelled', 'Mapping cancelled', 'cancelled', cancelled.finishedAt]);
+});
+
+test('unknown jobs answer 404', async () => {
+  assert.equal((await fetch(`${base}/api/jobs/nope`)).status, 404);
+  assert.equal((await fetch(`${base}/api/jobs/nope/events`)).status, 404);
+});
+
+test('a finished job loads as JSON and exports with reviewer decisions applied', async () => {
+  const job = await startJob();
+  await jobEvents(job.id);
+  const loaded = await (await fetch(`${base}/api/jobs/${job.id}/result?format=json`)).json();
+  assert.equal(loaded.bySource.length, 5);
+  assert.deepEqual(loaded.targetPaths.find(t => t.path === 'Person/Street'), { path: 'Person/Street', type: 'string', occurs: '0..1' });
+
+  const review = rows => fetch(`${base}/api/jobs/${job.id}/review`, {
+    method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ rows, format: 'xlsx' })
+  });
+  const res = await review([
+    { SourceField: 'FirstName', SuggestedTargetPath: 'Person/FullName', ReviewStatus: 'accepted' },
+    { SourceField: 'Address', SuggestedTargetPath: 'Person/Street', ReviewStatus: 'accepted' },
+    { SourceField: 'LastName', ReviewStatus: 'rejected' }
+  ]);
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get('content-disposition'), /mapping-output_reviewed/);
+  const wb = xlsx.read(Buffer.from(await res.arrayBuffer()));
+  const rows = Object.fromEntries(xlsx.utils.sheet_to_json(wb.Sheets['Suggested Mapping (By Source)']).map(r => [r.SourceField, r]));
+  assert.deepEqual(Object.values(rows).map(r => r.ReviewStatus), ['accepted', 'rejected', 'pending', 'pending', 'overridden']);
+  assert.deepEqual([rows.Address.SuggestedTargetPath, rows.Address.Occurs], ['Person/Street', '0..1']);
+  assert.deepEqual(Object.values(rows).map(r => r.Approved || ''), ['yes', '', '', '', 'yes']);
+  assert.match(rows.Address.Rationale, /^Reviewer override \(suggested: Person\/AddressLine\)/);
+  const info = Object.fromEntries(xlsx.utils.sheet_to_json(wb.Sheets['Run Info']).map(r => [r.Item, r.Value]));
+  assert.deepEqual([info['Review: accepted'], info['Review: overridden'], info['Review: pending']], [1, 1, 2]);
+
+  const unknown = await review([{ SourceField: 'Address', SuggestedTargetPath: 'Person/Nope' }]);
+  assert.deepEqual([unknown.status, await unknown.text()], [400, 'Unknown target path(s): Person/Nope']);
+  assert.equal((await review([{ SourceField: 'Address', ReviewStatus: 'maybe' }])).status, 400);
+  assert.equal((await review('all')).status, 400);
+});
+
+test('reviewer decisions match rows by SourceOrder, so repeated source field names stay apart', () => {
+  const { applyReview } = require('../mapping');
+  const targetDict = [{ path: 'Person/Street', schema: 'person.xsd', type: 'string', minOccurs: '0', maxOccurs: '1' }, { path: 'Person/City' }];
+  const bySource = [1, 2].map(n => ({ SourceOrder: n, SourceField: 'Addr', SuggestedTargetPath: 'Person/City' }));
+  const result = { targetDict, bySource, samples: {}, samplePolicy: 'raw', profile: [], runInfo: [] };
+  const reviewed = applyReview(result, [
+    { SourceOrder: 2, SourceField: 'Addr', SuggestedTargetPath: 'Person/Street', ReviewStatus: 'accepted' },
+    { SourceOrder: 1, SourceField: 'Addr', ReviewStatus: 'rejected' }
+  ]);
+  assert.deepEqual(reviewed.bySource.map(r => [r.SourceOrder, r.SuggestedTargetPath, r.ReviewStatus]), [[1, 'Person/City', 'rejected'], [2, 'Person/Street', 'overridden']]);
+  const byName = applyReview(result, [{ SourceField: 'Addr', ReviewStatus: 'accepted' }]);
+  assert.deepEqual(byName.bySource.map(r => r.ReviewStatus), ['accepted', 'accepted']);
+});
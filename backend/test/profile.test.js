@@ -0,0 +1,57 @@
+'use strict';
+// Source profiling: inferred column types and date formats, statistics, and the profile sent to the model.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { createSourceScan } = require('../sources/profile');
+
+const REPLAY_DIR = path.join(__dirname, 'fixtures', 'replay');
+function profileOf(values) {
+  const scan = createSourceScan();
+  for (const v of values) scan.add({ col: v });
+  return scan.finish().profile[0];
+}
+const typeOf = values => { const p = profileOf(values); return [p.InferredType, p.Format]; };
+
+test('column types are inferred from the values', () => {
+  assert.deepEqual(typeOf(['1', '22', '-3']), ['integer', '']);
+  assert.deepEqual(typeOf(['1,250.50', '3.5']), ['decimal', 'thousands separator']);
+  assert.deepEqual(typeOf(['1.250,50', '3,5']), ['decimal', 'decimal comma']);
+  assert.deepEqual(typeOf(['yes', 'No', 'y']), ['boolean', '']);
+  assert.deepEqual(typeOf(['ann@example.com', 'bob@example.org']), ['email', '']);
+  assert.deepEqual(typeOf(['GB01', 'US02', 'FR03']), ['code', 'fixed length 4']);
+  assert.deepEqual(typeOf(['1 Main St, Springfield', 'High Rd']), ['text', '']);
+  assert.deepEqual(typeOf(['', ' ']), ['empty', '']);
+});
+
+test('date layouts are detected, with day/month order decided from the data', () => {
+  assert.deepEqual(typeOf(['31/01/1990', '05/12/1985']), ['date', 'dd/MM/yyyy']);
+  assert.deepEqual(typeOf(['01/31/1990', '12/05/1985']), ['date', 'MM/dd/yyyy']);
+  assert.deepEqual(typeOf(['01.02.1990']), ['date', 'dd.MM.yyyy (day/month order ambiguous)']);
+  assert.deepEqual(typeOf(['2024-01-02T10:00:00Z']), ['datetime', "yyyy-MM-dd'T'HH:mm:ss"]);
+  assert.deepEqual(typeOf(['20240102', '19991231']), ['date', 'yyyyMMdd']);
+  assert.deepEqual(typeOf(['2-Jan-2024', '15 March 2023']), ['date', 'dd-MMM-yyyy']);
+});
+
+test('a type needs 95% of the non-empty values to fit it', () => {
+  const mostlyIntegers = [...Array(19).keys()].map(String).concat('n/a');
+  assert.equal(profileOf(mostlyIntegers).InferredType, 'integer');
+  assert.equal(profileOf([...mostlyIntegers.slice(0, 18), 'n/a', 'tbd']).InferredType, 'code');
+});
+
+test('the profile counts nulls, distinct values, lengths and the most frequent values', () => {
+  const p = profileOf(['gb', 'us', '', 'gb', 'Gb']);
+  assert.deepEqual(p, {
+    Field: 'col', InferredType: 'code', Format: 'fixed length 2', PII: '', NullRate: '20.0%', DistinctCount: 3,
+    MinLength: 2, MaxLength: 2, TopValues: 'gb (2); us (1); Gb (1)'
+  });
+});
+
+test('the model receives each field\'s inferred type and format as source_profile', () => {
+  const recorded = fs.readdirSync(REPLAY_DIR).map(f => JSON.parse(fs.readFileSync(path.join(REPLAY_DIR, f), 'utf-8')));
+  const payload = JSON.parse(recorded[0].request.messages[1].content);
+  assert.deepEqual(payload.source_profile.BirthDate, { type: 'date', format: 'dd/MM/yyyy', null_rate: '0.0%', distinct: 3, length: '10..10' });
+  assert.equal(payload.source_profile.Address.type, 'text');
+});
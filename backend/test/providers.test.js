@@ -0,0 +1,80 @@
+'use strict';
+// The OpenAI-compatible provider against a local endpoint, and replay recording through it.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const xlsx = require('xlsx');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+const REPLAY_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'aoai-replay-test-'));
+const calls = [];
+const upstream = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', c => { body += c; });
+  req.on('end', () => {
+    const request = JSON.parse(body);
+    calls.push({ url: req.url, authorization: req.headers.authorization, request });
+    const fields = JSON.parse(request.messages[1].content).source_fields;
+    const content = JSON.stringify(fields.map(f => ({ source: f, target_path: f === 'Country' ? 'Person/Country' : '', score: 0.8, rationale: 'local model' })));
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({ choices: [{ message: { content } }], usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 } }));
+  });
+});
+
+let app, server, base;
+test.before(async () => {
+  upstream.listen(0, '127.0.0.1');
+  await new Promise(resolve => upstream.once('listening', resolve));
+  Object.assign(process.env, {
+    LLM_PROVIDER: 'openai', OPENAI_BASE_URL: `http://127.0.0.1:${upstream.address().port}/v1/`, OPENAI_API_KEY: 'sk-local',
+    OPENAI_MODEL: 'local-model', LLM_REPLAY_DIR: REPLAY_DIR, LLM_REPLAY_RECORD: 'openai', LLM_CACHE_DIR: ''
+  });
+  ({ app } = require('../server'));
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+test.after(() => {
+  server.close();
+  upstream.close();
+  fs.rmSync(REPLAY_DIR, { recursive: true, force: true });
+});
+
+async function mapPerson(fields) {
+  const form = new FormData();
+  form.append('schema_files', new Blob([fs.readFileSync(path.join(FIXTURES, 'person.xsd'))]), 'person.xsd');
+  form.append('source_file', new Blob(['Country,Colour\ngb,red\n']), 'small.csv');
+  form.append('output_format', 'xlsx');
+  form.append('match_mode', 'ai');
+  for (const [k, v] of Object.entries(fields)) form.append(k, v);
+  const res = await fetch(`${base}/api/map`, { method: 'POST', body: form });
+  assert.equal(res.status, 200);
+  const wb = xlsx.read(Buffer.from(await res.arrayBuffer()));
+  return xlsx.utils.sheet_to_json(wb.Sheets['Suggested Mapping (By Source)']).map(r => [r.SourceField, r.SuggestedTargetPath || '']);
+}
+
+test('the openai provider posts chat completions with the per-request model and settings', async () => {
+  calls.length = 0;
+  assert.deepEqual(await mapPerson({ llm_model: 'other-model', llm_temperature: '0', llm_max_tokens: '500' }), [['Country', 'Person/Country'], ['Colour', '']]);
+  assert.equal(calls.length, 1);
+  const [{ url, authorization, request }] = calls;
+  assert.equal(url, '/v1/chat/completions');
+  assert.equal(authorization, 'Bearer sk-local');
+  assert.deepEqual([request.model, request.temperature, request.max_tokens], ['other-model', 0, 500]);
+});
+
+test('replay records a missing response from LLM_REPLAY_RECORD once and then serves it from disk', async () => {
+  calls.length = 0;
+  const first = await mapPerson({ llm_provider: 'replay' });
+  assert.equal(calls.length, 1);
+  assert.equal(calls[0].request.model, 'local-model');
+  const files = fs.readdirSync(REPLAY_DIR);
+  assert.equal(files.length, 1);
+  const recorded = JSON.parse(fs.readFileSync(path.join(REPLAY_DIR, files[0]), 'utf-8'));
+  assert.equal(recorded.request.messages.length, 2);
+  assert.deepEqual(await mapPerson({ llm_provider: 'replay' }), first);
+  assert.equal(calls.length, 1);
+});
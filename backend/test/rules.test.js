@@ -0,0 +1,82 @@
+'use strict';
+// The offline rule matcher and match_mode, on their own and through /api/map.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const xlsx = require('xlsx');
+
+Object.assign(process.env, { AZURE_OPENAI_ENDPOINT: '', AZURE_OPENAI_API_KEY: '', MATCH_MODE: 'hybrid' });
+const { app } = require('../server');
+const { parseXsdPaths } = require('../schema/xsd');
+const { nameTokens } = require('../match/names');
+const { buildRuleIndex, ruleMatch } = require('../match/rules');
+
+const INVOICE = `<xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema"><xs:element name="Invoice"><xs:complexType><xs:sequence>
+  <xs:element name="InvoiceNumber" type="xs:string"/><xs:element name="IssueDate" type="xs:date"/><xs:element name="TotalAmount" type="xs:decimal"/>
+  <xs:element name="Currency"><xs:simpleType><xs:restriction base="xs:string"><xs:enumeration value="EUR"/><xs:enumeration value="USD"/></xs:restriction></xs:simpleType></xs:element>
+  <xs:element name="Customer"><xs:complexType><xs:sequence><xs:element name="Name" type="xs:string"/><xs:element name="PostalCode" type="xs:string"/></xs:sequence></xs:complexType></xs:element>
+</xs:sequence></xs:complexType></xs:element></xs:schema>`;
+const index = buildRuleIndex(parseXsdPaths([{ name: 'invoice.xsd', xml: INVOICE }]));
+
+test('names split on case, digits and separators, with abbreviations expanded', () => {
+  assert.deepEqual(nameTokens('CustAcctNbr'), ['customer', 'account', 'number']);
+  assert.deepEqual(nameTokens('DOB'), ['birth', 'date']);
+  assert.deepEqual(nameTokens('@ns:InvoiceLines'), ['invoice', 'line']);
+});
+
+test('abbreviated field names match their target paths', () => {
+  const path = (field, values) => ruleMatch(field, values, index).SuggestedTargetPath;
+  assert.equal(path('INV_NO', ['A1']), 'Invoice/InvoiceNumber');
+  assert.equal(path('issue_dt', ['2024-01-02']), 'Invoice/IssueDate');
+  assert.equal(path('TOT_AMT', ['12.50']), 'Invoice/TotalAmount');
+  assert.equal(path('CustName', ['Ann']), 'Invoice/Customer/Name');
+  assert.equal(path('zip', ['1000']), 'Invoice/Customer/PostalCode');
+});
+
+test('sample values that do not fit the target type or enumeration lower the score', () => {
+  const fits = ruleMatch('ccy', ['EUR', 'USD'], index);
+  const misfits = ruleMatch('ccy', ['GBP'], index);
+  assert.equal(fits.MatchScore, 1);
+  assert.ok(misfits.MatchScore < fits.MatchScore);
+  assert.match(misfits.Rationale, /type mismatch/);
+  assert.ok(ruleMatch('TotalAmount', ['abc'], index).MatchScore < 0.9);
+});
+
+test('a field without a plausible target gets an empty rule suggestion', () => {
+  assert.deepEqual(ruleMatch('Colour', ['red'], index), {
+    SourceField: 'Colour', SuggestedTargetPath: '', MatchScore: 0, Rationale: 'Rule match: no candidate path', MatchMethod: 'rules', Alternatives: []
+  });
+});
+
+async function mapWorkbook(fields) {
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  try {
+    const form = new FormData();
+    form.append('schema_files', new Blob([INVOICE]), 'invoice.xsd');
+    form.append('source_file', new Blob(['INV_NO,TOT_AMT,Colour\nA1,12.50,red\n']), 'invoice.csv');
+    form.append('output_format', 'xlsx');
+    for (const [k, v] of Object.entries(fields)) form.append(k, v);
+    const res = await fetch(`http://127.0.0.1:${server.address().port}/api/map`, { method: 'POST', body: form });
+    return { status: res.status, body: Buffer.from(await res.arrayBuffer()) };
+  } finally {
+    server.close();
+  }
+}
+
+test('match_mode rules maps every field offline; hybrid falls back to it without a model endpoint', async () => {
+  for (const mode of ['rules', 'hybrid']) {
+    const { status, body } = await mapWorkbook({ match_mode: mode });
+    assert.equal(status, 200);
+    const wb = xlsx.read(body);
+    const rows = xlsx.utils.sheet_to_json(wb.Sheets['Suggested Mapping (By Source)']);
+    assert.deepEqual(rows.map(r => [r.SourceField, r.SuggestedTargetPath || '', r.MatchMethod]), [
+      ['INV_NO', 'Invoice/InvoiceNumber', 'rules'], ['TOT_AMT', 'Invoice/TotalAmount', 'rules'], ['Colour', '', 'rules']
+    ]);
+  }
+});
+
+test('an unknown match_mode is rejected', async () => {
+  const { status, body } = await mapWorkbook({ match_mode: 'fuzzy' });
+  assert.equal(status, 400);
+  assert.equal(body.toString(), 'match_mode must be rules|ai|hybrid');
+});
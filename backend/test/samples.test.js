@@ -0,0 +1,141 @@
+'use strict';
+// sample_policy: PII detection, masked and synthetic sample values, and redacted logging.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const xlsx = require('xlsx');
+
+const prompts = [];
+const upstream = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', c => { body += c; });
+  req.on('end', () => {
+    const payload = JSON.parse(JSON.parse(body).messages[1].content);
+    prompts.push(payload);
+    const content = JSON.stringify({ mappings: payload.source_fields.map(f => ({ source: f, target_path: 'Person/BirthDate', score: 0.9, rationale: 'r' })) });
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({ choices: [{ message: { content }, finish_reason: 'stop' }] }));
+  });
+});
+
+let server, base, piiKind, redactText, maskValue, syntheticValue, protectSource, createSourceScan;
+test.before(async () => {
+  upstream.listen(0, '127.0.0.1');
+  await new Promise(resolve => upstream.once('listening', resolve));
+  Object.assign(process.env, { LLM_PROVIDER: 'openai', OPENAI_BASE_URL: `http://127.0.0.1:${upstream.address().port}`, LLM_CACHE_DIR: '' });
+  const { app } = require('../server');
+  ({ piiKind, redactText } = require('../sources/patterns'));
+  ({ maskValue, syntheticValue, protectSource } = require('../sources/protect'));
+  ({ createSourceScan } = require('../sources/profile'));
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+test.after(() => {
+  server.close();
+  upstream.close();
+});
+
+const IBAN = 'GB82 WEST 1234 5698 7654 32';
+const CARD = '4111 1111 1111 1111';
+
+test('PII is recognised per value with its check digits', () => {
+  assert.equal(piiKind('jane.doe@corp.example'), 'email');
+  assert.equal(piiKind(IBAN), 'iban');
+  assert.equal(piiKind('GB83 WEST 1234 5698 7654 32'), null);
+  assert.equal(piiKind(CARD), 'card');
+  assert.equal(piiKind('4111 1111 1111 1112'), null);
+  assert.equal(piiKind('+44 20 7946 0958'), 'phone');
+  assert.equal(piiKind('2024-01-31'), null);
+  assert.equal(piiKind('12345'), null);
+});
+
+test('masking keeps only the shape of a value', () => {
+  assert.equal(maskValue('Jane 55-1234'), 'Aaaa 99-9999');
+  assert.equal(maskValue('Zoë'), 'Aaa');
+});
+
+test('synthetic values are repeatable look-alikes of the same kind', () => {
+  const iban = syntheticValue(IBAN);
+  assert.notEqual(iban, IBAN.replace(/ /g, ''));
+  assert.equal(piiKind(iban), 'iban');
+  const card = syntheticValue(CARD);
+  assert.match(card, /^4\d{3} \d{4} \d{4} \d{4}$/);
+  assert.equal(piiKind(card), 'card');
+  assert.match(syntheticValue('jane.doe@corp.example'), /^user\d{4}@example\.com$/);
+  assert.match(syntheticValue('31/01/1990', { InferredType: 'date', Format: 'dd/MM/yyyy' }), /^\d{2}\/\d{2}\/(19|20)\d{2}$/);
+  assert.match(syntheticValue('Yes', { InferredType: 'boolean' }), /^(Yes|No)$/);
+  assert.match(syntheticValue('AB-12', { InferredType: 'code' }), /^[A-Z]{2}-\d{2}$/);
+  assert.equal(syntheticValue('AB-12'), syntheticValue('AB-12'));
+});
+
+test('log lines are redacted of credentials and PII', () => {
+  assert.equal(redactText('headers {"api-key":"abc123","Authorization":"Bearer sk-1"}'), 'headers {"api-key":"[secret]","Authorization":"[secret]"}');
+  assert.equal(redactText(`mail jane@corp.example, iban ${IBAN}, card ${CARD}, tel +44 20 7946 0958 on 2024-01-31`),
+    'mail [email], iban [iban], card [card], tel [phone] on 2024-01-31');
+});
+
+test('an unknown LOG_LEVEL or SAMPLE_POLICY falls back to its default with a warning', () => {
+  const setting = env => spawnSync(process.execPath, ['-p', 'const c = require("./config"); `${c.LOG_LEVEL} ${c.SAMPLE_POLICY}`'], {
+    cwd: path.join(__dirname, '..'), env: { ...process.env, LOG_LEVEL: '', SAMPLE_POLICY: '', ...env }, encoding: 'utf-8'
+  });
+  const bad = setting({ LOG_LEVEL: 'verbose', SAMPLE_POLICY: 'hashed' });
+  assert.equal(bad.stdout.trim(), 'info raw');
+  assert.match(bad.stderr, /LOG_LEVEL "verbose" is not one of error\|warn\|info\|debug; using info/);
+  assert.match(bad.stderr, /SAMPLE_POLICY "hashed" is not one of raw\|masked\|synthetic\|none; using raw/);
+  const good = setting({ LOG_LEVEL: 'Debug', SAMPLE_POLICY: 'masked' });
+  assert.deepEqual([good.stdout.trim(), good.stderr], ['debug masked', '']);
+});
+
+test('the shareable view of a source applies the policy to preview, samples and top values', () => {
+  const scan = createSourceScan();
+  for (const mail of ['ann@corp.example', 'bob@corp.example']) scan.add({ Mail: mail });
+  const source = scan.finish();
+  const masked = protectSource(source, 'masked');
+  assert.deepEqual(masked.preview, [{ Mail: 'aaa@aaaa.aaaaaaa' }, { Mail: 'aaa@aaaa.aaaaaaa' }]);
+  assert.deepEqual(masked.samples.Mail, ['aaa@aaaa.aaaaaaa', 'aaa@aaaa.aaaaaaa']);
+  assert.equal(masked.profile[0].TopValues, 'aaa@aaaa.aaaaaaa (1); aaa@aaaa.aaaaaaa (1)');
+  assert.equal(masked.profile[0].PII, 'email');
+  const none = protectSource(source, 'none');
+  assert.deepEqual([none.preview[0].Mail, none.samples.Mail, none.profile[0].TopValues], ['', [], '']);
+  assert.deepEqual(protectSource(source, 'raw').samples.Mail, ['ann@corp.example', 'bob@corp.example']);
+});
+
+async function mapDates(fields) {
+  const form = new FormData();
+  form.append('schema_files', new Blob([fs.readFileSync(path.join(__dirname, 'fixtures', 'person.xsd'))]), 'person.xsd');
+  form.append('source_file', new Blob(['Born,Mail\n31/01/1990,ann@corp.example\n']), 'in.csv');
+  form.append('output_format', 'xlsx');
+  form.append('match_mode', 'ai');
+  for (const [k, v] of Object.entries(fields)) form.append(k, v);
+  const res = await fetch(`${base}/api/map`, { method: 'POST', body: form });
+  const body = Buffer.from(await res.arrayBuffer());
+  return { status: res.status, body, sheet: name => xlsx.utils.sheet_to_json(xlsx.read(body).Sheets[name], { defval: '' }) };
+}
+
+test('masked runs keep raw values out of the prompt and the outputs', async () => {
+  prompts.length = 0;
+  const { status, sheet } = await mapDates({ sample_policy: 'masked' });
+  assert.equal(status, 200);
+  assert.deepEqual(prompts[0].sample_values, { Born: ['99/99/9999'], Mail: ['aaa@aaaa.aaaaaaa'] });
+  assert.equal(prompts[0].source_profile.Mail.pii, 'email');
+  assert.deepEqual(sheet('Source Preview (first 50)'), [{ Born: '99/99/9999', Mail: 'aaa@aaaa.aaaaaaa' }]);
+  assert.deepEqual(sheet('Suggested Mapping (By Source)').map(r => r.SampleValue), ['99/99/9999', 'aaa@aaaa.aaaaaaa']);
+  const conflicts = sheet('Coverage & Issues').filter(i => i.Check === 'Type conflict').map(i => i.Detail);
+  assert.deepEqual(conflicts, ['"aaa@aaaa.aaaaaaa" is not an xs:date (YYYY-MM-DD)']);
+  const info = Object.fromEntries(sheet('Run Info').map(r => [r.Item, r.Value]));
+  assert.deepEqual([info['Sample policy'], info['PII columns']], ['masked', 'Mail (email)']);
+});
+
+test('policy none sends no sample values and sample_policy is validated', async () => {
+  prompts.length = 0;
+  const { status, sheet } = await mapDates({ sample_policy: 'none' });
+  assert.equal(status, 200);
+  assert.equal('sample_values' in prompts[0], false);
+  assert.ok(sheet('Coverage & Issues').some(i => i.Detail === 'A sample value is not an xs:date (YYYY-MM-DD)'));
+  const bad = await mapDates({ sample_policy: 'hashed' });
+  assert.deepEqual([bad.status, bad.body.toString()], [400, 'sample_policy must be raw|masked|synthetic|none']);
+});
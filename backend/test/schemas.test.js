@@ -0,0 +1,127 @@
+'use strict';
+// Target schemas other than XSD: language detection and the JSON Schema, OpenAPI and Avro adapters.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const xlsx = require('xlsx');
+
+Object.assign(process.env, { AZURE_OPENAI_ENDPOINT: '', AZURE_OPENAI_API_KEY: '', MATCH_MODE: 'rules', GLOSSARY_FILE: '' });
+const { app } = require('../server');
+const { readTargetSchema, parseTargetSchemas } = require('../schema/targets');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+const COMMON = { $defs: { Address: { type: 'object', required: ['city'], properties: { city: { type: 'string', description: 'Town' }, zip: { type: 'string', pattern: '^[0-9]{5}$' } } } } };
+const CUSTOMER = {
+  title: 'Customer', type: 'object', required: ['id', 'born', 'email', 'address', 'tags', 'parent', 'kind'],
+  properties: {
+    id: { type: 'integer', minimum: 1 }, born: { type: 'string', format: 'date' }, email: { type: ['string', 'null'], pattern: '@' },
+    address: { $ref: 'common.json#/$defs/Address' }, tags: { type: 'array', items: { type: 'string' } }, parent: { $ref: '#' },
+    kind: { enum: ['a', 'b'] }, contact: { oneOf: [{ type: 'object', properties: { phone: { type: 'string' } } }, { type: 'null' }] }
+  }
+};
+const OPENAPI = [
+  'openapi: 3.0.0', 'info: { title: orders, version: "1" }', 'paths: {}', 'components:', '  schemas:',
+  '    Order:', '      type: object', '      required: [id]', '      properties:',
+  '        id: { type: string }', '        total: { type: number, nullable: true }', '        lines: { type: array, items: { $ref: "#/components/schemas/Line" } }',
+  '    Line:', '      allOf:', '        - $ref: "#/components/schemas/Base"', '        - { type: object, properties: { qty: { type: integer } } }',
+  '    Base: { type: object, properties: { sku: { type: string } } }'
+].join('\n');
+const EVENT = {
+  type: 'record', name: 'Event', namespace: 'com.acme', doc: 'An event', fields: [
+    { name: 'id', type: 'string' },
+    { name: 'at', type: { type: 'long', logicalType: 'timestamp-millis' } },
+    { name: 'amount', type: { type: 'bytes', logicalType: 'decimal', precision: 9, scale: 2 } },
+    { name: 'note', type: ['null', 'string'], default: null },
+    { name: 'status', type: { type: 'enum', name: 'Status', symbols: ['NEW', 'DONE'] } },
+    { name: 'attrs', type: { type: 'map', values: 'int' } },
+    { name: 'who', type: 'com.acme.common.Party' }
+  ]
+};
+const PARTY = { type: 'record', name: 'Party', namespace: 'com.acme.common', fields: [{ name: 'name', type: 'string' }, { name: 'boss', type: ['null', 'Party'] }] };
+const byPath = rows => Object.fromEntries(rows.map(r => [r.path, r]));
+
+test('the language comes from the content, whatever the extension', () => {
+  const language = (name, text) => readTargetSchema({ name, text }).language;
+  assert.equal(language('a.txt', '\uFEFF<?xml version="1.0"?><!-- x --><xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema"/>'), 'xsd');
+  assert.equal(language('a.xml', '<schema xmlns="http://www.w3.org/2001/XMLSchema"></schema>'), 'xsd');
+  assert.equal(language('a.xsd', '{"type":"record","name":"X","fields":[]}'), 'avro');
+  assert.equal(language('a.json', '{"swagger":"2.0","definitions":{}}'), 'openapi');
+  assert.equal(language('a.json', 'type: object'), 'json-schema');
+  assert.throws(() => readTargetSchema({ name: 'svc.wsdl', text: '<wsdl:definitions xmlns:wsdl="http://schemas.xmlsoap.org/wsdl/"/>' }),
+    { status: 400, message: 'svc.wsdl: unsupported target schema (root element <wsdl:definitions>, expected xs:schema)' });
+  assert.throws(() => readTargetSchema({ name: 'a.xsd', text: '<xs:schema xmlns:xs="urn:other"/>' }), { status: 400, message: /root element <xs:schema>, expected xs:schema/ });
+  assert.throws(() => readTargetSchema({ name: 'a.json', text: '{' }), { status: 400, message: /^a\.json is not an XSD, JSON or YAML schema: / });
+  assert.throws(() => readTargetSchema({ name: 'a.xsd', text: 'x' }), { status: 400, message: 'a.xsd: unsupported target schema (not an XSD, JSON or YAML schema document)' });
+});
+
+test('JSON Schema properties become paths with XSD base types, facets and required flags', () => {
+  const rows = parseTargetSchemas([{ name: 'customer.json', text: JSON.stringify(CUSTOMER) }, { name: 'common.json', text: JSON.stringify(COMMON) }]);
+  assert.deepEqual(rows.map(r => [r.schema, r.path]), [
+    ['customer.json', 'Customer/id'], ['customer.json', 'Customer/born'], ['customer.json', 'Customer/email'],
+    ['customer.json', 'Customer/address/city'], ['customer.json', 'Customer/address/zip'], ['customer.json', 'Customer/tags'],
+    ['customer.json', 'Customer/parent'], ['customer.json', 'Customer/kind'], ['customer.json', 'Customer/contact/phone'],
+    ['common.json', 'Address/city'], ['common.json', 'Address/zip']
+  ]);
+  const t = byPath(rows.filter(r => r.schema === 'customer.json'));
+  assert.deepEqual([t['Customer/id'].baseType, t['Customer/id'].minInclusive, t['Customer/born'].type, t['Customer/born'].baseType], ['integer', '1', 'string (date)', 'date']);
+  assert.deepEqual([t['Customer/email'].required, t['Customer/email'].pattern], ['no', '.*(?:@).*']);
+  assert.deepEqual([t['Customer/address/city'].required, t['Customer/address/city'].documentation, t['Customer/address/zip'].pattern], ['yes', 'Town', '[0-9]{5}']);
+  assert.equal(t['Customer/tags'].maxOccurs, 'unbounded');
+  assert.deepEqual([t['Customer/parent'].type, t['Customer/parent'].recursive, t['Customer/kind'].enumeration, t['Customer/contact/phone'].required], ['Customer', 'yes', 'a|b', 'no']);
+});
+
+test('adapter rows join several patterns as alternatives, like XSD rows', () => {
+  const { flattenTargets } = require('../schema/rows');
+  const describe = () => ({ kind: 'scalar', type: 'string', facets: { pattern: ['[A-Z]{2}', 'X|Y'], enumeration: ['a', 'b'] } });
+  const [row] = flattenTargets('codes.json', [{ name: 'Code' }], describe);
+  assert.deepEqual([row.pattern, row.enumeration], ['([A-Z]{2})|(X|Y)', 'a|b']);
+  assert.equal(flattenTargets('codes.json', [{ name: 'Code' }], () => ({ kind: 'scalar', type: 'string', facets: { pattern: ['[0-9]+'] } }))[0].pattern, '[0-9]+');
+});
+
+test('files readTargetSchema already read are parsed from their document, not read again', () => {
+  const read = readTargetSchema({ name: 'customer.json', text: JSON.stringify(CUSTOMER) });
+  const rows = parseTargetSchemas([{ ...read, text: 'not parsed' }, { name: 'common.json', text: JSON.stringify(COMMON) }], { containers: true });
+  assert.deepEqual(rows.filter(r => r.container === 'yes').map(r => r.path), ['Customer', 'Customer/address', 'Customer/contact', 'Address']);
+  assert.equal(rows.filter(r => r.container !== 'yes').length, 11);
+});
+
+test('OpenAPI component schemas are roots; allOf merges and arrays of objects repeat', () => {
+  const t = byPath(parseTargetSchemas([{ name: 'api.yaml', text: OPENAPI }]));
+  assert.deepEqual(Object.keys(t), ['Order/id', 'Order/total', 'Order/lines/sku', 'Order/lines/qty', 'Line/sku', 'Line/qty', 'Base/sku']);
+  assert.deepEqual([t['Order/id'].required, t['Order/total'].baseType, t['Order/total'].required], ['yes', 'decimal', 'no']);
+  assert.equal(t['Order/lines/qty'].repeatGroup, 'Order/lines');
+});
+
+test('Avro records resolve named types across files, with logical types, unions, enums and maps', () => {
+  const rows = parseTargetSchemas([{ name: 'event.avsc', text: JSON.stringify(EVENT) }, { name: 'party.avsc', text: JSON.stringify(PARTY) }]);
+  const t = byPath(rows.filter(r => r.schema === 'event.avsc'));
+  assert.deepEqual(Object.keys(t), ['Event/id', 'Event/at', 'Event/amount', 'Event/note', 'Event/status', 'Event/attrs/key', 'Event/attrs/value', 'Event/who/name', 'Event/who/boss']);
+  assert.deepEqual([t['Event/id'].namespace, t['Event/at'].baseType, t['Event/amount'].totalDigits, t['Event/amount'].fractionDigits], ['com.acme', 'dateTime', '9', '2']);
+  assert.deepEqual([t['Event/note'].required, t['Event/status'].enumeration, t['Event/attrs/value'].repeatGroup], ['no', 'NEW|DONE', 'Event/attrs']);
+  assert.deepEqual([t['Event/who/name'].namespace, t['Event/who/boss'].type, t['Event/who/boss'].recursive], ['com.acme.common', 'Party', 'yes']);
+  assert.deepEqual(rows.filter(r => r.schema === 'party.avsc').map(r => r.path), ['Party/name', 'Party/boss']);
+});
+
+test('/api/map maps against a mix of schema languages and lists each in Run Info', async () => {
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  try {
+    const form = new FormData();
+    form.append('schema_files', new Blob([JSON.stringify(CUSTOMER)]), 'customer.json');
+    form.append('schema_files', new Blob([JSON.stringify(COMMON)]), 'common.json');
+    form.append('xsd_files', new Blob([fs.readFileSync(path.join(FIXTURES, 'person.xsd'))]), 'person.xsd');
+    form.append('source_file', new Blob(['City,BirthDate\nYork,1990-01-31\n']), 'people.csv');
+    form.append('output_format', 'xlsx');
+    const res = await fetch(`http://127.0.0.1:${server.address().port}/api/map`, { method: 'POST', body: form });
+    assert.equal(res.status, 200);
+    const wb = xlsx.read(Buffer.from(await res.arrayBuffer()));
+    const schemas = new Set(xlsx.utils.sheet_to_json(wb.Sheets['Target Dictionary']).map(r => r.schema));
+    assert.deepEqual([...schemas], ['customer.json', 'common.json', 'person.xsd']);
+    const info = xlsx.utils.sheet_to_json(wb.Sheets['Run Info']).map(r => `${r.Item}: ${r.Value}`).join('\n');
+    assert.match(info, /customer\.json \(JSON Schema\)/);
+    assert.match(info, /person\.xsd \(XSD\)/);
+  } finally {
+    server.close();
+  }
+});
@@ -0,0 +1,38 @@
+'use strict';
+// Candidate shortlisting: BM25 plus fuzzy rule candidates per field, under a prompt token budget.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { buildShortlistIndex, shortlistFor } = require('../match/shortlist');
+
+const rows = [];
+for (let g = 0; g < 40; g++) {
+  for (const leaf of ['Identifier', 'Name', 'Amount', 'Date', 'Status']) rows.push({ schema: 'big.xsd', path: `Root/Group${g}/${leaf}`, type: 'string', minOccurs: '1', maxOccurs: '1' });
+}
+rows.push({ schema: 'big.xsd', path: 'Root/Totals/TaxAmount', type: 'decimal', baseType: 'decimal', minOccurs: '1', maxOccurs: '1' });
+rows.push({ schema: 'big.xsd', path: 'Root/Totals/Discount', type: 'decimal', baseType: 'decimal', minOccurs: '1', maxOccurs: '1', documentation: 'Levy reduction granted on the invoice' });
+const index = buildShortlistIndex(rows);
+const paths = list => list.map(i => rows[i].path);
+
+test('a dictionary that fits the budget is sent whole', () => {
+  assert.deepEqual(shortlistFor('Anything', [], index, index.totalTokens), rows.map((_, i) => i));
+});
+
+test('the best-ranked paths come first and the list stays within the token budget', () => {
+  const list = shortlistFor('TaxAmt', ['1.50'], index, 200);
+  assert.equal(paths(list)[0], 'Root/Totals/TaxAmount');
+  assert.ok(list.length > 1 && list.length < rows.length);
+  assert.ok(list.reduce((sum, i) => sum + index.entryTokens[i], 0) <= 200);
+});
+
+test('misspelled names still reach their path through the fuzzy rule candidates', () => {
+  assert.equal(paths(shortlistFor('Dicsount', ['1.50'], index, 200))[0], 'Root/Totals/Discount');
+});
+
+test('documentation words count towards the ranking', () => {
+  assert.ok(paths(shortlistFor('Levy', [], index, 200)).includes('Root/Totals/Discount'));
+});
+
+test('the best candidate is kept even when it alone exceeds the budget', () => {
+  assert.deepEqual(paths(shortlistFor('TaxAmt', [], index, 1)), ['Root/Totals/TaxAmount']);
+});
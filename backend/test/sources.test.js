@@ -0,0 +1,144 @@
+'use strict';
+// Source formats (workbook sheets, JSON/NDJSON and XML records, fixed-width layouts, text encodings) and the
+// single streaming pass over large uploads.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const iconv = require('iconv-lite');
+const os = require('os');
+const path = require('path');
+const xlsx = require('xlsx');
+
+const TMP = fs.mkdtempSync(path.join(os.tmpdir(), 'aoai-sources-test-'));
+const UPLOADS = path.join(TMP, 'uploads');
+Object.assign(process.env, {
+  AZURE_OPENAI_ENDPOINT: '', AZURE_OPENAI_API_KEY: '', MATCH_MODE: 'rules', UPLOAD_DIR: UPLOADS, MAX_UPLOAD_MB: '1', PROFILE_DISTINCT_CAP: '100', SOURCE_DOCUMENT_MAX_MB: '0.05'
+});
+const { app } = require('../server');
+const { detectEncoding, scanSource, parseFixedWidthLayout } = require('../sources/read');
+
+test.after(() => fs.rmSync(TMP, { recursive: true, force: true }));
+
+// The rows a source reads as (its Source Preview, which holds every row of these small files).
+async function read(content, filename, opts) {
+  const file = path.join(TMP, filename);
+  fs.writeFileSync(file, content);
+  return (await scanSource(file, filename, opts)).preview;
+}
+
+function workbook() {
+  const wb = xlsx.utils.book_new();
+  xlsx.utils.book_append_sheet(wb, xlsx.utils.json_to_sheet([{ Id: 1, Name: 'Ann' }, { Id: 2, Name: 'Bob' }]), 'People');
+  xlsx.utils.book_append_sheet(wb, xlsx.utils.json_to_sheet([{ City: 'York' }]), 'Places');
+  return xlsx.write(wb, { bookType: 'xlsx', type: 'buffer' });
+}
+
+test('workbooks read the first sheet, a named or numbered sheet, or every sheet', async () => {
+  const buf = workbook();
+  assert.deepEqual(await read(buf, 'in.xlsx'), [{ Id: 1, Name: 'Ann' }, { Id: 2, Name: 'Bob' }]);
+  assert.deepEqual(await read(buf, 'in.xlsx', { sheet: '2' }), [{ City: 'York' }]);
+  assert.deepEqual(await read(buf, 'in.xlsx', { sheet: 'Places' }), [{ City: 'York' }]);
+  assert.deepEqual(await read(buf, 'in.xlsx', { sheet: '*' }), [
+    { 'People.Id': 1, 'People.Name': 'Ann', 'Places.City': 'York' }, { 'People.Id': 2, 'People.Name': 'Bob', 'Places.City': '' }
+  ]);
+  await assert.rejects(read(buf, 'in.xlsx', { sheet: 'Nope' }), { status: 400, message: 'source_sheet "Nope" not found (sheets: People, Places)' });
+});
+
+test('JSON records are unwrapped from a single array member and flattened to dotted paths', async () => {
+  const json = JSON.stringify({ meta: { count: 2 }, orders: [
+    { id: 1, customer: { name: 'Ann', address: { city: 'York' } }, tags: ['a', 'b'] },
+    { id: 2, lines: [{ sku: 'X' }, { sku: 'Y' }] }
+  ] });
+  assert.deepEqual(await read(json, 'orders.json'), [
+    { id: '1', 'customer.name': 'Ann', 'customer.address.city': 'York', tags: 'a; b', 'lines.sku': '' },
+    { id: '2', 'customer.name': '', 'customer.address.city': '', tags: '', 'lines.sku': 'X; Y' }
+  ]);
+  assert.deepEqual(await read('{"a":1}\n{"a":2,"b":true}\n', 'rows.ndjson'), [{ a: '1', b: '' }, { a: '2', b: 'true' }]);
+  await assert.rejects(read('{"a":1}\nnot json\n', 'rows.jsonl'), { status: 400, message: /^source_file line 2 is not valid JSON/ });
+  await assert.rejects(read('{"a":', 'rows.json'), { status: 400, message: /^source_file is not valid JSON/ });
+});
+
+test('XML records are the repeated children of the root, flattened to element paths', async () => {
+  const xml = `<?xml version="1.0"?><Orders xmlns="urn:o"><Order id="1"><Buyer><Name>Ann</Name></Buyer></Order><Order id="2"><Buyer><Name>Bob</Name></Buyer><Note>rush</Note></Order></Orders>`;
+  assert.deepEqual(await read(xml, 'orders.xml'), [
+    { 'Order/@id': '1', 'Order/Buyer/Name': 'Ann', 'Order/Note': '' },
+    { 'Order/@id': '2', 'Order/Buyer/Name': 'Bob', 'Order/Note': 'rush' }
+  ]);
+  assert.deepEqual(await read('<Person><Name>Ann</Name></Person>', 'one.xml'), [{ 'Person/Name': 'Ann' }]);
+  await assert.rejects(read('<Orders><Order>', 'bad.xml'), { status: 400, message: /^source_file is not well-formed XML/ });
+});
+
+test('a fixed-width layout slices each line by start and length', async () => {
+  const layout = parseFixedWidthLayout(Buffer.from('name,length,start\nId,3,\nName,5,\nCity,4,10\n'), 'layout.csv');
+  assert.deepEqual(layout, [{ name: 'Id', start: 0, length: 3 }, { name: 'Name', start: 3, length: 5 }, { name: 'City', start: 9, length: 4 }]);
+  assert.deepEqual(await read('001Ann  xYork\n002Bob  xLeed\n\n', 'data.txt', { layout }), [
+    { Id: '001', Name: 'Ann', City: 'York' }, { Id: '002', Name: 'Bob', City: 'Leed' }
+  ]);
+  assert.deepEqual(parseFixedWidthLayout(Buffer.from('[{"name":"Id","width":2}]'), 'layout.json'), [{ name: 'Id', start: 0, length: 2 }]);
+  assert.throws(() => parseFixedWidthLayout(Buffer.from('name,length\nId,0\n'), 'layout.csv'), { status: 400, message: /^source_layout row 1 needs/ });
+});
+
+test('text encodings come from the BOM, UTF-8 validity or the source_encoding override', async () => {
+  assert.equal(detectEncoding(Buffer.from('\uFEFFa,b', 'utf-8')), 'utf-8');
+  assert.equal(detectEncoding(Buffer.from('\uFEFFa,b', 'utf16le')), 'utf-16le');
+  assert.equal(detectEncoding(Buffer.from('Name\nJosé', 'utf16le')), 'utf-16le');
+  assert.equal(detectEncoding(iconv.encode('Name\nJosé', 'windows-1252')), 'windows-1252');
+  assert.deepEqual(await read(iconv.encode('Name;City\nJosé;Köln\n', 'windows-1252'), 'people.csv'), [{ Name: 'José', City: 'Köln' }]);
+  assert.deepEqual(await read(iconv.encode('Name\nJosé\n', 'utf-8'), 'people.csv', { encoding: 'iso-8859-1' }), [{ Name: 'JosÃ©' }]);
+});
+
+test('a large delimited source is scanned in one pass with a bounded preview, profile and repeatable samples', async () => {
+  const lines = ['Id;Country'];
+  for (let i = 0; i < 5000; i++) lines.push(`${i};${['GB', 'US', 'FR'][i % 3]}`);
+  const file = path.join(TMP, 'large.csv');
+  fs.writeFileSync(file, lines.join('\n'));
+  const scan = await scanSource(file, 'large.csv');
+  assert.deepEqual([scan.fields, scan.rowCount, scan.preview.length], [['Id', 'Country'], 5000, 50]);
+  assert.deepEqual(scan.preview[49], { Id: '49', Country: 'US' });
+  const [id, country] = scan.profile;
+  assert.deepEqual([id.InferredType, id.DistinctCount, id.MinLength, id.MaxLength], ['integer', '100+', 1, 4]);
+  assert.deepEqual([country.DistinctCount, country.TopValues], [3, 'GB (1667); US (1667); FR (1666)']);
+  assert.deepEqual((await scanSource(file, 'large.csv')).samples, scan.samples);
+});
+
+async function postMap(source, name) {
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  try {
+    const form = new FormData();
+    form.append('schema_files', new Blob([fs.readFileSync(path.join(__dirname, 'fixtures', 'person.xsd'))]), 'person.xsd');
+    form.append('source_file', new Blob([source]), name);
+    form.append('output_format', 'json');
+    const res = await fetch(`http://127.0.0.1:${server.address().port}/api/map`, { method: 'POST', body: form });
+    return { status: res.status, text: await res.text() };
+  } finally {
+    server.close();
+  }
+}
+
+test('uploads are deleted after the request and files over MAX_UPLOAD_MB are refused', async () => {
+  const ok = await postMap('Country\ngb\n', 'small.csv');
+  assert.equal(ok.status, 200);
+  // The temp files are unlinked asynchronously once the response is sent.
+  for (let i = 0; i < 50 && fs.readdirSync(UPLOADS).length; i++) await new Promise(resolve => setTimeout(resolve, 10));
+  assert.deepEqual(fs.readdirSync(UPLOADS), []);
+  const big = await postMap(Buffer.alloc(1024 * 1024 + 1, 'a'), 'big.csv');
+  assert.deepEqual([big.status, big.text], [413, 'source_file exceeds the 1 MB upload limit']);
+});
+
+test('.json and .xml sources over SOURCE_DOCUMENT_MAX_MB are refused before they are parsed', async () => {
+  const records = JSON.stringify(Array.from({ length: 5000 }, (_, i) => ({ Id: i, Name: 'Ann' })));
+  await assert.rejects(read(records, 'big.json'), {
+    status: 413, message: '.json sources are read whole and are limited to 0.05 MB (SOURCE_DOCUMENT_MAX_MB); use NDJSON or CSV for larger extracts'
+  });
+  const ndjson = records.slice(1, -1).replace(/},{/g, '}\n{');
+  assert.equal((await read(ndjson, 'big.ndjson')).length, 50);
+  const res = await postMap(`<People>${'<Person><Id>1</Id></Person>'.repeat(5000)}</People>`, 'big.xml');
+  assert.deepEqual([res.status, res.text], [413, '.xml sources are read whole and are limited to 0.05 MB (SOURCE_DOCUMENT_MAX_MB); use NDJSON or CSV for larger extracts']);
+});
+
+test('malformed delimited text, bad NDJSON lines and unreadable files reject the scan instead of ending it early', async () => {
+  await assert.rejects(read('Id,Name\n1,"Ann\n2,Bob\n', 'open-quote.csv'), { status: 400, message: /^source_file is not valid delimited text: Quote Not Closed/ });
+  await assert.rejects(read(`${'{"a":1}\n'.repeat(2000)}{"a":\n`, 'long.ndjson'), { status: 400, message: /^source_file line 2001 is not valid JSON/ });
+  await assert.rejects(scanSource(path.join(TMP, 'missing.csv'), 'missing.csv'), { code: 'ENOENT' });
+});
@@ -0,0 +1,111 @@
+'use strict';
+// The versioned mapping spec: its renderings, combined output formats and reading a spec back as a baseline.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+
+Object.assign(process.env, { AZURE_OPENAI_ENDPOINT: '', AZURE_OPENAI_API_KEY: '', MATCH_MODE: 'rules' });
+const { app } = require('../server');
+const { readBaselineMapping } = require('../sources/baseline');
+const { mappingSpecCsv, mappingSpecMarkdown } = require('../outputs/spec');
+const { normalizeOutputFormat } = require('../outputs');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+let server, base;
+test.before(async () => {
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+test.after(() => server.close());
+
+async function mapPerson(outputFormat, baseline) {
+  const form = new FormData();
+  form.append('schema_files', new Blob([fs.readFileSync(path.join(FIXTURES, 'person.xsd'))]), 'person.xsd');
+  form.append('source_file', new Blob([fs.readFileSync(path.join(FIXTURES, 'person.csv'))]), 'person.csv');
+  form.append('output_format', outputFormat);
+  form.append('project_name', 'people');
+  if (baseline) form.append('baseline_mapping', new Blob([baseline.data]), baseline.name);
+  const res = await fetch(`${base}/api/map`, { method: 'POST', body: form });
+  return { status: res.status, disposition: res.headers.get('content-disposition'), body: Buffer.from(await res.arrayBuffer()) };
+}
+
+test('output formats combine with commas, in a fixed order, and json stands alone', () => {
+  assert.equal(normalizeOutputFormat('md, xlsx,html'), 'xlsx,html,md');
+  assert.equal(normalizeOutputFormat('html,xlsx'), 'both');
+  assert.equal(normalizeOutputFormat('both,spec'), 'xlsx,html,spec');
+  assert.throws(() => normalizeOutputFormat('json,spec'), { status: 400, message: 'output_format json cannot be combined with other formats' });
+  assert.throws(() => normalizeOutputFormat('xlsx,pdf'), { status: 400, message: /^output_format must be one or more of / });
+});
+
+test('the spec lists every source field with its target, type, score and status', async () => {
+  const { status, disposition, body } = await mapPerson('spec');
+  assert.equal(status, 200);
+  assert.match(disposition, /filename="people\.mapping\.json"/);
+  const spec = JSON.parse(body);
+  assert.deepEqual([spec.specVersion, spec.kind, spec.project, spec.matchMode], ['1.3', 'field-mapping', 'people', 'rules']);
+  assert.deepEqual(spec.source, { file: 'person.csv', rows: 3, fields: 5 });
+  assert.deepEqual(spec.targets, [{ schema: 'person.xsd', language: 'xsd', namespace: null }]);
+  const { rationale, ...birthDate } = spec.mappings.find(m => m.sourceField === 'BirthDate');
+  assert.deepEqual(birthDate, {
+    sourceField: 'BirthDate', targetPath: 'Person/BirthDate', extraTargetPaths: null, namespace: null, targetType: 'date', occurs: '1..1',
+    score: 1, method: 'rules', status: 'pending', transform: 'dateFormat($, "dd/MM/yyyy")', alternatives: []
+  });
+  assert.ok(rationale);
+});
+
+test('the CSV and Markdown renderings hold one row per mapping', () => {
+  const spec = {
+    specVersion: '1.3', project: 'p', generatedAt: 'now', source: { file: 'in.csv', fields: 2 }, targets: [{ schema: 'a.xsd' }],
+    mappings: [
+      { sourceField: 'Name', targetPath: 'P/Name', namespace: null, targetType: 'xs:string', occurs: '1..1', score: 0.9, method: 'ai', rationale: 'same, "name"', status: 'accepted', transform: null },
+      { sourceField: 'Pipe|d', targetPath: null, namespace: null, targetType: null, occurs: null, score: 0, method: null, rationale: '', status: 'pending', transform: null }
+    ]
+  };
+  assert.equal(mappingSpecCsv(spec), [
+    'sourceField,targetPath,extraTargetPaths,namespace,targetType,occurs,score,method,rationale,status,transform',
+    'Name,P/Name,,,xs:string,1..1,0.9,ai,"same, ""name""",accepted,',
+    'Pipe|d,,,,,,0,,,pending,', ''
+  ].join('\r\n'));
+  const md = mappingSpecMarkdown(spec).split('\n');
+  assert.equal(md[0], '# Field mapping: p');
+  assert.equal(md[2], 'Spec version 1.3 · source `in.csv` (2 fields) · targets `a.xsd` · generated now');
+  assert.equal(md[6], '| Name | `P/Name` | xs:string | 1..1 | 90.0% | accepted |  | same, "name" |');
+  assert.equal(md[7], '| Pipe\\|d |  |  |  | 0.0% | pending |  |  |');
+});
+
+test('several formats come back as one zip', async () => {
+  const { status, disposition, body } = await mapPerson('yaml,csv,md');
+  assert.equal(status, 200);
+  assert.match(disposition, /filename="people\.zip"/);
+  assert.equal(body.subarray(0, 2).toString(), 'PK');
+  assert.equal((await mapPerson('json,md')).status, 400);
+});
+
+test('a spec in JSON, YAML or CSV reads back as a baseline, its accepted rows carried over', async () => {
+  const spec = JSON.parse((await mapPerson('spec')).body);
+  spec.mappings.find(m => m.sourceField === 'Address').targetPath = 'Person/Street';
+  spec.mappings.find(m => m.sourceField === 'Address').status = 'accepted';
+  spec.mappings.find(m => m.sourceField === 'Country').status = 'overridden';
+  const renderings = [
+    { name: 'prev.mapping.json', data: JSON.stringify(spec) },
+    { name: 'prev.mapping.yaml', data: YAML.stringify(spec) },
+    { name: 'prev.mapping.csv', data: mappingSpecCsv(spec) }
+  ];
+  for (const r of renderings) {
+    const baseline = readBaselineMapping(Buffer.from(r.data), r.name);
+    assert.deepEqual([...baseline].filter(([, b]) => b.approved).map(([f, b]) => [f, b.path]), [['Country', 'Person/Country'], ['Address', 'Person/Street']], r.name);
+    const { status, body } = await mapPerson('spec', r);
+    assert.equal(status, 200);
+    const again = JSON.parse(body).mappings.find(m => m.sourceField === 'Address');
+    assert.deepEqual([again.targetPath, again.method], ['Person/Street', 'baseline'], r.name);
+  }
+});
+
+test('other documents and other spec versions are refused as baselines', () => {
+  assert.throws(() => readBaselineMapping(Buffer.from('{"mappings":[]}'), 'x.json'), { status: 400, message: 'x.json is not a mapping spec (kind: field-mapping)' });
+  assert.throws(() => readBaselineMapping(Buffer.from('kind: field-mapping\nspecVersion: "2.0"\nmappings: []\n'), 'x.yaml'),
+    { status: 400, message: 'x.yaml: mapping spec version 2.0 is not supported (expected 1.3)' });
+});
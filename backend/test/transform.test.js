@@ -0,0 +1,102 @@
+'use strict';
+// Transform expressions: the DSL parser, its evaluator, suggested transforms and the Transform Preview sheet.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const xlsx = require('xlsx');
+
+Object.assign(process.env, { AZURE_OPENAI_ENDPOINT: '', AZURE_OPENAI_API_KEY: '', MATCH_MODE: 'rules' });
+const { app } = require('../server');
+const { parseTransform, evalTransform, transformFields, extraTargetPaths, rowTargetValues, suggestTransform } = require('../transform/expressions');
+const { validateMapping } = require('../checks/coverage');
+const { parseXsdPaths } = require('../schema/xsd');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+const PERSON = fs.readFileSync(path.join(FIXTURES, 'person.xsd'), 'utf-8');
+const dict = parseXsdPaths([{ name: 'person.xsd', xml: PERSON }]);
+const run = (text, row, options) => evalTransform(parseTransform(text), row, options);
+
+test('expressions parse into call trees over fields, literals and maps', () => {
+  assert.equal(parseTransform('  '), null);
+  assert.deepEqual(parseTransform('concat($, " ", [Last Name])'), { fn: 'concat', args: [{ self: true }, { value: ' ' }, { field: 'Last Name' }] });
+  assert.deepEqual(parseTransform("lookup(Code, {'a': 'A', \"b\": \"B\"})"), { fn: 'lookup', args: [{ field: 'Code' }, { map: { a: 'A', b: 'B' } }] });
+  assert.deepEqual(parseTransform('substring($, -3)'), { fn: 'substring', args: [{ self: true }, { value: -3 }] });
+  assert.deepEqual(transformFields(parseTransform('default(split(Name, ","), $)'), 'Alias'), ['Name', 'Alias']);
+});
+
+test('parse errors name the problem and its position', () => {
+  assert.throws(() => parseTransform('upper($)'), { message: 'unknown function upper at position 1 of "upper($)"' });
+  assert.throws(() => parseTransform('concat($, "x'), { message: 'unterminated string at position 13 of "concat($, "x"' });
+  assert.throws(() => parseTransform('split($)'), { message: 'split takes 2 to 3 arguments at position 1 of "split($)"' });
+  assert.throws(() => parseTransform('constant($)'), { message: 'argument 1 of constant must be a literal at position 1 of "constant($)"' });
+  assert.throws(() => parseTransform('substring($, "1")'), { message: /^argument 2 of substring must be a number / });
+  assert.throws(() => parseTransform('lookup($) x'), { message: 'unexpected "x" at position 11 of "lookup($) x"' });
+  assert.throws(() => parseTransform('{"a": "b"}'), { message: /^a \{ \} map can only be the second argument of lookup / });
+});
+
+test('the evaluator joins, splits, cuts, reformats dates, looks up and falls back', () => {
+  const row = { Name: 'Lee, Ann', First: 'Ann', Last: 'Lee', Born: '31/01/1990', Code: 'gb', Empty: ' ' };
+  assert.equal(run('concat(First, " ", Last)', row), 'Ann Lee');
+  assert.deepEqual(run('split(Name, ",")', row), ['Lee', 'Ann']);
+  assert.equal(run('split(Name, ",", -1)', row), 'Ann');
+  assert.equal(run('split(Name, ",", 5)', row), '');
+  assert.equal(run('substring($, 0, 1)', row, { field: 'First' }), 'A');
+  assert.equal(run('substring($, -2)', row, { field: 'Born' }), '90');
+  assert.equal(run('dateFormat($, "dd/MM/yyyy")', row, { field: 'Born' }), '1990-01-31');
+  assert.equal(run('dateFormat($, "dd/MM/yyyy", "d MMM yy")', row, { field: 'Born' }), '31 Jan 90');
+  assert.equal(run('dateFormat($, "yyyy-MM-dd")', row, { field: 'Born' }), '31/01/1990');
+  assert.equal(run('lookup(Code, {"gb": "United Kingdom"})', row), 'United Kingdom');
+  assert.equal(run('lookup($)', row, { field: 'Code', enumeration: ['GB', 'US'] }), 'GB');
+  assert.equal(run('lookup($)', { Code: 'fr' }, { field: 'Code', enumeration: ['GB', 'US'] }), 'fr');
+  assert.equal(run('default(Empty, constant("n/a"))', row), 'n/a');
+  assert.equal(run('default(Missing, First)', row), 'Ann');
+});
+
+test('a list result fills the extra target paths in order', () => {
+  const byPath = new Map(dict.map(r => [r.path, r]));
+  const r = { SourceField: 'Name', SuggestedTargetPath: 'Person/FullName', ExtraTargetPaths: 'Person/Street; ', Transform: 'split($, ",")' };
+  assert.deepEqual(extraTargetPaths(r.ExtraTargetPaths), ['Person/Street']);
+  assert.deepEqual(rowTargetValues(r, { Name: 'Lee, Ann' }, byPath), [{ path: 'Person/FullName', value: 'Lee' }, { path: 'Person/Street', value: 'Ann' }]);
+  assert.deepEqual(rowTargetValues({ ...r, ExtraTargetPaths: '' }, { Name: 'Lee, Ann' }, byPath), [{ path: 'Person/FullName', value: 'Lee; Ann' }]);
+});
+
+test('dates and enumerations that do not fit their target get a suggested transform', () => {
+  const t = Object.fromEntries(dict.map(r => [r.path, r]));
+  assert.equal(suggestTransform(['31/01/1990'], { Format: 'dd/MM/yyyy', InferredType: 'date' }, t['Person/BirthDate']), 'dateFormat($, "dd/MM/yyyy")');
+  assert.equal(suggestTransform(['1990-01-31'], { Format: 'yyyy-MM-dd', InferredType: 'date' }, t['Person/BirthDate']), '');
+  assert.equal(suggestTransform(['gb', 'US'], {}, t['Person/Country']), 'lookup($)');
+  assert.equal(suggestTransform(['gb', 'fr'], {}, t['Person/Country']), '');
+});
+
+test('broken transforms and transforms reading missing fields are reported as errors', () => {
+  const issues = validateMapping([
+    { SourceField: 'First', SuggestedTargetPath: 'Person/FullName', Transform: 'concat($, Surname)' },
+    { SourceField: 'Born', SuggestedTargetPath: 'Person/BirthDate', Transform: 'dateFormat($' }
+  ], dict, {});
+  assert.deepEqual(issues.filter(i => i.Severity === 'error').map(i => [i.Check, i.SourceField, i.Detail]), [
+    ['Unknown transform input', 'First', 'concat($, Surname) reads Surname, which the source does not have.'],
+    ['Invalid transform', 'Born', 'expected ")" at position 13 of "dateFormat($"']
+  ]);
+});
+
+test('the workbook previews each transform on the sample rows', async () => {
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  try {
+    const form = new FormData();
+    form.append('schema_files', new Blob([PERSON]), 'person.xsd');
+    form.append('source_file', new Blob([fs.readFileSync(path.join(FIXTURES, 'person.csv'))]), 'person.csv');
+    form.append('output_format', 'xlsx');
+    const res = await fetch(`http://127.0.0.1:${server.address().port}/api/map`, { method: 'POST', body: form });
+    assert.equal(res.status, 200);
+    const wb = xlsx.read(Buffer.from(await res.arrayBuffer()));
+    const preview = xlsx.utils.sheet_to_json(wb.Sheets['Transform Preview']);
+    assert.deepEqual(preview.filter(p => p.SourceField === 'BirthDate').map(p => [p.SourceRow, p.Inputs, p.Output, p.Check]), [
+      [1, 'BirthDate=31/01/1990', '1990-01-31', 'ok'], [2, 'BirthDate=05/12/1985', '1985-12-05', 'ok'], [3, 'BirthDate=13/07/2001', '2001-07-13', 'ok']
+    ]);
+    assert.deepEqual(preview.filter(p => p.SourceField === 'Country').map(p => p.Output), ['GB', 'US', 'GB']);
+  } finally {
+    server.close();
+  }
+});
@@ -0,0 +1,88 @@
+'use strict';
+// The target schema tree: /api/schema, the annotated Target Coverage tree and the By Target sheet.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const xlsx = require('xlsx');
+
+Object.assign(process.env, { AZURE_OPENAI_ENDPOINT: '', AZURE_OPENAI_API_KEY: '', MATCH_MODE: 'rules' });
+const { app } = require('../server');
+const { parseXsdPaths } = require('../schema/xsd');
+const { schemaTree } = require('../schema/tree');
+
+const PERSON = fs.readFileSync(path.join(__dirname, 'fixtures', 'person.xsd'), 'utf-8');
+const ORDER = `<xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema"><xs:element name="Order"><xs:annotation><xs:documentation>An order.</xs:documentation></xs:annotation>
+  <xs:complexType><xs:sequence>
+    <xs:element name="Line" maxOccurs="unbounded"><xs:complexType><xs:sequence><xs:element name="Sku" type="xs:string"/></xs:sequence></xs:complexType></xs:element>
+  </xs:sequence><xs:attribute name="id" type="xs:string" use="required"/></xs:complexType></xs:element></xs:schema>`;
+
+let server, base;
+test.before(async () => {
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+test.after(() => server.close());
+
+const shape = nodes => nodes.map(n => (n.children.length ? [n.name, n.kind, shape(n.children)] : [n.name, n.kind]));
+
+test('the tree nests complex elements with their attributes and child elements', () => {
+  const tree = schemaTree(parseXsdPaths([{ name: 'order.xsd', xml: ORDER }], { containers: true }));
+  assert.deepEqual(shape(tree), [['Order', 'element', [['@id', 'attribute'], ['Line', 'element', [['Sku', 'element']]]]]]);
+  assert.deepEqual([tree[0].schema, tree[0].documentation, tree[0].children[1].maxOccurs], ['order.xsd', 'An order.', 'unbounded']);
+});
+
+test('with a mapping each node lists its sources and counts mapped and uncovered targets below it', () => {
+  const rows = parseXsdPaths([{ name: 'person.xsd', xml: PERSON }], { containers: true });
+  const [person] = schemaTree(rows, [
+    { SourceField: 'First', SuggestedTargetPath: 'Person/FullName', Transform: 'concat($, " ", Last)' },
+    { SourceField: 'Addr', SuggestedTargetPath: 'Person/AddressLine', ExtraTargetPaths: 'Person/City', Transform: 'split($, ",")' },
+    { SourceField: 'Born', SuggestedTargetPath: 'Person/BirthDate', ReviewStatus: 'rejected' }
+  ]);
+  const node = Object.fromEntries(person.children.map(n => [n.name, n]));
+  assert.deepEqual(node.FullName.sources, ['First', 'Last']);
+  assert.deepEqual(node.City.sources, ['Addr']);
+  assert.deepEqual(node.BirthDate.sources, []);
+  assert.deepEqual([person.mapped, person.uncovered], [3, 2]);
+});
+
+test('schemas declaring the same path keep separate trees', () => {
+  const rows = parseXsdPaths([{ name: 'order.xsd', xml: ORDER }, { name: 'order-v2.xsd', xml: ORDER.replace('name="Sku"', 'name="Gtin"') }], { containers: true });
+  const tree = schemaTree(rows, [{ SourceField: 'Ref', SuggestedTargetPath: 'Order/@id' }]);
+  assert.deepEqual(tree.map(n => [n.schema, n.path]), [['order.xsd', 'Order'], ['order-v2.xsd', 'Order']]);
+  assert.deepEqual(tree.map(n => n.children[1].children.map(c => c.name)), [['Sku'], ['Gtin']]);
+  assert.deepEqual(tree.map(n => n.children[0].sources), [['Ref'], ['Ref']]);
+});
+
+test('POST /api/schema returns the tree without mapping anything', async () => {
+  const form = new FormData();
+  form.append('schema_files', new Blob([PERSON]), 'person.xsd');
+  form.append('schema_files', new Blob([ORDER]), 'order.xsd');
+  const res = await fetch(`${base}/api/schema`, { method: 'POST', body: form });
+  assert.equal(res.status, 200);
+  const { files, paths, tree } = await res.json();
+  assert.deepEqual(files, ['person.xsd', 'order.xsd']);
+  assert.equal(paths, 8);
+  assert.deepEqual(tree.map(n => [n.path, n.schema, n.children.length]), [['Person', 'person.xsd', 6], ['Order', 'order.xsd', 2]]);
+  const empty = await fetch(`${base}/api/schema`, { method: 'POST', body: new FormData() });
+  assert.deepEqual([empty.status, await empty.text()], [400, 'At least one schema_files required']);
+});
+
+test('every export has a By Target sheet with one row per target path', async () => {
+  const form = new FormData();
+  form.append('schema_files', new Blob([PERSON]), 'person.xsd');
+  form.append('source_file', new Blob(['FullName,Country\nAnn Lee,GB\n']), 'people.csv');
+  form.append('output_format', 'xlsx');
+  const res = await fetch(`${base}/api/map`, { method: 'POST', body: form });
+  assert.equal(res.status, 200);
+  const byTarget = xlsx.utils.sheet_to_json(xlsx.read(Buffer.from(await res.arrayBuffer())).Sheets['Suggested Mapping (By Target)'], { defval: '' });
+  assert.deepEqual(byTarget.map(r => [r.TargetPath, r.SourceFields, r.Status]), [
+    ['Person/FullName', 'FullName', 'mapped'],
+    ['Person/BirthDate', '', 'required, unmapped'],
+    ['Person/Country', 'Country', 'mapped'],
+    ['Person/AddressLine', '', 'required, unmapped'],
+    ['Person/Street', '', 'unmapped'],
+    ['Person/City', '', 'unmapped']
+  ]);
+});
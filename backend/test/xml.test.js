@@ -0,0 +1,116 @@
+'use strict';
+// The xml output: element templates, rendered instances, the generated transform module and schema validation.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const vm = require('vm');
+
+const { parseXsdPaths } = require('../schema/xsd');
+const { createSourceScan } = require('../sources/profile');
+const { xmlTemplates, renderInstance, xmlOutputs } = require('../outputs/xml');
+
+const ORDER_XSD = `<?xml version="1.0"?>
+<xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema" xmlns:o="urn:orders" targetNamespace="urn:orders" elementFormDefault="qualified">
+  <xs:element name="Order">
+    <xs:complexType>
+      <xs:sequence>
+        <xs:element name="Id" type="xs:integer"/>
+        <xs:element name="Channel" type="xs:string" fixed="web"/>
+        <xs:element name="Line" maxOccurs="unbounded">
+          <xs:complexType><xs:sequence><xs:element name="Sku" type="xs:string"/></xs:sequence></xs:complexType>
+        </xs:element>
+        <xs:element name="Note" type="xs:string" minOccurs="0"/>
+        <xs:element name="Gift" type="xs:boolean" minOccurs="0"/>
+      </xs:sequence>
+      <xs:attribute name="currency" type="xs:string" use="required"/>
+    </xs:complexType>
+  </xs:element>
+</xs:schema>`;
+const targetDict = parseXsdPaths([{ name: 'order.xsd', xml: ORDER_XSD }]);
+const bySource = [
+  { SourceField: 'Id', SuggestedTargetPath: 'o:Order/o:Id' },
+  { SourceField: 'Currency', SuggestedTargetPath: 'o:Order/@currency' },
+  { SourceField: 'Skus', SuggestedTargetPath: 'o:Order/o:Line/o:Sku' },
+  { SourceField: 'Comment', SuggestedTargetPath: 'o:Order/o:Note' },
+  { SourceField: 'Remark', SuggestedTargetPath: 'o:Order/o:Note' },
+  { SourceField: 'Wrapped', SuggestedTargetPath: 'o:Order/o:Gift', ReviewStatus: 'rejected' }
+];
+const rows = [
+  { Id: '1', Currency: 'EUR', Skus: 'A; B', Comment: '', Remark: 'r', Wrapped: 'true' },
+  { Id: 'x7', Currency: 'USD', Skus: 'C', Comment: 'rush & <go>', Remark: '', Wrapped: '' }
+];
+
+test('one template per root, with fixed values, attributes and repeating elements; duplicate targets become notes', () => {
+  const { templates, notes } = xmlTemplates(bySource, targetDict);
+  assert.deepEqual(templates.map(t => [t.root, t.schema, t.namespaces]), [['o:Order', 'order.xsd', { o: 'urn:orders' }]]);
+  const order = templates[0].node;
+  assert.deepEqual(order.attrs, [{ name: 'currency', field: 'Currency', fixed: '', default: '', required: true }]);
+  assert.deepEqual(order.children.map(c => [c.name, c.field || null, c.fixed, c.repeat]), [
+    ['o:Id', 'Id', '', false], ['o:Channel', null, 'web', false], ['o:Line', null, undefined, true], ['o:Note', 'Comment', '', false]
+  ]);
+  assert.deepEqual(notes, ['Remark is not used for o:Order/o:Note: Comment already maps to it.']);
+});
+
+test('instances split repeating values, escape text and leave out empty optional elements', () => {
+  const [template] = xmlTemplates(bySource, targetDict).templates;
+  assert.equal(renderInstance(template, rows[0]), [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<o:Order xmlns:o="urn:orders" currency="EUR">',
+    '  <o:Id>1</o:Id>',
+    '  <o:Channel>web</o:Channel>',
+    '  <o:Line>',
+    '    <o:Sku>A</o:Sku>',
+    '  </o:Line>',
+    '  <o:Line>',
+    '    <o:Sku>B</o:Sku>',
+    '  </o:Line>',
+    '</o:Order>', ''
+  ].join('\n'));
+  assert.match(renderInstance(template, rows[1]), /<o:Note>rush &amp; &lt;go&gt;<\/o:Note>/);
+  assert.match(renderInstance(template, { Currency: 'GBP' }), /<o:Id\/>/);
+  assert.match(renderInstance(template, rows[0], v => v.toLowerCase()), /currency="eur"/);
+});
+
+function resultFor(samplePolicy) {
+  const scan = createSourceScan();
+  for (const r of rows) scan.add(r);
+  return { bySource, targetDict, sampleRows: rows, samplePolicy, profile: scan.finish().profile, schemas: [{ name: 'order.xsd', text: ORDER_XSD }] };
+}
+
+test('the xml output holds a runnable transform module, sample instances and their validation report', async () => {
+  const { files, report } = await xmlOutputs(resultFor('raw'), 'orders');
+  assert.deepEqual(files.map(f => f.name), [
+    'orders_xml/transform.js', 'orders_xml/samples/Order_row1.xml', 'orders_xml/samples/Order_row2.xml', 'orders_xml/validation.html'
+  ]);
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'aoai-xml-test-'));
+  try {
+    fs.writeFileSync(path.join(dir, 'transform.js'), files[0].data);
+    const { transform } = require(path.join(dir, 'transform.js'));
+    assert.equal(transform(rows[0]), files[1].data.toString());
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+  assert.deepEqual(report.map(r => [r.Instance, r.SourceRow, r.Valid]), [
+    ['(transform)', '', ''], ['Order_row1.xml', 1, 'yes'], ['Order_row2.xml', 2, 'no']
+  ]);
+  assert.match(report[2].Message, /'x7' is not a valid value of the atomic type 'xs:integer'/);
+});
+
+test('samples come from the templates, never from running the generated module', async t => {
+  const run = t.mock.method(vm, 'runInNewContext');
+  const { files } = await xmlOutputs(resultFor('raw'), 'x */ process.exit(3); /*');
+  assert.equal(run.mock.callCount(), 0);
+  assert.match(files[0].data.toString(), /Generated transform for "x \*\\\/ process\.exit\(3\); \/\*"/);
+  assert.equal(files[1].data.toString(), renderInstance(xmlTemplates(bySource, targetDict).templates[0], rows[0]));
+});
+
+test('samples and validation messages follow the sample policy', async () => {
+  const masked = await xmlOutputs(resultFor('masked'), 'orders');
+  assert.match(masked.files[2].data.toString(), /<o:Id>a9<\/o:Id>/);
+  assert.match(masked.report[2].Message, /'a9' is not a valid value/);
+  const none = await xmlOutputs(resultFor('none'), 'orders');
+  assert.deepEqual(none.files.map(f => f.name), ['orders_xml/transform.js', 'orders_xml/validation.html']);
+  assert.match(none.report[2].Message, /'\[value\]' is not a valid value/);
+});
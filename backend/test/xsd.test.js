@@ -0,0 +1,117 @@
+'use strict';
+// XSD schema sets: includes, imports, namespaces, type inheritance, groups, attributes and facets across the uploaded files.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseXsdPaths } = require('../schema/xsd');
+
+const ORDER = `<xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema" xmlns:o="urn:order" xmlns:c="urn:common" targetNamespace="urn:order" elementFormDefault="qualified">
+  <xs:import namespace="urn:common" schemaLocation="https://example.test/schemas/common.xsd"/>
+  <xs:include schemaLocation="types.xsd"/>
+  <xs:element name="Order">
+    <xs:complexType>
+      <xs:sequence>
+        <xs:element name="Customer" type="o:CustomerType"/>
+        <xs:element ref="c:Note" minOccurs="0"/>
+        <xs:element name="Item" type="o:ItemType" maxOccurs="unbounded"/>
+      </xs:sequence>
+    </xs:complexType>
+  </xs:element>
+  <xs:complexType name="CustomerType">
+    <xs:complexContent>
+      <xs:extension base="c:PartyType">
+        <xs:sequence><xs:element name="Address" type="c:AddressType"/></xs:sequence>
+      </xs:extension>
+    </xs:complexContent>
+  </xs:complexType>
+</xs:schema>`;
+const COMMON = `<xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema" xmlns:c="urn:common" targetNamespace="urn:common">
+  <xs:element name="Note" type="xs:string"/>
+  <xs:group name="NameGroup"><xs:sequence><xs:element name="First" type="xs:string"/><xs:element name="Last" type="xs:string"/></xs:sequence></xs:group>
+  <xs:complexType name="PartyType"><xs:sequence><xs:group ref="c:NameGroup"/></xs:sequence></xs:complexType>
+  <xs:complexType name="AddressType"><xs:choice><xs:element name="Street" type="xs:string"/><xs:element name="POBox" type="xs:string"/></xs:choice></xs:complexType>
+</xs:schema>`;
+const TYPES = `<xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema">
+  <xs:complexType name="ItemType"><xs:sequence><xs:element name="Sku" type="xs:string"/><xs:element name="Part" type="ItemType" minOccurs="0"/></xs:sequence></xs:complexType>
+</xs:schema>`;
+
+const schemaSet = () => parseXsdPaths([{ name: 'order.xsd', xml: ORDER }, { name: 'common.xsd', xml: COMMON }, { name: 'types.xsd', xml: TYPES }]);
+const byPath = rows => Object.fromEntries(rows.map(r => [r.path, r]));
+
+test('imports and includes resolve against the other uploaded files by schemaLocation base name', () => {
+  const rows = schemaSet().filter(r => r.schema === 'order.xsd');
+  assert.deepEqual(rows.map(r => r.path), [
+    'o:Order/o:Customer/First', 'o:Order/o:Customer/Last', 'o:Order/o:Customer/o:Address/Street', 'o:Order/o:Customer/o:Address/POBox',
+    'o:Order/c:Note', 'o:Order/o:Item/Sku', 'o:Order/o:Item/Part'
+  ]);
+});
+
+test('paths are qualified by namespace and elementFormDefault of the declaring schema', () => {
+  const rows = byPath(schemaSet());
+  assert.equal(rows['o:Order/c:Note'].namespace, 'urn:common');
+  assert.equal(rows['o:Order/o:Customer/First'].namespace, '');
+  assert.equal(rows['c:Note'].schema, 'common.xsd');
+});
+
+test('extensions inherit the base content, groups expand, and choices make their elements optional', () => {
+  const rows = byPath(schemaSet());
+  assert.equal(rows['o:Order/o:Customer/First'].minOccurs, '1');
+  assert.equal(rows['o:Order/o:Customer/o:Address/Street'].minOccurs, '0');
+  assert.equal(rows['o:Order/o:Customer/o:Address/POBox'].minOccurs, '0');
+  assert.equal(rows['o:Order/c:Note'].minOccurs, '0');
+});
+
+test('a self-referencing type ends in one recursive leaf', () => {
+  const part = byPath(schemaSet())['o:Order/o:Item/Part'];
+  assert.deepEqual([part.type, part.recursive], ['ItemType', 'yes']);
+  assert.equal(byPath(schemaSet())['o:Order/o:Item/Sku'].recursive, '');
+  assert.equal(part.minOccurs, '0');
+});
+
+test('components of files that were not uploaded stay unresolved leaves', () => {
+  const rows = byPath(parseXsdPaths([{ name: 'order.xsd', xml: ORDER }]));
+  assert.deepEqual(Object.keys(rows), ['o:Order/o:Customer/o:Address', 'o:Order/c:Note', 'o:Order/o:Item']);
+  assert.equal(rows['o:Order/c:Note'].type, 'unresolved');
+  assert.equal(rows['o:Order/o:Item'].maxOccurs, 'unbounded');
+});
+
+const FACETS = `<xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema" xmlns:p="urn:p" targetNamespace="urn:p">
+  <xs:simpleType name="Code"><xs:restriction base="xs:string"><xs:pattern value="[A-Z]{2}"/><xs:pattern value="X|Y"/><xs:maxLength value="3"/></xs:restriction></xs:simpleType>
+  <xs:simpleType name="ShortCode"><xs:restriction base="p:Code"><xs:maxLength value="2"/><xs:enumeration value="GB"/><xs:enumeration value="US"/></xs:restriction></xs:simpleType>
+  <xs:attributeGroup name="Audit"><xs:attribute name="by" type="xs:string"/><xs:attribute name="at" type="xs:dateTime" use="required"/></xs:attributeGroup>
+  <xs:complexType name="Amount"><xs:simpleContent><xs:extension base="xs:decimal"><xs:attribute name="currency" type="p:ShortCode" default="GB"/></xs:extension></xs:simpleContent></xs:complexType>
+  <xs:complexType name="Base"><xs:sequence><xs:element name="Country" type="p:ShortCode" fixed="GB"/></xs:sequence><xs:attribute name="legacy" type="xs:string"/><xs:attributeGroup ref="p:Audit"/></xs:complexType>
+  <xs:complexType name="Derived"><xs:complexContent><xs:restriction base="p:Base"><xs:sequence><xs:element name="Country" type="p:ShortCode"/></xs:sequence><xs:attribute name="legacy" use="prohibited"/></xs:restriction></xs:complexContent></xs:complexType>
+  <xs:element name="Doc"><xs:complexType><xs:sequence>
+    <xs:element name="Total" type="p:Amount"/>
+    <xs:element name="Party" type="p:Base"/>
+    <xs:element name="Other" type="p:Derived"/>
+    <xs:element name="Qty"><xs:simpleType><xs:restriction base="xs:integer"><xs:minInclusive value="1"/><xs:maxInclusive value="99"/></xs:restriction></xs:simpleType></xs:element>
+  </xs:sequence><xs:attribute name="id" type="xs:ID" use="required"/></xs:complexType></xs:element>
+</xs:schema>`;
+
+test('attributes become @name rows with their use, default and inherited or grouped declarations', () => {
+  const rows = byPath(parseXsdPaths([{ name: 'p.xsd', xml: FACETS }]));
+  assert.deepEqual([rows['p:Doc/@id'].use, rows['p:Doc/@id'].minOccurs], ['required', '1']);
+  assert.deepEqual([rows['p:Doc/Total/@currency'].use, rows['p:Doc/Total/@currency'].default], ['optional', 'GB']);
+  assert.equal(rows['p:Doc/Party/@at'].use, 'required');
+  assert.ok(rows['p:Doc/Party/@legacy']);
+  assert.ok(rows['p:Doc/Other/@by'] && !rows['p:Doc/Other/@legacy']);
+});
+
+test('simple content keeps its text row next to its attributes', () => {
+  const total = byPath(parseXsdPaths([{ name: 'p.xsd', xml: FACETS }]))['p:Doc/Total'];
+  assert.deepEqual([total.type, total.baseType], ['Amount', 'decimal']);
+});
+
+test('facets merge down a restriction chain, the derived type winning', () => {
+  const rows = byPath(parseXsdPaths([{ name: 'p.xsd', xml: FACETS }]));
+  const country = rows['p:Doc/Party/Country'];
+  assert.equal(country.baseType, 'string');
+  assert.equal(country.enumeration, 'GB|US');
+  assert.equal(country.pattern, '([A-Z]{2})|(X|Y)');
+  assert.equal(country.maxLength, '2');
+  assert.equal(country.fixed, 'GB');
+  assert.equal(rows['p:Doc/Other/Country'].fixed, '');
+  assert.deepEqual([rows['p:Doc/Qty'].minInclusive, rows['p:Doc/Qty'].maxInclusive, rows['p:Doc/Qty'].baseType], ['1', '99', 'integer']);
+});
@@ -0,0 +1,205 @@
+/** Transform expressions: a small DSL of calls over source fields, parsed into a tree that evalTransform() walks, never run as code. */
+const { xsdKind } = require('../match/rules');
+
+// Argument kinds per function: value (any expression but a map), string/number (literal), map, literal.
+const TRANSFORM_FUNCTIONS = {
+  concat:     { min: 1, max: Infinity, kinds: [] },
+  split:      { min: 2, max: 3, kinds: ['value', 'string', 'number'] },
+  substring:  { min: 2, max: 3, kinds: ['value', 'number', 'number'] },
+  dateFormat: { min: 2, max: 3, kinds: ['value', 'string', 'string'] },
+  lookup:     { min: 1, max: 2, kinds: ['value', 'map'] },
+  default:    { min: 2, max: 2, kinds: ['value', 'value'] },
+  constant:   { min: 1, max: 1, kinds: ['literal'] }
+};
+// The DSL as described to the model.
+const TRANSFORM_HELP = 'concat(a, b, ...); split(x, "sep") (a list) or split(x, "sep", index); substring(x, start[, length]); ' +
+  'dateFormat(x, "dd/MM/yyyy"[, "yyyy-MM-dd"]); lookup(x, {"from": "to", ...}) or lookup(x) (the target enumeration, ignoring case); ' +
+  'default(x, fallback); constant("text"). x is $ (this field), another source field (bare name or [Name with spaces]), a quoted string or a nested call.';
+
+/** Parses a transform expression into its tree, or null when empty; throws an Error naming the position of the first problem. */
+function parseTransform(text) {
+  const src = String(text ?? '').trim();
+  if (!src) return null;
+  let i = 0;
+  const fail = (message, at = i) => { throw new Error(`${message} at position ${at + 1} of "${src}"`); };
+  const space = () => { while (/\s/.test(src[i] || '')) i++; };
+  const expect = ch => { space(); if (src[i] !== ch) fail(`expected "${ch}"`); i++; };
+  const string = () => {
+    if (src[i] !== '"' && src[i] !== "'") fail('expected a quoted string');
+    const quote = src[i++];
+    let out = '';
+    while (i < src.length && src[i] !== quote) { if (src[i] === '\\') i++; out += src[i++] ?? ''; }
+    if (src[i] !== quote) fail('unterminated string');
+    i++;
+    return out;
+  };
+  const KIND_OK = {
+    value: n => !n.map, map: n => !!n.map, literal: n => 'value' in n,
+    string: n => typeof n.value === 'string', number: n => Number.isInteger(n.value)
+  };
+  const expr = () => {
+    space();
+    const at = i, ch = src[i];
+    if (ch === '"' || ch === "'") return { value: string() };
+    if (ch === '$') { i++; return { self: true }; }
+    if (ch === '[') {
+      const end = src.indexOf(']', i);
+      if (end < 0) fail('unterminated [field name]');
+      i = end + 1;
+      return { field: src.slice(at + 1, end) };
+    }
+    if (ch === '{') {
+      i++;
+      const map = {};
+      space();
+      if (src[i] === '}') { i++; return { map }; }
+      for (;;) {
+        space(); const key = string(); expect(':'); space(); map[key] = string(); space();
+        if (src[i] === ',') { i++; continue; }
+        expect('}');
+        return { map };
+      }
+    }
+    const number = /^-?\d+(\.\d+)?/.exec(src.slice(i));
+    if (number) { i += number[0].length; return { value: Number(number[0]) }; }
+    const name = /^[A-Za-z_][\w.-]*/.exec(src.slice(i));
+    if (!name) fail(ch ? `unexpected "${ch}"` : 'unexpected end');
+    i += name[0].length;
+    space();
+    if (src[i] !== '(') return { field: name[0] };
+    const fn = Object.hasOwn(TRANSFORM_FUNCTIONS, name[0]) ? TRANSFORM_FUNCTIONS[name[0]] : fail(`unknown function ${name[0]}`, at);
+    i++;
+    const args = [];
+    space();
+    if (src[i] === ')') i++;
+    else for (;;) { args.push(expr()); space(); if (src[i] === ',') { i++; continue; } expect(')'); break; }
+    if (args.length < fn.min || args.length > fn.max) fail(`${name[0]} takes ${fn.min === fn.max ? fn.min : `${fn.min} to ${fn.max === Infinity ? 'any number of' : fn.max}`} arguments`, at);
+    args.forEach((a, k) => { const kind = fn.kinds[k] || 'value'; if (!KIND_OK[kind](a)) fail(`argument ${k + 1} of ${name[0]} must be ${kind === 'value' ? 'a field, string or call' : kind === 'map' ? 'a { } map' : `a ${kind}`}`, at); });
+    return { fn: name[0], args };
+  };
+  const tree = expr();
+  space();
+  if (i < src.length) fail(`unexpected "${src[i]}"`);
+  if (tree.map) fail('a { } map can only be the second argument of lookup', 0);
+  return tree;
+}
+
+/** Evaluates a parseTransform() tree against one source row. Copied into transform.js, so it must use nothing outside its body. */
+function evalTransform(node, row, { field = null, enumeration = [] } = {}) {
+  const text = v => (Array.isArray(v) ? v.join('; ') : v == null ? '' : String(v));
+  const each = (v, fn) => (Array.isArray(v) ? v.map(x => fn(String(x))) : fn(text(v)));
+  const loose = s => String(s).toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+  const monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+  const tokens = /'[^']*'|yyyy|yy|MMM|MM|M|dd|d|HH|H|mm|ss/g;
+  // Re-writes a date from layout `from` to layout `to`; values that do not fit `from` are returned as they are.
+  const reformat = (s, from, to) => {
+    const keys = [];
+    let re = '', last = 0;
+    const lit = t => t.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    from.replace(tokens, (tok, at) => {
+      re += lit(from.slice(last, at));
+      last = at + tok.length;
+      if (tok[0] === "'") { re += lit(tok.slice(1, -1)); return tok; }
+      keys.push(tok);
+      re += tok === 'yyyy' ? '(\\d{4})' : tok === 'MMM' ? '(\\p{L}{3,})' : '(\\d{1,2})';
+      return tok;
+    });
+    const m = new RegExp(`^${re}${lit(from.slice(last))}$`, 'u').exec(s.trim());
+    if (!m) return s;
+    const d = { y: 1970, M: 1, d: 1, H: 0, m: 0, s: 0 };
+    keys.forEach((k, n) => {
+      const v = m[n + 1];
+      if (k === 'yyyy') d.y = Number(v);
+      else if (k === 'yy') d.y = Number(v) + (Number(v) < 50 ? 2000 : 1900);
+      else if (k === 'MMM') d.M = monthNames.findIndex(name => name.toLowerCase() === v.slice(0, 3).toLowerCase()) + 1;
+      else d[{ MM: 'M', M: 'M', dd: 'd', d: 'd', HH: 'H', H: 'H', mm: 'm', ss: 's' }[k]] = Number(v);
+    });
+    if (d.M < 1 || d.M > 12 || d.d < 1 || d.d > 31 || d.H > 23 || d.m > 59 || d.s > 59) return s;
+    const pad = (n, w = 2) => String(n).padStart(w, '0');
+    const parts = { yyyy: pad(d.y, 4), yy: pad(d.y % 100), MMM: monthNames[d.M - 1], MM: pad(d.M), M: String(d.M), dd: pad(d.d), d: String(d.d), HH: pad(d.H), H: String(d.H), mm: pad(d.m), ss: pad(d.s) };
+    return to.replace(tokens, tok => (tok[0] === "'" ? tok.slice(1, -1) : parts[tok]));
+  };
+  const ev = n => {
+    if ('value' in n) return String(n.value);
+    if (n.self) return text(row[field]);
+    if ('field' in n) return text(row[n.field]);
+    const [x, y, z] = n.args;
+    switch (n.fn) {
+      case 'concat': return n.args.map(a => text(ev(a))).join('');
+      case 'split': {
+        const parts = text(ev(x)).split(y.value).map(s => s.trim());
+        return z ? parts[z.value < 0 ? parts.length + z.value : z.value] ?? '' : parts;
+      }
+      case 'substring': return each(ev(x), s => {
+        const start = y.value < 0 ? Math.max(0, s.length + y.value) : y.value;
+        return z ? s.slice(start, start + z.value) : s.slice(start);
+      });
+      case 'dateFormat': return each(ev(x), s => (s.trim() ? reformat(s, y.value, z ? z.value : 'yyyy-MM-dd') : s));
+      case 'lookup': return each(ev(x), s => {
+        if (!s.trim()) return s;
+        const from = y ? Object.keys(y.map) : enumeration;
+        const hit = from.find(k => k === s.trim()) ?? from.find(k => loose(k) === loose(s));
+        return hit == null ? s : y ? y.map[hit] : hit;
+      });
+      case 'default': { const v = ev(x); return text(v).trim() ? v : ev(y); }
+      case 'constant': return String(x.value);
+      default: throw new Error(`Unknown transform function ${n.fn}`);
+    }
+  };
+  return ev(node);
+}
+
+// The source fields a transform tree reads, with $ resolved to `field`.
+function transformFields(node, field) {
+  if (!node) return [];
+  if (node.self) return [field];
+  if ('field' in node) return [node.field];
+  return [...new Set((node.args || []).flatMap(a => transformFields(a, field)))];
+}
+
+// A By Source row's ExtraTargetPaths ("a; b", or a list) as a list.
+function extraTargetPaths(value) {
+  const list = Array.isArray(value) ? value : String(value ?? '').split(';');
+  return list.map(p => String(p).trim()).filter(Boolean);
+}
+
+// The fields a By Source row reads: its transform's inputs, or just its own field ([] for a broken transform).
+function rowInputs(r) {
+  try {
+    return r.Transform ? transformFields(parseTransform(r.Transform), r.SourceField) : [r.SourceField];
+  } catch { return []; }
+}
+
+// What a By Source row writes for one source row: [{ path, value }] for its target and extra targets.
+function rowTargetValues(r, row, byPath) {
+  let tree = null;
+  try { tree = parseTransform(r.Transform); } catch { /* reported by validateMapping */ }
+  const paths = [r.SuggestedTargetPath, ...extraTargetPaths(r.ExtraTargetPaths)];
+  return paths.map((path, i) => {
+    const enumeration = String(byPath.get(path)?.enumeration || '').split('|').filter(Boolean);
+    const v = tree ? evalTransform(tree, row, { field: r.SourceField, enumeration }) : row[r.SourceField];
+    return { path, value: Array.isArray(v) ? (paths.length > 1 ? v[i] ?? '' : v.join('; ')) : v == null ? '' : String(v) };
+  });
+}
+
+// dateFormat() or lookup($) for sample values that do not fit their target as-is; '' when none is needed.
+function suggestTransform(values, profile, target) {
+  const kind = xsdKind(target.baseType || target.type);
+  const format = String(profile?.Format || '').replace(/ \(.*\)$/, '');
+  if (format.includes('yyyy') && !format.includes('?')) {
+    if (kind === 'date' && profile.InferredType === 'date' && format !== 'yyyy-MM-dd') return `dateFormat($, "${format}")`;
+    if (kind === 'datetime' && profile.InferredType === 'datetime' && !format.includes("'T'")) return `dateFormat($, "${format}", "yyyy-MM-dd'T'HH:mm:ss")`;
+  }
+  if (target.enumeration) {
+    const enums = String(target.enumeration).split('|');
+    const vals = (values || []).map(v => String(v).trim()).filter(Boolean);
+    const probe = { fn: 'lookup', args: [{ self: true }] };
+    if (vals.some(v => !enums.includes(v)) && vals.every(v => enums.includes(evalTransform(probe, { v }, { field: 'v', enumeration: enums })))) return 'lookup($)';
+  }
+  return '';
+}
+
+module.exports = {
+  TRANSFORM_HELP, parseTransform, evalTransform, transformFields, extraTargetPaths, rowInputs, rowTargetValues,
+  suggestTransform
+};
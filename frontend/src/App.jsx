@@ -1,10 +1,31 @@
 
-import React, { useCallback, useMemo, useRef, useState } from "react";
-import { Upload, FileSpreadsheet, FileCode2, Trash2, Download, Settings2, Loader2 } from "lucide-react";
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { Upload, FileSpreadsheet, FileCode2, Trash2, Download, Settings2, Loader2, XCircle, ClipboardCheck, ListTree } from "lucide-react";
+import ReviewGrid from "./ReviewGrid.jsx";
+import SchemaTree from "./SchemaTree.jsx";
+import GlossaryPanel from "./GlossaryPanel.jsx";
+import FormatPicker from "./FormatPicker.jsx";
 
-const XSD_ACCEPT = [".xsd"];
-const SRC_ACCEPT = [".csv", ".xlsx", ".xls"];
+const SCHEMA_ACCEPT = [".xsd", ".json", ".yaml", ".yml", ".avsc"];
+// Files are classified by content, like the server's readTargetSchema: XML with an xs:schema root, or
+// JSON/YAML with JSON Schema, OpenAPI or Avro keys. Other .json and .xml files are sources.
+const XML_ROOT = /^(?:\s|<\?[\s\S]*?\?>|<!--[\s\S]*?-->|<!DOCTYPE[^>]*>)*<(?:([\w.-]+):)?([\w.-]+)([^>]*)>/;
+const SCHEMA_MARKERS = /"\$schema"|"\$defs"|"definitions"|"openapi"|"swagger"|"components"|"protocol"|"type"\s*:\s*"(record|enum|fixed)"|^(openapi|swagger|\$schema|\$defs|definitions|components)\s*:/m;
+
+async function isTargetSchema(file) {
+  const head = (await file.slice(0, 65536).text()).replace(/^\uFEFF/, "").trimStart();
+  if (!head.startsWith("<")) return SCHEMA_MARKERS.test(head);
+  const root = XML_ROOT.exec(head);
+  return !!root && root[2] === "schema" && /\sxmlns(:[\w.-]+)?\s*=\s*["']http:\/\/www\.w3\.org\/2001\/XMLSchema["']/.test(root[3]);
+}
+const SRC_ACCEPT = [".csv", ".tsv", ".txt", ".dat", ".xlsx", ".xls", ".xlsm", ".ods", ".json", ".ndjson", ".jsonl", ".xml"];
+const LAYOUT_ACCEPT = [".csv", ".json"];
+const ENCODINGS = ["utf-8", "windows-1252", "iso-8859-1", "utf-16le", "utf-16be"];
+const BASELINE_ACCEPT = [".xlsx", ".xls", ".csv", ".json", ".yaml", ".yml"];
 const API_BASE = import.meta.env.VITE_API_BASE || "http://localhost:8000";
+const JOB_STORAGE_KEY = "aoai-mapping-job";
+const TOKEN_STORAGE_KEY = "aoai-mapping-token";
+const ACTIVE_STATUSES = ["queued", "running"];
 
 function prettyBytes(bytes) {
   if (bytes === 0) return "0 B";
@@ -21,29 +42,66 @@ function extractFilenameFromDisposition(dispo, fallback = "mapping-output") {
   try { return decodeURIComponent(raw); } catch { return raw; }
 }
 
+function formatEta(seconds) {
+  if (seconds == null) return "";
+  if (seconds < 60) return `~${seconds}s left`;
+  return `~${Math.floor(seconds / 60)}m ${seconds % 60}s left`;
+}
+
+// API key or OIDC access token for the backend, sent as a bearer token when set.
+function authHeaders() {
+  const token = localStorage.getItem(TOKEN_STORAGE_KEY);
+  return token ? { Authorization: `Bearer ${token}` } : {};
+}
+
+function apiFetch(path, init = {}) {
+  return fetch(`${API_BASE}${path}`, { ...init, headers: { ...init.headers, ...authHeaders() } });
+}
+
+function saveBlob(blob, filename) {
+  const link = document.createElement("a");
+  const url = URL.createObjectURL(blob);
+  link.href = url; link.download = filename; document.body.appendChild(link); link.click();
+  link.remove(); URL.revokeObjectURL(url);
+}
+
 export default function App() {
-  const [xsdFiles, setXsdFiles] = useState([]);
+  const [schemaFiles, setSchemaFiles] = useState([]);
   const [sourceFile, setSourceFile] = useState(null);
-  const [outputFormat, setOutputFormat] = useState("both");
+  const [baselineFile, setBaselineFile] = useState(null);
+  const [layoutFile, setLayoutFile] = useState(null);
+  const [sourceSheet, setSourceSheet] = useState("");
+  const [sourceEncoding, setSourceEncoding] = useState("auto");
+  const [noCache, setNoCache] = useState(false);
+  const [samplePolicy, setSamplePolicy] = useState("");
+  const [apiToken, setApiToken] = useState(() => localStorage.getItem(TOKEN_STORAGE_KEY) || "");
+  const [outputFormats, setOutputFormats] = useState(["xlsx", "html"]);
+  const [matchMode, setMatchMode] = useState("hybrid");
+  const [llmProvider, setLlmProvider] = useState("");
+  const [llmModel, setLlmModel] = useState("");
   const [projectName, setProjectName] = useState("");
   const [error, setError] = useState(null);
   const [isUploading, setIsUploading] = useState(false);
   const [progress, setProgress] = useState(0);
   const [lastDownloadName, setLastDownloadName] = useState("");
+  const [job, setJob] = useState(null);
+  const [review, setReview] = useState(null);
+  const [exporting, setExporting] = useState(false);
+  const [schema, setSchema] = useState(null);
+  const [exploring, setExploring] = useState(false);
+  const eventsRef = useRef(null);
 
-  const inputXsdRef = useRef(null);
+  const inputSchemaRef = useRef(null);
   const inputSrcRef = useRef(null);
 
   const totalSize = useMemo(() => {
-    const xsdSum = xsdFiles.reduce((a, f) => a + f.size, 0);
-    return xsdSum + (sourceFile?.size || 0);
-  }, [xsdFiles, sourceFile]);
+    const schemaSum = schemaFiles.reduce((a, f) => a + f.size, 0);
+    return schemaSum + (sourceFile?.size || 0);
+  }, [schemaFiles, sourceFile]);
 
-  const onPickXsd = useCallback((e) => {
-    const files = Array.from(e.target.files || []);
-    const filtered = files.filter(f => XSD_ACCEPT.some(ext => f.name.toLowerCase().endsWith(ext)));
-    setXsdFiles(prev => {
-      const all = [...prev, ...filtered];
+  const addSchemaFiles = useCallback((files) => {
+    setSchemaFiles(prev => {
+      const all = [...prev, ...files];
       const seen = new Set();
       return all.filter(f => {
         const key = `${f.name}__${f.size}`;
@@ -51,83 +109,201 @@ export default function App() {
         seen.add(key); return true;
       });
     });
-    e.target.value = "";
   }, []);
 
+  // Adds the files that are target schemas; the names of the others are returned.
+  const addIfSchemas = useCallback(async (files) => {
+    const isSchema = await Promise.all(files.map(isTargetSchema));
+    addSchemaFiles(files.filter((_, i) => isSchema[i]));
+    return files.filter((_, i) => !isSchema[i]);
+  }, [addSchemaFiles]);
+
+  const onPickSchema = useCallback(async (e) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = "";
+    const rejected = await addIfSchemas(files);
+    if (rejected.length) setError(`Unsupported target schema: ${rejected.map(f => f.name).join(", ")} (expected an XSD, JSON Schema, OpenAPI or Avro schema).`);
+  }, [addIfSchemas]);
+
   const onPickSource = useCallback((e) => {
     const file = (e.target.files && e.target.files[0]) || null;
     if (file && !SRC_ACCEPT.some(ext => file.name.toLowerCase().endsWith(ext))) {
-      setError("Source must be CSV/XLS/XLSX."); return;
+      setError("Source must be a delimited/fixed-width text, Excel/ODS, JSON/NDJSON or XML file."); return;
     }
     setSourceFile(file);
     e.target.value = "";
   }, []);
 
-  const onDrop = useCallback((e) => {
+  const onDrop = useCallback(async (e) => {
     e.preventDefault(); e.stopPropagation();
     const files = Array.from(e.dataTransfer.files || []);
-    const xsds = files.filter(f => XSD_ACCEPT.some(ext => f.name.toLowerCase().endsWith(ext)));
-    const src = files.find(f => SRC_ACCEPT.some(ext => f.name.toLowerCase().endsWith(ext)));
-    if (xsds.length) {
-      setXsdFiles(prev => {
-        const all = [...prev, ...xsds];
-        const seen = new Set();
-        return all.filter(f => {
-          const key = `${f.name}__${f.size}`;
-          if (seen.has(key)) return false;
-          seen.add(key); return true;
-        });
-      });
-    }
+    const hasExt = (f, exts) => exts.some(ext => f.name.toLowerCase().endsWith(ext));
+    const candidates = files.filter(f => hasExt(f, [...SCHEMA_ACCEPT, ".xml"]));
+    const others = await addIfSchemas(candidates);
+    const src = files.find(f => (others.includes(f) || !candidates.includes(f)) && hasExt(f, SRC_ACCEPT));
+    const rejected = others.filter(f => !hasExt(f, SRC_ACCEPT));
+    if (rejected.length) setError(`Unsupported target schema: ${rejected.map(f => f.name).join(", ")} (expected an XSD, JSON Schema, OpenAPI or Avro schema).`);
     if (src) setSourceFile(src);
-  }, []);
+  }, [addIfSchemas]);
 
   const onDragOver = useCallback((e) => { e.preventDefault(); e.stopPropagation(); }, []);
 
-  const removeXsd = useCallback((idx) => setXsdFiles(prev => prev.filter((_, i) => i !== idx)), []);
+  const removeSchema = useCallback((idx) => setSchemaFiles(prev => prev.filter((_, i) => i !== idx)), []);
+
+  const isRunning = !!job && ACTIVE_STATUSES.includes(job.status);
+  const canSubmit = useMemo(() => schemaFiles.length > 0 && !!sourceFile && !isUploading && !isRunning, [schemaFiles, sourceFile, isUploading, isRunning]);
+
+  const downloadResult = useCallback(async (view) => {
+    const res = await apiFetch(`/api/jobs/${view.id}/result?format=${encodeURIComponent(view.outputFormat)}`);
+    if (!res.ok) throw new Error(`Download failed: ${res.status} ${await res.text()}`);
+    const filename = extractFilenameFromDisposition(res.headers.get("Content-Disposition"), view.projectName || "mapping-output");
+    saveBlob(await res.blob(), filename);
+    setLastDownloadName(filename);
+  }, []);
+
+  const loadReview = useCallback(async (view) => {
+    const res = await apiFetch(`/api/jobs/${view.id}/result?format=json`);
+    if (!res.ok) throw new Error(`Loading mapping failed: ${res.status} ${await res.text()}`);
+    const data = await res.json();
+    setReview({ job: view, rows: data.bySource, targetPaths: data.targetPaths, targetTree: data.targetTree || [], failedBatches: (data.modelBatches || []).filter(b => b.Status === "failed") });
+  }, []);
 
-  const canSubmit = useMemo(() => xsdFiles.length > 0 && !!sourceFile && !isUploading, [xsdFiles, sourceFile, isUploading]);
+  // Follows a job's SSE stream; on a dropped connection it re-checks the job and reconnects while it runs.
+  const followJob = useCallback((id) => {
+    eventsRef.current?.close();
+    // EventSource cannot send headers, so the token goes in the query string.
+    const token = localStorage.getItem(TOKEN_STORAGE_KEY);
+    const es = new EventSource(`${API_BASE}/api/jobs/${id}/events${token ? `?access_token=${encodeURIComponent(token)}` : ""}`);
+    eventsRef.current = es;
+    es.addEventListener("progress", (e) => setJob(JSON.parse(e.data)));
+    es.addEventListener("succeeded", (e) => {
+      const view = JSON.parse(e.data);
+      es.close(); setJob(view);
+      loadReview(view).catch(err => setError(err.message));
+    });
+    for (const status of ["failed", "cancelled"]) {
+      es.addEventListener(status, (e) => {
+        const view = JSON.parse(e.data);
+        es.close(); setJob(view); setError(view.error || `Mapping ${status}`);
+        localStorage.removeItem(JOB_STORAGE_KEY);
+      });
+    }
+    es.onerror = () => {
+      es.close();
+      apiFetch(`/api/jobs/${id}`).then(async (res) => {
+        if (res.status === 404) { localStorage.removeItem(JOB_STORAGE_KEY); setJob(null); return; }
+        const view = await res.json();
+        setJob(view);
+        if (ACTIVE_STATUSES.includes(view.status)) setTimeout(() => followJob(id), 3000);
+        else followJob(id);
+      }).catch(() => setTimeout(() => followJob(id), 3000));
+    };
+  }, [loadReview]);
+
+  useEffect(() => {
+    const id = localStorage.getItem(JOB_STORAGE_KEY);
+    if (id) {
+      apiFetch(`/api/jobs/${id}`).then(async (res) => {
+        if (!res.ok) { localStorage.removeItem(JOB_STORAGE_KEY); return; }
+        const view = await res.json();
+        setJob(view);
+        if (ACTIVE_STATUSES.includes(view.status)) followJob(id);
+        else if (view.status !== "succeeded") localStorage.removeItem(JOB_STORAGE_KEY);
+      }).catch(() => {});
+    }
+    return () => eventsRef.current?.close();
+  }, [followJob]);
+
+  async function cancelJob() {
+    if (!job) return;
+    try {
+      const res = await apiFetch(`/api/jobs/${job.id}`, { method: "DELETE" });
+      if (!res.ok && res.status !== 409) throw new Error(`Cancel failed: ${res.status}`);
+    } catch (e) {
+      setError(e?.message || "Cancel failed");
+    }
+  }
+
+  async function exportReviewed(rows, format) {
+    setError(null); setExporting(true);
+    try {
+      const res = await apiFetch(`/api/jobs/${review.job.id}/review`, {
+        method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify({ rows, format })
+      });
+      if (!res.ok) throw new Error(`Export failed: ${res.status} ${await res.text()}`);
+      const filename = extractFilenameFromDisposition(res.headers.get("Content-Disposition"), `${review.job.projectName || "mapping-output"}_reviewed`);
+      saveBlob(await res.blob(), filename);
+      setLastDownloadName(filename);
+    } catch (e) {
+      setError(e?.message || "Export failed");
+    } finally {
+      setExporting(false);
+    }
+  }
+
+  // Parses the selected target schemas on the server to show what the mapping will target, without a model run.
+  async function exploreSchema() {
+    setError(null); setExploring(true);
+    try {
+      const formData = new FormData();
+      schemaFiles.forEach(f => formData.append("schema_files", f, f.name));
+      const res = await apiFetch("/api/schema", { method: "POST", body: formData });
+      if (!res.ok) throw new Error(`Schema parsing failed: ${res.status} ${await res.text()}`);
+      setSchema(await res.json());
+    } catch (e) {
+      setError(e?.message || "Schema parsing failed");
+    } finally {
+      setExploring(false);
+    }
+  }
+
+  function closeReview() {
+    setReview(null); setJob(null);
+    localStorage.removeItem(JOB_STORAGE_KEY);
+  }
 
   async function submitForm() {
     setError(null);
     if (!canSubmit) return;
 
     const formData = new FormData();
-    xsdFiles.forEach(f => formData.append("xsd_files", f, f.name));
+    schemaFiles.forEach(f => formData.append("schema_files", f, f.name));
     if (sourceFile) formData.append("source_file", sourceFile, sourceFile.name);
-    formData.append("output_format", outputFormat);
+    if (baselineFile) formData.append("baseline_mapping", baselineFile, baselineFile.name);
+    if (layoutFile) formData.append("source_layout", layoutFile, layoutFile.name);
+    if (sourceSheet.trim()) formData.append("source_sheet", sourceSheet.trim());
+    if (sourceEncoding !== "auto") formData.append("source_encoding", sourceEncoding);
+    formData.append("output_format", outputFormats.join(","));
+    formData.append("match_mode", matchMode);
+    if (llmProvider) formData.append("llm_provider", llmProvider);
+    if (llmModel.trim()) formData.append("llm_model", llmModel.trim());
+    if (noCache) formData.append("no_cache", "true");
+    if (samplePolicy) formData.append("sample_policy", samplePolicy);
     if (projectName.trim()) formData.append("project_name", projectName.trim());
 
-    setIsUploading(true); setProgress(0);
+    setIsUploading(true); setProgress(0); setJob(null); setReview(null); setLastDownloadName("");
 
     try {
       const xhr = new XMLHttpRequest();
-      xhr.open("POST", `${API_BASE}/api/map`, true);
-      xhr.responseType = "blob";
+      xhr.open("POST", `${API_BASE}/api/jobs`, true);
+      for (const [name, value] of Object.entries(authHeaders())) xhr.setRequestHeader(name, value);
       xhr.upload.onprogress = (evt) => {
         if (evt.lengthComputable) setProgress(Math.round((evt.loaded / evt.total) * 100));
       };
       const promise = new Promise((resolve, reject) => {
         xhr.onreadystatechange = () => {
           if (xhr.readyState === 4) {
-            if (xhr.status >= 200 && xhr.status < 300) {
-              const dispo = xhr.getResponseHeader("Content-Disposition");
-              const filename = extractFilenameFromDisposition(dispo, projectName || "mapping-output");
-              const blob = xhr.response;
-              const link = document.createElement("a");
-              const url = URL.createObjectURL(blob);
-              link.href = url; link.download = filename; document.body.appendChild(link); link.click();
-              link.remove(); URL.revokeObjectURL(url); setLastDownloadName(filename);
-              resolve();
-            } else {
-              reject(new Error("Upload failed: " + xhr.status));
-            }
+            if (xhr.status >= 200 && xhr.status < 300) resolve(JSON.parse(xhr.responseText));
+            else reject(new Error("Upload failed: " + xhr.status + (xhr.responseText ? ` ${xhr.responseText}` : "")));
           }
         };
         xhr.onerror = () => reject(new Error("Network error"));
       });
       xhr.send(formData);
-      await promise;
+      const view = await promise;
+      localStorage.setItem(JOB_STORAGE_KEY, view.id);
+      setJob(view);
+      followJob(view.id);
     } catch (e) {
       setError(e?.message || "Upload failed");
     } finally {
@@ -148,36 +324,36 @@ export default function App() {
             <div className="flex items-center gap-2 text-emerald-800">
               <Upload className="w-5 h-5" /><span className="font-medium">Drop files here</span>
             </div>
-            <p className="text-sm text-emerald-900/70">Add one or more <span className="font-semibold">.xsd</span> files and a single source (<span className="font-semibold">.csv / .xlsx / .xls</span>).</p>
+            <p className="text-sm text-emerald-900/70">Add one or more target schemas (<span className="font-semibold">.xsd / JSON Schema / OpenAPI .json, .yaml / Avro .avsc</span>) and a single source (<span className="font-semibold">.csv / .txt / .xlsx / .ods / .json / .ndjson / .xml</span>).</p>
           </div>
           <div className="flex gap-2">
-            <button type="button" onClick={() => document.getElementById('xsd-input').click()} className="inline-flex items-center gap-2 rounded-xl bg-white border border-emerald-200 px-3 py-2 text-sm hover:bg-emerald-50">
-              <FileCode2 className="w-4 h-4" />Add XSD(s)
+            <button type="button" onClick={() => document.getElementById('schema-input').click()} className="inline-flex items-center gap-2 rounded-xl bg-white border border-emerald-200 px-3 py-2 text-sm hover:bg-emerald-50">
+              <FileCode2 className="w-4 h-4" />Add Schema(s)
             </button>
             <button type="button" onClick={() => document.getElementById('src-input').click()} className="inline-flex items-center gap-2 rounded-xl bg-white border border-emerald-200 px-3 py-2 text-sm hover:bg-emerald-50">
               <FileSpreadsheet className="w-4 h-4" />Add Source
             </button>
           </div>
         </div>
-        <input id="xsd-input" type="file" accept={XSD_ACCEPT.join(',')} multiple className="hidden" onChange={onPickXsd} />
+        <input id="schema-input" type="file" accept={SCHEMA_ACCEPT.join(',')} multiple className="hidden" onChange={onPickSchema} />
         <input id="src-input" type="file" accept={SRC_ACCEPT.join(',')} className="hidden" onChange={onPickSource} />
       </div>
 
       <div className="mt-6 grid grid-cols-1 md:grid-cols-2 gap-6">
         <div className="rounded-2xl border border-emerald-200 bg-white p-4">
           <div className="flex items-center justify-between mb-3">
-            <h2 className="text-sm font-semibold text-emerald-900">XSD Files</h2>
-            {xsdFiles.length > 0 && <button onClick={() => setXsdFiles([])} className="text-xs text-emerald-700 hover:underline">Clear</button>}
+            <h2 className="text-sm font-semibold text-emerald-900">Target Schemas</h2>
+            {schemaFiles.length > 0 && <button onClick={() => setSchemaFiles([])} className="text-xs text-emerald-700 hover:underline">Clear</button>}
           </div>
-          {xsdFiles.length === 0 ? <p className="text-sm text-emerald-900/70">No XSDs selected.</p> : (
+          {schemaFiles.length === 0 ? <p className="text-sm text-emerald-900/70">No schemas selected.</p> : (
             <ul className="divide-y divide-emerald-100">
-              {xsdFiles.map((f, idx) => (
+              {schemaFiles.map((f, idx) => (
                 <li key={`${f.name}-${f.size}-${idx}`} className="py-2 flex items-center justify-between gap-3">
                   <div className="min-w-0">
                     <p className="text-sm font-medium truncate">{f.name}</p>
                     <p className="text-xs text-emerald-900/70">{prettyBytes(f.size)}</p>
                   </div>
-                  <button onClick={() => removeXsd(idx)} className="p-1.5 rounded hover:bg-emerald-50"><Trash2 className="w-4 h-4 text-emerald-800" /></button>
+                  <button onClick={() => removeSchema(idx)} className="p-1.5 rounded hover:bg-emerald-50"><Trash2 className="w-4 h-4 text-emerald-800" /></button>
                 </li>
               ))}
             </ul>
@@ -208,25 +384,97 @@ export default function App() {
         <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
           <div className="flex flex-col gap-1">
             <label className="text-xs text-emerald-900/80">Output Format</label>
-            <select value={outputFormat} onChange={(e) => setOutputFormat(e.target.value)} className="rounded-xl border border-emerald-200 px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-emerald-300 bg-white">
-              <option value="both">Excel + HTML (zip)</option>
-              <option value="xlsx">Excel (.xlsx)</option>
-              <option value="html">HTML (per sheet)</option>
+            <FormatPicker value={outputFormats} onChange={setOutputFormats} />
+            <span className="text-[11px] text-emerald-900/60">Several formats download as one zip.</span>
+          </div>
+          <div className="flex flex-col gap-1">
+            <label className="text-xs text-emerald-900/80">Match Mode</label>
+            <select value={matchMode} onChange={(e) => setMatchMode(e.target.value)} className="rounded-xl border border-emerald-200 px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-emerald-300 bg-white">
+              <option value="hybrid">Hybrid (rules, then AI)</option>
+              <option value="rules">Rules only (offline)</option>
+              <option value="ai">Azure OpenAI only</option>
+            </select>
+          </div>
+          <div className="flex flex-col gap-1">
+            <label className="text-xs text-emerald-900/80">LLM Provider</label>
+            <select value={llmProvider} onChange={(e) => setLlmProvider(e.target.value)} className="rounded-xl border border-emerald-200 px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-emerald-300 bg-white">
+              <option value="">Server default</option>
+              <option value="azure">Azure OpenAI</option>
+              <option value="openai">OpenAI-compatible endpoint</option>
+              <option value="replay">Fixture replay (offline)</option>
+            </select>
+          </div>
+          <div className="flex flex-col gap-1">
+            <label className="text-xs text-emerald-900/80">Model / Deployment (optional)</label>
+            <input value={llmModel} onChange={(e) => setLlmModel(e.target.value)} placeholder="e.g., gpt-4o" className="rounded-xl border border-emerald-200 px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-emerald-300 bg-white" />
+            <label className="inline-flex items-center gap-2 text-xs text-emerald-900/80 mt-1">
+              <input type="checkbox" checked={noCache} onChange={(e) => setNoCache(e.target.checked)} className="accent-emerald-700" />
+              Bypass cached model results
+            </label>
+          </div>
+          <div className="flex flex-col gap-1">
+            <label className="text-xs text-emerald-900/80">Baseline Mapping (optional)</label>
+            <div className="flex items-center gap-2">
+              <button type="button" onClick={() => document.getElementById('baseline-input').click()} className="inline-flex items-center gap-2 rounded-xl border border-emerald-200 px-3 py-2 text-sm bg-white hover:bg-emerald-50 min-w-0">
+                <FileSpreadsheet className="w-4 h-4 shrink-0" /><span className="truncate">{baselineFile ? baselineFile.name : "Previous export (.xlsx or spec)"}</span>
+              </button>
+              {baselineFile && <button onClick={() => setBaselineFile(null)} className="p-1.5 rounded hover:bg-emerald-50"><Trash2 className="w-4 h-4 text-emerald-800" /></button>}
+            </div>
+            <input id="baseline-input" type="file" accept={BASELINE_ACCEPT.join(',')} className="hidden" onChange={(e) => { setBaselineFile((e.target.files && e.target.files[0]) || null); e.target.value = ""; }} />
+          </div>
+          <div className="flex flex-col gap-1">
+            <label className="text-xs text-emerald-900/80">Source Sheet (workbooks)</label>
+            <input value={sourceSheet} onChange={(e) => setSourceSheet(e.target.value)} placeholder="First sheet · name, number or * for all" className="rounded-xl border border-emerald-200 px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-emerald-300 bg-white" />
+          </div>
+          <div className="flex flex-col gap-1">
+            <label className="text-xs text-emerald-900/80">Source Encoding (text files)</label>
+            <select value={sourceEncoding} onChange={(e) => setSourceEncoding(e.target.value)} className="rounded-xl border border-emerald-200 px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-emerald-300 bg-white">
+              <option value="auto">Detect automatically</option>
+              {ENCODINGS.map(enc => <option key={enc} value={enc}>{enc}</option>)}
+            </select>
+          </div>
+          <div className="flex flex-col gap-1">
+            <label className="text-xs text-emerald-900/80">Fixed-width Layout (optional)</label>
+            <div className="flex items-center gap-2">
+              <button type="button" onClick={() => document.getElementById('layout-input').click()} className="inline-flex items-center gap-2 rounded-xl border border-emerald-200 px-3 py-2 text-sm bg-white hover:bg-emerald-50 min-w-0">
+                <FileSpreadsheet className="w-4 h-4 shrink-0" /><span className="truncate">{layoutFile ? layoutFile.name : "name, start, length (.csv/.json)"}</span>
+              </button>
+              {layoutFile && <button onClick={() => setLayoutFile(null)} className="p-1.5 rounded hover:bg-emerald-50"><Trash2 className="w-4 h-4 text-emerald-800" /></button>}
+            </div>
+            <input id="layout-input" type="file" accept={LAYOUT_ACCEPT.join(',')} className="hidden" onChange={(e) => { setLayoutFile((e.target.files && e.target.files[0]) || null); e.target.value = ""; }} />
+          </div>
+          <div className="flex flex-col gap-1">
+            <label className="text-xs text-emerald-900/80">Sample Values (prompt and outputs)</label>
+            <select value={samplePolicy} onChange={(e) => setSamplePolicy(e.target.value)} className="rounded-xl border border-emerald-200 px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-emerald-300 bg-white">
+              <option value="">Server default</option>
+              <option value="raw">Raw values</option>
+              <option value="masked">Masked (Aaaa 99-9999)</option>
+              <option value="synthetic">Synthetic look-alikes</option>
+              <option value="none">None (names and profile only)</option>
             </select>
           </div>
-          <div className="flex flex-col gap-1 md:col-span-2">
+          <div className="flex flex-col gap-1">
+            <label className="text-xs text-emerald-900/80">API Key / Access Token (if required)</label>
+            <input type="password" value={apiToken} onChange={(e) => { setApiToken(e.target.value); if (e.target.value) localStorage.setItem(TOKEN_STORAGE_KEY, e.target.value); else localStorage.removeItem(TOKEN_STORAGE_KEY); }} placeholder="Sent as Authorization: Bearer" autoComplete="off" className="rounded-xl border border-emerald-200 px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-emerald-300 bg-white" />
+          </div>
+          <div className="flex flex-col gap-1">
             <label className="text-xs text-emerald-900/80">Project / Output Name (optional)</label>
             <input value={projectName} onChange={(e) => setProjectName(e.target.value)} placeholder="e.g., GWS_Invoice_Mapping" className="rounded-xl border border-emerald-200 px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-emerald-300 bg-white" />
           </div>
         </div>
       </div>
 
+      <GlossaryPanel apiFetch={apiFetch} onError={setError} />
+
       <div className="mt-6 flex flex-col sm:flex-row items-stretch sm:items-center gap-3">
         <button onClick={submitForm} disabled={!canSubmit} className={`inline-flex items-center justify-center gap-2 rounded-2xl px-4 py-2 text-sm font-medium text-white ${canSubmit ? "bg-emerald-700 hover:bg-emerald-800" : "bg-emerald-300 cursor-not-allowed"}`}>
-          {isUploading ? <Loader2 className="w-4 h-4 animate-spin" /> : <Upload className="w-4 h-4" />}
-          {isUploading ? "Uploading…" : "Generate Mapping"}
+          {isUploading || isRunning ? <Loader2 className="w-4 h-4 animate-spin" /> : <Upload className="w-4 h-4" />}
+          {isUploading ? "Uploading…" : isRunning ? "Mapping…" : "Generate Mapping"}
+        </button>
+        <button onClick={exploreSchema} disabled={!schemaFiles.length || exploring} className={`inline-flex items-center justify-center gap-2 rounded-2xl px-4 py-2 text-sm border border-emerald-200 bg-white ${schemaFiles.length && !exploring ? "hover:bg-emerald-50" : "opacity-50 cursor-not-allowed"}`}>
+          {exploring ? <Loader2 className="w-4 h-4 animate-spin" /> : <ListTree className="w-4 h-4" />}Explore schema
         </button>
-        <button onClick={() => { setXsdFiles([]); setSourceFile(null); setProgress(0); setError(null); setLastDownloadName(""); }} className="rounded-2xl px-4 py-2 text-sm border border-emerald-200 bg-white hover:bg-emerald-50">Reset</button>
+        <button onClick={() => { setSchemaFiles([]); setSchema(null); setSourceFile(null); setBaselineFile(null); setLayoutFile(null); setProgress(0); setError(null); setLastDownloadName(""); if (!isRunning) { setJob(null); setReview(null); localStorage.removeItem(JOB_STORAGE_KEY); } }} className="rounded-2xl px-4 py-2 text-sm border border-emerald-200 bg-white hover:bg-emerald-50">Reset</button>
         <div className="ml-auto text-sm text-emerald-900/70 flex items-center gap-2">
           <span>Total size:</span><span className="font-medium">{prettyBytes(totalSize)}</span>
         </div>
@@ -241,6 +489,53 @@ export default function App() {
         </div>
       )}
 
+      {isRunning && (
+        <div className="mt-4 rounded-xl border border-emerald-200 bg-white p-3">
+          <div className="flex items-center justify-between gap-3 mb-2 text-sm text-emerald-900">
+            <span className="capitalize">{job.phase}{job.batchesTotal > 0 && ` – batch ${Math.min(job.batchesDone + 1, job.batchesTotal)} of ${job.batchesTotal}`}</span>
+            <div className="flex items-center gap-3">
+              <span className="text-xs text-emerald-900/70">{formatEta(job.etaSeconds)}</span>
+              <button onClick={cancelJob} className="inline-flex items-center gap-1 rounded-xl px-2 py-1 text-xs border border-red-200 text-red-700 hover:bg-red-50">
+                <XCircle className="w-3.5 h-3.5" />Cancel
+              </button>
+            </div>
+          </div>
+          <div className="w-full bg-emerald-100 rounded-full h-2 overflow-hidden">
+            <div className="h-2 bg-emerald-600 transition-all" style={{ width: `${job.percent}%` }} />
+          </div>
+          <div className="text-xs text-emerald-900/70 mt-1">{job.fieldsDone} / {job.fieldsTotal} fields mapped · {job.percent}%</div>
+        </div>
+      )}
+
+      {job?.status === "succeeded" && (
+        <div className="mt-4 flex flex-wrap gap-2">
+          {!review && (
+            <button onClick={() => loadReview(job).catch(e => setError(e.message))} className="inline-flex items-center gap-2 rounded-2xl px-4 py-2 text-sm border border-emerald-200 bg-white hover:bg-emerald-50">
+              <ClipboardCheck className="w-4 h-4" />Review mapping of {job.projectName}
+            </button>
+          )}
+          <button onClick={() => downloadResult(job).catch(e => setError(e.message))} className="inline-flex items-center gap-2 rounded-2xl px-4 py-2 text-sm border border-emerald-200 bg-white hover:bg-emerald-50">
+            <Download className="w-4 h-4" />Download unreviewed result
+          </button>
+        </div>
+      )}
+
+      {review && review.failedBatches.length > 0 && (
+        <div className="mt-6 rounded-xl border border-amber-200 bg-amber-50 p-3 text-amber-900 text-sm">
+          {review.failedBatches.length} model batch(es) failed; their fields kept rule matches or are unmapped. {review.failedBatches[0].Error}
+        </div>
+      )}
+      {review && (
+        <ReviewGrid key={review.job.id} rows={review.rows} targetPaths={review.targetPaths} defaultFormat={review.job.outputFormat}
+          exporting={exporting} onExport={exportReviewed} onClose={closeReview} />
+      )}
+      {review && review.targetTree.length > 0 && (
+        <SchemaTree key={`target-${review.job.id}`} tree={review.targetTree} title="Target Coverage" subtitle="source fields feeding each node, before review" />
+      )}
+      {schema && !review && (
+        <SchemaTree key={schema.files.join("|")} tree={schema.tree} title="Target Schema" subtitle={`${schema.files.join(", ")} · ${schema.paths} mappable paths`} onClose={() => setSchema(null)} />
+      )}
+
       {error && <div className="mt-4 rounded-xl border border-red-200 bg-red-50 p-3 text-red-800 text-sm">{error}</div>}
 
       {lastDownloadName && !isUploading && (
@@ -250,7 +545,7 @@ export default function App() {
       )}
 
       <div className="mt-8 text-xs text-emerald-900/60">
-        <p><span className="font-semibold">API</span>: POST <code className="px-1 py-0.5 bg-emerald-50 rounded">/api/map</code>, form-data: <code>xsd_files[]</code>, <code>source_file</code>, <code>output_format</code>, <code>project_name</code>.</p>
+        <p><span className="font-semibold">API</span>: POST <code className="px-1 py-0.5 bg-emerald-50 rounded">/api/map</code> (or <code className="px-1 py-0.5 bg-emerald-50 rounded">/api/jobs</code> for a background job), form-data: <code>schema_files[]</code> (.xsd, JSON Schema, OpenAPI, Avro; <code>xsd_files[]</code> also works), <code>source_file</code>, <code>output_format</code>, <code>match_mode</code>, <code>llm_provider</code>, <code>llm_model</code>, <code>llm_temperature</code>, <code>llm_max_tokens</code>, <code>no_cache</code>, <code>sample_policy</code>, <code>baseline_mapping</code>, <code>source_sheet</code>, <code>source_encoding</code>, <code>source_layout</code>, <code>project_name</code>. POST <code className="px-1 py-0.5 bg-emerald-50 rounded">/api/schema</code> with <code>schema_files[]</code> returns the parsed target tree; <code className="px-1 py-0.5 bg-emerald-50 rounded">/api/glossary</code> manages the team glossary.</p>
         <p>Set <code>VITE_API_BASE</code> (e.g., http://localhost:8000) in <code>frontend/.env</code> if needed.</p>
       </div>
     </div>
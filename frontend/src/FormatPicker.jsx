@@ -0,0 +1,36 @@
+import React from "react";
+
+export const FORMAT_OPTIONS = [
+  { value: "xlsx", label: "Excel" },
+  { value: "html", label: "HTML" },
+  { value: "spec", label: "Spec JSON" },
+  { value: "yaml", label: "Spec YAML" },
+  { value: "csv", label: "Spec CSV" },
+  { value: "md", label: "Markdown" },
+  { value: "xml", label: "XML + transform" },
+];
+
+// Splits a server output_format ("both", "xlsx,spec", "json") into the picker's parts.
+export function formatParts(outputFormat) {
+  const parts = String(outputFormat || "both").split(",").flatMap(p => (p === "both" ? ["xlsx", "html"] : [p]));
+  const known = parts.filter(p => FORMAT_OPTIONS.some(o => o.value === p));
+  return known.length ? known : ["xlsx", "html"];
+}
+
+// Toggle chips for any combination of output formats; at least one stays selected.
+export default function FormatPicker({ value, onChange }) {
+  function toggle(format) {
+    const next = value.includes(format) ? value.filter(f => f !== format) : [...value, format];
+    if (next.length) onChange(FORMAT_OPTIONS.map(o => o.value).filter(f => next.includes(f)));
+  }
+  return (
+    <div className="flex flex-wrap gap-1.5">
+      {FORMAT_OPTIONS.map(o => (
+        <button key={o.value} type="button" onClick={() => toggle(o.value)} aria-pressed={value.includes(o.value)}
+          className={`rounded-xl border px-2.5 py-1 text-xs ${value.includes(o.value) ? "border-emerald-700 bg-emerald-700 text-white" : "border-emerald-200 bg-white text-emerald-900 hover:bg-emerald-50"}`}>
+          {o.label}
+        </button>
+      ))}
+    </div>
+  );
+}
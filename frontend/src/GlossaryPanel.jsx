@@ -0,0 +1,113 @@
+import React, { useState } from "react";
+import { BookOpen, ChevronDown, ChevronRight, Plus, Trash2, Upload } from "lucide-react";
+
+const GLOSSARY_ACCEPT = [".csv", ".json"];
+
+/**
+ * The team glossary (/api/glossary): term expansions and confirmed source → target pairs. Loaded when
+ * opened; reviewed exports add pairs on the server, so reopening shows them.
+ */
+export default function GlossaryPanel({ apiFetch, onError }) {
+  const [open, setOpen] = useState(false);
+  const [glossary, setGlossary] = useState(null);
+  const [term, setTerm] = useState("");
+  const [expansion, setExpansion] = useState("");
+  const [query, setQuery] = useState("");
+
+  async function call(path, init) {
+    const res = await apiFetch(`/api/glossary${path}`, init);
+    if (!res.ok) throw new Error(`Glossary request failed: ${res.status} ${await res.text()}`);
+    return res.status === 204 ? null : res.json();
+  }
+
+  async function reload() {
+    try { setGlossary(await call("")); } catch (e) { onError(e.message); }
+  }
+
+  function toggle() {
+    if (!open) reload();
+    setOpen(!open);
+  }
+
+  async function addTerm(e) {
+    e.preventDefault();
+    try {
+      await call("/terms", { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify({ term, expansion }) });
+      setTerm(""); setExpansion("");
+      await reload();
+    } catch (err) { onError(err.message); }
+  }
+
+  async function remove(kind, id) {
+    try { await call(`/${kind}/${id}`, { method: "DELETE" }); await reload(); } catch (e) { onError(e.message); }
+  }
+
+  async function importFile(e) {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    const formData = new FormData();
+    formData.append("glossary_file", file, file.name);
+    try { await call("/import", { method: "POST", body: formData }); await reload(); } catch (err) { onError(err.message); }
+  }
+
+  const q = query.trim().toLowerCase();
+  const pairs = (glossary?.pairs || []).filter(p => !q || p.source.toLowerCase().includes(q) || p.targetPath.toLowerCase().includes(q));
+
+  return (
+    <div className="mt-6 rounded-2xl border border-emerald-200 bg-white p-4">
+      <button type="button" onClick={toggle} className="flex items-center gap-2 text-emerald-900">
+        {open ? <ChevronDown className="w-4 h-4" /> : <ChevronRight className="w-4 h-4" />}
+        <BookOpen className="w-4 h-4 text-emerald-800" />
+        <h2 className="text-sm font-semibold">Team Glossary</h2>
+        {glossary && <span className="text-xs text-emerald-900/70">{glossary.terms.length} terms · {glossary.pairs.length} confirmed pairs</span>}
+      </button>
+      {open && glossary && (
+        <div className="mt-3 grid grid-cols-1 md:grid-cols-2 gap-6">
+          <div>
+            <h3 className="text-xs font-semibold text-emerald-900 mb-2">Terms</h3>
+            <form onSubmit={addTerm} className="flex gap-2 mb-2">
+              <input value={term} onChange={(e) => setTerm(e.target.value)} placeholder="CCY" className="w-24 rounded-lg border border-emerald-200 px-2 py-1 text-xs font-mono focus:outline-none focus:ring-2 focus:ring-emerald-300" />
+              <input value={expansion} onChange={(e) => setExpansion(e.target.value)} placeholder="currency" className="flex-1 min-w-0 rounded-lg border border-emerald-200 px-2 py-1 text-xs focus:outline-none focus:ring-2 focus:ring-emerald-300" />
+              <button type="submit" disabled={!term.trim() || !expansion.trim()} className="inline-flex items-center gap-1 rounded-lg border border-emerald-200 px-2 py-1 text-xs hover:bg-emerald-50 disabled:opacity-50"><Plus className="w-3.5 h-3.5" />Add</button>
+            </form>
+            <ul className="divide-y divide-emerald-50 max-h-64 overflow-y-auto">
+              {glossary.terms.map(t => (
+                <li key={t.id} className="py-1 flex items-center justify-between gap-2 text-xs">
+                  <span><span className="font-mono font-medium">{t.term}</span> = {t.expansion}</span>
+                  <button title="Delete" onClick={() => remove("terms", t.id)} className="p-1 rounded hover:bg-emerald-50"><Trash2 className="w-3.5 h-3.5 text-emerald-800" /></button>
+                </li>
+              ))}
+              {glossary.terms.length === 0 && <li className="py-2 text-xs text-emerald-900/60">No terms yet.</li>}
+            </ul>
+          </div>
+          <div>
+            <div className="flex items-center justify-between gap-2 mb-2">
+              <h3 className="text-xs font-semibold text-emerald-900">Confirmed pairs</h3>
+              <input value={query} onChange={(e) => setQuery(e.target.value)} placeholder="Filter…" className="w-40 rounded-lg border border-emerald-200 px-2 py-1 text-xs focus:outline-none focus:ring-2 focus:ring-emerald-300" />
+            </div>
+            <ul className="divide-y divide-emerald-50 max-h-64 overflow-y-auto">
+              {pairs.map(p => (
+                <li key={p.id} className="py-1 flex items-center justify-between gap-2 text-xs">
+                  <div className="min-w-0">
+                    <div className="truncate"><span className="font-medium">{p.source}</span> → <span className="font-mono">{p.targetPath}</span></div>
+                    <div className="text-[11px] text-emerald-900/60">{p.origin}{p.confirmations ? ` · confirmed ${p.confirmations}×` : ""}</div>
+                  </div>
+                  <button title="Delete" onClick={() => remove("pairs", p.id)} className="p-1 rounded hover:bg-emerald-50"><Trash2 className="w-3.5 h-3.5 text-emerald-800" /></button>
+                </li>
+              ))}
+              {pairs.length === 0 && <li className="py-2 text-xs text-emerald-900/60">No pairs{q ? " match" : " yet; reviewed exports add them"}.</li>}
+            </ul>
+          </div>
+          <div className="md:col-span-2 flex items-center gap-2">
+            <button type="button" onClick={() => document.getElementById("glossary-input").click()} className="inline-flex items-center gap-2 rounded-xl border border-emerald-200 px-3 py-1.5 text-xs bg-white hover:bg-emerald-50">
+              <Upload className="w-3.5 h-3.5" />Import CSV / JSON
+            </button>
+            <span className="text-[11px] text-emerald-900/60">Rows with term, expansion or source, targetPath; merged into the glossary.</span>
+            <input id="glossary-input" type="file" accept={GLOSSARY_ACCEPT.join(",")} className="hidden" onChange={importFile} />
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,188 @@
+import React, { useMemo, useState } from "react";
+import { Check, X, RotateCcw, Download, Loader2, ArrowUpDown } from "lucide-react";
+import FormatPicker, { formatParts } from "./FormatPicker.jsx";
+
+const SCORE_FILTERS = {
+  all: { label: "All scores", test: () => true },
+  low: { label: "Low (< 60%)", test: (s) => s < 0.6 },
+  mid: { label: "Medium (60–85%)", test: (s) => s >= 0.6 && s < 0.85 },
+  high: { label: "High (≥ 85%)", test: (s) => s >= 0.85 },
+};
+
+const STATUS_STYLES = {
+  pending: "bg-slate-100 text-slate-700",
+  accepted: "bg-emerald-100 text-emerald-800",
+  rejected: "bg-red-100 text-red-800",
+  overridden: "bg-amber-100 text-amber-800",
+};
+
+function scoreClass(score) {
+  if (score < 0.6) return "bg-red-100 text-red-800";
+  if (score < 0.85) return "bg-amber-100 text-amber-800";
+  return "bg-emerald-100 text-emerald-800";
+}
+
+// A row's ranked alternatives from its Alternative<n>Path/Score/Rationale columns.
+function alternativesOf(row) {
+  const out = [];
+  for (let i = 1; `Alternative${i}Path` in row; i++) {
+    if (row[`Alternative${i}Path`]) out.push({ path: row[`Alternative${i}Path`], score: Number(row[`Alternative${i}Score`]) || 0, rationale: row[`Alternative${i}Rationale`] || "" });
+  }
+  return out;
+}
+
+export default function ReviewGrid({ rows, targetPaths, defaultFormat, exporting, onExport, onClose }) {
+  const [items, setItems] = useState(() => rows.map(r => ({ ...r, Transform: r.Transform || "", OriginalTargetPath: r.SuggestedTargetPath, OriginalTransform: r.Transform || "", ReviewStatus: "pending" })));
+  const [sort, setSort] = useState("order");
+  const [scoreFilter, setScoreFilter] = useState("all");
+  const [statusFilter, setStatusFilter] = useState("all");
+  const [query, setQuery] = useState("");
+  const [formats, setFormats] = useState(() => formatParts(defaultFormat));
+
+  const knownPaths = useMemo(() => new Set(targetPaths.map(t => t.path)), [targetPaths]);
+  const typeByPath = useMemo(() => new Map(targetPaths.map(t => [t.path, t])), [targetPaths]);
+
+  const visible = useMemo(() => {
+    const q = query.trim().toLowerCase();
+    const list = items.filter(r =>
+      SCORE_FILTERS[scoreFilter].test(Number(r.MatchScore) || 0) &&
+      (statusFilter === "all" || r.ReviewStatus === statusFilter) &&
+      (!q || r.SourceField.toLowerCase().includes(q) || (r.SuggestedTargetPath || "").toLowerCase().includes(q)));
+    if (sort === "score-desc") list.sort((a, b) => (b.MatchScore || 0) - (a.MatchScore || 0));
+    if (sort === "score-asc") list.sort((a, b) => (a.MatchScore || 0) - (b.MatchScore || 0));
+    return list;
+  }, [items, sort, scoreFilter, statusFilter, query]);
+
+  const counts = useMemo(() => items.reduce((acc, r) => ({ ...acc, [r.ReviewStatus]: (acc[r.ReviewStatus] || 0) + 1 }), {}), [items]);
+  const invalid = items.filter(r => r.SuggestedTargetPath && !knownPaths.has(r.SuggestedTargetPath));
+
+  // Rows are keyed by the server's SourceOrder; a source field name need not be unique.
+  function update(order, patch) {
+    setItems(prev => prev.map(r => (r.SourceOrder === order ? { ...r, ...patch } : r)));
+  }
+
+  const changed = (r) => r.SuggestedTargetPath !== r.OriginalTargetPath || r.Transform !== r.OriginalTransform;
+
+  function setPath(row, path) {
+    update(row.SourceOrder, { SuggestedTargetPath: path, ReviewStatus: changed({ ...row, SuggestedTargetPath: path }) ? "overridden" : "pending" });
+  }
+
+  function setTransform(row, transform) {
+    update(row.SourceOrder, { Transform: transform, ReviewStatus: changed({ ...row, Transform: transform }) ? "overridden" : "pending" });
+  }
+
+  function acceptHighScores() {
+    setItems(prev => prev.map(r => (r.ReviewStatus === "pending" && (r.MatchScore || 0) >= 0.85 && r.SuggestedTargetPath ? { ...r, ReviewStatus: "accepted" } : r)));
+  }
+
+  function cycleSort() {
+    setSort(s => (s === "order" ? "score-desc" : s === "score-desc" ? "score-asc" : "order"));
+  }
+
+  return (
+    <div className="mt-6 rounded-2xl border border-emerald-200 bg-white p-4">
+      <div className="flex flex-col lg:flex-row lg:items-center justify-between gap-3 mb-3">
+        <div>
+          <h2 className="text-sm font-semibold text-emerald-900">Review Mapping</h2>
+          <p className="text-xs text-emerald-900/70">
+            {items.length} fields · {counts.accepted || 0} accepted · {counts.overridden || 0} overridden · {counts.rejected || 0} rejected · {counts.pending || 0} pending
+          </p>
+        </div>
+        <div className="flex flex-wrap items-center gap-2">
+          <input value={query} onChange={(e) => setQuery(e.target.value)} placeholder="Filter field or path…" className="rounded-xl border border-emerald-200 px-3 py-1.5 text-sm focus:outline-none focus:ring-2 focus:ring-emerald-300" />
+          <select value={scoreFilter} onChange={(e) => setScoreFilter(e.target.value)} className="rounded-xl border border-emerald-200 px-2 py-1.5 text-sm bg-white">
+            {Object.entries(SCORE_FILTERS).map(([k, f]) => <option key={k} value={k}>{f.label}</option>)}
+          </select>
+          <select value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)} className="rounded-xl border border-emerald-200 px-2 py-1.5 text-sm bg-white">
+            <option value="all">All statuses</option>
+            {Object.keys(STATUS_STYLES).map(s => <option key={s} value={s} className="capitalize">{s}</option>)}
+          </select>
+          <button onClick={acceptHighScores} className="rounded-xl px-3 py-1.5 text-sm border border-emerald-200 hover:bg-emerald-50">Accept all ≥ 85%</button>
+        </div>
+      </div>
+
+      <datalist id="target-paths">
+        {targetPaths.map(t => <option key={t.path} value={t.path}>{t.type}</option>)}
+      </datalist>
+
+      <div className="overflow-x-auto border border-emerald-100 rounded-xl">
+        <table className="w-full text-sm">
+          <thead className="bg-emerald-50 text-emerald-900 text-left text-xs">
+            <tr>
+              <th className="px-3 py-2">Source Field</th>
+              <th className="px-3 py-2 w-2/5">Target Path</th>
+              <th className="px-3 py-2">
+                <button onClick={cycleSort} className="inline-flex items-center gap-1 hover:underline">
+                  Score <ArrowUpDown className="w-3 h-3" />{sort !== "order" && <span>({sort === "score-desc" ? "high first" : "low first"})</span>}
+                </button>
+              </th>
+              <th className="px-3 py-2">Rationale</th>
+              <th className="px-3 py-2">Status</th>
+              <th className="px-3 py-2"></th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-emerald-50">
+            {visible.map(r => {
+              const bad = r.SuggestedTargetPath && !knownPaths.has(r.SuggestedTargetPath);
+              const target = typeByPath.get(r.SuggestedTargetPath);
+              return (
+                <tr key={r.SourceOrder} className={r.ReviewStatus === "rejected" ? "opacity-60" : ""}>
+                  <td className="px-3 py-2 align-top">
+                    <div className="font-medium">{r.SourceField}</div>
+                    {r.SampleValue && <div className="text-xs text-emerald-900/60 truncate max-w-[12rem]" title={r.SampleValue}>e.g. {r.SampleValue}</div>}
+                  </td>
+                  <td className="px-3 py-2 align-top">
+                    <input list="target-paths" value={r.SuggestedTargetPath || ""} onChange={(e) => setPath(r, e.target.value)} className={`w-full rounded-lg border px-2 py-1 text-xs font-mono focus:outline-none focus:ring-2 focus:ring-emerald-300 ${bad ? "border-red-300 bg-red-50" : "border-emerald-200"}`} />
+                    <div className="text-[11px] text-emerald-900/60 mt-0.5">
+                      {bad ? "Not in target dictionary" : target ? `${target.type} · ${target.occurs}` : ""}
+                      {r.ReviewStatus === "overridden" && <span> · was {r.OriginalTargetPath || "none"}</span>}
+                      {r.ExtraTargetPaths && <span className="font-mono"> · also {r.ExtraTargetPaths}</span>}
+                    </div>
+                    {alternativesOf(r).length > 0 && (
+                      <div className="mt-1 flex flex-wrap gap-1">
+                        {alternativesOf(r).filter(a => a.path !== r.SuggestedTargetPath).map(a => (
+                          <button key={a.path} type="button" onClick={() => setPath(r, a.path)} title={`${a.path}\n${a.rationale}`}
+                            className="rounded-full border border-emerald-200 px-2 py-0.5 text-[11px] font-mono text-emerald-900 hover:bg-emerald-50">
+                            {a.path.split("/").pop()} <span className="tabular-nums text-emerald-900/60">{(a.score * 100).toFixed(0)}%</span>
+                          </button>
+                        ))}
+                      </div>
+                    )}
+                    <input value={r.Transform} onChange={(e) => setTransform(r, e.target.value)} placeholder="transform, e.g. concat($, &quot; &quot;, LastName)" title="Transform expression; leave empty to copy the value as-is" className="mt-1 w-full rounded-lg border border-emerald-100 px-2 py-0.5 text-[11px] font-mono focus:outline-none focus:ring-2 focus:ring-emerald-300" />
+                  </td>
+                  <td className="px-3 py-2 align-top">
+                    <span className={`inline-block rounded-full px-2 py-0.5 text-xs tabular-nums ${scoreClass(Number(r.MatchScore) || 0)}`}>{((Number(r.MatchScore) || 0) * 100).toFixed(1)}%</span>
+                  </td>
+                  <td className="px-3 py-2 align-top text-xs text-emerald-900/80 max-w-xs">
+                    <div className="line-clamp-2" title={r.Rationale}>{r.Rationale}</div>
+                  </td>
+                  <td className="px-3 py-2 align-top">
+                    <span className={`inline-block rounded-full px-2 py-0.5 text-xs capitalize ${STATUS_STYLES[r.ReviewStatus]}`}>{r.ReviewStatus}</span>
+                  </td>
+                  <td className="px-3 py-2 align-top whitespace-nowrap">
+                    <button title="Accept" onClick={() => update(r.SourceOrder, { ReviewStatus: changed(r) ? "overridden" : "accepted" })} className="p-1 rounded hover:bg-emerald-50"><Check className="w-4 h-4 text-emerald-700" /></button>
+                    <button title="Reject" onClick={() => update(r.SourceOrder, { ReviewStatus: "rejected" })} className="p-1 rounded hover:bg-red-50"><X className="w-4 h-4 text-red-700" /></button>
+                    <button title="Reset" onClick={() => update(r.SourceOrder, { SuggestedTargetPath: r.OriginalTargetPath, Transform: r.OriginalTransform, ReviewStatus: "pending" })} className="p-1 rounded hover:bg-emerald-50"><RotateCcw className="w-4 h-4 text-emerald-800" /></button>
+                  </td>
+                </tr>
+              );
+            })}
+            {visible.length === 0 && <tr><td colSpan={6} className="px-3 py-6 text-center text-emerald-900/60">No rows match the filters.</td></tr>}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="mt-4 flex flex-col sm:flex-row sm:items-center gap-3">
+        <FormatPicker value={formats} onChange={setFormats} />
+        <button
+          disabled={exporting || invalid.length > 0}
+          onClick={() => onExport(items.map(({ SourceOrder, SourceField, SuggestedTargetPath, Transform, ReviewStatus }) => ({ SourceOrder, SourceField, SuggestedTargetPath, Transform, ReviewStatus })), formats.join(","))}
+          className={`inline-flex items-center justify-center gap-2 rounded-2xl px-4 py-2 text-sm font-medium text-white ${exporting || invalid.length ? "bg-emerald-300 cursor-not-allowed" : "bg-emerald-700 hover:bg-emerald-800"}`}>
+          {exporting ? <Loader2 className="w-4 h-4 animate-spin" /> : <Download className="w-4 h-4" />}Export reviewed
+        </button>
+        {invalid.length > 0 && <span className="text-xs text-red-700">{invalid.length} path(s) not in the target dictionary.</span>}
+        <button onClick={onClose} className="sm:ml-auto rounded-2xl px-4 py-2 text-sm border border-emerald-200 bg-white hover:bg-emerald-50">Close review</button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,133 @@
+import React, { useMemo, useState } from "react";
+import { ChevronDown, ChevronRight, X } from "lucide-react";
+
+function occursOf(node) {
+  return node.minOccurs || node.maxOccurs ? `${node.minOccurs}..${node.maxOccurs}` : "";
+}
+
+// Whether a node itself matches the search text or (annotated trees) the "uncovered only" filter.
+function matches(node, q, uncoveredOnly) {
+  if (uncoveredOnly && !(node.uncovered > 0 && !node.children.length)) return false;
+  if (!q) return true;
+  return [node.name, node.path, node.type, node.documentation, ...(node.sources || [])].some(v => String(v || "").toLowerCase().includes(q));
+}
+
+// The tree pruned to matching nodes and their ancestors.
+function prune(nodes, q, uncoveredOnly) {
+  if (!q && !uncoveredOnly) return nodes;
+  return nodes.flatMap(node => {
+    const children = prune(node.children, q, uncoveredOnly);
+    return children.length || matches(node, q, uncoveredOnly) ? [{ ...node, children }] : [];
+  });
+}
+
+// Two uploaded schemas may declare the same path, so a node is told apart by its schema file as well.
+function nodeKey(node) {
+  return `${node.schema}:${node.path}`;
+}
+
+function countNodes(nodes) {
+  return nodes.reduce((n, node) => n + 1 + countNodes(node.children), 0);
+}
+
+function TreeNode({ node, depth, open, toggle, forceOpen, annotated }) {
+  const isOpen = forceOpen || open.has(nodeKey(node));
+  const leaf = node.children.length === 0;
+  const missing = annotated && leaf && node.uncovered > 0;
+  return (
+    <li>
+      <div className="flex items-start gap-1 py-0.5 hover:bg-emerald-50/60 rounded" style={{ paddingLeft: `${depth * 1.1}rem` }}>
+        {leaf ? <span className="w-4 h-4 shrink-0" /> : (
+          <button type="button" onClick={() => toggle(nodeKey(node))} className="shrink-0 text-emerald-800" aria-expanded={isOpen}>
+            {isOpen ? <ChevronDown className="w-4 h-4" /> : <ChevronRight className="w-4 h-4" />}
+          </button>
+        )}
+        <div className="min-w-0">
+          <div className="flex flex-wrap items-center gap-x-2 gap-y-0.5">
+            <span className={`font-mono text-xs ${missing ? "text-red-700 font-semibold" : node.kind === "attribute" ? "text-sky-800" : "text-emerald-950"}`} title={node.path}>{node.name}</span>
+            {node.type && <span className="text-[11px] text-emerald-900/60">{node.type}</span>}
+            {occursOf(node) && <span className="text-[11px] tabular-nums text-emerald-900/60">{occursOf(node)}</span>}
+            {node.required === "yes" && <span className="rounded-full bg-slate-100 px-1.5 text-[10px] text-slate-700">required</span>}
+            {node.recursive === "yes" && <span className="rounded-full bg-slate-100 px-1.5 text-[10px] text-slate-700" title="The type contains itself; it is not expanded again">recursive</span>}
+            {node.fixed && <span className="rounded-full bg-slate-100 px-1.5 text-[10px] text-slate-700">fixed {node.fixed}</span>}
+            {annotated && node.sources?.length > 0 && (
+              <span className="rounded-full bg-emerald-100 px-1.5 text-[11px] font-mono text-emerald-800">← {node.sources.join(", ")}</span>
+            )}
+            {missing && <span className="rounded-full bg-red-100 px-1.5 text-[10px] text-red-800">required, unmapped</span>}
+            {annotated && !leaf && node.uncovered > 0 && <span className="rounded-full bg-red-50 px-1.5 text-[10px] text-red-700">{node.uncovered} required unmapped</span>}
+            {annotated && !leaf && node.mapped > 0 && <span className="text-[10px] text-emerald-800">{node.mapped} mapped</span>}
+          </div>
+          {node.documentation && <div className="text-[11px] text-emerald-900/60 line-clamp-2" title={node.documentation}>{node.documentation}</div>}
+          {node.enumeration && <div className="text-[11px] text-emerald-900/60 font-mono truncate" title={node.enumeration}>{node.enumeration.split("|").join(" · ")}</div>}
+        </div>
+      </div>
+      {!leaf && isOpen && (
+        <ul>
+          {node.children.map(c => <TreeNode key={nodeKey(c)} node={c} depth={depth + 1} open={open} toggle={toggle} forceOpen={forceOpen} annotated={annotated} />)}
+        </ul>
+      )}
+    </li>
+  );
+}
+
+/**
+ * Collapsible, searchable view of a target schema tree (POST /api/schema, or a mapping's annotated
+ * targetTree whose nodes carry sources / mapped / uncovered).
+ */
+export default function SchemaTree({ tree, title, subtitle, onClose }) {
+  const [query, setQuery] = useState("");
+  const [uncoveredOnly, setUncoveredOnly] = useState(false);
+  const [open, setOpen] = useState(() => new Set(tree.map(nodeKey)));
+
+  const annotated = tree.some(n => n.mapped !== undefined);
+  const q = query.trim().toLowerCase();
+  const shown = useMemo(() => prune(tree, q, annotated && uncoveredOnly), [tree, q, annotated, uncoveredOnly]);
+  const total = useMemo(() => countNodes(tree), [tree]);
+  const uncovered = tree.reduce((n, node) => n + (node.uncovered || 0), 0);
+
+  function toggle(key) {
+    setOpen(prev => {
+      const next = new Set(prev);
+      if (next.has(key)) next.delete(key); else next.add(key);
+      return next;
+    });
+  }
+
+  function expandAll() {
+    const all = new Set();
+    (function walk(nodes) { for (const n of nodes) if (n.children.length) { all.add(nodeKey(n)); walk(n.children); } })(tree);
+    setOpen(all);
+  }
+
+  return (
+    <div className="mt-6 rounded-2xl border border-emerald-200 bg-white p-4">
+      <div className="flex flex-col lg:flex-row lg:items-center justify-between gap-3 mb-3">
+        <div>
+          <h2 className="text-sm font-semibold text-emerald-900">{title}</h2>
+          <p className="text-xs text-emerald-900/70">
+            {subtitle ? `${subtitle} · ` : ""}{total} nodes{annotated && ` · ${uncovered} required unmapped`}
+          </p>
+        </div>
+        <div className="flex flex-wrap items-center gap-2">
+          <input value={query} onChange={(e) => setQuery(e.target.value)} placeholder="Search name, type, documentation…" className="rounded-xl border border-emerald-200 px-3 py-1.5 text-sm focus:outline-none focus:ring-2 focus:ring-emerald-300" />
+          {annotated && (
+            <label className="inline-flex items-center gap-1.5 text-xs text-emerald-900/80">
+              <input type="checkbox" checked={uncoveredOnly} onChange={(e) => setUncoveredOnly(e.target.checked)} className="accent-emerald-700" />
+              Required unmapped only
+            </label>
+          )}
+          <button onClick={expandAll} className="rounded-xl px-3 py-1.5 text-xs border border-emerald-200 hover:bg-emerald-50">Expand all</button>
+          <button onClick={() => setOpen(new Set())} className="rounded-xl px-3 py-1.5 text-xs border border-emerald-200 hover:bg-emerald-50">Collapse all</button>
+          {onClose && <button title="Close" onClick={onClose} className="p-1.5 rounded hover:bg-emerald-50"><X className="w-4 h-4 text-emerald-800" /></button>}
+        </div>
+      </div>
+      <div className="max-h-[32rem] overflow-y-auto border border-emerald-100 rounded-xl p-2">
+        {shown.length === 0 ? <p className="px-2 py-4 text-center text-sm text-emerald-900/60">No nodes match.</p> : (
+          <ul>
+            {shown.map(n => <TreeNode key={nodeKey(n)} node={n} depth={0} open={open} toggle={toggle} forceOpen={!!q || (annotated && uncoveredOnly)} annotated={annotated} />)}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}